@@ -0,0 +1,291 @@
+/**
+ * analytics.js
+ * Progress over weeks and months, computed from logged sessions and readiness check-ins:
+ * estimated 1RM trends, tonnage, hard sets and average RPE per exercise and muscle group,
+ * readiness trend, and plateau detection.
+ */
+
+const Autoregulator = require('./autoregulator');
+const ExerciseLibrary = require('./exercise_library');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A set counts as "hard" (a productive set for hypertrophy) at RPE 7 or above, i.e. 3 or fewer reps in reserve
+const HARD_SET_RPE = 7;
+
+// Plateau: no e1RM gain of at least MIN_GAIN over the last PLATEAU_SESSIONS sessions of an exercise
+const PLATEAU_SESSIONS = 4;
+const MIN_GAIN = 0.005;
+
+const PERIODS = ['week', 'month'];
+
+class ProgressAnalytics {
+    /**
+     * Full progress report for a user.
+     * @param {Array<Object>} sessions - Logged sessions (repository.listSessions), any order
+     * @param {Array<Object>} checkIns - Readiness check-ins ({ day, score })
+     * @param {Object} options - { period: "week" | "month", since: date to start from (optional), plateauSessions }
+     * @returns {Object} { period, since, exercises, muscleGroups, readiness, plateaus }
+     */
+    static report(sessions, checkIns = [], { period = 'week', since = null, plateauSessions = PLATEAU_SESSIONS } = {}) {
+        const from = since ? ProgressAnalytics.isoDay(since) : null;
+        const entries = ProgressAnalytics.entries(sessions, from);
+        const exercises = ProgressAnalytics.byExercise(entries, period, plateauSessions);
+
+        return {
+            period,
+            since: from,
+            exercises,
+            muscleGroups: ProgressAnalytics.byMuscleGroup(entries, period),
+            readiness: ProgressAnalytics.readiness(checkIns.filter(c => !from || c.day >= from), period),
+            plateaus: exercises.filter(ex => ex.plateau && ex.plateau.detected).map(ex => ({
+                exerciseId: ex.exerciseId,
+                name: ex.name,
+                ...ex.plateau
+            }))
+        };
+    }
+
+    /**
+     * One exercise's part of the report plus every logged session of it in the range.
+     * @param {Array<Object>} sessions
+     * @param {string} exerciseId
+     * @param {Object} options - As for report()
+     * @returns {Object|null} Exercise summary with period, since and history; null if nothing was logged
+     */
+    static exercise(sessions, exerciseId, { period = 'week', since = null, plateauSessions = PLATEAU_SESSIONS } = {}) {
+        const from = since ? ProgressAnalytics.isoDay(since) : null;
+        const entries = ProgressAnalytics.entries(sessions, from).filter(e => e.exerciseId === exerciseId);
+        if (entries.length === 0) return null;
+
+        return {
+            ...ProgressAnalytics.byExercise(entries, period, plateauSessions)[0],
+            period,
+            since: from,
+            history: entries.map(({ date, sessionId, weight, reps, sets, rpe, e1rm, tonnage, hardSets }) => ({
+                date, sessionId, weight, reps, sets, rpe, e1rm, tonnage, hardSets
+            }))
+        };
+    }
+
+    /**
+     * Flattens sessions into one entry per logged exercise, oldest first.
+     * @param {Array<Object>} sessions
+     * @param {string} since - YYYY-MM-DD; earlier sessions are left out (optional)
+     * @returns {Array<Object>} { date, sessionId, exerciseId, name, muscleGroups, weight, reps, sets, rpe, e1rm, tonnage, hardSets }
+     */
+    static entries(sessions, since = null) {
+        return sessions
+            .filter(session => !since || ProgressAnalytics.isoDay(session.date) >= since)
+            .flatMap(session => (session.performances || []).map(p => {
+                const planned = (session.exercises || []).find(ex => ex.id === p.exerciseId) || {};
+                const entry = ExerciseLibrary.get(p.exerciseId) || ExerciseLibrary.find(planned) || {};
+                const reps = p.completedReps || 0;
+                const sets = p.completedSets || 0;
+                const weight = p.weight || 0;
+
+                return {
+                    date: session.date,
+                    sessionId: session.id,
+                    exerciseId: p.exerciseId,
+                    name: planned.name || entry.name || p.exerciseId,
+                    muscleGroups: planned.muscleGroups || entry.muscleGroups || [],
+                    weight,
+                    reps,
+                    sets,
+                    rpe: p.rpe || null,
+                    e1rm: ProgressAnalytics.round(Autoregulator.estimateOneRepMax(weight, reps, p.rpe || 10)),
+                    tonnage: weight * reps * sets,
+                    hardSets: p.rpe >= HARD_SET_RPE ? sets : 0
+                };
+            }))
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    /**
+     * @param {Array<Object>} entries - From entries()
+     * @param {string} period
+     * @param {number} plateauSessions
+     * @returns {Array<Object>} { exerciseId, name, muscleGroups, sessions, e1rm: { points, trend }, buckets, plateau }
+     */
+    static byExercise(entries, period = 'week', plateauSessions = PLATEAU_SESSIONS) {
+        return ProgressAnalytics.groupBy(entries, entry => [entry.exerciseId]).map(([exerciseId, items]) => {
+            const points = items.filter(e => e.e1rm > 0).map(e => ({ date: e.date, value: e.e1rm }));
+            const latest = items[items.length - 1];
+            return {
+                exerciseId,
+                name: latest.name,
+                muscleGroups: latest.muscleGroups,
+                sessions: items.length,
+                e1rm: { points, trend: ProgressAnalytics.trend(points) },
+                buckets: ProgressAnalytics.buckets(items, period).map(({ period: key, items: inPeriod }) => ({
+                    period: key,
+                    ...ProgressAnalytics.totals(inPeriod),
+                    bestE1rm: Math.max(0, ...inPeriod.map(e => e.e1rm))
+                })),
+                plateau: ProgressAnalytics.plateau(points, plateauSessions)
+            };
+        });
+    }
+
+    /**
+     * Muscle groups get the same totals, with strength as an e1RM index: each exercise's best
+     * e1RM in the period relative to its first e1RM in the report (100 = no change), averaged.
+     * @param {Array<Object>} entries - From entries()
+     * @param {string} period
+     * @returns {Array<Object>} { muscleGroup, exercises, buckets, trend }
+     */
+    static byMuscleGroup(entries, period = 'week') {
+        const firstE1rm = new Map();
+        entries.forEach(e => {
+            if (e.e1rm > 0 && !firstE1rm.has(e.exerciseId)) firstE1rm.set(e.exerciseId, e.e1rm);
+        });
+
+        return ProgressAnalytics.groupBy(entries, entry => entry.muscleGroups).map(([muscleGroup, items]) => {
+            const buckets = ProgressAnalytics.buckets(items, period).map(({ period: key, items: inPeriod }) => {
+                const indexes = ProgressAnalytics.groupBy(inPeriod.filter(e => e.e1rm > 0), e => [e.exerciseId])
+                    .map(([exerciseId, ofExercise]) => Math.max(...ofExercise.map(e => e.e1rm)) / firstE1rm.get(exerciseId) * 100);
+                return {
+                    period: key,
+                    ...ProgressAnalytics.totals(inPeriod),
+                    e1rmIndex: indexes.length > 0 ? ProgressAnalytics.round(ProgressAnalytics.mean(indexes)) : null
+                };
+            });
+
+            return {
+                muscleGroup,
+                exercises: [...new Set(items.map(e => e.exerciseId))],
+                buckets,
+                trend: ProgressAnalytics.trend(buckets.filter(b => b.e1rmIndex !== null).map(b => ({ date: b.period, value: b.e1rmIndex })))
+            };
+        });
+    }
+
+    /**
+     * @param {Array<Object>} checkIns - { day, score }
+     * @param {string} period
+     * @returns {Object} { points, buckets, trend }
+     */
+    static readiness(checkIns, period = 'week') {
+        const points = checkIns
+            .filter(c => typeof c.score === 'number')
+            .map(c => ({ date: c.day, value: c.score }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        return {
+            points,
+            buckets: ProgressAnalytics.buckets(points, period).map(({ period: key, items }) => ({
+                period: key,
+                average: ProgressAnalytics.round(ProgressAnalytics.mean(items.map(p => p.value))),
+                checkIns: items.length
+            })),
+            trend: ProgressAnalytics.trend(points)
+        };
+    }
+
+    /**
+     * A plateau is `sessions` logged sessions in a row where none beat the first one's e1RM
+     * by at least MIN_GAIN.
+     * @param {Array<Object>} points - e1RM points, oldest first
+     * @param {number} sessions - Window size (N)
+     * @returns {Object|null} { detected, sessions, since, bestE1rm, baselineE1rm }, null with too little data
+     */
+    static plateau(points, sessions = PLATEAU_SESSIONS) {
+        if (points.length < sessions) return null;
+
+        const window = points.slice(-sessions);
+        const baseline = window[0].value;
+        const best = Math.max(...window.slice(1).map(p => p.value));
+        return {
+            detected: best < baseline * (1 + MIN_GAIN),
+            sessions,
+            since: window[0].date,
+            baselineE1rm: baseline,
+            bestE1rm: best
+        };
+    }
+
+    /**
+     * Least-squares slope, scaled to change per week.
+     * @param {Array<Object>} points - { date, value }
+     * @returns {Object|null} { first, last, change, changePercent, perWeek }, null for fewer than 2 points
+     */
+    static trend(points) {
+        if (points.length < 2) return null;
+
+        const xs = points.map(p => new Date(p.date).getTime() / (7 * DAY_MS));
+        const ys = points.map(p => p.value);
+        const meanX = ProgressAnalytics.mean(xs);
+        const meanY = ProgressAnalytics.mean(ys);
+        const spread = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+        const slope = spread > 0 ? xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0) / spread : 0;
+
+        const first = ys[0];
+        const last = ys[ys.length - 1];
+        return {
+            first,
+            last,
+            change: ProgressAnalytics.round(last - first),
+            changePercent: first ? ProgressAnalytics.round((last - first) / first * 100) : null,
+            perWeek: ProgressAnalytics.round(slope)
+        };
+    }
+
+    static totals(items) {
+        const rpes = items.filter(e => e.rpe !== null).map(e => e.rpe);
+        return {
+            sessions: new Set(items.map(e => e.sessionId)).size,
+            tonnage: ProgressAnalytics.round(items.reduce((sum, e) => sum + e.tonnage, 0)),
+            hardSets: items.reduce((sum, e) => sum + e.hardSets, 0),
+            averageRpe: rpes.length > 0 ? ProgressAnalytics.round(ProgressAnalytics.mean(rpes)) : null
+        };
+    }
+
+    /**
+     * Groups dated items by calendar week (starting Monday, keyed "YYYY-MM-DD") or month ("YYYY-MM").
+     * @param {Array<Object>} items - Each with a date
+     * @param {string} period
+     * @returns {Array<Object>} { period, items }, oldest first
+     */
+    static buckets(items, period = 'week') {
+        return ProgressAnalytics.groupBy(items, item => [ProgressAnalytics.periodKey(item.date, period)])
+            .map(([key, inPeriod]) => ({ period: key, items: inPeriod }))
+            .sort((a, b) => a.period.localeCompare(b.period));
+    }
+
+    static periodKey(date, period) {
+        const d = new Date(date);
+        if (period === 'month') return d.toISOString().slice(0, 7);
+
+        const monday = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()) - ((d.getUTCDay() + 6) % 7) * DAY_MS;
+        return new Date(monday).toISOString().slice(0, 10);
+    }
+
+    // [key, items] pairs in first-seen order; keysOf may return several keys (e.g. muscle groups)
+    static groupBy(items, keysOf) {
+        const groups = new Map();
+        items.forEach(item => keysOf(item).forEach(key => {
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        }));
+        return [...groups.entries()];
+    }
+
+    static isoDay(date) {
+        return new Date(date).toISOString().slice(0, 10);
+    }
+
+    static mean(values) {
+        return values.reduce((sum, v) => sum + v, 0) / values.length;
+    }
+
+    static round(value) {
+        return Math.round(value * 10) / 10;
+    }
+}
+
+ProgressAnalytics.PERIODS = PERIODS;
+ProgressAnalytics.HARD_SET_RPE = HARD_SET_RPE;
+ProgressAnalytics.PLATEAU_SESSIONS = PLATEAU_SESSIONS;
+
+module.exports = ProgressAnalytics;
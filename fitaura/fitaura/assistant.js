@@ -0,0 +1,360 @@
+/**
+ * assistant.js
+ * Coaching assistant: answers a user's questions from their own data (the day's prescription and its
+ * explanations, logged history, readiness check-ins) and from the local knowledge base
+ * (knowledge_base/*.md, ranked with BM25). Swaps come from the engine's own substitution logic.
+ * With an LLM adapter (see llm_adapter.js) the model phrases the reply from the same facts; without
+ * one, or when it fails, the rule-based answer is returned as is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ExerciseLibrary = require('./exercise_library');
+const InjuryProtocol = require('./injury_protocol');
+const ProgressAnalytics = require('./analytics');
+const TransparencyService = require('./transparency');
+const SearchIndex = require('./search_index');
+
+const KNOWLEDGE_DIR = path.join(__dirname, 'knowledge_base');
+
+// Articles handed to the LLM, and the most a knowledge answer cites
+const MAX_PASSAGES = 3;
+
+// Gym shorthand the catalogue's names and aliases don't cover
+const SHORT_NAMES = { bench: 'bench_press', pullup: 'pull_up', chinup: 'pull_up' };
+
+const SUBSTITUTE = /\b(swap|substitut\w*|replace|alternatives?|instead)\b/;
+const EXPLAIN = /\bwhy\b|\b(go|goes|went|gone|come|came) (down|up)\b|\b(lower|lighter|heavier|changed?|dropped)\b/;
+const ABOUT_TRAINING = /\b(today|workout|session|plan|weight|sets?|reps?|volume)\b/;
+const BEST = /\b(best|pr|prs|personal (best|record)|max|heaviest|strongest)\b/;
+const READINESS = /\b(readiness|ready|recovered)\b/;
+
+// Adjustments to the whole workout that also answer "why did my <lift> change"
+const WORKOUT_WIDE = ['DELOAD', 'VOLUME_REDUCTION', 'PEAKING'];
+
+const SYSTEM_PROMPT = 'You are FitAura\'s strength coach. Answer the athlete\'s question in a few friendly sentences, ' +
+    'using only the facts and articles below. Never invent numbers. If they don\'t cover the question, say so.';
+
+class CoachingAssistant {
+    /**
+     * @param {TrainingEngine} engine - With a repository; used for substitutions and the user's data
+     * @param {Object} options - { documents: knowledge base articles ({ id, title, text }), llm: adapter or null }
+     */
+    constructor(engine, { documents = CoachingAssistant.loadKnowledgeBase(), llm = null } = {}) {
+        this.engine = engine;
+        this.repository = engine.repository;
+        this.index = new SearchIndex(documents);
+        this.llm = llm;
+    }
+
+    /**
+     * Reads the knowledge base: one article per Markdown file, titled by its first "# " heading.
+     * @param {string} dir
+     * @returns {Array<Object>} { id, title, text }
+     */
+    static loadKnowledgeBase(dir = KNOWLEDGE_DIR) {
+        return fs.readdirSync(dir)
+            .filter(file => file.endsWith('.md'))
+            .sort()
+            .map(file => {
+                const content = fs.readFileSync(path.join(dir, file), 'utf8').trim();
+                const [firstLine, ...rest] = content.split('\n');
+                const titled = firstLine.startsWith('# ');
+                return {
+                    id: file.replace(/\.md$/, ''),
+                    title: titled ? firstLine.slice(2).trim() : file.replace(/\.md$/, ''),
+                    text: (titled ? rest.join('\n') : content).trim()
+                };
+            });
+    }
+
+    /**
+     * Answers a question. Explanations are rendered in the requested locale; the rest of the
+     * rule-based wording is English.
+     * @param {string} userId
+     * @param {string} question
+     * @param {Object} options - { locale, date: the day "today" refers to }
+     * @returns {Promise<Object>} { intent, exerciseId, answer, facts, sources: [{ id, title, score }], generatedBy: "rules" | "llm" }
+     *   - intent is "explain", "substitute", "best", "readiness" or "knowledge"
+     */
+    async answer(userId, question, { locale = 'en', date = new Date() } = {}) {
+        const user = this.repository.getUser(userId);
+        const day = new Date(date).toISOString().slice(0, 10);
+        const mention = CoachingAssistant.mentionedExercise(question);
+        const intent = CoachingAssistant.intentOf(question, mention);
+        const passages = this.index.search(question, MAX_PASSAGES);
+
+        let reply;
+        if (intent === 'explain') reply = this.explain(userId, mention, day, locale, user);
+        else if (intent === 'substitute') reply = this.substitute(userId, mention, question, user);
+        else if (intent === 'best') reply = this.best(userId, mention, user);
+        else if (intent === 'readiness') reply = this.readiness(userId, day, locale);
+        else reply = CoachingAssistant.knowledge(passages);
+
+        const result = {
+            intent,
+            exerciseId: mention ? mention.entry.id : null,
+            answer: reply.text,
+            facts: reply.facts,
+            sources: (intent === 'knowledge' ? passages : []).map(CoachingAssistant.source),
+            generatedBy: 'rules'
+        };
+        if (!this.llm) return result;
+
+        try {
+            const text = await this.llm.complete({ system: SYSTEM_PROMPT, prompt: CoachingAssistant.prompt(question, reply, passages) });
+            if (!text || !String(text).trim()) return result;
+            return { ...result, answer: String(text).trim(), sources: passages.map(CoachingAssistant.source), generatedBy: 'llm' };
+        } catch (error) {
+            console.warn('LLM adapter failed, answering without it:', error.message);
+            return result;
+        }
+    }
+
+    /**
+     * @param {string} question
+     * @param {Object|null} mention - From mentionedExercise()
+     * @returns {string} "explain", "substitute", "best", "readiness" or "knowledge"
+     */
+    static intentOf(question, mention) {
+        const text = question.toLowerCase();
+        if (mention && SUBSTITUTE.test(text)) return 'substitute';
+        if (EXPLAIN.test(text) && (mention || ABOUT_TRAINING.test(text))) return 'explain';
+        if (mention && BEST.test(text)) return 'best';
+        if (READINESS.test(text)) return 'readiness';
+        return 'knowledge';
+    }
+
+    /**
+     * The catalogue exercise a question names. The longest name or alias wins, so "front squat" isn't read as "squat".
+     * @param {string} question
+     * @returns {Object|null} { entry, terms } - terms are the words that named it
+     */
+    static mentionedExercise(question) {
+        const words = SearchIndex.tokenize(question);
+        let best = null;
+
+        ExerciseLibrary.all().forEach(entry => {
+            [entry.name, ...entry.aliases].forEach(label => {
+                const terms = SearchIndex.tokenize(label);
+                if (terms.length > (best ? best.terms.length : 0) && CoachingAssistant.contains(words, terms)) {
+                    best = { entry, terms };
+                }
+            });
+        });
+        if (best) return best;
+
+        const shortName = words.find(word => SHORT_NAMES[word]);
+        return shortName ? { entry: ExerciseLibrary.get(SHORT_NAMES[shortName]), terms: [shortName] } : null;
+    }
+
+    static contains(words, terms) {
+        return terms.length > 0 && words.some((_, i) => terms.every((term, j) => words[i + j] === term));
+    }
+
+    /**
+     * @param {Object} entry - Catalogue entry
+     * @param {Object} exercise - { id, name } as the user's plan or history has it
+     * @returns {boolean} Whether the user's exercise is that catalogue entry
+     */
+    static isSameExercise(entry, exercise) {
+        if (exercise.id === entry.id) return true;
+        const found = ExerciseLibrary.find(exercise);
+        return Boolean(found && found.id === entry.id);
+    }
+
+    // --- Intents ---
+
+    /**
+     * Why the day's workout looks the way it does, from the explanations stored with the prescription.
+     */
+    explain(userId, mention, day, locale, user) {
+        const prescription = this.repository.listPrescriptions(userId).find(p => p.day <= day);
+        if (!prescription) {
+            return { text: 'I haven\'t generated a workout for you yet, so there\'s nothing to explain. Generate today\'s workout first.', facts: {} };
+        }
+
+        const units = user ? user.units : 'kg';
+        const exercises = prescription.exercises || [];
+        const nameOf = (exerciseId, fallback) => (exercises.find(ex => ex.exerciseId === exerciseId) || {}).name || fallback;
+        const concerns = explanation => [explanation.before, explanation.after]
+            .concat({ exerciseId: explanation.exerciseId, name: explanation.params.exercise })
+            .filter(side => side && side.exerciseId)
+            .some(side => CoachingAssistant.isSameExercise(mention.entry, { id: side.exerciseId, name: side.name || nameOf(side.exerciseId) }));
+
+        const stored = prescription.explanations || [];
+        const explanations = (mention
+            ? [...stored.filter(concerns), ...stored.filter(explanation => WORKOUT_WIDE.includes(explanation.code))]
+            : stored
+        ).map(explanation => TransparencyService.localize(explanation, locale));
+        const facts = { day: prescription.day, workout: prescription.name, readinessScore: prescription.readinessScore, explanations };
+        const when = prescription.day === day ? '' : `Your last generated workout was on ${prescription.day}. `;
+
+        if (explanations.length > 0) {
+            return { text: when + explanations.map(e => `${e.title}: ${e.text}`).join('\n\n'), facts };
+        }
+        if (!mention) {
+            return { text: `${when}Nothing was adjusted: ${prescription.name} is as planned (readiness ${prescription.readinessScore}).`, facts };
+        }
+
+        const planned = exercises.find(ex => CoachingAssistant.isSameExercise(mention.entry, { id: ex.exerciseId, name: ex.name }));
+        if (!planned) {
+            return { text: `${when}${mention.entry.name} wasn't in ${prescription.name}.`, facts };
+        }
+        return {
+            text: `${when}Nothing changed for ${planned.name}: ${CoachingAssistant.describe(planned, units)}, as planned.`,
+            facts: { ...facts, exercise: planned }
+        };
+    }
+
+    /**
+     * A swap that trains the same muscles, avoiding the joints the question names and the user's chronic injuries.
+     */
+    substitute(userId, mention, question, user) {
+        const { entry } = mention;
+        const named = ExerciseLibrary.jointsIn(SearchIndex.tokenize(question)
+            .filter(word => !mention.terms.includes(word))
+            .join(' '));
+        const avoid = [...new Set([...named, ...(user ? InjuryProtocol.chronicJoints(user) : [])].filter(Boolean))];
+        const exercise = this.currentExercise(userId, entry);
+        const units = user ? user.units : 'kg';
+
+        const options = ExerciseLibrary.findAlternatives(exercise, avoid);
+        const swap = avoid.length > 0
+            ? this.engine.getSafeSubstitution(exercise, avoid[0], user, [], avoid)
+            : options[0] && { ...options[0], sets: exercise.sets, reps: options[0].defaultReps, weight: this.engine.startingWeightFor(options[0], exercise, user) };
+        const joints = avoid.map(joint => joint.replace('_', ' ')).join(' or ');
+        const muscles = (entry.muscleGroups || []).join(', ');
+
+        if (!swap || swap.id === 'rest') {
+            return {
+                text: `I couldn't find an exercise that trains ${muscles} without loading your ${joints}. Rest ${exercise.name} today.`,
+                facts: { exercise: { id: exercise.id, name: exercise.name }, avoid, substitute: null, alternatives: [] }
+            };
+        }
+
+        const alternatives = options.filter(option => option.id !== swap.id).slice(0, 2);
+        const why = avoid.length > 0 ? `It trains ${muscles} without loading your ${joints}.` : `It trains the same muscles (${muscles}).`;
+        const others = alternatives.length > 0 ? ` Other options: ${alternatives.map(option => option.name).join(', ')}.` : '';
+        return {
+            text: `Swap ${exercise.name} for ${swap.name} (${CoachingAssistant.describe(swap, units)}). ${why}${others}`,
+            facts: {
+                exercise: { id: exercise.id, name: exercise.name },
+                avoid,
+                substitute: { id: swap.id, name: swap.name, weight: swap.weight, sets: swap.sets, reps: swap.reps },
+                alternatives: alternatives.map(option => ({ id: option.id, name: option.name }))
+            }
+        };
+    }
+
+    /**
+     * The user's heaviest set and best estimated 1RM of an exercise.
+     */
+    best(userId, mention, user) {
+        const { entry } = mention;
+        const units = user ? user.units : 'kg';
+        const entries = ProgressAnalytics.entries(this.repository.listSessions(userId))
+            .filter(e => e.weight > 0 && CoachingAssistant.isSameExercise(entry, { id: e.exerciseId, name: e.name }));
+        if (entries.length === 0) {
+            return { text: `You haven't logged any ${entry.name} yet.`, facts: { exercise: { id: entry.id, name: entry.name }, sessions: 0 } };
+        }
+
+        const heaviest = entries.reduce((top, e) => (e.weight > top.weight || (e.weight === top.weight && e.reps > top.reps) ? e : top));
+        const strongest = entries.reduce((top, e) => (e.e1rm > top.e1rm ? e : top));
+        const set = e => ({ weight: e.weight, reps: e.reps, rpe: e.rpe, e1rm: e.e1rm, day: ProgressAnalytics.isoDay(e.date) });
+        const rpe = strongest.rpe ? ` @ RPE ${strongest.rpe}` : '';
+
+        return {
+            text: `Your heaviest ${entry.name}: ${heaviest.weight}${units} x ${heaviest.reps} on ${set(heaviest).day}. ` +
+                `Best estimated 1RM: ${strongest.e1rm}${units}, from ${strongest.weight}${units} x ${strongest.reps}${rpe} on ${set(strongest).day}.`,
+            facts: {
+                exercise: { id: entry.id, name: entry.name },
+                sessions: new Set(entries.map(e => e.sessionId)).size,
+                heaviest: set(heaviest),
+                bestE1rm: set(strongest)
+            }
+        };
+    }
+
+    /**
+     * The latest readiness score, the weekly average and what it changed in that day's workout.
+     */
+    readiness(userId, day, locale) {
+        const checkIns = this.repository.listCheckIns(userId).filter(c => c.day <= day);
+        if (checkIns.length === 0) {
+            return { text: 'No check-ins yet. Fill in sleep, soreness and stress when you generate a workout and I\'ll track your readiness.', facts: {} };
+        }
+
+        const [latest] = checkIns;
+        const week = checkIns.slice(0, 7);
+        const average = Math.round(week.reduce((sum, c) => sum + c.score, 0) / week.length);
+        const prescription = this.repository.getPrescription(userId, latest.day);
+        const changes = ((prescription && prescription.explanations) || [])
+            .filter(e => ['VOLUME_REDUCTION', 'DELOAD', 'VOLUME_INCREASE'].includes(e.code))
+            .map(e => TransparencyService.localize(e, locale));
+
+        const text = [
+            `Your readiness on ${latest.day} was ${latest.score}/100` + (week.length > 1 ? ` (average of your last ${week.length} check-ins: ${average}).` : '.'),
+            ...changes.map(e => `${e.title}: ${e.text}`)
+        ].join('\n\n');
+        return { text, facts: { day: latest.day, score: latest.score, average, checkIns: week.length, changes } };
+    }
+
+    /**
+     * @param {Array<Object>} passages - Search hits, best first
+     */
+    static knowledge(passages) {
+        if (passages.length === 0) {
+            return {
+                text: 'I\'m not sure about that one. Try asking:\n- "Why did my squat go down today?"\n- "Swap bench for something shoulder-friendly"\n- "What\'s my best deadlift?"\n- "How much protein do I need?"',
+                facts: {}
+            };
+        }
+        const [top] = passages;
+        return { text: `${top.title}\n\n${top.text}`, facts: { article: top.id } };
+    }
+
+    // --- Helpers ---
+
+    /**
+     * The exercise as the user last had it prescribed or logged, or the catalogue's defaults.
+     */
+    currentExercise(userId, entry) {
+        const planned = this.repository.listPrescriptions(userId)
+            .flatMap(p => p.exercises || [])
+            .find(ex => CoachingAssistant.isSameExercise(entry, { id: ex.exerciseId, name: ex.name }));
+        if (planned) return { ...entry, id: planned.exerciseId, name: planned.name, weight: planned.weight, sets: planned.sets, reps: planned.reps };
+
+        return { ...entry, weight: 0, sets: 3, reps: entry.defaultReps, rpeTarget: 8 };
+    }
+
+    static describe(exercise, units) {
+        const load = exercise.weight > 0 ? ` at ${exercise.weight}${units}` : '';
+        return `${exercise.sets} x ${exercise.reps}${load}`;
+    }
+
+    static source({ id, title, score }) {
+        return { id, title, score };
+    }
+
+    /**
+     * The LLM prompt: the question, the rule-based answer and its facts, and the closest articles.
+     * @param {string} question
+     * @param {Object} reply - { text, facts }
+     * @param {Array<Object>} passages
+     * @returns {string}
+     */
+    static prompt(question, reply, passages) {
+        const articles = passages.map(p => `## ${p.title}\n${p.text}`).join('\n\n');
+        return [
+            `Question: ${question}`,
+            `Draft answer:\n${reply.text}`,
+            `Facts from the athlete's data (JSON):\n${JSON.stringify(reply.facts)}`,
+            articles ? `Articles:\n${articles}` : 'Articles: none'
+        ].join('\n\n');
+    }
+}
+
+CoachingAssistant.INTENTS = ['explain', 'substitute', 'best', 'readiness', 'knowledge'];
+
+module.exports = CoachingAssistant;
@@ -0,0 +1,220 @@
+/**
+ * auth.js
+ * Accounts, password hashing and bearer tokens for the REST API.
+ * Passwords are hashed with scrypt and tokens are stored as SHA-256 hashes,
+ * so a copy of the database can't be used to log in as anyone.
+ */
+
+const crypto = require('crypto');
+const { User } = require('./models');
+
+const ROLES = {
+    ATHLETE: 'athlete',
+    COACH: 'coach',
+    STAFF: 'staff' // Front desk: runs the gym's plans, timetable and contact inbox
+};
+
+const TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const SCRYPT_KEY_LENGTH = 64;
+
+let dummyPasswordHash = null; // Checked for unknown emails (see login)
+
+class AuthError extends Error {
+    /**
+     * @param {number} status - HTTP status the API should answer with (401, 403, 404, 409)
+     * @param {string} message
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+class AuthService {
+    /**
+     * @param {InMemoryRepository} repository - Stores accounts, tokens and the user profiles they own
+     * @param {Object} options - { tokenTtlMs, staffEmails }: only the listed emails may register as staff
+     */
+    constructor(repository, { tokenTtlMs = TOKEN_TTL_MS, staffEmails = [] } = {}) {
+        this.repository = repository;
+        this.tokenTtlMs = tokenTtlMs;
+        this.staffEmails = new Set(staffEmails.map(AuthService.normalizeEmail));
+    }
+
+    /**
+     * @param {string} password
+     * @returns {string} "scrypt$<salt>$<hash>" (hex)
+     */
+    static hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+        return `scrypt$${salt}$${hash}`;
+    }
+
+    /**
+     * @param {string} password
+     * @param {string} stored - Result of hashPassword()
+     * @returns {boolean}
+     */
+    static verifyPassword(password, stored) {
+        const [scheme, salt, hash] = String(stored).split('$');
+        if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+        const expected = Buffer.from(hash, 'hex');
+        const actual = crypto.scryptSync(password, salt, expected.length);
+        return crypto.timingSafeEqual(actual, expected);
+    }
+
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    static normalizeEmail(email) {
+        return String(email).trim().toLowerCase();
+    }
+
+    /**
+     * Creates an account with its user profile and logs it in.
+     * @param {Object} details - { email, password, name, role, units }
+     * @returns {Object} { account, token, expiresAt }
+     */
+    register({ email, password, name, role = ROLES.ATHLETE, units = 'kg' }) {
+        const normalized = AuthService.normalizeEmail(email);
+        if (this.repository.getAccountByEmail(normalized)) {
+            throw new AuthError(409, 'Email is already registered');
+        }
+        if (role === ROLES.STAFF && !this.staffEmails.has(normalized)) {
+            throw new AuthError(403, 'This email is not on the staff list');
+        }
+
+        const user = this.repository.saveUser(new User(crypto.randomUUID(), name || normalized, {}, [], units));
+        const account = this.repository.saveAccount({
+            userId: user.id,
+            email: normalized,
+            passwordHash: AuthService.hashPassword(password),
+            role,
+            coachId: null,
+            createdAt: new Date().toISOString()
+        });
+
+        return this.issueToken(account);
+    }
+
+    /**
+     * @param {string} email
+     * @param {string} password
+     * @returns {Object} { account, token, expiresAt }
+     */
+    login(email, password) {
+        const account = this.repository.getAccountByEmail(AuthService.normalizeEmail(email));
+        // Unknown emails are checked against a dummy hash, so they take as long as a wrong password
+        if (!account && !dummyPasswordHash) dummyPasswordHash = AuthService.hashPassword(crypto.randomBytes(16).toString('hex'));
+        const valid = AuthService.verifyPassword(password, account ? account.passwordHash : dummyPasswordHash);
+        if (!account || !valid) {
+            // Same answer for unknown emails and wrong passwords, so accounts can't be enumerated
+            throw new AuthError(401, 'Invalid email or password');
+        }
+        return this.issueToken(account);
+    }
+
+    /**
+     * Issues a new token, clearing out expired ones so the store doesn't grow with every login.
+     * @param {Object} account
+     * @returns {Object} { account, token, expiresAt }
+     */
+    issueToken(account) {
+        this.repository.deleteExpiredAuthTokens();
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + this.tokenTtlMs).toISOString();
+        this.repository.saveAuthToken({ tokenHash: AuthService.hashToken(token), userId: account.userId, expiresAt });
+        return { account, token, expiresAt };
+    }
+
+    /**
+     * @param {string} token - Bearer token from the Authorization header
+     * @returns {Object|null} The account it belongs to, or null if unknown or expired
+     */
+    authenticate(token) {
+        const tokenHash = AuthService.hashToken(token);
+        const record = this.repository.getAuthToken(tokenHash);
+        if (!record) return null;
+
+        if (new Date(record.expiresAt).getTime() <= Date.now()) {
+            this.repository.deleteAuthToken(tokenHash);
+            return null;
+        }
+        return this.repository.getAccount(record.userId);
+    }
+
+    logout(token) {
+        this.repository.deleteAuthToken(AuthService.hashToken(token));
+    }
+
+    /**
+     * Athletes can only act on themselves; coaches also on athletes who picked them as coach.
+     * @param {Object} account - The logged-in account
+     * @param {string} userId - User the request acts on
+     * @returns {boolean}
+     */
+    canAccess(account, userId) {
+        if (account.userId === userId) return true;
+        if (account.role !== ROLES.COACH) return false;
+
+        const athlete = this.repository.getAccount(userId);
+        return Boolean(athlete && athlete.coachId === account.userId);
+    }
+
+    /**
+     * Links an athlete to a coach (or unlinks them when coachEmail is empty).
+     * The athlete chooses, so a coach can't claim access to someone else's data.
+     * @param {Object} account - The athlete's account
+     * @param {string|null} coachEmail
+     * @returns {Object} The updated account
+     */
+    assignCoach(account, coachEmail) {
+        let coachId = null;
+        if (coachEmail) {
+            const coach = this.repository.getAccountByEmail(AuthService.normalizeEmail(coachEmail));
+            if (!coach || coach.role !== ROLES.COACH) {
+                throw new AuthError(404, 'No coach registered with that email');
+            }
+            if (coach.userId === account.userId) {
+                throw new AuthError(409, 'You cannot coach yourself');
+            }
+            coachId = coach.userId;
+        }
+        return this.repository.saveAccount({ ...account, coachId });
+    }
+
+    /**
+     * @param {Object} coach - The coach's account
+     * @returns {Array<Object>} Profiles of the coach's athletes
+     */
+    listAthletes(coach) {
+        return this.repository.listAccounts({ coachId: coach.userId }).map(account => this.profile(account));
+    }
+
+    /**
+     * What the API returns about an account: never the password hash.
+     * @param {Object} account
+     * @returns {Object} { id, email, name, role, coachId, units, plateIncrement }
+     */
+    profile(account) {
+        const user = this.repository.getUser(account.userId);
+        return {
+            id: account.userId,
+            email: account.email,
+            name: user ? user.name : account.email,
+            role: account.role,
+            coachId: account.coachId,
+            units: user ? user.units : 'kg',
+            plateIncrement: user ? user.plateIncrement : null
+        };
+    }
+}
+
+AuthService.ROLES = ROLES;
+AuthService.TOKEN_TTL_MS = TOKEN_TTL_MS;
+
+module.exports = { AuthService, AuthError };
@@ -3,9 +3,137 @@
  * Logic for adjusting training load (intensity) and volume (sets/reps).
  */
 
+// % of 1RM by "effective reps" (reps done + reps in reserve), after the RTS RPE chart.
+// Index 0 = 1 effective rep (a true single at RPE 10).
+const PERCENT_OF_1RM = [
+    1.000, 0.955, 0.922, 0.892, 0.863, 0.837, 0.811, 0.786, 0.762, 0.739,
+    0.707, 0.680, 0.653, 0.626, 0.600, 0.574, 0.548, 0.522, 0.496, 0.470
+];
+
+// Never move more than this far from last session's weight in one step
+const MAX_INCREASE = 1.10;
+const MAX_DECREASE = 0.85;
+
+const DEFAULT_PLATE_INCREMENT = { kg: 2.5, lb: 5 };
+
+// Readiness below which a session is deloaded / trimmed
+const DEFAULT_VOLUME_CUTS = { deloadBelow: 40, reduceBelow: 60 };
+
+// Set-to-set caps and tolerance during a live session
+const SET_MAX_INCREASE = 1.05;
+const SET_MAX_DECREASE = 0.90;
+const SET_RPE_TOLERANCE = 0.5;
+
 class Autoregulator {
+    /**
+     * Looks up the % of 1RM for a set of `reps` at `rpe` (RPE 10 = 0 reps in reserve).
+     * Half-RPE steps and rep counts beyond the table are interpolated/clamped.
+     * @param {number} reps
+     * @param {number} rpe - 1-10
+     * @returns {number} Fraction of 1RM (e.g. 0.863)
+     */
+    static percentOfOneRepMax(reps, rpe = 10) {
+        const repsInReserve = Math.max(0, 10 - Math.min(10, rpe));
+        const effectiveReps = Math.max(1, reps + repsInReserve);
+        const position = Math.min(effectiveReps - 1, PERCENT_OF_1RM.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.min(lower + 1, PERCENT_OF_1RM.length - 1);
+        return PERCENT_OF_1RM[lower] + (PERCENT_OF_1RM[upper] - PERCENT_OF_1RM[lower]) * (position - lower);
+    }
+
+    /**
+     * Estimated 1RM from a single set.
+     * @param {number} weight
+     * @param {number} reps - Reps completed
+     * @param {number} rpe - RPE of the set (defaults to 10, i.e. taken to failure)
+     * @returns {number}
+     */
+    static estimateOneRepMax(weight, reps, rpe = 10) {
+        if (!weight || !reps) return 0;
+        return weight / Autoregulator.percentOfOneRepMax(reps, rpe);
+    }
+
+    /**
+     * @param {string} units - "kg" or "lb"
+     * @returns {number} Smallest jump the user can load (both sides of the bar)
+     */
+    static defaultPlateIncrement(units = 'kg') {
+        return DEFAULT_PLATE_INCREMENT[units] || DEFAULT_PLATE_INCREMENT.kg;
+    }
+
+    /**
+     * Rounds a weight to what can actually be loaded.
+     * @param {number} weight
+     * @param {number} increment - Plate increment (e.g. 2.5kg, 5lb, 1.25kg with micro plates)
+     * @returns {number}
+     */
+    static roundToPlates(weight, increment = DEFAULT_PLATE_INCREMENT.kg) {
+        const rounded = Math.round(weight / increment) * increment;
+        return Math.round(rounded * 100) / 100; // drop float noise from fractional increments
+    }
+
+    /**
+     * Prescribes next session's load from last session's estimated 1RM, using the RPE table
+     * for the target reps and RPE. The jump from last session is capped to keep progression sane.
+     * @param {ExercisePerformance} lastPerformance - weight, completedReps, rpe
+     * @param {number} targetReps
+     * @param {number} targetRpe
+     * @param {number} increment - Plate increment for rounding
+     * @param {number} baseWeight - Weight the cap is measured from (defaults to last session's weight)
+     * @returns {Object} { newWeight, adjustmentType, estimatedOneRepMax }
+     */
+    static prescribeLoad(lastPerformance, targetReps, targetRpe = 8, increment = DEFAULT_PLATE_INCREMENT.kg, baseWeight = lastPerformance.weight) {
+        const estimatedOneRepMax = Autoregulator.estimateOneRepMax(
+            lastPerformance.weight, lastPerformance.completedReps, lastPerformance.rpe
+        );
+        const target = estimatedOneRepMax * Autoregulator.percentOfOneRepMax(targetReps, targetRpe);
+        const capped = Math.min(baseWeight * MAX_INCREASE, Math.max(baseWeight * MAX_DECREASE, target));
+        const newWeight = Autoregulator.roundToPlates(capped, increment);
+
+        let adjustmentType = 'MAINTENANCE';
+        if (newWeight > baseWeight) adjustmentType = 'LOAD_INCREASE';
+        else if (newWeight < baseWeight) adjustmentType = 'LOAD_DECREASE';
+
+        return {
+            newWeight: adjustmentType === 'MAINTENANCE' ? baseWeight : newWeight,
+            adjustmentType,
+            estimatedOneRepMax: Math.round(estimatedOneRepMax * 10) / 10
+        };
+    }
+
+    /**
+     * Double progression: reps climb through a range at the same weight, and the load only
+     * goes up (~2.5%, at least one increment) once the top of the range is reached at or below the
+     * target RPE; reps then restart at the bottom. Grinding (RPE 9.5+) or falling below the range drops the load ~5% (at least one increment).
+     * Bodyweight exercises (no load) only ever progress in reps.
+     * @param {ExercisePerformance} lastPerformance - weight, completedReps, rpe
+     * @param {Array<number>} repRange - [min, max]
+     * @param {number} targetRpe
+     * @param {number} increment - Plate increment for rounding (also the smallest load increase)
+     * @param {number} baseWeight - Weight to progress from (defaults to last session's weight)
+     * @returns {Object} { newWeight, newReps, adjustmentType }
+     */
+    static doubleProgression(lastPerformance, [minReps, maxReps], targetRpe = 8, increment = DEFAULT_PLATE_INCREMENT.kg, baseWeight = lastPerformance.weight) {
+        const { completedReps, rpe } = lastPerformance;
+        const loaded = baseWeight > 0;
+
+        if (loaded && (rpe >= 9.5 || completedReps < minReps)) {
+            const newWeight = Math.max(0, Math.min(Autoregulator.roundToPlates(baseWeight * 0.95, increment), baseWeight - increment));
+            return { newWeight: Math.round(newWeight * 100) / 100, newReps: minReps, adjustmentType: 'LOAD_DECREASE' };
+        }
+        if (loaded && completedReps >= maxReps && rpe <= targetRpe) {
+            const newWeight = Math.max(Autoregulator.roundToPlates(baseWeight * 1.025, increment), baseWeight + increment);
+            return { newWeight: Math.round(newWeight * 100) / 100, newReps: minReps, adjustmentType: 'LOAD_INCREASE' };
+        }
+        if (completedReps < maxReps && rpe <= targetRpe) {
+            return { newWeight: baseWeight, newReps: Math.max(minReps, completedReps + 1), adjustmentType: 'REP_INCREASE' };
+        }
+        return { newWeight: baseWeight, newReps: Math.min(maxReps, Math.max(minReps, completedReps)), adjustmentType: 'MAINTENANCE' };
+    }
+
     /**
      * Calculates the new load for an exercise based on previous performance.
+     * Fixed-step fallback for when last session's reps or RPE weren't logged (see prescribeLoad).
      * @param {number} currentWeight - The weight used in the last session.
      * @param {number} rpe - Rated Perceived Exertion (1-10) of the last session.
      * @param {number} targetRpe - The target RPE for the exercise (default 8).
@@ -45,35 +173,92 @@ class Autoregulator {
     }
 
     /**
-     * Adjusts volume based on daily readiness.
+     * Adjusts volume based on daily readiness. Sets come off accessories (isolation work) first;
+     * main lifts only lose what's left, and never more than the old flat cut (one set, or half on a deload).
      * @param {Workout} plannedWorkout - The original workout plan.
      * @param {number} readinessScore - 0-100 score.
+     * @param {Function} pressure - exercise -> number; among equals, higher gives up sets first
+     *   (e.g. VolumeLandmarks.pressure: how close its muscle is to its weekly MRV)
+     * @param {Object} cuts - { deloadBelow, reduceBelow } readiness thresholds (GoalProfile.volumeCuts)
      * @returns {Workout} - Adjusted workout object.
      */
-    static adjustVolume(plannedWorkout, readinessScore) {
+    static adjustVolume(plannedWorkout, readinessScore, pressure = () => 0, cuts = DEFAULT_VOLUME_CUTS) {
         // Deep clone to avoid mutating original
         const adjustedWorkout = JSON.parse(JSON.stringify(plannedWorkout));
+        const exercises = adjustedWorkout.exercises.filter(ex => ex.sets > 0); // rest placeholders stay at 0
 
-        if (readinessScore < 40) {
-            // Severe fatigue: Cut volume by ~50% (Remove sets)
-            adjustedWorkout.exercises.forEach(ex => {
-                ex.sets = Math.max(1, Math.floor(ex.sets * 0.5));
-            });
+        if (readinessScore < cuts.deloadBelow) {
+            // Severe fatigue: Cut volume by ~50%
+            const halved = ex => Math.max(1, Math.floor(ex.sets * 0.5));
+            const toRemove = exercises.reduce((sum, ex) => sum + ex.sets - halved(ex), 0);
+            Autoregulator.trimSets(exercises, toRemove, ex => (ex.type === 'isolation' ? 1 : halved(ex)), pressure);
             return { workout: adjustedWorkout, type: 'DELOAD' };
         }
 
-        if (readinessScore < 60) {
-            // Moderate fatigue: Cut volume by ~20% (Remove 1 set from main lifts)
-            adjustedWorkout.exercises.forEach(ex => {
-                if (ex.sets > 1) {
-                    ex.sets -= 1;
-                }
-            });
+        if (readinessScore < cuts.reduceBelow) {
+            // Moderate fatigue: Cut volume by ~20% (one set per multi-set exercise, taken from accessories first)
+            const toRemove = exercises.filter(ex => ex.sets > 1).length;
+            Autoregulator.trimSets(exercises, toRemove, ex => (ex.type === 'isolation' ? 1 : Math.max(1, ex.sets - 1)), pressure);
             return { workout: adjustedWorkout, type: 'VOLUME_REDUCTION' };
         }
 
         return { workout: adjustedWorkout, type: 'MAINTENANCE' };
     }
+
+    /**
+     * Removes `count` sets one at a time: accessories first, then the highest pressure, then the most sets left.
+     * @param {Array<Object>} exercises - Mutated
+     * @param {number} count
+     * @param {Function} floorOf - exercise -> fewest sets it may keep (taken before any cut)
+     * @param {Function} pressure - exercise -> number
+     */
+    static trimSets(exercises, count, floorOf, pressure = () => 0) {
+        const floors = new Map(exercises.map(ex => [ex, floorOf(ex)]));
+        const accessory = ex => (ex.type === 'isolation' ? 1 : 0);
+
+        for (let removed = 0; removed < count; removed++) {
+            const next = exercises
+                .filter(ex => ex.sets > floors.get(ex))
+                .sort((a, b) => (accessory(b) - accessory(a)) || (pressure(b) - pressure(a)) || (b.sets - a.sets))[0];
+            if (!next) return;
+            next.sets -= 1;
+        }
+    }
+
+    /**
+     * Intra-workout autoregulation: the next set's load from the set just logged.
+     * Within +/- 0.5 RPE of target with all reps done, the load stays. Otherwise the set's
+     * e1RM prescribes the load for the target reps/RPE, capped at +5% / -10% per set.
+     * @param {Object} set - { weight, reps, rpe } as just performed
+     * @param {number} targetReps
+     * @param {number} targetRpe
+     * @param {number} increment - Plate increment for rounding
+     * @returns {Object} { newWeight, adjustmentType, estimatedOneRepMax }
+     */
+    static adjustNextSet(set, targetReps, targetRpe = 8, increment = DEFAULT_PLATE_INCREMENT.kg) {
+        const estimatedOneRepMax = Autoregulator.estimateOneRepMax(set.weight, set.reps, set.rpe);
+        const onTarget = Math.abs(set.rpe - targetRpe) <= SET_RPE_TOLERANCE && set.reps >= targetReps;
+
+        if (onTarget || !set.weight) {
+            return { newWeight: set.weight, adjustmentType: 'MAINTENANCE', estimatedOneRepMax };
+        }
+
+        const target = estimatedOneRepMax * Autoregulator.percentOfOneRepMax(targetReps, targetRpe);
+        const capped = Math.min(set.weight * SET_MAX_INCREASE, Math.max(set.weight * SET_MAX_DECREASE, target));
+        const newWeight = Autoregulator.roundToPlates(capped, increment);
+
+        let adjustmentType = 'MAINTENANCE';
+        if (newWeight > set.weight) adjustmentType = 'LOAD_INCREASE';
+        else if (newWeight < set.weight) adjustmentType = 'LOAD_DECREASE';
+
+        return {
+            newWeight: adjustmentType === 'MAINTENANCE' ? set.weight : newWeight,
+            adjustmentType,
+            estimatedOneRepMax: Math.round(estimatedOneRepMax * 10) / 10
+        };
+    }
 }
 
+Autoregulator.DEFAULT_VOLUME_CUTS = DEFAULT_VOLUME_CUTS;
+
 module.exports = Autoregulator;
@@ -0,0 +1,325 @@
+/**
+ * data_export.js
+ * Gets a user's data out of the app and back in: a JSON export of their logged sessions, generated
+ * workouts, readiness check-ins and programs, CSV tables for spreadsheets, and an import that reads
+ * either (or a spreadsheet training log) and merges it into the store.
+ *
+ * Imports are all-or-nothing: every record is validated first and a single problem rejects the
+ * file with a ValidationError listing them all. Records the user already has are skipped, so
+ * importing the same file twice changes nothing.
+ */
+
+const { Workout, ExercisePerformance } = require('./models');
+const ExerciseLibrary = require('./exercise_library');
+const ProgramPlanner = require('./programs');
+const WearableImport = require('./wearables');
+const { Validator, ValidationError, SCHEMAS } = require('./validation');
+
+const FORMAT = 'fitaura-export';
+const VERSION = 1;
+
+// CSV tables: one row per logged exercise, or per exercise the engine prescribed
+const DATASETS = {
+    sessions: ['date', 'session_id', 'workout', 'exercise_id', 'exercise', 'weight', 'reps', 'sets', 'rpe'],
+    workouts: ['date', 'workout', 'readiness', 'exercise_id', 'exercise', 'weight', 'sets', 'reps', 'changes']
+};
+
+// Spreadsheet log columns, compared lowercased without punctuation
+const COLUMNS = {
+    date: ['date', 'day', 'sessiondate', 'workoutdate'],
+    workout: ['workout', 'workoutname', 'session', 'sessionname', 'routine'],
+    exerciseId: ['exerciseid'],
+    exercise: ['exercise', 'exercisename', 'lift', 'movement'],
+    weight: ['weight', 'load', 'weightkg', 'weightkgs', 'weightlb', 'weightlbs', 'loadkg', 'loadlb', 'loadlbs', 'kg', 'lb', 'lbs'],
+    unit: ['unit', 'units', 'weightunit', 'weightunits'],
+    reps: ['reps', 'completedreps', 'repetitions'],
+    sets: ['sets', 'completedsets'],
+    rpe: ['rpe']
+};
+
+// Weight units as spreadsheets write them (compared like column names)
+const WEIGHT_UNITS = { kg: 'kg', kgs: 'kg', kilograms: 'kg', lb: 'lb', lbs: 'lb', pound: 'lb', pounds: 'lb' };
+const KG_PER_LB = 0.45359237;
+
+const ROW = {
+    type: 'object',
+    properties: {
+        date: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/, description: 'must be a day (YYYY-MM-DD)', required: true },
+        exercise: { type: 'string', minLength: 1, required: true },
+        weight: { type: 'number', min: 0, required: true },
+        unit: { type: 'string', enum: ['kg', 'lb'] },
+        reps: { type: 'number', integer: true, min: 0, max: 100, required: true },
+        sets: { type: 'number', integer: true, min: 1, max: 20 },
+        rpe: { type: 'number', min: 1, max: 10 }
+    }
+};
+
+// What spreadsheets read as the start of a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const key = name => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+class DataExport {
+    /**
+     * Everything a user has logged or been prescribed, as one JSON document.
+     * @param {InMemoryRepository} repository
+     * @param {string} userId
+     * @returns {Object} { format, version, exportedAt, user, sessions, prescriptions, checkIns, programs, programAssignment }
+     */
+    static build(repository, userId) {
+        const assignment = repository.getActiveProgramAssignment(userId);
+        const programs = repository.listPrograms([userId]);
+        const running = assignment && repository.getProgram(assignment.programId);
+        if (running && !programs.some(p => p.id === running.id)) programs.push(running);
+
+        return {
+            format: FORMAT,
+            version: VERSION,
+            exportedAt: new Date().toISOString(),
+            user: { ...repository.getUser(userId) },
+            sessions: repository.listSessions(userId).reverse(),
+            prescriptions: repository.listPrescriptions(userId).reverse(),
+            checkIns: repository.listCheckIns(userId).reverse(),
+            programs,
+            programAssignment: assignment
+        };
+    }
+
+    /**
+     * One of the export's tables as CSV, oldest first.
+     * @param {Object} exported - Result of build()
+     * @param {string} dataset - "sessions" or "workouts"
+     * @returns {string}
+     */
+    static toCsv(exported, dataset = 'sessions') {
+        const rows = dataset === 'workouts'
+            ? exported.prescriptions.flatMap(p => (p.exercises || []).map(ex => [
+                p.day, p.name, p.readinessScore, ex.exerciseId, ex.name, ex.weight, ex.sets, ex.reps,
+                (p.explanations || []).filter(e => e.exerciseId === ex.exerciseId).map(e => e.code).join(' ')
+            ]))
+            : exported.sessions.flatMap(s => s.performances.map(p => [
+                s.date.slice(0, 10), s.id, s.name, p.exerciseId, DataExport.exerciseName(s, p.exerciseId), p.weight,
+                p.completedReps, p.completedSets, p.rpe
+            ]));
+
+        return [DATASETS[dataset], ...rows].map(row => row.map(DataExport.csvCell).join(',')).join('\n') + '\n';
+    }
+
+    static exerciseName(session, exerciseId) {
+        const planned = (session.exercises || []).find(ex => ex.id === exerciseId);
+        const entry = ExerciseLibrary.get(exerciseId);
+        return (planned && planned.name) || (entry && entry.name) || exerciseId;
+    }
+
+    /**
+     * Quotes a cell when it holds a comma, quote or line break. Text that a spreadsheet would run as
+     * a formula (starting with =, +, -, @, tab or carriage return) gets a leading apostrophe, which
+     * makes it plain text; fromCsv() strips it again.
+     * @param {*} value
+     * @returns {string}
+     */
+    static csvCell(value) {
+        if (value === null || value === undefined) return '';
+        const text = typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Reads an import: a JSON export (as parsed by the server) or CSV text, either this app's
+     * sessions table or a spreadsheet log.
+     * @param {string|Object} body
+     * @param {Object} options - { units }: the importing user's weight units, for spreadsheet logs
+     * @returns {Object} { sessions, prescriptions, checkIns, programs }
+     * @throws {ValidationError} Listing every invalid record
+     */
+    static parse(body, { units = 'kg' } = {}) {
+        if (typeof body === 'string') return { sessions: DataExport.fromCsv(body, units), prescriptions: [], checkIns: [], programs: [] };
+
+        const errors = Validator.validate(body, SCHEMAS.dataImport);
+        const { sessions = [], prescriptions = [], checkIns = [], programs = [] } = body || {};
+
+        // Programs go through the same checks as POST /api/programs
+        (Array.isArray(programs) ? programs : []).forEach((program, i) => {
+            const problems = Validator.validate(program, SCHEMAS.programTemplate);
+            if (problems.length === 0) {
+                try {
+                    ProgramPlanner.normalize(program);
+                } catch (error) {
+                    if (!(error instanceof ValidationError)) throw error;
+                    problems.push(...error.errors);
+                }
+            }
+            errors.push(...problems.map(e => ({ ...e, field: `programs[${i}].${e.field}` })));
+        });
+        if (errors.length > 0) throw new ValidationError(errors);
+
+        return { sessions, prescriptions, checkIns, programs };
+    }
+
+    /**
+     * Turns a spreadsheet log into sessions: rows sharing a date and workout name are one session.
+     * A row can be a whole exercise (with a sets column) or one set; repeated identical sets are
+     * counted together. Dates must be days (YYYY-MM-DD). Weights are in the unit a unit column or
+     * the weight heading names ("Weight (lb)"), else the user's, and are converted to the user's.
+     * @param {string} text
+     * @param {string} units - The importing user's weight units
+     * @returns {Array<Object>} Sessions in the export's shape, oldest first
+     * @throws {ValidationError}
+     */
+    static fromCsv(text, units = 'kg') {
+        // Keeps each line's spreadsheet row number (the header is row 1) for error messages
+        const [header, ...lines] = text.split(/\r?\n/)
+            .map((line, i) => ({ number: i + 1, cells: WearableImport.csvLine(line) }))
+            .filter(line => line.cells.some(Boolean));
+        if (!header || lines.length === 0) {
+            throw new ValidationError([{ field: 'body', message: 'must be CSV with a header row and at least one data row' }]);
+        }
+
+        const columns = {};
+        header.cells.forEach((name, i) => {
+            const field = Object.keys(COLUMNS).find(f => COLUMNS[f].includes(key(name)));
+            if (field && columns[field] === undefined) columns[field] = i;
+        });
+        const missing = ['date', 'weight', 'reps'].filter(field => columns[field] === undefined);
+        if (columns.exercise === undefined && columns.exerciseId === undefined) missing.push('exercise');
+        if (missing.length > 0) {
+            throw new ValidationError(missing.map(field => ({ field: 'header', message: `needs a ${field} column` })));
+        }
+        const headingUnit = WEIGHT_UNITS[key(header.cells[columns.weight]).replace(/^(weight|load)/, '')] || units;
+
+        const errors = [];
+        const rows = lines.map(({ number: rowNumber, cells }) => {
+            const cell = field => {
+                const value = columns[field] === undefined ? '' : cells[columns[field]];
+                if (value === '' || value === undefined) return undefined;
+                // An apostrophe csvCell() put before formula-like text
+                return value.startsWith("'") && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+            };
+            const number = field => (cell(field) === undefined ? undefined : Number(cell(field)));
+            const row = {
+                date: cell('date'),
+                workout: cell('workout'),
+                exerciseId: cell('exerciseId'),
+                exercise: cell('exercise') || cell('exerciseId'),
+                weight: number('weight'),
+                unit: cell('unit') === undefined ? undefined : WEIGHT_UNITS[key(cell('unit'))] || cell('unit'),
+                reps: number('reps'),
+                sets: number('sets'),
+                rpe: number('rpe')
+            };
+            const problems = Validator.validate(row, ROW);
+            if (!problems.some(problem => problem.field === 'date') && !Validator.isCalendarDay(row.date)) {
+                problems.push({ field: 'date', message: 'is not a calendar day' });
+            }
+            errors.push(...problems.map(error => ({ ...error, field: `row ${rowNumber}.${error.field}` })));
+            return row;
+        });
+        if (errors.length > 0) throw new ValidationError(errors);
+
+        const sessions = new Map();
+        rows.forEach(row => {
+            const day = row.date;
+            const name = row.workout || 'Imported workout';
+            const weight = DataExport.convertWeight(row.weight, row.unit || headingUnit, units);
+            if (!sessions.has(`${day}|${name}`)) {
+                sessions.set(`${day}|${name}`, { name, date: `${day}T00:00:00.000Z`, exercises: [], performances: [], painFlags: [] });
+            }
+            const session = sessions.get(`${day}|${name}`);
+            const exerciseId = row.exerciseId || DataExport.exerciseIdFor(row.exercise);
+            const sets = row.sets || 1;
+            const rpe = row.rpe === undefined ? null : row.rpe;
+
+            const same = session.performances.find(p => p.exerciseId === exerciseId && p.weight === weight && p.completedReps === row.reps && p.rpe === rpe);
+            if (same && !row.sets) same.completedSets += 1;
+            else session.performances.push({ exerciseId, weight, completedReps: row.reps, completedSets: sets, rpe });
+
+            const planned = session.exercises.find(ex => ex.id === exerciseId);
+            if (planned) planned.sets += sets;
+            else session.exercises.push({ id: exerciseId, name: row.exercise, weight, sets, reps: row.reps });
+        });
+        return [...sessions.values()].sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * @param {number} weight
+     * @param {string} from - "kg" or "lb"
+     * @param {string} to - "kg" or "lb"
+     * @returns {number} Rounded to 0.1
+     */
+    static convertWeight(weight, from, to) {
+        if (from === to) return weight;
+        const converted = from === 'lb' ? weight * KG_PER_LB : weight / KG_PER_LB;
+        return Math.round(converted * 10) / 10;
+    }
+
+    /**
+     * Catalogue id for an exercise name ("Back Squat" -> barbell_squat), or the name as an id.
+     * @param {string} name
+     * @returns {string}
+     */
+    static exerciseIdFor(name) {
+        const entry = ExerciseLibrary.find({ name });
+        return entry ? entry.id : name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    }
+
+    /**
+     * Adds parsed records to a user's data, skipping the ones they already have: sessions with the
+     * same day, name and performances, and days that already have a generated workout or check-in.
+     * Programs are copied to the user (unless they own one with the same name).
+     * @param {InMemoryRepository} repository
+     * @param {string} userId
+     * @param {Object} data - Result of parse()
+     * @param {Object} options - { dryRun }: count without saving
+     * @returns {Object} { sessions, prescriptions, checkIns, programs }, each { imported, skipped }
+     */
+    static merge(repository, userId, data, { dryRun = false } = {}) {
+        const summary = {};
+        const add = (collection, records, keyOf, existingKeys, save) => {
+            const seen = new Set(existingKeys);
+            summary[collection] = { imported: 0, skipped: 0 };
+            records.forEach(record => {
+                if (seen.has(keyOf(record))) {
+                    summary[collection].skipped++;
+                    return;
+                }
+                seen.add(keyOf(record));
+                summary[collection].imported++;
+                if (!dryRun) save(record);
+            });
+        };
+
+        add('sessions', data.sessions, DataExport.sessionKey, repository.listSessions(userId).map(DataExport.sessionKey), session => {
+            repository.logSession(
+                new Workout(session.workoutId || null, userId, session.name, session.exercises || [], new Date(session.date)),
+                (session.performances || []).map(p => new ExercisePerformance(p.exerciseId, p.weight, p.completedReps, p.completedSets, p.rpe)),
+                session.painFlags || []
+            );
+        });
+        add('prescriptions', data.prescriptions, p => p.day, repository.listPrescriptions(userId).map(p => p.day),
+            p => repository.savePrescription(userId, p));
+        add('checkIns', data.checkIns, c => c.day, repository.listCheckIns(userId).map(c => c.day),
+            c => repository.saveCheckIn(userId, c));
+        add('programs', data.programs, p => p.name, repository.listPrograms([userId]).map(p => p.name),
+            p => repository.saveProgram({ ...ProgramPlanner.normalize(p), ownerId: userId }));
+
+        return summary;
+    }
+
+    /**
+     * What makes two logged sessions the same: day, name and every performance.
+     * @param {Object} session
+     * @returns {string}
+     */
+    static sessionKey(session) {
+        const performances = (session.performances || [])
+            .map(p => [p.exerciseId, p.weight, p.completedReps, p.completedSets, p.rpe === undefined ? null : p.rpe].join(':'))
+            .sort();
+        return [new Date(session.date).toISOString().slice(0, 10), session.name || '', ...performances].join('|');
+    }
+}
+
+DataExport.FORMAT = FORMAT;
+DataExport.VERSION = VERSION;
+DataExport.DATASETS = Object.keys(DATASETS);
+
+module.exports = DataExport;
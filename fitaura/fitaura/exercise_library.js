@@ -0,0 +1,478 @@
+/**
+ * exercise_library.js
+ * Exercise catalogue with biomechanical risk profiles.
+ * Each entry lists the muscles it trains and how much it loads each joint, so the
+ * injury protocol can find alternatives that train the same muscles around a painful joint.
+ */
+
+// Joint load levels
+const NONE = 0;
+const LOW = 1;
+const MODERATE = 2;
+const HIGH = 3;
+
+// An exercise loading a painful joint at this level or above is considered risky
+const RISK_THRESHOLD = MODERATE;
+
+const JOINTS = ['knee', 'hip', 'ankle', 'lower_back', 'shoulder', 'elbow', 'wrist', 'neck'];
+
+// Free-text pain areas from the client mapped to joints (e.g. "left_knee", "knees", "back").
+// Aliases match whole words or phrases, never parts of a word.
+const JOINT_ALIASES = {
+    knee: ['knee', 'knees'],
+    hip: ['hip', 'hips', 'groin'],
+    ankle: ['ankle', 'ankles', 'achilles', 'foot', 'feet'],
+    lower_back: ['lower back', 'low back', 'back', 'spine', 'lumbar'],
+    shoulder: ['shoulder', 'shoulders', 'rotator cuff', 'rotator'],
+    elbow: ['elbow', 'elbows'],
+    wrist: ['wrist', 'wrists', 'hand', 'hands'],
+    neck: ['neck', 'cervical', 'trap', 'traps', 'trapezius']
+};
+
+// Areas the catalogue has no joint for, taken out before the aliases are matched so that
+// "upper back" isn't read as the lower back
+const UNMAPPED_AREAS = ['upper back', 'mid back', 'middle back', 'thoracic spine'];
+
+// Words that make a name a different movement from the catalogue label it ends with
+// ("Upright Row" is not a barbell row, "Jump Squat" is not a barbell squat)
+const OTHER_MOVEMENTS = ['upright', 'jump', 'jumping', 'pistol', 'sissy'];
+
+const words = text => String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+
+const CATALOGUE = [
+    // --- Lower body: squat / lunge ---
+    {
+        id: 'barbell_squat', name: 'Barbell Squat', aliases: ['Back Squat', 'Squat'],
+        type: 'compound', pattern: 'squat', equipment: 'barbell', muscleGroups: ['quads', 'glutes', 'core'],
+        joints: { knee: HIGH, hip: MODERATE, ankle: MODERATE, lower_back: MODERATE, shoulder: LOW, wrist: LOW, neck: LOW },
+        defaultReps: 5
+    },
+    {
+        id: 'front_squat', name: 'Front Squat', aliases: [],
+        type: 'compound', pattern: 'squat', equipment: 'barbell', muscleGroups: ['quads', 'glutes', 'core'],
+        joints: { knee: HIGH, hip: MODERATE, ankle: MODERATE, lower_back: LOW, wrist: MODERATE, elbow: LOW },
+        defaultReps: 5
+    },
+    {
+        id: 'goblet_squat', name: 'Goblet Squat', aliases: [],
+        type: 'compound', pattern: 'squat', equipment: 'dumbbell', muscleGroups: ['quads', 'glutes'],
+        joints: { knee: MODERATE, hip: MODERATE, ankle: MODERATE, lower_back: LOW, elbow: LOW, wrist: LOW },
+        defaultReps: 10
+    },
+    {
+        id: 'box_squat', name: 'Box Squat', aliases: [],
+        type: 'compound', pattern: 'squat', equipment: 'barbell', muscleGroups: ['quads', 'glutes', 'hamstrings'],
+        joints: { knee: MODERATE, hip: MODERATE, ankle: LOW, lower_back: MODERATE, shoulder: LOW, wrist: LOW },
+        defaultReps: 5
+    },
+    {
+        id: 'leg_press', name: 'Leg Press', aliases: [],
+        type: 'compound', pattern: 'squat', equipment: 'machine', muscleGroups: ['quads', 'glutes'],
+        joints: { knee: HIGH, hip: MODERATE, ankle: LOW, lower_back: LOW },
+        defaultReps: 10
+    },
+    {
+        id: 'lunge', name: 'Walking Lunge', aliases: ['Lunge', 'Split Squat'],
+        type: 'compound', pattern: 'lunge', equipment: 'dumbbell', muscleGroups: ['quads', 'glutes'],
+        joints: { knee: HIGH, hip: MODERATE, ankle: MODERATE, wrist: LOW },
+        defaultReps: 10
+    },
+    {
+        id: 'step_up', name: 'Step-up', aliases: ['Step Up'],
+        type: 'compound', pattern: 'lunge', equipment: 'dumbbell', muscleGroups: ['quads', 'glutes'],
+        joints: { knee: MODERATE, hip: MODERATE, ankle: MODERATE, wrist: LOW },
+        defaultReps: 10
+    },
+    {
+        id: 'leg_extension', name: 'Leg Extension', aliases: [],
+        type: 'isolation', pattern: 'knee_extension', equipment: 'machine', muscleGroups: ['quads'],
+        joints: { knee: HIGH },
+        defaultReps: 12
+    },
+    {
+        id: 'spanish_squat', name: 'Spanish Squat (Band)', aliases: ['Spanish Squat'],
+        type: 'compound', pattern: 'squat', equipment: 'band', muscleGroups: ['quads'],
+        joints: { knee: MODERATE, hip: LOW, ankle: LOW },
+        defaultReps: 15
+    },
+
+    // --- Lower body: hinge / posterior chain ---
+    {
+        id: 'deadlift', name: 'Deadlift', aliases: ['Conventional Deadlift'],
+        type: 'compound', pattern: 'hinge', equipment: 'barbell', muscleGroups: ['hamstrings', 'glutes', 'back', 'forearms'],
+        joints: { lower_back: HIGH, hip: HIGH, knee: MODERATE, wrist: MODERATE, elbow: LOW, shoulder: LOW, neck: LOW },
+        defaultReps: 5
+    },
+    {
+        id: 'romanian_deadlift', name: 'Romanian Deadlift', aliases: ['RDL'],
+        type: 'compound', pattern: 'hinge', equipment: 'barbell', muscleGroups: ['hamstrings', 'glutes'],
+        joints: { lower_back: HIGH, hip: HIGH, knee: LOW, wrist: MODERATE, elbow: LOW },
+        defaultReps: 8
+    },
+    {
+        id: 'good_morning', name: 'Good Morning', aliases: [],
+        type: 'compound', pattern: 'hinge', equipment: 'barbell', muscleGroups: ['hamstrings', 'glutes', 'back'],
+        joints: { lower_back: HIGH, hip: HIGH, knee: LOW, shoulder: LOW, neck: MODERATE },
+        defaultReps: 8
+    },
+    {
+        id: 'hip_thrust', name: 'Barbell Hip Thrust', aliases: ['Hip Thrust'],
+        type: 'compound', pattern: 'hip_extension', equipment: 'barbell', muscleGroups: ['glutes', 'hamstrings'],
+        joints: { hip: MODERATE, knee: LOW, lower_back: LOW },
+        defaultReps: 10
+    },
+    {
+        id: 'glute_bridge', name: 'Glute Bridge', aliases: [],
+        type: 'isolation', pattern: 'hip_extension', equipment: 'bodyweight', muscleGroups: ['glutes', 'hamstrings'],
+        joints: { hip: LOW, knee: LOW },
+        defaultReps: 15
+    },
+    {
+        id: 'leg_curl', name: 'Lying Leg Curl', aliases: ['Leg Curl', 'Hamstring Curl'],
+        type: 'isolation', pattern: 'knee_flexion', equipment: 'machine', muscleGroups: ['hamstrings'],
+        joints: { knee: MODERATE },
+        defaultReps: 12
+    },
+    {
+        id: 'back_extension', name: 'Back Extension', aliases: ['Hyperextension'],
+        type: 'isolation', pattern: 'hinge', equipment: 'bodyweight', muscleGroups: ['glutes', 'hamstrings', 'back'],
+        joints: { lower_back: MODERATE, hip: MODERATE },
+        defaultReps: 12
+    },
+    {
+        id: 'cable_pull_through', name: 'Cable Pull-through', aliases: ['Pull Through'],
+        type: 'compound', pattern: 'hinge', equipment: 'cable', muscleGroups: ['glutes', 'hamstrings'],
+        joints: { hip: MODERATE, lower_back: LOW, knee: LOW },
+        defaultReps: 12
+    },
+    {
+        id: 'calf_raise', name: 'Standing Calf Raise', aliases: ['Calf Raise'],
+        type: 'isolation', pattern: 'ankle_extension', equipment: 'machine', muscleGroups: ['calves'],
+        joints: { ankle: HIGH, lower_back: LOW },
+        defaultReps: 12
+    },
+    {
+        id: 'seated_calf_raise', name: 'Seated Calf Raise', aliases: [],
+        type: 'isolation', pattern: 'ankle_extension', equipment: 'machine', muscleGroups: ['calves'],
+        joints: { ankle: MODERATE, knee: LOW },
+        defaultReps: 15
+    },
+
+    // --- Upper body: push ---
+    {
+        id: 'bench_press', name: 'Bench Press', aliases: ['Barbell Bench Press', 'Flat Bench'],
+        type: 'compound', pattern: 'horizontal_push', equipment: 'barbell', muscleGroups: ['chest', 'triceps', 'shoulders'],
+        joints: { shoulder: HIGH, elbow: MODERATE, wrist: MODERATE },
+        defaultReps: 5
+    },
+    {
+        id: 'incline_db_press', name: 'Incline Dumbbell Press', aliases: ['Incline Press'],
+        type: 'compound', pattern: 'horizontal_push', equipment: 'dumbbell', muscleGroups: ['chest', 'shoulders', 'triceps'],
+        joints: { shoulder: HIGH, elbow: MODERATE, wrist: LOW },
+        defaultReps: 8
+    },
+    {
+        id: 'floor_press', name: 'Dumbbell Floor Press (Neutral Grip)', aliases: ['Floor Press'],
+        type: 'compound', pattern: 'horizontal_push', equipment: 'dumbbell', muscleGroups: ['chest', 'triceps'],
+        joints: { shoulder: LOW, elbow: MODERATE, wrist: LOW },
+        defaultReps: 10
+    },
+    {
+        id: 'push_up', name: 'Push-up', aliases: ['Push Up', 'Pushup'],
+        type: 'compound', pattern: 'horizontal_push', equipment: 'bodyweight', muscleGroups: ['chest', 'triceps', 'shoulders'],
+        joints: { shoulder: MODERATE, elbow: MODERATE, wrist: HIGH },
+        defaultReps: 12
+    },
+    {
+        id: 'neutral_push_up', name: 'Push-up (Neutral Grip)', aliases: ['Handle Push-up'],
+        type: 'compound', pattern: 'horizontal_push', equipment: 'bodyweight', muscleGroups: ['chest', 'triceps', 'shoulders'],
+        joints: { shoulder: LOW, elbow: MODERATE, wrist: LOW },
+        defaultReps: 12
+    },
+    {
+        id: 'machine_chest_press', name: 'Machine Chest Press', aliases: ['Chest Press'],
+        type: 'compound', pattern: 'horizontal_push', equipment: 'machine', muscleGroups: ['chest', 'triceps'],
+        joints: { shoulder: MODERATE, elbow: MODERATE, wrist: LOW },
+        defaultReps: 10
+    },
+    {
+        id: 'cable_fly', name: 'Cable Fly', aliases: ['Chest Fly', 'Pec Deck'],
+        type: 'isolation', pattern: 'horizontal_adduction', equipment: 'cable', muscleGroups: ['chest'],
+        joints: { shoulder: MODERATE, elbow: LOW },
+        defaultReps: 12
+    },
+    {
+        id: 'overhead_press', name: 'Overhead Press', aliases: ['Military Press', 'OHP', 'Shoulder Press'],
+        type: 'compound', pattern: 'vertical_push', equipment: 'barbell', muscleGroups: ['shoulders', 'triceps'],
+        joints: { shoulder: HIGH, elbow: MODERATE, wrist: MODERATE, lower_back: MODERATE, neck: LOW },
+        defaultReps: 5
+    },
+    {
+        id: 'landmine_press', name: 'Landmine Press', aliases: [],
+        type: 'compound', pattern: 'vertical_push', equipment: 'barbell', muscleGroups: ['shoulders', 'chest', 'triceps'],
+        joints: { shoulder: LOW, elbow: MODERATE, wrist: LOW },
+        defaultReps: 10
+    },
+    {
+        id: 'lateral_raise', name: 'Lateral Raise', aliases: [],
+        type: 'isolation', pattern: 'shoulder_abduction', equipment: 'dumbbell', muscleGroups: ['shoulders'],
+        joints: { shoulder: MODERATE, neck: LOW },
+        defaultReps: 15
+    },
+    {
+        id: 'dip', name: 'Dip', aliases: ['Parallel Bar Dip'],
+        type: 'compound', pattern: 'vertical_push', equipment: 'bodyweight', muscleGroups: ['chest', 'triceps', 'shoulders'],
+        joints: { shoulder: HIGH, elbow: HIGH, wrist: MODERATE },
+        defaultReps: 8
+    },
+    {
+        id: 'triceps_pushdown', name: 'Triceps Pushdown', aliases: ['Pushdown'],
+        type: 'isolation', pattern: 'elbow_extension', equipment: 'cable', muscleGroups: ['triceps'],
+        joints: { elbow: MODERATE, wrist: LOW },
+        defaultReps: 12
+    },
+    {
+        id: 'skull_crusher', name: 'Skull Crusher', aliases: ['Lying Triceps Extension'],
+        type: 'isolation', pattern: 'elbow_extension', equipment: 'barbell', muscleGroups: ['triceps'],
+        joints: { elbow: HIGH, wrist: MODERATE, shoulder: LOW },
+        defaultReps: 10
+    },
+
+    // --- Upper body: pull ---
+    {
+        id: 'barbell_row', name: 'Barbell Row', aliases: ['Bent Over Row', 'Row'],
+        type: 'compound', pattern: 'horizontal_pull', equipment: 'barbell', muscleGroups: ['back', 'lats', 'biceps'],
+        joints: { lower_back: HIGH, hip: MODERATE, elbow: MODERATE, wrist: MODERATE, shoulder: LOW },
+        defaultReps: 8
+    },
+    {
+        id: 'chest_supported_row', name: 'Chest Supported Row', aliases: ['Seal Row'],
+        type: 'compound', pattern: 'horizontal_pull', equipment: 'dumbbell', muscleGroups: ['back', 'lats', 'biceps'],
+        joints: { lower_back: NONE, elbow: MODERATE, wrist: LOW, shoulder: LOW },
+        defaultReps: 10
+    },
+    {
+        id: 'seated_cable_row', name: 'Seated Cable Row', aliases: ['Cable Row'],
+        type: 'compound', pattern: 'horizontal_pull', equipment: 'cable', muscleGroups: ['back', 'lats', 'biceps'],
+        joints: { lower_back: LOW, elbow: MODERATE, wrist: LOW, shoulder: LOW },
+        defaultReps: 10
+    },
+    {
+        id: 'pull_up', name: 'Pull-up', aliases: ['Pull Up', 'Chin-up', 'Chin Up'],
+        type: 'compound', pattern: 'vertical_pull', equipment: 'bodyweight', muscleGroups: ['lats', 'back', 'biceps'],
+        joints: { shoulder: HIGH, elbow: HIGH, wrist: MODERATE },
+        defaultReps: 6
+    },
+    {
+        id: 'lat_pulldown', name: 'Lat Pulldown', aliases: ['Pulldown'],
+        type: 'compound', pattern: 'vertical_pull', equipment: 'cable', muscleGroups: ['lats', 'back', 'biceps'],
+        joints: { shoulder: MODERATE, elbow: MODERATE, wrist: LOW },
+        defaultReps: 10
+    },
+    {
+        id: 'straight_arm_pulldown', name: 'Straight-arm Pulldown', aliases: [],
+        type: 'isolation', pattern: 'shoulder_extension', equipment: 'cable', muscleGroups: ['lats'],
+        joints: { shoulder: MODERATE, elbow: NONE, wrist: LOW },
+        defaultReps: 12
+    },
+    {
+        id: 'face_pull', name: 'Face Pull', aliases: [],
+        type: 'isolation', pattern: 'horizontal_pull', equipment: 'cable', muscleGroups: ['shoulders', 'back', 'traps'],
+        joints: { shoulder: LOW, elbow: LOW, wrist: LOW },
+        defaultReps: 15
+    },
+    {
+        id: 'shrug', name: 'Barbell Shrug', aliases: ['Shrug'],
+        type: 'isolation', pattern: 'scapular_elevation', equipment: 'barbell', muscleGroups: ['traps'],
+        joints: { neck: HIGH, wrist: MODERATE, lower_back: LOW },
+        defaultReps: 12
+    },
+    {
+        id: 'chest_supported_shrug', name: 'Chest Supported Shrug', aliases: [],
+        type: 'isolation', pattern: 'scapular_elevation', equipment: 'dumbbell', muscleGroups: ['traps'],
+        joints: { neck: MODERATE, wrist: LOW },
+        defaultReps: 12
+    },
+    {
+        id: 'barbell_curl', name: 'Barbell Curl', aliases: ['Curl', 'Biceps Curl'],
+        type: 'isolation', pattern: 'elbow_flexion', equipment: 'barbell', muscleGroups: ['biceps', 'forearms'],
+        joints: { elbow: HIGH, wrist: HIGH },
+        defaultReps: 10
+    },
+    {
+        id: 'hammer_curl', name: 'Hammer Curl', aliases: [],
+        type: 'isolation', pattern: 'elbow_flexion', equipment: 'dumbbell', muscleGroups: ['biceps', 'forearms'],
+        joints: { elbow: MODERATE, wrist: LOW },
+        defaultReps: 12
+    },
+    {
+        id: 'cable_curl_strap', name: 'Cable Curl (Cuff Attachment)', aliases: [],
+        type: 'isolation', pattern: 'elbow_flexion', equipment: 'cable', muscleGroups: ['biceps'],
+        joints: { elbow: MODERATE, wrist: NONE },
+        defaultReps: 12
+    },
+
+    // --- Core ---
+    {
+        id: 'plank', name: 'Plank', aliases: [],
+        type: 'isolation', pattern: 'anti_extension', equipment: 'bodyweight', muscleGroups: ['core'],
+        joints: { shoulder: LOW, elbow: MODERATE, lower_back: LOW },
+        defaultReps: 1
+    },
+    {
+        id: 'dead_bug', name: 'Dead Bug', aliases: [],
+        type: 'isolation', pattern: 'anti_extension', equipment: 'bodyweight', muscleGroups: ['core'],
+        joints: {},
+        defaultReps: 10
+    },
+    {
+        id: 'pallof_press', name: 'Pallof Press', aliases: [],
+        type: 'isolation', pattern: 'anti_rotation', equipment: 'cable', muscleGroups: ['core'],
+        joints: { shoulder: LOW, wrist: LOW },
+        defaultReps: 12
+    },
+    {
+        id: 'hanging_leg_raise', name: 'Hanging Leg Raise', aliases: ['Leg Raise'],
+        type: 'isolation', pattern: 'trunk_flexion', equipment: 'bodyweight', muscleGroups: ['core'],
+        joints: { shoulder: MODERATE, wrist: MODERATE, hip: MODERATE, lower_back: LOW },
+        defaultReps: 10
+    }
+];
+
+class ExerciseLibrary {
+    /**
+     * @returns {Array<Object>} All catalogue entries
+     */
+    static all() {
+        return CATALOGUE;
+    }
+
+    /**
+     * @param {string} id - Catalogue id
+     * @returns {Object|null}
+     */
+    static get(id) {
+        return CATALOGUE.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Finds the catalogue entry for a planned exercise.
+     * Matches by id, then by exact name/alias, then by the longest name/alias the exercise name ends
+     * with, word for word (so "Paused Bench Press" resolves to Bench Press, "Chest Supported Row"
+     * doesn't resolve to Row, and neither "Med Ball Throw" nor "Pause Squat Jumps" match anything).
+     * Qualifiers in brackets or after a comma ("Deadlift (Sumo)", "Bench Press, paused") are ignored.
+     * @param {Exercise} exercise
+     * @returns {Object|null}
+     */
+    static find(exercise) {
+        const byId = ExerciseLibrary.get(exercise.id);
+        if (byId) return byId;
+
+        const name = words(exercise.name).join(' ');
+        const head = words(String(exercise.name || '').replace(/\([^)]*\)|,.*$/g, ' '));
+        let best = null;
+        let bestLength = 0;
+        CATALOGUE.forEach(entry => {
+            [entry.name, ...entry.aliases].forEach(label => {
+                const candidate = words(label);
+                const start = head.length - candidate.length;
+                if (name === candidate.join(' ')) {
+                    best = entry;
+                    bestLength = Infinity;
+                } else if (start >= 0 && candidate.every((word, i) => head[start + i] === word)
+                    && !head.slice(0, start).some(word => OTHER_MOVEMENTS.includes(word))
+                    && candidate.join(' ').length > bestLength) {
+                    best = entry;
+                    bestLength = candidate.join(' ').length;
+                }
+            });
+        });
+        return best;
+    }
+
+    /**
+     * Maps a reported pain area (e.g. "left_knee", "Lower Back") to a catalogue joint.
+     * @param {string} painArea
+     * @returns {string|null}
+     */
+    static normalizeJoint(painArea) {
+        return ExerciseLibrary.jointsIn(painArea)[0] || null;
+    }
+
+    /**
+     * Every catalogue joint a piece of text names ("sore upper back and left knee" -> ['knee']).
+     * @param {string} text
+     * @returns {Array<string>}
+     */
+    static jointsIn(text) {
+        let words = ` ${String(text || '').toLowerCase().split(/[^a-z]+/).filter(Boolean).join(' ')} `;
+        UNMAPPED_AREAS.forEach(area => {
+            words = words.split(` ${area} `).join(' ');
+        });
+        return JOINTS.filter(joint => JOINT_ALIASES[joint].some(alias => words.includes(` ${alias} `)));
+    }
+
+    /**
+     * @param {Object} entry - Catalogue entry
+     * @param {string} joint
+     * @returns {number} Load level 0 (none) to 3 (high)
+     */
+    static jointLoad(entry, joint) {
+        return entry.joints[joint] || NONE;
+    }
+
+    /**
+     * @param {Object} entry - Catalogue entry
+     * @param {string} joint
+     * @returns {boolean} True if the entry loads the joint enough to aggravate pain
+     */
+    static isRisky(entry, joint) {
+        return ExerciseLibrary.jointLoad(entry, joint) >= RISK_THRESHOLD;
+    }
+
+    /**
+     * Sum of an entry's joint loads, used to prefer gentler options when in pain.
+     * @param {Object} entry - Catalogue entry
+     * @returns {number}
+     */
+    static totalJointLoad(entry) {
+        return Object.values(entry.joints).reduce((sum, level) => sum + level, 0);
+    }
+
+    /**
+     * Ranks catalogue entries that train the same muscles without loading the painful joint(s).
+     * Muscle overlap is weighted by position (the first listed muscle is the prime mover),
+     * then the same movement pattern wins, then the lowest overall joint stress.
+     * @param {Exercise} exercise - The exercise being replaced
+     * @param {string|Array<string>} joints - Painful joint(s) (normalized); alternatives must not load any of them
+     * @param {Array<string>} excludeIds - Entries that must not be returned (e.g. already in the workout)
+     * @returns {Array<Object>} Best alternative first
+     */
+    static findAlternatives(exercise, joints, excludeIds = []) {
+        const avoid = [].concat(joints);
+        const original = ExerciseLibrary.find(exercise);
+        const muscles = (original ? original.muscleGroups : exercise.muscleGroups) || [];
+        const pattern = original ? original.pattern : null;
+
+        return CATALOGUE
+            .filter(entry => !original || entry.id !== original.id)
+            .filter(entry => !excludeIds.includes(entry.id))
+            .filter(entry => avoid.every(joint => !ExerciseLibrary.isRisky(entry, joint)))
+            .map(entry => ({
+                entry,
+                overlap: muscles.reduce((score, m, i) => score + (entry.muscleGroups.includes(m) ? muscles.length - i : 0), 0)
+            }))
+            .filter(c => c.overlap > 0)
+            .sort((a, b) =>
+                (b.overlap - a.overlap) ||
+                ((b.entry.pattern === pattern) - (a.entry.pattern === pattern)) ||
+                (ExerciseLibrary.totalJointLoad(a.entry) - ExerciseLibrary.totalJointLoad(b.entry))
+            )
+            .map(c => c.entry);
+    }
+}
+
+ExerciseLibrary.JOINTS = JOINTS;
+ExerciseLibrary.LOAD_LEVELS = { NONE, LOW, MODERATE, HIGH };
+
+module.exports = ExerciseLibrary;
@@ -0,0 +1,98 @@
+/**
+ * food_database.js
+ * Built-in food catalogue (Indian staples plus the basics the meal plans are built from).
+ * Macros are per serving: calories in kcal, protein / carbs / fat in grams.
+ * `diet` is the strictest preference a food fits: "veg" foods suit everyone, "egg" foods suit
+ * egg and non-veg eaters, "non_veg" foods only non-veg eaters.
+ * Users add their own foods through the repository (see NutritionPlanner.resolveFood).
+ */
+
+const DIETS = ['veg', 'egg', 'non_veg'];
+
+const CATALOGUE = [
+    // --- Breads, rice and breakfasts ---
+    { id: 'roti', name: 'Roti (Tawa)', calories: 104, protein: 3, carbs: 20, fat: 0.5, serving: '1 medium', diet: 'veg', description: 'The classic. 2-3 are fine, 6 is a party.' },
+    { id: 'butter_naan', name: 'Butter Naan', calories: 260, protein: 6, carbs: 40, fat: 10, serving: '1 piece', diet: 'veg', description: 'Delicious, but mostly flour and butter. Cheat meal item!' },
+    { id: 'aloo_paratha', name: 'Paratha (Aloo)', calories: 180, protein: 4, carbs: 30, fat: 6, serving: '1 medium', diet: 'veg', description: 'Carb city. Needs curd to balance the protein.' },
+    { id: 'paneer_paratha', name: 'Paneer Paratha', calories: 220, protein: 9, carbs: 26, fat: 9, serving: '1 medium', diet: 'veg', description: 'The paratha that pulls its weight in protein.' },
+    { id: 'rice_basmati', name: 'Rice (Basmati)', calories: 170, protein: 3, carbs: 38, fat: 0.5, serving: '1 bowl cooked', diet: 'veg', description: 'Pure fuel. Needs protein sidekick.' },
+    { id: 'jeera_rice', name: 'Jeera Rice', calories: 190, protein: 3, carbs: 38, fat: 3, serving: '1 bowl cooked', diet: 'veg', description: 'Rice with a little tempering. Same fuel, more flavour.' },
+    { id: 'idli', name: 'Idli', calories: 40, protein: 2, carbs: 8, fat: 0, serving: '1 piece', diet: 'veg', description: 'Steamed goodness. Eat 4-5 for a full meal.' },
+    { id: 'masala_dosa', name: 'Masala Dosa', calories: 350, protein: 6, carbs: 55, fat: 12, serving: '1 large', diet: 'veg', description: 'Crispy carb lover. Potato filling adds the calories.' },
+    { id: 'toast', name: 'Whole Wheat Toast', calories: 80, protein: 4, carbs: 14, fat: 1, serving: '1 slice', diet: 'veg', description: 'Simple carbs for the side of the plate.' },
+    { id: 'oats', name: 'Oats (cooked in water)', calories: 150, protein: 5, carbs: 27, fat: 3, serving: '40g dry', diet: 'veg', description: 'Slow carbs that keep you full.' },
+    { id: 'banana', name: 'Banana', calories: 105, protein: 1, carbs: 27, fat: 0.4, serving: '1 medium', diet: 'veg', description: 'Nature\'s pre-workout.' },
+
+    // --- Dals, curries and vegetarian protein ---
+    { id: 'dal_makhani', name: 'Dal Makhani', calories: 280, protein: 10, carbs: 25, fat: 16, serving: '1 bowl (150g)', diet: 'veg', description: 'Creamy heaven. High fat, decent protein.' },
+    { id: 'dal_tadka', name: 'Yellow Dal (Tadka)', calories: 140, protein: 9, carbs: 18, fat: 4, serving: '1 bowl (150g)', diet: 'veg', description: 'The leanest dal. Staple for muscle building.' },
+    { id: 'paneer_butter_masala', name: 'Paneer Butter Masala', calories: 350, protein: 12, carbs: 15, fat: 28, serving: '1 bowl (150g)', diet: 'veg', description: 'Protein loaded, but calorie heavy due to cream.' },
+    { id: 'chana_masala', name: 'Chana Masala', calories: 160, protein: 8, carbs: 22, fat: 5, serving: '1 bowl (150g)', diet: 'veg', description: 'Great fiber and protein source. Vegan friendly.' },
+    { id: 'soya_chunks', name: 'Soya Chunks Stir Fry', calories: 210, protein: 26, carbs: 16, fat: 5, serving: '50g dry', diet: 'veg', description: 'The vegetarian protein heavyweight.' },
+    { id: 'curd', name: 'Curd (Dahi)', calories: 100, protein: 6, carbs: 7, fat: 5, serving: '1 bowl (150g)', diet: 'veg', description: 'Cooling, gut-friendly protein.' },
+    { id: 'roasted_chana', name: 'Roasted Chana', calories: 120, protein: 7, carbs: 18, fat: 2, serving: '30g', diet: 'veg', description: 'Low calorie hunger killer.' },
+    { id: 'peanut_butter', name: 'Peanut Butter', calories: 95, protein: 4, carbs: 3, fat: 8, serving: '1 tbsp', diet: 'veg', description: 'Calorie dense. Measure the spoon.' },
+    { id: 'milk', name: 'Milk (Toned)', calories: 120, protein: 6, carbs: 10, fat: 6, serving: '1 glass (250ml)', diet: 'veg', description: 'Easy protein and calories in a glass.' },
+    { id: 'ghee', name: 'Ghee', calories: 45, protein: 0, carbs: 0, fat: 5, serving: '1 tsp', diet: 'veg', description: 'Pure fat. A spoon on the dal is a cheap bulk.' },
+    { id: 'whey', name: 'Whey Protein', calories: 120, protein: 24, carbs: 3, fat: 1.5, serving: '1 scoop', diet: 'veg', description: 'Convenient protein when food falls short.' },
+    { id: 'salad', name: 'Green Salad', calories: 30, protein: 1, carbs: 6, fat: 0, serving: '1 bowl', diet: 'veg', description: 'Volume and fiber for almost nothing.' },
+    { id: 'green_tea', name: 'Green Tea', calories: 2, protein: 0, carbs: 0, fat: 0, serving: '1 cup', diet: 'veg', description: 'Warm, calorie-free.' },
+
+    // --- Eggs ---
+    { id: 'whole_egg', name: 'Whole Egg', calories: 78, protein: 6, carbs: 0.6, fat: 5, serving: '1 large', diet: 'egg', description: 'Bioavailable protein to kickstart metabolism.' },
+    { id: 'egg_curry', name: 'Egg Curry', calories: 240, protein: 14, carbs: 8, fat: 17, serving: '2 eggs with gravy', diet: 'egg', description: 'Comfort food with real protein.' },
+    { id: 'egg_bhurji', name: 'Scrambled Eggs (Bhurji)', calories: 230, protein: 15, carbs: 4, fat: 17, serving: '3 eggs', diet: 'egg', description: 'Low carb, high protein.' },
+
+    // --- Meat and fish ---
+    { id: 'chicken_curry', name: 'Chicken Curry', calories: 260, protein: 25, carbs: 6, fat: 15, serving: '1 bowl (150g)', diet: 'non_veg', description: 'Staple muscle building meal.' },
+    { id: 'chicken_biryani', name: 'Chicken Biryani', calories: 360, protein: 20, carbs: 45, fat: 12, serving: '1 plate (small)', diet: 'non_veg', description: 'The king of cheat meals. Actually decent macros if homemade.' },
+    { id: 'roast_chicken', name: 'Roast Chicken Breast', calories: 165, protein: 31, carbs: 0, fat: 3.6, serving: '100g', diet: 'non_veg', description: 'Pure protein source, minimal carbs.' },
+    { id: 'grilled_fish', name: 'Grilled Fish', calories: 140, protein: 26, carbs: 0, fat: 3, serving: '100g', diet: 'non_veg', description: 'Lean protein with healthy fats.' },
+    { id: 'chicken_sausage', name: 'Chicken Sausage', calories: 90, protein: 7, carbs: 2, fat: 6, serving: '1 link', diet: 'non_veg', description: 'Lean protein breakfast.' },
+
+    // --- Snacks and sweets ---
+    { id: 'samosa', name: 'Samosa', calories: 260, protein: 4, carbs: 25, fat: 16, serving: '1 piece', diet: 'veg', description: 'Triangle of death. 1 is okay, 2 is a regret.' },
+    { id: 'gulab_jamun', name: 'Gulab Jamun', calories: 150, protein: 2, carbs: 20, fat: 8, serving: '1 piece', diet: 'veg', description: 'Sugar bomb. Post-workout? Maybe.' },
+    { id: 'chai', name: 'Chai (with Sugar)', calories: 60, protein: 1, carbs: 10, fat: 2, serving: '1 cup', diet: 'veg', description: 'Liquid comfort. Watch the sugar spoons.' }
+];
+
+class FoodDatabase {
+    /**
+     * @returns {Array<Object>} All built-in foods
+     */
+    static all() {
+        return CATALOGUE;
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    static get(id) {
+        return CATALOGUE.find(food => food.id === id) || null;
+    }
+
+    /**
+     * Foods whose name contains the query (case-insensitive), built-in first.
+     * @param {string} query - Empty matches everything
+     * @param {Array<Object>} customFoods - The user's own foods (optional)
+     * @returns {Array<Object>}
+     */
+    static search(query = '', customFoods = []) {
+        const text = String(query).toLowerCase().trim();
+        return [...CATALOGUE, ...customFoods].filter(food => food.name.toLowerCase().includes(text));
+    }
+
+    /**
+     * @param {Object} food
+     * @param {string} preference - "veg", "egg" or "non_veg"
+     * @returns {boolean} Whether someone with that preference eats it
+     */
+    static fits(food, preference) {
+        return DIETS.indexOf(food.diet || 'veg') <= DIETS.indexOf(preference);
+    }
+}
+
+FoodDatabase.DIETS = DIETS;
+
+module.exports = FoodDatabase;
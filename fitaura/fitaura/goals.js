@@ -0,0 +1,206 @@
+/**
+ * goals.js
+ * Training goals and what each one changes in the engine: rep ranges, RPE targets, the
+ * progression model, rest periods and how readily volume is cut. Powerlifting can also
+ * peak the competition lifts for a meet date.
+ * Users without a goal train the plan as written (its own reps and RPE, e1RM load steps).
+ */
+
+const Autoregulator = require('./autoregulator');
+const ExerciseLibrary = require('./exercise_library');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Per goal:
+ *   reps / rpeTarget / restSeconds  - by exercise role: main (compound) or accessory (isolation)
+ *   progression                     - "double": add reps up to the top of the range, then load;
+ *                                     "load": e1RM-based load steps at fixed reps
+ *   volumeCuts                      - readiness below which volume is halved (deloadBelow) or trimmed (reduceBelow)
+ */
+const GOALS = {
+    hypertrophy: {
+        reps: { main: [6, 10], accessory: [10, 15] },
+        rpeTarget: { main: 8, accessory: 8.5 },
+        restSeconds: { main: 150, accessory: 90 },
+        progression: 'double',
+        volumeCuts: { deloadBelow: 40, reduceBelow: 60 }
+    },
+    strength: {
+        reps: { main: [3, 6], accessory: [6, 10] },
+        rpeTarget: { main: 8, accessory: 8 },
+        restSeconds: { main: 240, accessory: 120 },
+        progression: 'load',
+        // Heavy work is the point, so moderate fatigue trims less often
+        volumeCuts: { deloadBelow: 35, reduceBelow: 55 }
+    },
+    fat_loss: {
+        reps: { main: [6, 10], accessory: [12, 20] },
+        rpeTarget: { main: 7.5, accessory: 8 },
+        restSeconds: { main: 120, accessory: 60 },
+        progression: 'double',
+        // Recovery is expensive in a calorie deficit: cut volume earlier
+        volumeCuts: { deloadBelow: 45, reduceBelow: 65 }
+    },
+    powerlifting: {
+        reps: { main: [1, 5], accessory: [6, 12] },
+        rpeTarget: { main: 8, accessory: 8 },
+        restSeconds: { main: 300, accessory: 120 },
+        progression: 'load',
+        volumeCuts: { deloadBelow: 35, reduceBelow: 55 }
+    }
+};
+
+// Other names for the goals (e.g. the diet calculator's "muscle_gain")
+const ALIASES = { muscle_gain: 'hypertrophy' };
+
+const COMPETITION_LIFTS = ['barbell_squat', 'bench_press', 'deadlift'];
+
+// Powerlifting peak, by days left to the meet: heavier singles/doubles, less volume, openers in the final week
+const PEAKING_PHASES = [
+    { phase: 'intensification', maxDays: 21, reps: 3, rpeTarget: 8.5, volumeMultiplier: 0.8 },
+    { phase: 'peak', maxDays: 14, reps: 2, rpeTarget: 9, volumeMultiplier: 0.6 },
+    { phase: 'taper', maxDays: 7, reps: 1, rpeTarget: 7, volumeMultiplier: 0.4 },
+    { phase: 'openers', maxDays: 2, reps: 1, rpeTarget: 6, volumeMultiplier: 0.3 }
+];
+
+class GoalProfile {
+    /**
+     * @param {string} goal - Goal id or alias
+     * @returns {string|null} Goal id, or null for unknown / missing goals
+     */
+    static normalize(goal) {
+        const id = ALIASES[goal] || goal;
+        return GOALS[id] ? id : null;
+    }
+
+    /**
+     * @param {string} goal
+     * @returns {Object|null} The goal's settings (see GOALS)
+     */
+    static get(goal) {
+        const id = GoalProfile.normalize(goal);
+        return id ? { id, ...GOALS[id] } : null;
+    }
+
+    /**
+     * @param {Object} exercise
+     * @returns {string} "main" or "accessory"
+     */
+    static role(exercise) {
+        return exercise.type === 'isolation' ? 'accessory' : 'main';
+    }
+
+    /**
+     * Readiness thresholds for volume cuts.
+     * @param {string} goal
+     * @returns {Object} { deloadBelow, reduceBelow }
+     */
+    static volumeCuts(goal) {
+        const profile = GoalProfile.get(goal);
+        return profile ? profile.volumeCuts : Autoregulator.DEFAULT_VOLUME_CUTS;
+    }
+
+    /**
+     * Fits an exercise to the goal: reps moved into the goal's range, the goal's RPE target
+     * and rest period. Leaves the exercise alone (except rest) when `keepTargets` is set.
+     * @param {Object} exercise - Mutated
+     * @param {string} goal
+     * @param {boolean} keepTargets - Reps and RPE come from somewhere else (a mesocycle, a return ramp)
+     * @returns {Object|null} { before: { reps, rpeTarget }, after: { reps, rpeTarget } } when reps or RPE changed
+     */
+    static applyTargets(exercise, goal, keepTargets = false) {
+        const profile = GoalProfile.get(goal);
+        if (!profile || exercise.id === 'rest') return null;
+
+        const role = GoalProfile.role(exercise);
+        exercise.restSeconds = profile.restSeconds[role];
+        if (keepTargets) return null;
+
+        const [min, max] = profile.reps[role];
+        const before = { reps: exercise.reps, rpeTarget: exercise.rpeTarget };
+        exercise.reps = Math.min(max, Math.max(min, exercise.reps || min));
+        exercise.rpeTarget = profile.rpeTarget[role];
+
+        const changed = before.reps !== exercise.reps || before.rpeTarget !== exercise.rpeTarget;
+        return changed ? { before, after: { reps: exercise.reps, rpeTarget: exercise.rpeTarget } } : null;
+    }
+
+    /**
+     * @param {Date|string} meetDate
+     * @param {Date|string} date
+     * @returns {number|null} Whole days from date to the meet (0 on meet day), null once it has passed
+     */
+    static daysToMeet(meetDate, date = new Date()) {
+        if (!meetDate) return null;
+        const days = Math.round((GoalProfile.utcDay(meetDate) - GoalProfile.utcDay(date)) / DAY_MS);
+        return days >= 0 ? days : null;
+    }
+
+    /**
+     * The peaking phase for a date, for powerlifters with a meet in the next three weeks.
+     * @param {User} user - goal and meetDate
+     * @param {Date|string} date
+     * @returns {Object|null} { phase, daysToMeet, reps, rpeTarget, volumeMultiplier }
+     */
+    static peakingFor(user, date = new Date()) {
+        if (GoalProfile.normalize(user.goal) !== 'powerlifting') return null;
+
+        const daysToMeet = GoalProfile.daysToMeet(user.meetDate, date);
+        if (daysToMeet === null) return null;
+
+        // Phases are ordered furthest first; the last one whose window we're inside wins
+        const phase = PEAKING_PHASES.filter(p => daysToMeet <= p.maxDays).pop();
+        if (!phase) return null;
+
+        const { maxDays, ...targets } = phase;
+        return { ...targets, daysToMeet };
+    }
+
+    /**
+     * Applies a peaking phase: competition lifts get its reps and RPE (and a load from the
+     * training max when there is one); every exercise's sets scale with its volume multiplier.
+     * @param {Array<Object>} exercises - Mutated
+     * @param {Object} peaking - From peakingFor()
+     * @param {Object} trainingMaxes - exerciseId -> 1RM
+     * @param {number} increment - Plate increment for rounding
+     * @returns {Array<string>} Ids of the competition lifts that were peaked
+     */
+    static applyPeaking(exercises, peaking, trainingMaxes = {}, increment = Autoregulator.defaultPlateIncrement()) {
+        const peaked = [];
+        exercises.forEach(ex => {
+            if (ex.id === 'rest') return;
+            ex.sets = Math.max(1, Math.round(ex.sets * peaking.volumeMultiplier));
+            if (!GoalProfile.isCompetitionLift(ex)) return;
+
+            ex.reps = peaking.reps;
+            ex.rpeTarget = peaking.rpeTarget;
+            const trainingMax = trainingMaxes[ex.id];
+            if (trainingMax) {
+                ex.weight = Autoregulator.roundToPlates(trainingMax * Autoregulator.percentOfOneRepMax(ex.reps, ex.rpeTarget), increment);
+            }
+            peaked.push(ex.id);
+        });
+        return peaked;
+    }
+
+    /**
+     * @param {Object} exercise
+     * @returns {boolean} Squat, bench press or deadlift (matched through the exercise library)
+     */
+    static isCompetitionLift(exercise) {
+        const entry = ExerciseLibrary.find(exercise);
+        return Boolean(entry && COMPETITION_LIFTS.includes(entry.id));
+    }
+
+    static utcDay(date) {
+        const d = new Date(date);
+        return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+    }
+}
+
+GoalProfile.GOALS = Object.keys(GOALS);
+GoalProfile.ALIASES = ALIASES;
+GoalProfile.COMPETITION_LIFTS = COMPETITION_LIFTS;
+
+module.exports = GoalProfile;
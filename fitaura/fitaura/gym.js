@@ -0,0 +1,202 @@
+/**
+ * gym.js
+ * Front-desk rules for the gym's website: the weekly class timetable expanded into dated
+ * classes, spots and waitlists, and the default plans and timetable a new store starts with
+ * (gym_defaults.json). Times are the gym's local wall-clock times ("HH:MM"); dates are "YYYY-MM-DD".
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DEFAULTS_PATH = path.join(__dirname, 'gym_defaults.json');
+
+// Members can book this many days ahead (today included)
+const BOOKING_WINDOW_DAYS = 14;
+
+const STATUS = {
+    BOOKED: 'booked',
+    WAITLISTED: 'waitlisted',
+    CANCELLED: 'cancelled'
+};
+
+class GymSchedule {
+    /**
+     * The timetable's classes on each day of a date range, with how full they are.
+     * @param {Array<Object>} classes - Weekly classes ({ id, name, weekday, startTime, durationMinutes, room, instructor, capacity })
+     * @param {Array<Object>} bookings - Bookings in the range (any status)
+     * @param {string} from - First day
+     * @param {number} days - Number of days
+     * @returns {Array<Object>} { classId, date, weekday, name, startTime, endTime, room, instructor, capacity, booked, waitlisted, spotsLeft },
+     *   by date and start time
+     */
+    static occurrences(classes, bookings, from, days = 7) {
+        return GymSchedule.dates(from, days).flatMap(date => classes
+            .filter(gymClass => GymSchedule.runsOn(gymClass, date))
+            .sort((a, b) => a.startTime.localeCompare(b.startTime))
+            .map(gymClass => GymSchedule.occurrence(gymClass, date, bookings.filter(b => b.classId === gymClass.id && b.date === date))));
+    }
+
+    /**
+     * @param {Object} gymClass
+     * @param {string} date
+     * @param {Array<Object>} bookings - This class's bookings on that date
+     * @returns {Object}
+     */
+    static occurrence(gymClass, date, bookings = []) {
+        const { booked, waitlisted } = GymSchedule.counts(bookings);
+        return {
+            classId: gymClass.id,
+            date,
+            weekday: gymClass.weekday,
+            name: gymClass.name,
+            startTime: gymClass.startTime,
+            endTime: GymSchedule.endTime(gymClass.startTime, gymClass.durationMinutes),
+            room: gymClass.room || null,
+            instructor: gymClass.instructor || null,
+            capacity: gymClass.capacity,
+            booked,
+            waitlisted,
+            spotsLeft: Math.max(0, gymClass.capacity - booked)
+        };
+    }
+
+    /**
+     * @param {Array<Object>} bookings
+     * @returns {Object} { booked, waitlisted }
+     */
+    static counts(bookings) {
+        return {
+            booked: bookings.filter(b => b.status === STATUS.BOOKED).length,
+            waitlisted: bookings.filter(b => b.status === STATUS.WAITLISTED).length
+        };
+    }
+
+    /**
+     * Status for a new booking: a spot while there is one, the waitlist after that.
+     * @param {Object} gymClass
+     * @param {Array<Object>} bookings - This class's bookings on that date
+     * @returns {string} "booked" or "waitlisted"
+     */
+    static placeFor(gymClass, bookings) {
+        return GymSchedule.counts(bookings).booked < gymClass.capacity ? STATUS.BOOKED : STATUS.WAITLISTED;
+    }
+
+    /**
+     * Waitlisted bookings that get a spot now, first come first served. Called after a cancellation
+     * or a capacity increase.
+     * @param {Object} gymClass
+     * @param {Array<Object>} bookings - This class's bookings on that date, in booking order
+     * @returns {Array<Object>} The bookings to promote
+     */
+    static promotions(gymClass, bookings) {
+        const free = gymClass.capacity - GymSchedule.counts(bookings).booked;
+        return free > 0 ? bookings.filter(b => b.status === STATUS.WAITLISTED).slice(0, free) : [];
+    }
+
+    /**
+     * @param {Object} booking
+     * @param {Array<Object>} bookings - This class's bookings on that date, in booking order
+     * @returns {number|null} 1-based place on the waitlist, null when not waitlisted
+     */
+    static waitlistPosition(booking, bookings) {
+        if (booking.status !== STATUS.WAITLISTED) return null;
+        return bookings.filter(b => b.status === STATUS.WAITLISTED).findIndex(b => b.id === booking.id) + 1;
+    }
+
+    /**
+     * Why a class can't be booked on a date, or null if it can.
+     * @param {Object} gymClass
+     * @param {string} date
+     * @param {Date} now
+     * @returns {string|null}
+     */
+    static bookingProblem(gymClass, date, now = new Date()) {
+        if (!GymSchedule.runsOn(gymClass, date)) return `${gymClass.name} runs on ${gymClass.weekday}s only`;
+        if (GymSchedule.hasStarted(gymClass, date, now)) return `${gymClass.name} on ${date} has already started`;
+
+        const lastDay = GymSchedule.dates(GymSchedule.localDay(now), BOOKING_WINDOW_DAYS).pop();
+        if (date > lastDay) return `Classes can be booked up to ${BOOKING_WINDOW_DAYS} days ahead`;
+        return null;
+    }
+
+    /**
+     * @param {Object} gymClass
+     * @param {string} date
+     * @param {Date} now
+     * @returns {boolean} Whether that day's class has started (by the server's local clock)
+     */
+    static hasStarted(gymClass, date, now = new Date()) {
+        const [hours, minutes] = gymClass.startTime.split(':').map(Number);
+        const [year, month, day] = date.split('-').map(Number);
+        return new Date(year, month - 1, day, hours, minutes) <= now;
+    }
+
+    /**
+     * @param {Object} gymClass
+     * @param {string} date
+     * @returns {boolean}
+     */
+    static runsOn(gymClass, date) {
+        return WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()] === gymClass.weekday;
+    }
+
+    /**
+     * @param {string} startTime - "HH:MM"
+     * @param {number} durationMinutes
+     * @returns {string} "HH:MM"
+     */
+    static endTime(startTime, durationMinutes) {
+        const [hours, minutes] = startTime.split(':').map(Number);
+        const end = (hours * 60 + minutes + durationMinutes) % (24 * 60);
+        return `${String(Math.floor(end / 60)).padStart(2, '0')}:${String(end % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * @param {string} from - "YYYY-MM-DD"
+     * @param {number} days
+     * @returns {Array<string>}
+     */
+    static dates(from, days) {
+        const start = new Date(`${from}T00:00:00Z`);
+        return Array.from({ length: days }, (_, i) => new Date(start.getTime() + i * 86400000).toISOString().slice(0, 10));
+    }
+
+    /**
+     * @param {Date} date
+     * @returns {string} The server's local calendar day
+     */
+    static localDay(date = new Date()) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * @param {string} filePath
+     * @returns {Object} { plans, classes }
+     */
+    static loadDefaults(filePath = DEFAULTS_PATH) {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    /**
+     * Stores the default plans and timetable in a store that has never had any.
+     * @param {InMemoryRepository} repository
+     * @param {Object} defaults - { plans, classes }
+     * @returns {boolean} Whether anything was added
+     */
+    static seed(repository, defaults = GymSchedule.loadDefaults()) {
+        const empty = repository.listMembershipPlans({ includeInactive: true }).length === 0 && repository.listGymClasses().length === 0;
+        if (!empty) return false;
+
+        defaults.plans.forEach(plan => repository.saveMembershipPlan({ active: true, ...plan }));
+        defaults.classes.forEach(gymClass => repository.saveGymClass(gymClass));
+        return true;
+    }
+}
+
+GymSchedule.WEEKDAYS = WEEKDAYS;
+GymSchedule.STATUS = STATUS;
+GymSchedule.BOOKING_WINDOW_DAYS = BOOKING_WINDOW_DAYS;
+
+module.exports = GymSchedule;
@@ -0,0 +1,170 @@
+/**
+ * injury_protocol.js
+ * Proactive injury management on top of today's pain flags:
+ * chronic injuries from the user's profile, pain that keeps coming back across
+ * recent sessions, and a gradual return-to-training ramp for substituted lifts.
+ */
+
+const ExerciseLibrary = require('./exercise_library');
+const Autoregulator = require('./autoregulator');
+
+const { MODERATE, HIGH } = ExerciseLibrary.LOAD_LEVELS;
+
+// A joint flagged in this many of the last RECURRING_WINDOW sessions counts as recurring pain
+const RECURRING_WINDOW = 3;
+const RECURRING_MIN_FLAGS = 2;
+
+// Watched joints: exercises loading them this much are swapped, moderate loads are capped instead
+const MODIFIED_LOAD_FACTOR = 0.9;
+const MODIFIED_RPE_CAP = 7;
+
+// Sessions it takes to bring a substituted lift back to full prescription
+const RAMP_STEPS = [
+    { load: 0.6, sets: 0.5, rpeCap: 6 },
+    { load: 0.75, sets: 0.67, rpeCap: 7 },
+    { load: 0.9, sets: 1, rpeCap: 7.5 }
+];
+
+class InjuryProtocol {
+    /**
+     * Normalizes User.injuryHistory. Entries may be plain strings ("left_knee") or
+     * objects ({ area, chronic }); strings and objects without chronic: false count as chronic.
+     * @param {User} user
+     * @returns {Array<string>} Joints with a chronic injury
+     */
+    static chronicJoints(user) {
+        const joints = (user.injuryHistory || [])
+            .map(entry => (typeof entry === 'string' ? { area: entry, chronic: true } : entry))
+            .filter(entry => entry && entry.chronic !== false)
+            .map(entry => ExerciseLibrary.normalizeJoint(entry.area))
+            .filter(Boolean);
+        return [...new Set(joints)];
+    }
+
+    /**
+     * Joints flagged in at least RECURRING_MIN_FLAGS of the last RECURRING_WINDOW sessions.
+     * @param {Array<Object>} recentSessions - Logged sessions, newest first
+     * @returns {Array<string>}
+     */
+    static recurringJoints(recentSessions) {
+        const counts = {};
+        recentSessions.slice(0, RECURRING_WINDOW).forEach(session => {
+            const joints = new Set((session.painFlags || []).map(ExerciseLibrary.normalizeJoint).filter(Boolean));
+            joints.forEach(joint => { counts[joint] = (counts[joint] || 0) + 1; });
+        });
+        return Object.keys(counts).filter(joint => counts[joint] >= RECURRING_MIN_FLAGS);
+    }
+
+    /**
+     * Joints to protect today even though no pain was reported for them.
+     * @param {User} user
+     * @param {Array<Object>} recentSessions - Newest first
+     * @param {Array<string>} painFlags - Today's pain flags (already handled by the pain check)
+     * @returns {Map<string, string>} joint -> "chronic" | "recurring"
+     */
+    static watchedJoints(user, recentSessions, painFlags = []) {
+        const today = new Set(painFlags.map(ExerciseLibrary.normalizeJoint).filter(Boolean));
+        const watched = new Map();
+        InjuryProtocol.recurringJoints(recentSessions).forEach(joint => watched.set(joint, 'recurring'));
+        InjuryProtocol.chronicJoints(user).forEach(joint => watched.set(joint, 'chronic'));
+        today.forEach(joint => watched.delete(joint));
+        return watched;
+    }
+
+    /**
+     * How a watched joint affects an exercise.
+     * @param {Exercise} exercise
+     * @param {string} joint
+     * @returns {string|null} "BLOCK" (substitute), "MODIFY" (cap load) or null
+     */
+    static actionFor(exercise, joint) {
+        const entry = ExerciseLibrary.find(exercise);
+        if (!entry) return null;
+
+        const load = ExerciseLibrary.jointLoad(entry, joint);
+        if (load >= HIGH) return 'BLOCK';
+        if (load >= MODERATE) return 'MODIFY';
+        return null;
+    }
+
+    /**
+     * Caps load and effort on an exercise that moderately loads a watched joint.
+     * @param {Exercise} exercise - Mutated
+     * @param {number} increment - Plate increment for rounding
+     * @returns {Object} { previousWeight, newWeight, rpeTarget }
+     */
+    static applyModification(exercise, increment) {
+        const previousWeight = exercise.weight;
+        exercise.weight = Autoregulator.roundToPlates(exercise.weight * MODIFIED_LOAD_FACTOR, increment);
+        exercise.rpeTarget = Math.min(exercise.rpeTarget || MODIFIED_RPE_CAP, MODIFIED_RPE_CAP);
+        return { previousWeight, newWeight: exercise.weight, rpeTarget: exercise.rpeTarget };
+    }
+
+    /**
+     * Finds where a lift is in its return-to-training ramp.
+     * The ramp starts after the most recent session where the lift was substituted and
+     * advances one step for every session since then in which it was performed.
+     * @param {string} exerciseId
+     * @param {Array<Object>} recentSessions - Newest first
+     * @returns {number} Zero-based ramp step, or -1 if the lift is not returning from a substitution
+     */
+    static rampStepFor(exerciseId, recentSessions) {
+        const lastSubstituted = recentSessions.findIndex(session =>
+            (session.exercises || []).some(ex => ex.substitutedFor === exerciseId)
+        );
+        if (lastSubstituted < 0) return -1;
+
+        const performedSince = recentSessions
+            .slice(0, lastSubstituted)
+            .filter(session => (session.exercises || []).some(ex => ex.id === exerciseId))
+            .length;
+        return performedSince < RAMP_STEPS.length ? performedSince : -1;
+    }
+
+    /**
+     * The working weight a returning lift is ramped back towards: what the user last lifted
+     * before it was substituted, falling back to the planned weight.
+     * @param {string} exerciseId
+     * @param {Array<Object>} recentSessions - Newest first
+     * @param {number} plannedWeight
+     * @returns {number}
+     */
+    static referenceWeightFor(exerciseId, recentSessions, plannedWeight) {
+        const lastSubstituted = recentSessions.findIndex(session =>
+            (session.exercises || []).some(ex => ex.substitutedFor === exerciseId)
+        );
+        const before = recentSessions
+            .slice(lastSubstituted + 1)
+            .map(session => (session.performances || []).find(p => p.exerciseId === exerciseId))
+            .find(Boolean);
+        return before ? before.weight : plannedWeight;
+    }
+
+    /**
+     * Scales an exercise down to the given ramp step.
+     * @param {Exercise} exercise - Mutated
+     * @param {number} step - Zero-based ramp step
+     * @param {number} referenceWeight - Full working weight the ramp builds back towards
+     * @param {number} increment - Plate increment for rounding
+     * @returns {Object} { step, totalSteps, loadPercent, previousWeight, newWeight, sets }
+     */
+    static applyRamp(exercise, step, referenceWeight = exercise.weight, increment) {
+        const ramp = RAMP_STEPS[step];
+        const previousWeight = referenceWeight;
+        exercise.weight = Autoregulator.roundToPlates(referenceWeight * ramp.load, increment);
+        exercise.sets = Math.max(1, Math.round(exercise.sets * ramp.sets));
+        exercise.rpeTarget = Math.min(exercise.rpeTarget || ramp.rpeCap, ramp.rpeCap);
+        return {
+            step: step + 1,
+            totalSteps: RAMP_STEPS.length,
+            loadPercent: Math.round(ramp.load * 100),
+            previousWeight,
+            newWeight: exercise.weight,
+            sets: exercise.sets
+        };
+    }
+}
+
+InjuryProtocol.RAMP_STEPS = RAMP_STEPS;
+
+module.exports = InjuryProtocol;
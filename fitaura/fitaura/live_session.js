@@ -0,0 +1,242 @@
+/**
+ * live_session.js
+ * Set-by-set session mode: the user logs each set as they go and gets the next set's
+ * prescription back. Closing the session turns the sets into one ExercisePerformance per exercise.
+ *
+ * Offline clients queue their logs and send them later, so sets carry the client's clientId and
+ * loggedAt. Sets are kept in loggedAt order (a late arrival is slotted in and the exercise replayed),
+ * a repeated clientId is a duplicate, and the session's close time decides which sets still belong to it.
+ */
+
+const { Workout, Exercise, ExercisePerformance } = require('./models');
+const Autoregulator = require('./autoregulator');
+const TransparencyService = require('./transparency');
+
+// Back-off sets start at most this far below the last working weight
+const BACK_OFF_FACTOR = 0.9;
+
+class LiveSession {
+    /**
+     * Starts a live session from a generated workout.
+     * @param {User} user
+     * @param {Workout} workout - Output of TrainingEngine.generateDailyWorkout
+     * @param {Object} options - { id, startedAt } chosen by a client that started the session offline (optional)
+     * @returns {Object} Live session record
+     */
+    static start(user, workout, { id = null, startedAt = null } = {}) {
+        const units = user.units || 'kg';
+        return {
+            id,
+            userId: user.id,
+            workoutId: workout.id || null,
+            name: workout.name,
+            status: 'active',
+            units,
+            plateIncrement: user.plateIncrement || Autoregulator.defaultPlateIncrement(units),
+            startedAt: new Date(startedAt || Date.now()).toISOString(),
+            closedAt: null,
+            exercises: workout.exercises
+                .filter(ex => ex.sets > 0)
+                .map(ex => ({
+                    exerciseId: ex.id,
+                    name: ex.name,
+                    type: ex.type,
+                    muscleGroups: ex.muscleGroups,
+                    substitutedFor: ex.substitutedFor,
+                    plannedSets: ex.sets,
+                    reps: ex.reps,
+                    rpeTarget: ex.rpeTarget,
+                    weight: ex.weight,
+                    sets: [],
+                    backOffAdded: false,
+                    next: LiveSession.firstSet(ex)
+                }))
+        };
+    }
+
+    static firstSet(exercise) {
+        return { setNumber: 1, weight: exercise.weight, reps: exercise.reps, rpeTarget: exercise.rpeTarget, isBackOff: false };
+    }
+
+    /**
+     * Logs one set and prescribes the next one for the same exercise.
+     * @param {Object} session - Live session record (mutated)
+     * @param {string} exerciseId
+     * @param {Object} set - { weight, reps, rpe, clientId, loggedAt } - clientId and loggedAt are optional
+     * @returns {Object} { exercise, next, adjustmentType, explanation, duplicate, reordered }
+     * @throws {Error} For unknown exercises, and for closed sessions unless the set was logged before the close
+     */
+    static logSet(session, exerciseId, set) {
+        const exercise = session.exercises.find(ex => ex.exerciseId === exerciseId);
+        if (!exercise) {
+            throw new Error(`Exercise "${exerciseId}" is not part of this session`);
+        }
+
+        const loggedAt = new Date(set.loggedAt || Date.now()).toISOString();
+        if (session.status !== 'active' && !LiveSession.belongsToClosed(session, loggedAt)) {
+            throw new Error('Session is already closed');
+        }
+
+        if (set.clientId && exercise.sets.some(s => s.clientId === set.clientId)) {
+            const current = { exercise, next: exercise.next, adjustmentType: null, explanation: null };
+            return { ...current, duplicate: true, reordered: false };
+        }
+
+        const entry = { weight: set.weight, reps: set.reps, rpe: set.rpe, clientId: set.clientId || null, loggedAt };
+        const last = exercise.sets[exercise.sets.length - 1];
+        if (last && loggedAt < last.loggedAt) {
+            // Logged before sets the server already has: slot it in and prescribe the rest again
+            const sets = [...exercise.sets, entry].sort((a, b) => a.loggedAt.localeCompare(b.loggedAt));
+            return { ...LiveSession.replay(session, exercise, sets), duplicate: false, reordered: true };
+        }
+        return { ...LiveSession.applySet(session, exercise, entry), duplicate: false, reordered: false };
+    }
+
+    /**
+     * A closed session still takes sets stamped before its close (queued offline while the close
+     * reached the server from somewhere else); anything later is a conflict.
+     * @param {Object} session
+     * @param {string} loggedAt - ISO timestamp
+     * @returns {boolean}
+     */
+    static belongsToClosed(session, loggedAt) {
+        return Boolean(session.closedAt) && loggedAt <= session.closedAt;
+    }
+
+    /**
+     * Re-logs an exercise's sets in order, so set numbers, back-off sets and the next prescription
+     * come out as if they had arrived in that order.
+     * @param {Object} session
+     * @param {Object} exercise - Mutated
+     * @param {Array<Object>} sets - { weight, reps, rpe, clientId, loggedAt }
+     * @returns {Object} Result of the last set
+     */
+    static replay(session, exercise, sets) {
+        exercise.sets = [];
+        exercise.backOffAdded = false;
+        exercise.next = LiveSession.firstSet(exercise);
+        return sets.reduce((result, set) => LiveSession.applySet(session, exercise, set), null);
+    }
+
+    static applySet(session, exercise, { weight, reps, rpe, clientId = null, loggedAt }) {
+        const exerciseId = exercise.exerciseId;
+        const isBackOff = Boolean(exercise.next && exercise.next.isBackOff);
+        const logged = {
+            setNumber: exercise.sets.length + 1,
+            weight,
+            reps,
+            rpe,
+            isBackOff,
+            clientId,
+            loggedAt
+        };
+        exercise.sets.push(logged);
+
+        const workingSetsDone = exercise.sets.filter(s => !s.isBackOff).length;
+        const adjustment = Autoregulator.adjustNextSet(logged, exercise.reps, exercise.rpeTarget, session.plateIncrement);
+        const context = {
+            exerciseId,
+            exercise: exercise.name,
+            targetReps: exercise.reps,
+            targetRpe: exercise.rpeTarget,
+            setNumber: logged.setNumber + 1,
+            units: session.units,
+            before: { weight, reps, rpe },
+            after: { weight: adjustment.newWeight }
+        };
+
+        // More planned sets to go: carry the adjusted load into the next one
+        if (workingSetsDone < exercise.plannedSets && !isBackOff) {
+            exercise.next = {
+                setNumber: logged.setNumber + 1,
+                weight: adjustment.newWeight,
+                reps: exercise.reps,
+                rpeTarget: exercise.rpeTarget,
+                isBackOff: false
+            };
+            const type = adjustment.adjustmentType === 'MAINTENANCE' ? 'SET_ON_TARGET' : `SET_${adjustment.adjustmentType}`;
+            return LiveSession.result(exercise, type, context);
+        }
+
+        // Last planned set came up short: one lighter back-off set to make up the missed reps
+        if (!isBackOff && !exercise.backOffAdded && reps < exercise.reps && weight > 0) {
+            const backOffWeight = Math.min(
+                adjustment.newWeight,
+                Autoregulator.roundToPlates(weight * BACK_OFF_FACTOR, session.plateIncrement)
+            );
+            exercise.backOffAdded = true;
+            exercise.next = {
+                setNumber: logged.setNumber + 1,
+                weight: backOffWeight,
+                reps: exercise.reps,
+                rpeTarget: exercise.rpeTarget,
+                isBackOff: true
+            };
+            return LiveSession.result(exercise, 'BACK_OFF_SET', { ...context, after: { weight: backOffWeight } });
+        }
+
+        exercise.next = null;
+        return LiveSession.result(exercise, 'EXERCISE_COMPLETE', {
+            ...context,
+            setsDone: exercise.sets.length,
+            after: null
+        });
+    }
+
+    static result(exercise, adjustmentType, context) {
+        return {
+            exercise,
+            next: exercise.next,
+            adjustmentType,
+            explanation: TransparencyService.explain(adjustmentType, context)
+        };
+    }
+
+    /**
+     * Collapses logged sets into the engine's per-exercise performance format.
+     * The heaviest working weight is the reference; reps and RPE are averaged over the sets done with it.
+     * @param {Object} session - Live session record
+     * @returns {Array<ExercisePerformance>}
+     */
+    static toPerformances(session) {
+        return session.exercises
+            .filter(ex => ex.sets.length > 0)
+            .map(ex => {
+                const working = ex.sets.some(s => !s.isBackOff) ? ex.sets.filter(s => !s.isBackOff) : ex.sets;
+                const topWeight = Math.max(...working.map(s => s.weight));
+                const topSets = working.filter(s => s.weight === topWeight);
+                const average = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+                return new ExercisePerformance(
+                    ex.exerciseId,
+                    topWeight,
+                    Math.round(average(topSets.map(s => s.reps))),
+                    ex.sets.length,
+                    Math.round(average(topSets.map(s => s.rpe)) * 2) / 2
+                );
+            });
+    }
+
+    /**
+     * The workout as performed, for the session history.
+     * @param {Object} session - Live session record
+     * @returns {Workout}
+     */
+    static toWorkout(session) {
+        return new Workout(
+            session.workoutId,
+            session.userId,
+            session.name,
+            session.exercises.map(ex => {
+                const exercise = new Exercise(
+                    ex.exerciseId, ex.name, ex.type, ex.muscleGroups, ex.weight, ex.plannedSets, ex.reps, ex.rpeTarget
+                );
+                if (ex.substitutedFor) exercise.substitutedFor = ex.substitutedFor;
+                return exercise;
+            }),
+            new Date(session.startedAt)
+        );
+    }
+}
+
+module.exports = LiveSession;
@@ -0,0 +1,66 @@
+/**
+ * llm_adapter.js
+ * Optional language-model backend for the coaching assistant (see assistant.js).
+ * The assistant answers from rules and the knowledge base on its own; with an adapter it hands the
+ * facts it found to the model and lets it phrase the reply. Any object with an async
+ * complete({ system, prompt }) method works: set FITAURA_LLM_ADAPTER to a module exporting one
+ * (or a class to construct) to plug in a hosted or local model.
+ */
+
+const path = require('path');
+
+class LlmAdapter {
+    /**
+     * @param {Object} request - { system, prompt }: instructions and the question with its facts
+     * @returns {Promise<string>} The reply
+     */
+    async complete(request) {
+        throw new Error(`${this.constructor.name} does not implement complete()`);
+    }
+
+    /**
+     * Loads the adapter a module exports: an instance, or a class constructed without arguments.
+     * @param {string} modulePath - Relative paths resolve from the working directory
+     * @returns {Object} Adapter with complete()
+     * @throws {Error} If the module exports neither
+     */
+    static load(modulePath) {
+        const exported = require(path.resolve(modulePath));
+        const adapter = typeof exported === 'function' ? new exported() : exported;
+        if (!adapter || typeof adapter.complete !== 'function') {
+            throw new Error(`${modulePath} does not export an LLM adapter with complete()`);
+        }
+        return adapter;
+    }
+
+    /**
+     * @returns {Object|null} The adapter FITAURA_LLM_ADAPTER names, null when unset
+     */
+    static fromEnv() {
+        const modulePath = process.env.FITAURA_LLM_ADAPTER;
+        return modulePath ? LlmAdapter.load(modulePath) : null;
+    }
+}
+
+/**
+ * Canned replies for tests and local development: records every request and answers with a fixed
+ * string or whatever reply(request) returns. Pass an Error as the reply to simulate an outage.
+ */
+class StubLlmAdapter extends LlmAdapter {
+    /**
+     * @param {string|Function|Error} reply
+     */
+    constructor(reply = request => `[stub] ${request.prompt}`) {
+        super();
+        this.reply = reply;
+        this.requests = [];
+    }
+
+    async complete(request) {
+        this.requests.push(request);
+        if (this.reply instanceof Error) throw this.reply;
+        return typeof this.reply === 'function' ? this.reply(request) : this.reply;
+    }
+}
+
+module.exports = { LlmAdapter, StubLlmAdapter };
@@ -10,12 +10,22 @@ class User {
      * @param {string} name - User's name
      * @param {Object} trainingMaxes - Map of exercise IDs to 1RM (e.g., { 'sq01': 100 })
      * @param {Array<string>} injuryHistory - List of past injuries
+     * @param {string} units - "kg" or "lb"; all weights for this user are in these units
+     * @param {number} plateIncrement - Smallest loadable jump (defaults to 2.5kg / 5lb)
+     * @param {Object} volumeLandmarks - Per-muscle overrides of volume_landmarks.json (e.g. { chest: { mev: 12 } })
+     * @param {string} goal - "hypertrophy", "strength", "fat_loss" or "powerlifting" (see goals.js); null trains the plan as written
+     * @param {string} meetDate - ISO date of the next powerlifting meet, for peaking (optional)
      */
-    constructor(id, name, trainingMaxes = {}, injuryHistory = []) {
+    constructor(id, name, trainingMaxes = {}, injuryHistory = [], units = 'kg', plateIncrement = null, volumeLandmarks = {}, goal = null, meetDate = null) {
         this.id = id;
         this.name = name;
         this.trainingMaxes = trainingMaxes;
         this.injuryHistory = injuryHistory;
+        this.units = units;
+        this.plateIncrement = plateIncrement || (units === 'lb' ? 5 : 2.5);
+        this.volumeLandmarks = volumeLandmarks;
+        this.goal = goal;
+        this.meetDate = meetDate;
     }
 }
 
@@ -25,7 +35,7 @@ class Exercise {
      * @param {string} name - Exercise name (e.g., "Barbell Squat")
      * @param {string} type - "compound" or "isolation"
      * @param {Array<string>} muscleGroups - Target muscles (e.g., ["quads", "glutes"])
-     * @param {number} weight - Weight in kg
+     * @param {number} weight - Weight in the user's units (kg by default)
      * @param {number} sets - Number of sets
      * @param {number} reps - Target reps per set
      * @param {number} rpeTarget - Target RPE (optional)
@@ -61,16 +71,18 @@ class Workout {
 
 class Feedback {
     /**
-     * @param {number} sleepQuality - 1-5 scale (1: Poor, 5: Excellent)
+     * @param {number} sleepQuality - 1-5 scale (1: Poor, 5: Excellent), null if not rated
      * @param {number} soreness - 1-5 scale (1: None, 5: Extreme)
      * @param {string} stressLevel - "Low", "Medium", "High"
      * @param {Array<string>} painFlags - List of body parts with pain (e.g., ["left_knee"])
+     * @param {number} sleepHours - Hours slept (0-24), null if not reported
      */
-    constructor(sleepQuality, soreness, stressLevel, painFlags = []) {
+    constructor(sleepQuality, soreness, stressLevel, painFlags = [], sleepHours = null) {
         this.sleepQuality = sleepQuality;
         this.soreness = soreness;
         this.stressLevel = stressLevel;
         this.painFlags = painFlags;
+        this.sleepHours = sleepHours;
     }
 }
 
@@ -91,4 +103,25 @@ class ExercisePerformance {
     }
 }
 
-module.exports = { User, Exercise, Workout, Feedback, ExercisePerformance };
+class Mesocycle {
+    /**
+     * @param {string} id - Unique mesocycle ID
+     * @param {string} userId - ID of the user
+     * @param {string} model - "linear", "undulating" or "block"
+     * @param {Date} startDate - First day of week 1
+     * @param {Array<Object>} weeks - Weekly targets ({ week, phase, isDeload, days: [...] })
+     * @param {Object} trainingMaxes - Snapshot of the user's 1RMs the block was built from
+     * @param {Array<Object>} readinessLog - Daily readiness scores ({ date, score }), one per day, oldest first
+     */
+    constructor(id, userId, model, startDate, weeks = [], trainingMaxes = {}, readinessLog = []) {
+        this.id = id;
+        this.userId = userId;
+        this.model = model;
+        this.startDate = startDate;
+        this.weeks = weeks;
+        this.trainingMaxes = trainingMaxes;
+        this.readinessLog = readinessLog;
+    }
+}
+
+module.exports = { User, Exercise, Workout, Feedback, ExercisePerformance, Mesocycle };
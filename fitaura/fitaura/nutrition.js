@@ -0,0 +1,240 @@
+/**
+ * nutrition.js
+ * Calorie and macro targets, meal plans scaled to hit them, and daily meal-log totals.
+ * Training days get extra carbs (and the calories that come with them) for the working
+ * sets the engine prescribed that day.
+ */
+
+const FoodDatabase = require('./food_database');
+
+const GOALS = ['fat_loss', 'muscle_gain', 'strength'];
+
+// Daily calories on top of TDEE, and protein in g per kg of body weight
+const GOAL_CALORIES = { fat_loss: -500, muscle_gain: 300, strength: 0 };
+const PROTEIN_PER_KG = { fat_loss: 2.2, muscle_gain: 1.8, strength: 1.8 };
+const FAT_SHARE = 0.25; // of rest-day calories
+
+// Training days: carbs per prescribed working set, per kg of body weight (capped)
+const TRAINING_DAY = { carbsPerSetPerKg: 0.1, maxCarbsPerKg: 2 };
+
+// Portions are scaled within these bounds and rounded to half servings
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 4;
+
+// Plans more than this many grams short of the protein target get whey in the snack (up to 2 scoops)
+const WHEY_SHORTFALL = 20;
+
+/**
+ * Meal templates by preference. Item roles decide how a plan is scaled:
+ * "protein" portions and "base" portions are scaled separately so the day hits both the
+ * calorie and the protein target; "fixed" portions never change.
+ */
+const MEALS = {
+    veg: [
+        { type: 'Breakfast', tag: 'Start', description: 'Start with casein protein & healthy fats.', items: [['paneer_paratha', 2, 'base'], ['curd', 1, 'protein']] },
+        { type: 'Lunch', tag: 'Power', description: 'Complete amino profile with grains + lentils.', items: [['dal_makhani', 1, 'protein'], ['roti', 2, 'base'], ['salad', 1, 'fixed']] },
+        { type: 'Dinner', tag: 'Recovery', description: 'Light, high protein source for night.', items: [['soya_chunks', 1, 'protein'], ['roti', 1, 'base']] }
+    ],
+    egg: [
+        { type: 'Breakfast', tag: 'Start', description: 'Bioavailable protein to kickstart metabolism.', items: [['whole_egg', 3, 'protein'], ['toast', 1, 'base']] },
+        { type: 'Lunch', tag: 'Power', description: 'Moderate carbs for energy.', items: [['egg_curry', 1, 'protein'], ['jeera_rice', 1, 'base']] },
+        { type: 'Dinner', tag: 'Recovery', description: 'Low carb high protein.', items: [['egg_bhurji', 1, 'protein'], ['roti', 1, 'base'], ['salad', 1, 'fixed']] }
+    ],
+    non_veg: [
+        { type: 'Breakfast', tag: 'Start', description: 'Lean protein breakfast.', items: [['chicken_sausage', 2, 'protein'], ['toast', 2, 'base']] },
+        { type: 'Lunch', tag: 'Power', description: 'Staple muscle building meal.', items: [['chicken_curry', 1, 'protein'], ['roti', 2, 'base']] },
+        { type: 'Dinner', tag: 'Recovery', description: 'Pure protein source, minimal carbs.', items: [['grilled_fish', 1, 'protein'], ['rice_basmati', 1, 'base'], ['salad', 1, 'fixed']] }
+    ]
+};
+
+// Goes between lunch and dinner
+const SNACKS = {
+    muscle_gain: { type: 'Pre-Workout / Snack', tag: 'Fuel', description: 'Calorie dense liquid nutrition.', items: [['milk', 1, 'protein'], ['banana', 1, 'base'], ['peanut_butter', 1, 'base']] },
+    default: { type: 'Pre-Workout / Snack', tag: 'Fuel', description: 'Low calorie hunger killer.', items: [['green_tea', 1, 'fixed'], ['roasted_chana', 1, 'protein']] }
+};
+
+class NutritionPlanner {
+    /**
+     * Daily targets from body stats (Mifflin-St Jeor BMR × activity, adjusted for the goal).
+     * Protein is set per kg of body weight and fat as a share of calories; carbs fill the rest.
+     * @param {Object} profile - { age, gender, heightCm, weightKg, activity, goal }
+     * @param {number} trainingSets - Working sets prescribed for the day (0 on rest days)
+     * @returns {Object} { bmi, bmiStatus, bmr, tdee, calories, protein, carbs, fat, training: { sets, extraCarbs, extraCalories } }
+     */
+    static targets(profile, trainingSets = 0) {
+        const { age, gender, heightCm, weightKg, activity } = profile;
+        const goal = GOALS.includes(profile.goal) ? profile.goal : 'strength';
+
+        const bmi = weightKg / Math.pow(heightCm / 100, 2);
+        const bmr = 10 * weightKg + 6.25 * heightCm - 5 * age + (gender === 'male' ? 5 : -161);
+        const tdee = bmr * activity;
+        const restDayCalories = tdee + GOAL_CALORIES[goal];
+
+        const protein = Math.round(weightKg * PROTEIN_PER_KG[goal]);
+        const fat = Math.round(restDayCalories * FAT_SHARE / 9);
+        const restDayCarbs = Math.max(0, Math.round((restDayCalories - protein * 4 - fat * 9) / 4));
+        const extraCarbs = Math.round(Math.min(
+            trainingSets * TRAINING_DAY.carbsPerSetPerKg * weightKg,
+            TRAINING_DAY.maxCarbsPerKg * weightKg
+        ));
+
+        return {
+            bmi: Math.round(bmi * 10) / 10,
+            bmiStatus: NutritionPlanner.bmiStatus(bmi),
+            bmr: Math.round(bmr),
+            tdee: Math.round(tdee),
+            calories: Math.round(restDayCalories) + extraCarbs * 4,
+            protein,
+            carbs: restDayCarbs + extraCarbs,
+            fat,
+            training: { sets: trainingSets, extraCarbs, extraCalories: extraCarbs * 4 }
+        };
+    }
+
+    static bmiStatus(bmi) {
+        if (bmi < 18.5) return 'Underweight';
+        if (bmi < 25) return 'Healthy';
+        if (bmi < 30) return 'Overweight';
+        return 'Obese';
+    }
+
+    /**
+     * A day of meals for a preference and goal, with portions scaled to the calorie and protein targets.
+     * Protein and base portions get one scale factor each (solved together, then bounded to 0.5-4× and
+     * rounded to half servings), so the result can miss a target the foods can't reach. Plans well short
+     * of the protein target get whey in the snack.
+     * @param {Object} targets - From targets()
+     * @param {string} preference - "veg", "egg" or "non_veg"
+     * @param {string} goal - Picks the snack
+     * @returns {Object} { meals: [{ type, tag, description, items, totals }], totals }
+     */
+    static mealPlan(targets, preference = 'veg', goal = null) {
+        const [breakfast, lunch, dinner] = MEALS[preference] || MEALS.veg;
+        const snack = SNACKS[goal] || SNACKS.default;
+        // A bulk needs the calories: ghee on the lunch carbs
+        const lunchItems = goal === 'muscle_gain' ? [...lunch.items, ['ghee', 1, 'base']] : lunch.items;
+        const templates = [breakfast, { ...lunch, items: lunchItems }, snack, dinner];
+
+        const plan = NutritionPlanner.scalePlan(templates, targets);
+        const shortfall = targets.protein - plan.totals.protein;
+        if (shortfall <= WHEY_SHORTFALL) return plan;
+
+        const scoops = Math.min(2, Math.max(1, Math.round(shortfall / FoodDatabase.get('whey').protein)));
+        templates[2] = { ...snack, items: [...snack.items, ['whey', scoops, 'fixed']] };
+        return NutritionPlanner.scalePlan(templates, targets);
+    }
+
+    /**
+     * @param {Array<Object>} templates - Meals with [foodId, servings, role] items
+     * @param {Object} targets - { calories, protein }
+     * @returns {Object} { meals, totals }
+     */
+    static scalePlan(templates, targets) {
+        const sums = { protein: { protein: 0, calories: 0 }, base: { protein: 0, calories: 0 }, fixed: { protein: 0, calories: 0 } };
+        templates.forEach(meal => meal.items.forEach(([foodId, servings, role]) => {
+            const food = FoodDatabase.get(foodId);
+            sums[role].protein += food.protein * servings;
+            sums[role].calories += food.calories * servings;
+        }));
+
+        const scales = NutritionPlanner.solveScales(sums, targets);
+        const meals = templates.map(meal => {
+            const items = meal.items.map(([foodId, servings, role]) => {
+                const scaled = role === 'fixed' ? servings : Math.max(0.5, Math.round(servings * scales[role] * 2) / 2);
+                return NutritionPlanner.portion(FoodDatabase.get(foodId), scaled);
+            });
+            return { type: meal.type, tag: meal.tag, description: meal.description, items, totals: NutritionPlanner.sum(items) };
+        });
+
+        return { meals, totals: NutritionPlanner.sum(meals.map(meal => meal.totals)) };
+    }
+
+    /**
+     * Scale factors for the protein and base portions: solves
+     *   a·P(protein) + b·P(base) = protein target,  a·kcal(protein) + b·kcal(base) = calorie target
+     * falling back to one shared factor when the system has no useful solution.
+     * @param {Object} sums - Protein and calories per role at template portions
+     * @param {Object} targets - { calories, protein }
+     * @returns {Object} { protein, base }
+     */
+    static solveScales(sums, targets) {
+        const protein = targets.protein - sums.fixed.protein;
+        const calories = targets.calories - sums.fixed.calories;
+        const bound = value => Math.min(MAX_SCALE, Math.max(MIN_SCALE, value));
+        const shared = bound(calories / (sums.protein.calories + sums.base.calories));
+
+        const det = sums.protein.protein * sums.base.calories - sums.base.protein * sums.protein.calories;
+        if (Math.abs(det) < 1e-6) return { protein: shared, base: shared };
+
+        const a = (protein * sums.base.calories - sums.base.protein * calories) / det;
+        const b = (sums.protein.protein * calories - protein * sums.protein.calories) / det;
+        if (!(a > 0 && b > 0)) return { protein: shared, base: shared };
+        return { protein: bound(a), base: bound(b) };
+    }
+
+    /**
+     * @param {Object} food
+     * @param {number} servings
+     * @returns {Object} { foodId, name, serving, servings, calories, protein, carbs, fat }
+     */
+    static portion(food, servings) {
+        const scale = value => Math.round(value * servings * 10) / 10;
+        return {
+            foodId: food.id,
+            name: food.name,
+            serving: food.serving,
+            servings,
+            calories: Math.round(food.calories * servings),
+            protein: scale(food.protein),
+            carbs: scale(food.carbs),
+            fat: scale(food.fat)
+        };
+    }
+
+    /**
+     * @param {Array<Object>} items - { calories, protein, carbs, fat }
+     * @returns {Object} Totals, rounded like portion()
+     */
+    static sum(items) {
+        const total = key => Math.round(items.reduce((sum, item) => sum + item[key], 0) * 10) / 10;
+        return { calories: Math.round(total('calories')), protein: total('protein'), carbs: total('carbs'), fat: total('fat') };
+    }
+
+    /**
+     * A built-in food, or one of the user's own.
+     * @param {string} foodId
+     * @param {Array<Object>} customFoods
+     * @returns {Object|null}
+     */
+    static resolveFood(foodId, customFoods = []) {
+        return FoodDatabase.get(foodId) || customFoods.find(food => food.id === foodId) || null;
+    }
+
+    /**
+     * Logged meals for a day with their macros, against the day's targets.
+     * @param {Array<Object>} entries - Meal log entries ({ id, foodId, servings, meal })
+     * @param {Object} targets - From targets() (optional)
+     * @param {Array<Object>} customFoods
+     * @returns {Object} { entries, totals, remaining } - remaining is null without targets
+     */
+    static daySummary(entries, targets = null, customFoods = []) {
+        const logged = entries.map(entry => {
+            const food = NutritionPlanner.resolveFood(entry.foodId, customFoods);
+            const portion = food ? NutritionPlanner.portion(food, entry.servings) : { name: entry.foodId, calories: 0, protein: 0, carbs: 0, fat: 0 };
+            return { id: entry.id, meal: entry.meal, ...portion };
+        });
+        const totals = NutritionPlanner.sum(logged);
+
+        const remaining = targets && ['calories', 'protein', 'carbs', 'fat'].reduce((left, key) => ({
+            ...left,
+            [key]: Math.round((targets[key] - totals[key]) * 10) / 10
+        }), {});
+        return { entries: logged, totals, remaining: remaining || null };
+    }
+}
+
+NutritionPlanner.GOALS = GOALS;
+NutritionPlanner.MEAL_TYPES = ['breakfast', 'lunch', 'snack', 'dinner'];
+NutritionPlanner.TRAINING_DAY = TRAINING_DAY;
+
+module.exports = NutritionPlanner;
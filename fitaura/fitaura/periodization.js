@@ -0,0 +1,254 @@
+/**
+ * periodization.js
+ * Builds multi-week training blocks (mesocycles) and resolves the targets for a given day.
+ * The daily engine applies these targets first, then autoregulates on top of them.
+ */
+
+const { Mesocycle } = require('./models');
+const Autoregulator = require('./autoregulator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+const MODELS = ['linear', 'undulating', 'block'];
+
+// Readiness average over the last few check-ins that pulls a deload forward
+const FATIGUE_WINDOW = 3;
+const FATIGUE_THRESHOLD = 50;
+
+const DELOAD_DAY = { label: 'Deload', intensity: 0.60, reps: 5, rpeTarget: 6, volumeMultiplier: 0.5 };
+
+class PeriodizationPlanner {
+    /**
+     * Creates a mesocycle from the user's training maxes.
+     * @param {User} user - Needs id and trainingMaxes ({ exerciseId: 1RM })
+     * @param {Object} options
+     * @param {string} options.model - "linear", "undulating" or "block"
+     * @param {number} options.weeks - Block length including deloads (4-8)
+     * @param {number} options.deloadEvery - Schedule a deload every N weeks (default: last week only)
+     * @param {Date} options.startDate - First day of week 1
+     * @returns {Mesocycle}
+     */
+    static createMesocycle(user, { model = 'linear', weeks = 4, deloadEvery, startDate = new Date() } = {}) {
+        if (!MODELS.includes(model)) {
+            throw new Error(`Unknown periodization model "${model}". Use one of: ${MODELS.join(', ')}`);
+        }
+        if (!Number.isInteger(weeks) || weeks < 4 || weeks > 8) {
+            throw new Error('A mesocycle must be 4-8 weeks long');
+        }
+
+        const interval = deloadEvery || weeks;
+        const isDeload = week => week % interval === 0;
+        const trainingWeeks = Array.from({ length: weeks }, (_, i) => i + 1).filter(w => !isDeload(w)).length;
+
+        let trainingIndex = 0;
+        let lastDay = null;
+        const plan = [];
+        for (let week = 1; week <= weeks; week++) {
+            if (isDeload(week)) {
+                plan.push(PeriodizationPlanner.deloadWeek(week, lastDay, 'SCHEDULED'));
+                continue;
+            }
+            const progress = trainingWeeks > 1 ? trainingIndex / (trainingWeeks - 1) : 0;
+            const days = PeriodizationPlanner.daysFor(model, progress);
+            plan.push({ week, phase: days[0].phase, isDeload: false, days });
+            lastDay = days[0];
+            trainingIndex++;
+        }
+
+        return new Mesocycle(
+            null,
+            user.id,
+            model,
+            new Date(startDate),
+            plan,
+            { ...(user.trainingMaxes || {}) }
+        );
+    }
+
+    /**
+     * Session templates for one training week.
+     * @param {string} model
+     * @param {number} progress - 0 (first training week) to 1 (last training week)
+     * @returns {Array<Object>} { label, phase, intensity, reps, rpeTarget, volumeMultiplier }
+     */
+    static daysFor(model, progress) {
+        const lerp = (from, to) => from + (to - from) * progress;
+
+        if (model === 'undulating') {
+            // Daily undulation: heavy / moderate / light, all creeping up ~5% over the block
+            const bump = lerp(0, 0.05);
+            return [
+                { label: 'Heavy', phase: 'undulating', intensity: 0.82 + bump, reps: 4, rpeTarget: 8.5, volumeMultiplier: 0.9 },
+                { label: 'Moderate', phase: 'undulating', intensity: 0.72 + bump, reps: 8, rpeTarget: 8, volumeMultiplier: 1.0 },
+                { label: 'Light', phase: 'undulating', intensity: 0.62 + bump, reps: 12, rpeTarget: 7, volumeMultiplier: 1.1 }
+            ].map(PeriodizationPlanner.roundDay);
+        }
+
+        if (model === 'block') {
+            // Accumulation -> transmutation -> realization
+            if (progress < 1 / 3) {
+                const p = progress * 3;
+                return [PeriodizationPlanner.roundDay({
+                    label: 'Accumulation', phase: 'accumulation',
+                    intensity: 0.65 + 0.07 * p, reps: Math.round(10 - 2 * p), rpeTarget: 7, volumeMultiplier: 1.2
+                })];
+            }
+            if (progress < 2 / 3) {
+                const p = (progress - 1 / 3) * 3;
+                return [PeriodizationPlanner.roundDay({
+                    label: 'Transmutation', phase: 'transmutation',
+                    intensity: 0.75 + 0.07 * p, reps: Math.round(6 - p), rpeTarget: 8, volumeMultiplier: 1.0
+                })];
+            }
+            const p = (progress - 2 / 3) * 3;
+            return [PeriodizationPlanner.roundDay({
+                label: 'Realization', phase: 'realization',
+                intensity: 0.85 + 0.07 * p, reps: Math.round(3 - p), rpeTarget: 9, volumeMultiplier: 0.7
+            })];
+        }
+
+        // Linear: intensity up, reps and volume down
+        return [PeriodizationPlanner.roundDay({
+            label: 'Linear', phase: 'linear',
+            intensity: lerp(0.70, 0.85), reps: Math.round(lerp(10, 5)), rpeTarget: lerp(7, 9), volumeMultiplier: lerp(1.0, 0.8)
+        })];
+    }
+
+    static roundDay(day) {
+        return {
+            ...day,
+            intensity: Math.round(day.intensity * 1000) / 1000,
+            rpeTarget: Math.round(day.rpeTarget * 2) / 2,
+            volumeMultiplier: Math.round(day.volumeMultiplier * 100) / 100
+        };
+    }
+
+    /**
+     * @param {number} week - Week number
+     * @param {Object} previousDay - Last training day template, reps are carried over
+     * @param {string} reason - "SCHEDULED" or "FATIGUE"
+     */
+    static deloadWeek(week, previousDay, reason) {
+        const reps = previousDay ? previousDay.reps : DELOAD_DAY.reps;
+        return {
+            week,
+            phase: 'deload',
+            isDeload: true,
+            deloadReason: reason,
+            days: [{ ...DELOAD_DAY, phase: 'deload', reps }]
+        };
+    }
+
+    /**
+     * @param {Mesocycle} mesocycle
+     * @param {Date} date
+     * @returns {number} Zero-based week index, or -1 if the date is outside the block
+     */
+    static weekIndexFor(mesocycle, date = new Date()) {
+        const elapsed = new Date(date) - new Date(mesocycle.startDate);
+        if (elapsed < 0) return -1;
+        const index = Math.floor(elapsed / WEEK_MS);
+        return index < mesocycle.weeks.length ? index : -1;
+    }
+
+    /**
+     * Start of the plan week containing the given date.
+     */
+    static weekStartFor(mesocycle, date = new Date()) {
+        const index = PeriodizationPlanner.weekIndexFor(mesocycle, date);
+        if (index < 0) return null;
+        return new Date(new Date(mesocycle.startDate).getTime() + index * WEEK_MS);
+    }
+
+    /**
+     * Resolves the day template for a date.
+     * @param {Mesocycle} mesocycle
+     * @param {Date} date
+     * @param {number} sessionsThisWeek - Sessions already logged this plan week (rotates undulating days)
+     * @returns {Object|null} { week, totalWeeks, isDeload, deloadReason, day }
+     */
+    static getTargetsFor(mesocycle, date = new Date(), sessionsThisWeek = 0) {
+        const index = PeriodizationPlanner.weekIndexFor(mesocycle, date);
+        if (index < 0) return null;
+
+        const week = mesocycle.weeks[index];
+        return {
+            week: week.week,
+            totalWeeks: mesocycle.weeks.length,
+            isDeload: week.isDeload,
+            deloadReason: week.deloadReason,
+            day: week.days[sessionsThisWeek % week.days.length]
+        };
+    }
+
+    /**
+     * Overwrites a planned workout with the block's targets for the day.
+     * Weight is only prescribed for exercises with a training max; the rest keep the planned weight.
+     * @param {Workout} workout - Cloned planned workout (mutated)
+     * @param {Mesocycle} mesocycle
+     * @param {Object} targets - Result of getTargetsFor
+     * @param {number} increment - Plate increment for rounding
+     * @returns {Workout}
+     */
+    static applyTargets(workout, mesocycle, targets, increment) {
+        const { day } = targets;
+        workout.exercises.forEach(ex => {
+            const trainingMax = mesocycle.trainingMaxes[ex.id];
+            if (trainingMax) {
+                ex.weight = Autoregulator.roundToPlates(trainingMax * day.intensity, increment);
+            }
+            ex.reps = day.reps;
+            ex.rpeTarget = day.rpeTarget;
+            ex.sets = Math.max(1, Math.round(ex.sets * day.volumeMultiplier));
+        });
+        return workout;
+    }
+
+    /**
+     * Records the day's readiness and pulls a deload forward when fatigue has built up.
+     * The current week becomes a deload and the remaining weeks shift back by one.
+     * One entry per day: generating the day's workout again replaces its score instead of
+     * counting as another check-in.
+     * @param {Mesocycle} mesocycle - Mutated
+     * @param {number} readinessScore
+     * @param {Date} date
+     * @returns {boolean} True if a deload was inserted
+     */
+    static registerReadiness(mesocycle, readinessScore, date = new Date()) {
+        const entry = { date: new Date(date).toISOString(), score: readinessScore };
+        const day = entry.date.slice(0, 10);
+        mesocycle.readinessLog = mesocycle.readinessLog
+            .filter(r => new Date(r.date).toISOString().slice(0, 10) !== day)
+            .concat(entry)
+            .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+        const index = PeriodizationPlanner.weekIndexFor(mesocycle, date);
+        if (index < 0 || mesocycle.weeks[index].isDeload) return false;
+
+        // Only count check-ins since the last deload finished
+        let cutoff = new Date(mesocycle.startDate).getTime();
+        for (let i = index - 1; i >= 0; i--) {
+            if (mesocycle.weeks[i].isDeload) {
+                cutoff += (i + 1) * WEEK_MS;
+                break;
+            }
+        }
+        const recent = mesocycle.readinessLog
+            .filter(r => new Date(r.date).getTime() >= cutoff)
+            .slice(-FATIGUE_WINDOW);
+        if (recent.length < FATIGUE_WINDOW) return false;
+
+        const average = recent.reduce((sum, r) => sum + r.score, 0) / recent.length;
+        if (average >= FATIGUE_THRESHOLD) return false;
+
+        const previous = mesocycle.weeks[index].days[0];
+        mesocycle.weeks.splice(index, 0, PeriodizationPlanner.deloadWeek(index + 1, previous, 'FATIGUE'));
+        mesocycle.weeks.forEach((w, i) => { w.week = i + 1; });
+        return true;
+    }
+}
+
+PeriodizationPlanner.MODELS = MODELS;
+
+module.exports = PeriodizationPlanner;
@@ -0,0 +1,218 @@
+/**
+ * programs.js
+ * Program templates (split, weekly schedule, exercise slots, swap rules) and the
+ * planned workout they prescribe for a given date, which the daily engine then adjusts.
+ * Templates can be written as JSON or YAML; see program_templates/ for examples.
+ */
+
+const YAML = require('yaml');
+const { Workout, Exercise } = require('./models');
+const ExerciseLibrary = require('./exercise_library');
+const Autoregulator = require('./autoregulator');
+const { ValidationError } = require('./validation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const SPLITS = ['full_body', 'upper_lower', 'push_pull_legs', 'body_part', 'custom'];
+
+// Training days used when a template only gives daysPerWeek
+const DEFAULT_SCHEDULES = {
+    1: ['mon'],
+    2: ['mon', 'thu'],
+    3: ['mon', 'wed', 'fri'],
+    4: ['mon', 'tue', 'thu', 'fri'],
+    5: ['mon', 'tue', 'wed', 'fri', 'sat'],
+    6: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+    7: WEEKDAYS
+};
+
+class ProgramPlanner {
+    /**
+     * Reads a template from an import body.
+     * @param {string} text - Template source
+     * @param {string} format - "yaml" or "json"
+     * @returns {Object} Parsed (not yet checked) template
+     */
+    static parse(text, format = 'yaml') {
+        try {
+            return format === 'json' ? JSON.parse(text) : YAML.parse(text);
+        } catch (error) {
+            throw new ValidationError([{ field: 'body', message: `must be valid ${format === 'json' ? 'JSON' : 'YAML'}` }]);
+        }
+    }
+
+    /**
+     * @param {Object} program
+     * @returns {string} The template as YAML, ready to re-import
+     */
+    static toYaml(program) {
+        const { name, description, split, daysPerWeek, schedule, days } = program;
+        return YAML.stringify(JSON.parse(JSON.stringify({ name, description, split, daysPerWeek, schedule, days })));
+    }
+
+    /**
+     * Checks what the request schema can't (schedule vs daysPerWeek, unknown exercises)
+     * and fills in defaults. Call after Validator.assert(template, SCHEMAS.programTemplate).
+     * @param {Object} template
+     * @returns {Object} { name, description, split, daysPerWeek, schedule, days }
+     */
+    static normalize(template) {
+        const errors = [];
+        const daysPerWeek = template.daysPerWeek;
+        const schedule = template.schedule || DEFAULT_SCHEDULES[daysPerWeek];
+
+        if (schedule.length !== daysPerWeek) {
+            errors.push({ field: 'schedule', message: `must list ${daysPerWeek} weekdays (daysPerWeek)` });
+        } else if (new Set(schedule).size !== schedule.length) {
+            errors.push({ field: 'schedule', message: 'must not repeat a weekday' });
+        }
+        if (template.days.length === 0) {
+            errors.push({ field: 'days', message: 'must have at least one day' });
+        }
+
+        template.days.forEach((day, d) => {
+            if (day.slots.length === 0) {
+                errors.push({ field: `days[${d}].slots`, message: 'must have at least one exercise' });
+            }
+            day.slots.forEach((slot, s) => {
+                const field = `days[${d}].slots[${s}]`;
+                if (!ExerciseLibrary.get(slot.exerciseId) && !slot.name) {
+                    errors.push({ field: `${field}.name`, message: 'is required for exercises outside the library' });
+                }
+                const unknown = (slot.swaps || []).filter(id => !ExerciseLibrary.get(id));
+                if (unknown.length > 0) {
+                    errors.push({ field: `${field}.swaps`, message: `must be library exercise ids (unknown: ${unknown.join(', ')})` });
+                }
+            });
+        });
+
+        if (errors.length > 0) throw new ValidationError(errors);
+
+        return {
+            name: template.name,
+            description: template.description || '',
+            split: template.split || 'custom',
+            daysPerWeek,
+            schedule: [...schedule].sort((a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b)),
+            days: JSON.parse(JSON.stringify(template.days))
+        };
+    }
+
+    /**
+     * Where a date falls in a running program. Days rotate through the template's
+     * training days in order, so a 2-day template on a 3-day schedule alternates A/B/A, B/A/B.
+     * @param {Object} program - Stored program
+     * @param {Date|string} startDate - When the user started it
+     * @param {Date|string} date
+     * @returns {Object|null} { sessionNumber, dayIndex, day }, or null on rest days and before the start
+     */
+    static dayFor(program, startDate, date) {
+        const start = ProgramPlanner.utcDay(startDate);
+        const today = ProgramPlanner.utcDay(date);
+        const elapsed = Math.round((today - start) / DAY_MS);
+        if (elapsed < 0) return null;
+
+        const isTrainingDay = time => program.schedule.includes(WEEKDAYS[new Date(time).getUTCDay()]);
+        if (!isTrainingDay(today)) return null;
+
+        const fullWeeks = Math.floor(elapsed / 7);
+        let sessions = fullWeeks * program.schedule.length;
+        for (let offset = fullWeeks * 7; offset <= elapsed; offset++) {
+            if (isTrainingDay(start + offset * DAY_MS)) sessions++;
+        }
+
+        const dayIndex = (sessions - 1) % program.days.length;
+        return { sessionNumber: sessions, dayIndex, day: program.days[dayIndex] };
+    }
+
+    /**
+     * @param {Object} program
+     * @param {Date|string} startDate
+     * @param {Date|string} date - Search starts the day after this
+     * @returns {string} YYYY-MM-DD of the next training day
+     */
+    static nextTrainingDate(program, startDate, date) {
+        const from = Math.max(ProgramPlanner.utcDay(date), ProgramPlanner.utcDay(startDate) - DAY_MS);
+        for (let offset = 1; offset <= 7; offset++) {
+            const time = from + offset * DAY_MS;
+            if (ProgramPlanner.dayFor(program, startDate, time)) return ProgramPlanner.isoDay(time);
+        }
+        return null;
+    }
+
+    /**
+     * The workout a program prescribes for a date, as the engine expects it.
+     * Each slot's weight is the user's last logged weight for that exercise, else percentOfMax
+     * of their training max, else the slot's own weight (0 if none).
+     * @param {Object} program - Stored program
+     * @param {Object} assignment - { startDate }
+     * @param {User} user
+     * @param {Date|string} date
+     * @param {Array<ExercisePerformance>} lastPerformances - The user's latest performance per exercise
+     * @returns {Object} { date, restDay, sessionNumber, day, workout, nextTrainingDate }
+     */
+    static plannedWorkout(program, assignment, user, date, lastPerformances = []) {
+        const position = ProgramPlanner.dayFor(program, assignment.startDate, date);
+        if (!position) {
+            return {
+                date: ProgramPlanner.isoDay(date),
+                restDay: true,
+                sessionNumber: null,
+                day: null,
+                workout: null,
+                nextTrainingDate: ProgramPlanner.nextTrainingDate(program, assignment.startDate, date)
+            };
+        }
+
+        const exercises = position.day.slots.map(slot => ProgramPlanner.slotExercise(slot, user, lastPerformances));
+        return {
+            date: ProgramPlanner.isoDay(date),
+            restDay: false,
+            sessionNumber: position.sessionNumber,
+            day: position.day.name,
+            workout: new Workout(`${program.id}/day-${position.dayIndex + 1}`, user.id, position.day.name, exercises, new Date(ProgramPlanner.utcDay(date))),
+            nextTrainingDate: null
+        };
+    }
+
+    static slotExercise(slot, user, lastPerformances) {
+        const entry = ExerciseLibrary.get(slot.exerciseId) || {};
+        const last = lastPerformances.find(p => p.exerciseId === slot.exerciseId);
+        const trainingMax = (user.trainingMaxes || {})[slot.exerciseId];
+
+        let weight = slot.weight || 0;
+        if (last) {
+            weight = last.weight;
+        } else if (slot.percentOfMax && trainingMax) {
+            weight = Autoregulator.roundToPlates(trainingMax * slot.percentOfMax, user.plateIncrement);
+        }
+
+        const exercise = new Exercise(
+            slot.exerciseId,
+            slot.name || entry.name,
+            slot.type || entry.type || 'compound',
+            slot.muscleGroups || entry.muscleGroups || [],
+            weight,
+            slot.sets,
+            slot.reps,
+            slot.rpeTarget || 8
+        );
+        if (slot.swaps && slot.swaps.length > 0) exercise.swaps = [...slot.swaps];
+        return exercise;
+    }
+
+    static utcDay(date) {
+        const d = new Date(date);
+        return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+    }
+
+    static isoDay(date) {
+        return new Date(ProgramPlanner.utcDay(date)).toISOString().slice(0, 10);
+    }
+}
+
+ProgramPlanner.WEEKDAYS = WEEKDAYS;
+ProgramPlanner.SPLITS = SPLITS;
+
+module.exports = ProgramPlanner;
@@ -0,0 +1,237 @@
+/**
+ * offline.js
+ * Offline support shared by the pages: registers the service worker (sw.js), keeps the day's
+ * generated workout in IndexedDB and queues writes (live session starts, set logs, closes) in an
+ * IndexedDB outbox while the server can't be reached. The outbox is replayed in order once the
+ * connection is back; the server resolves conflicts by the timestamps each write carries.
+ *
+ * Pages listen for the "fitaura-sync" event ({ pending, synced, conflicts }) to show sync status.
+ */
+
+const FitauraOffline = (() => {
+    const DB_NAME = 'fitaura';
+    const DB_VERSION = 1;
+    const API_CACHE = 'fitaura-api-v1'; // Same name in sw.js
+
+    if ('serviceWorker' in navigator) {
+        window.addEventListener('load', () => {
+            navigator.serviceWorker.register('/sw.js').catch(error => console.warn('Service worker not registered:', error));
+        });
+    }
+
+    let dbPromise = null;
+
+    function openDb() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('workouts', { keyPath: 'key' });
+                    db.createObjectStore('outbox', { keyPath: 'seq', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+
+    // Runs fn(store) in a transaction and resolves with the request's result once it commits
+    async function withStore(name, mode, fn) {
+        const db = await openDb();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(name, mode);
+            const request = fn(tx.objectStore(name));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    function today() {
+        return new Date().toISOString().slice(0, 10);
+    }
+
+    function authHeaders() {
+        const token = localStorage.getItem('fitauraToken');
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+
+    function notify(detail) {
+        window.dispatchEvent(new CustomEvent('fitaura-sync', { detail }));
+    }
+
+    // --- The day's workout ---
+
+    function saveWorkout(userId, data) {
+        return withStore('workouts', 'readwrite', store => store.put({
+            key: `${userId}:${today()}`,
+            userId,
+            day: today(),
+            data,
+            savedAt: new Date().toISOString()
+        }));
+    }
+
+    async function todaysWorkout(userId) {
+        const record = await withStore('workouts', 'readonly', store => store.get(`${userId}:${today()}`));
+        return record ? record.data : null;
+    }
+
+    // --- Outbox ---
+
+    function pendingCount() {
+        return withStore('outbox', 'readonly', store => store.count());
+    }
+
+    async function enqueue(url, body) {
+        await withStore('outbox', 'readwrite', store => store.add({ url, body, queuedAt: new Date().toISOString() }));
+        notify({ pending: await pendingCount(), synced: 0, conflicts: [] });
+    }
+
+    /**
+     * POSTs JSON, or queues it when the server can't be reached. Anything already waiting in the
+     * outbox goes first, so a set is never sent ahead of the session start it belongs to.
+     * @returns {Promise<Object>} { queued: true } or { queued: false, data }
+     * @throws {Error} With the server's message for rejected requests
+     */
+    async function send(url, body) {
+        if (!navigator.onLine || await pendingCount() > 0) {
+            await enqueue(url, body);
+            sync();
+            return { queued: true };
+        }
+
+        let response;
+        try {
+            response = await post(url, body);
+        } catch (error) {
+            await enqueue(url, body);
+            return { queued: true };
+        }
+        const result = await response.json();
+        if (result.status !== 'success') throw new Error(result.message);
+        return { queued: false, data: result.data };
+    }
+
+    function post(url, body) {
+        return fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...authHeaders() },
+            body: JSON.stringify(body)
+        });
+    }
+
+    let syncing = null;
+
+    /**
+     * Replays the outbox in order. Stops at the first network failure (or a 401: the user has to
+     * log in again) and keeps the rest for the next attempt. Requests the server rejects are
+     * dropped and reported as conflicts: the server's state, decided by timestamp, wins.
+     * @returns {Promise<Object>} { pending, synced, conflicts: [{ url, body, status, message }] }
+     */
+    function sync() {
+        if (!syncing) {
+            syncing = replay().finally(() => { syncing = null; });
+        }
+        return syncing;
+    }
+
+    async function replay() {
+        const entries = await withStore('outbox', 'readonly', store => store.getAll());
+        let synced = 0;
+        const conflicts = [];
+
+        for (const entry of entries) {
+            let response;
+            try {
+                response = await post(entry.url, entry.body);
+            } catch (error) {
+                break;
+            }
+            if (response.status === 401 || response.status >= 500) break;
+
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                conflicts.push({ url: entry.url, body: entry.body, status: response.status, message: result.message });
+            }
+            await withStore('outbox', 'readwrite', store => store.delete(entry.seq));
+            synced++;
+        }
+
+        const detail = { pending: await pendingCount(), synced, conflicts };
+        if (entries.length > 0) notify(detail);
+        return detail;
+    }
+
+    window.addEventListener('online', () => sync());
+    window.addEventListener('load', () => sync());
+
+    // --- Live sessions without a server ---
+
+    /**
+     * A live session as the server would start it, so logging can begin offline.
+     * @param {Object} workout - The generated workout
+     * @param {string} id - Client-chosen session id (sent with the queued start)
+     * @param {string} startedAt - ISO timestamp
+     * @param {string} units - The user's weight units
+     */
+    function localSession(workout, id, startedAt, units = 'kg') {
+        return {
+            id,
+            name: workout.name,
+            status: 'active',
+            units,
+            startedAt,
+            exercises: workout.exercises
+                .filter(ex => ex.sets > 0)
+                .map(ex => ({
+                    exerciseId: ex.id,
+                    name: ex.name,
+                    plannedSets: ex.sets,
+                    reps: ex.reps,
+                    rpeTarget: ex.rpeTarget,
+                    weight: ex.weight,
+                    sets: [],
+                    next: { setNumber: 1, weight: ex.weight, reps: ex.reps, rpeTarget: ex.rpeTarget, isBackOff: false }
+                }))
+        };
+    }
+
+    /**
+     * Next set while offline: the planned weight and reps until the planned sets are done.
+     * The server's autoregulated prescription takes over after the next sync.
+     * @param {Object} exercise - Live session exercise, after the set was pushed to exercise.sets
+     * @returns {Object|null}
+     */
+    function plannedNext(exercise) {
+        if (!exercise.next || exercise.sets.length >= exercise.plannedSets) return null;
+        return { ...exercise.next, setNumber: exercise.sets.length + 1 };
+    }
+
+    function newId() {
+        if (crypto.randomUUID) return crypto.randomUUID();
+        return Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // --- Logout ---
+
+    /**
+     * Forgets everything kept for the logged-in user: the saved workouts, the outbox and the cached
+     * API responses, so the next person on a shared device can't read them offline.
+     */
+    async function clear() {
+        if (dbPromise) {
+            const db = await dbPromise.catch(() => null);
+            if (db) db.close();
+            dbPromise = null;
+        }
+        await new Promise(resolve => {
+            const request = indexedDB.deleteDatabase(DB_NAME);
+            request.onsuccess = request.onerror = request.onblocked = () => resolve();
+        });
+        if ('caches' in window) await caches.delete(API_CACHE);
+    }
+
+    return { saveWorkout, todaysWorkout, send, sync, pendingCount, localSession, plannedNext, newId, clear };
+})();
@@ -0,0 +1,71 @@
+/**
+ * sw.js
+ * Service worker: keeps the pages working without signal.
+ * Pages and scripts are network-first (fresh when online, cached copy offline); images are
+ * cache-first; API GETs fall back to their last response. Writes are never cached here:
+ * pages queue them in IndexedDB (see offline.js) and sync once the connection is back.
+ * API responses belong to the logged-in user, so they live in their own cache, which
+ * FitauraOffline.clear() deletes on logout.
+ */
+
+const CACHE = 'fitaura-v1';
+const API_CACHE = 'fitaura-api-v1'; // Same name in offline.js
+
+const APP_SHELL = [
+    '/',
+    '/index.html',
+    '/prototype.html',
+    '/analytics.html',
+    '/offline.js',
+    '/manifest.webmanifest',
+    '/logo.png'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(APP_SHELL)).then(() => self.skipWaiting()));
+});
+
+// Drop caches from older versions
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => ![CACHE, API_CACHE].includes(key)).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request));
+    } else {
+        event.respondWith(networkFirst(request, url.pathname.startsWith('/api/') ? API_CACHE : CACHE));
+    }
+});
+
+async function networkFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        // Only keep good answers: a 401 must not replace the last good /api/auth/me
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        if (request.mode === 'navigate') return caches.match('/prototype.html');
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+}
@@ -0,0 +1,325 @@
+/**
+ * readiness.js
+ * Daily readiness score (0-100) from weighted, pluggable factors.
+ * Each factor turns one input into a deviation between -1 (very bad) and +1 (very good);
+ * its weight converts that into points. Weights and thresholds default to readiness_config.json
+ * (changes made through the API are stored with the rest of the data), and each user's rolling
+ * history provides a personal baseline to compare against.
+ * Wearable data (see wearables.js) adds objective factors that are only scored against that baseline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ValidationError } = require('./validation');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'readiness_config.json');
+
+const STRESS_LEVELS = { Low: 0, Medium: 1, High: 2 };
+
+const clamp = (value, min = -1, max = 1) => Math.max(min, Math.min(max, value));
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Built-in factor types. A factor type defines:
+ *   input(feedback)                  -> number, or null when not reported
+ *   absolute(value, params)          -> deviation from population norms, or null when there are none
+ *                                       (the factor then only counts once the user has a baseline)
+ *   relative(value, baseline, params) -> deviation from the user's own baseline
+ *   params                           -> the params a config may set: name -> { min, max, above, below }
+ *                                       (above / below are exclusive bounds)
+ */
+const FACTOR_TYPES = {
+    sleepHours: {
+        unit: 'hours',
+        input: feedback => (Number.isFinite(feedback.sleepHours) ? feedback.sleepHours : null),
+        absolute: (hours, { targetHours = 7, range = 2 }) => clamp((hours - targetHours) / range),
+        relative: (hours, baseline, { range = 2 }) => clamp((hours - baseline) / range),
+        params: { targetHours: { min: 0, max: 24 }, range: { above: 0, max: 24 } }
+    },
+    sleepQuality: {
+        unit: '1-5',
+        input: feedback => (Number.isFinite(feedback.sleepQuality) ? feedback.sleepQuality : null),
+        absolute: quality => clamp((quality - 3) / 2),
+        relative: (quality, baseline) => clamp((quality - baseline) / 2),
+        params: {}
+    },
+    soreness: {
+        unit: '1-5',
+        input: feedback => (Number.isFinite(feedback.soreness) ? feedback.soreness : null),
+        // Quadratic: mild soreness barely matters, extreme soreness costs the full weight
+        absolute: (soreness, { normal = 2 }) => -Math.pow(Math.max(0, soreness - normal), 2) / Math.pow(5 - normal, 2),
+        relative: (soreness, baseline) => clamp(-(soreness - baseline) / 3),
+        params: { normal: { min: 1, below: 5 } }
+    },
+    stress: {
+        unit: 'Low/Medium/High',
+        input: feedback => (feedback.stressLevel in STRESS_LEVELS ? STRESS_LEVELS[feedback.stressLevel] : null),
+        absolute: level => -Math.pow(level / 2, 2),
+        relative: (level, baseline) => clamp(-(level - baseline) / 2),
+        params: {}
+    },
+    // Normal resting HR and HRV vary too much between people for a population norm
+    restingHr: {
+        unit: 'bpm',
+        input: feedback => (Number.isFinite(feedback.restingHr) ? feedback.restingHr : null),
+        absolute: null,
+        // range: share of the baseline that costs (or earns) the full weight
+        relative: (bpm, baseline, { range = 0.1 }) => clamp(-(bpm - baseline) / (baseline * range)),
+        params: { range: { above: 0, max: 1 } }
+    },
+    hrv: {
+        unit: 'ms',
+        input: feedback => (Number.isFinite(feedback.hrv) ? feedback.hrv : null),
+        absolute: null,
+        relative: (ms, baseline, { range = 0.25 }) => clamp((ms - baseline) / (baseline * range)),
+        params: { range: { above: 0, max: 1 } }
+    }
+};
+
+// Bounds for the config's baseline settings
+const BASELINE_SETTINGS = {
+    window: { min: 1, max: 365, integer: true },
+    minSamples: { min: 1, max: 365, integer: true },
+    personalWeight: { min: 0, max: 1 }
+};
+
+class ReadinessModel {
+    /**
+     * @param {Object} config - See readiness_config.json ({ base, baseline, factors })
+     */
+    constructor(config = ReadinessModel.loadConfig()) {
+        ReadinessModel.validateConfig(config);
+        this.config = config;
+    }
+
+    /**
+     * The shipped defaults (read-only; runtime changes are stored in the repository).
+     * @param {string} filePath
+     * @returns {Object}
+     */
+    static loadConfig(filePath = process.env.FITAURA_READINESS_CONFIG || DEFAULT_CONFIG_PATH) {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    /**
+     * Throws if a config can't be scored (unknown factor type, missing weight, a param that would
+     * divide by zero...), listing every problem at once.
+     * @param {Object} config
+     * @throws {ValidationError} [{ field, message }], fields as in the config ("factors[0].params.range")
+     */
+    static validateConfig(config) {
+        if (!isObject(config)) {
+            throw new ValidationError([{ field: 'body', message: 'must be a readiness config object' }]);
+        }
+        const errors = [];
+        const check = (field, value, bounds) => {
+            const problem = ReadinessModel.boundsError(value, bounds);
+            if (problem) errors.push({ field, message: problem });
+        };
+
+        check('base', config.base, { min: 0, max: 100 });
+        if (config.baseline !== undefined && !isObject(config.baseline)) {
+            errors.push({ field: 'baseline', message: 'must be an object' });
+        } else {
+            Object.entries(config.baseline || {}).forEach(([name, value]) => {
+                if (!BASELINE_SETTINGS[name]) {
+                    errors.push({ field: `baseline.${name}`, message: `is not a baseline setting. Use one of: ${Object.keys(BASELINE_SETTINGS).join(', ')}` });
+                } else {
+                    check(`baseline.${name}`, value, BASELINE_SETTINGS[name]);
+                }
+            });
+        }
+
+        if (!Array.isArray(config.factors) || config.factors.length === 0) {
+            errors.push({ field: 'factors', message: 'must list at least one factor' });
+        }
+        const ids = new Set();
+        (Array.isArray(config.factors) ? config.factors : []).forEach((factor, i) => {
+            const field = `factors[${i}]`;
+            const type = FACTOR_TYPES[factor && factor.type];
+            if (!type) {
+                errors.push({ field: `${field}.type`, message: `is not a readiness factor type. Use one of: ${Object.keys(FACTOR_TYPES).join(', ')}` });
+                return;
+            }
+            const id = factor.id || factor.type;
+            if (ids.has(id)) errors.push({ field: `${field}.id`, message: `"${id}" is listed twice` });
+            ids.add(id);
+
+            check(`${field}.weight`, factor.weight, { min: 0 });
+            if (factor.bonusWeight !== undefined) check(`${field}.bonusWeight`, factor.bonusWeight, { min: 0 });
+
+            // Factor types registered without a params list take whatever the config gives them
+            if (factor.params === undefined || !type.params) return;
+            if (!isObject(factor.params)) {
+                errors.push({ field: `${field}.params`, message: 'must be an object' });
+                return;
+            }
+            Object.entries(factor.params).forEach(([name, value]) => {
+                if (!type.params[name]) {
+                    const known = Object.keys(type.params);
+                    errors.push({ field: `${field}.params.${name}`, message: `is not a ${factor.type} param${known.length ? `. Use one of: ${known.join(', ')}` : ''}` });
+                } else {
+                    check(`${field}.params.${name}`, value, type.params[name]);
+                }
+            });
+        });
+
+        if (errors.length > 0) throw new ValidationError(errors);
+    }
+
+    /**
+     * @param {*} value
+     * @param {Object} bounds - { min, max, above, below, integer }
+     * @returns {string|null} What's wrong with the value, or null when it's within bounds
+     */
+    static boundsError(value, { min, max, above, below, integer = false }) {
+        const valid = Number.isFinite(value)
+            && (!integer || Number.isInteger(value))
+            && (min === undefined || value >= min)
+            && (max === undefined || value <= max)
+            && (above === undefined || value > above)
+            && (below === undefined || value < below);
+        if (valid) return null;
+
+        const limits = [
+            min !== undefined ? `at least ${min}` : null,
+            above !== undefined ? `above ${above}` : null,
+            max !== undefined ? `at most ${max}` : null,
+            below !== undefined ? `below ${below}` : null
+        ].filter(Boolean);
+        return `must be ${integer ? 'an integer' : 'a number'}${limits.length ? ` ${limits.join(' and ')}` : ''}`;
+    }
+
+    /**
+     * Adds a factor type that configs can reference.
+     * @param {string} type
+     * @param {Object} definition - { unit, input, absolute, relative, params }
+     */
+    static registerFactor(type, definition) {
+        FACTOR_TYPES[type] = definition;
+    }
+
+    /**
+     * Resolves sleep units. Feedback.sleepQuality is a 1-5 rating; older clients sent hours in that
+     * field, so values above 5 without an explicit sleepHours are read as hours.
+     * @param {Feedback} feedback
+     * @returns {Feedback} Copy with sleepHours / sleepQuality in their own fields
+     */
+    static normalizeFeedback(feedback) {
+        const normalized = { ...feedback };
+        if (!Number.isFinite(normalized.sleepHours) && normalized.sleepQuality > 5) {
+            normalized.sleepHours = normalized.sleepQuality;
+            normalized.sleepQuality = null;
+        }
+        return normalized;
+    }
+
+    /**
+     * Combines a check-in with the day's wearable recovery record. Measured sleep replaces
+     * reported sleep hours; resting HR and HRV are added as inputs of their own.
+     * @param {Feedback} feedback
+     * @param {Object} recovery - { sleepHours, restingHr, hrv } (optional, null fields are ignored)
+     * @returns {Object} Feedback-shaped copy
+     */
+    static withRecovery(feedback, recovery = null) {
+        const combined = ReadinessModel.normalizeFeedback(feedback);
+        if (!recovery) return combined;
+        ['sleepHours', 'restingHr', 'hrv'].forEach(field => {
+            if (Number.isFinite(recovery[field])) combined[field] = recovery[field];
+        });
+        return combined;
+    }
+
+    /**
+     * Baseline history from check-ins and recovery records, one entry per day: days with only
+     * wearable data still build the objective baselines.
+     * @param {Array<Object>} checkIns - { day, ...feedback }
+     * @param {Array<Object>} recoveryRecords - { day, sleepHours, restingHr, hrv }
+     * @returns {Array<Object>} Newest first
+     */
+    static mergeHistory(checkIns = [], recoveryRecords = []) {
+        const days = new Map();
+        checkIns.forEach(checkIn => days.set(checkIn.day, { checkIn, recovery: null }));
+        recoveryRecords.forEach(recovery => {
+            const entry = days.get(recovery.day) || { checkIn: { day: recovery.day }, recovery: null };
+            days.set(recovery.day, { ...entry, recovery });
+        });
+        return [...days.values()]
+            .map(({ checkIn, recovery }) => ReadinessModel.withRecovery(checkIn, recovery))
+            .sort((a, b) => b.day.localeCompare(a.day));
+    }
+
+    /**
+     * Per-factor averages over the user's recent check-ins.
+     * @param {Array<Object>} history - Past check-ins (feedback-shaped), newest first
+     * @returns {Object} factorId -> { value, samples }
+     */
+    baselines(history = []) {
+        const { window = 14 } = this.config.baseline || {};
+        const recent = history.slice(0, window).map(ReadinessModel.normalizeFeedback);
+        const result = {};
+        this.config.factors.forEach(factor => {
+            const values = recent
+                .map(entry => FACTOR_TYPES[factor.type].input(entry))
+                .filter(value => value !== null);
+            result[factor.id || factor.type] = {
+                value: values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null,
+                samples: values.length
+            };
+        });
+        return result;
+    }
+
+    /**
+     * Scores a check-in.
+     * @param {Feedback} feedback
+     * @param {Array<Object>} history - Past check-ins for the personal baseline, newest first
+     * @returns {Object} { score, base, breakdown: [{ factor, unit, input, baseline, deviation, contribution }] }
+     */
+    score(feedback, history = []) {
+        const { minSamples = 5, personalWeight = 0.5 } = this.config.baseline || {};
+        const normalized = ReadinessModel.normalizeFeedback(feedback);
+        const baselines = this.baselines(history);
+
+        const breakdown = this.config.factors.map(factor => {
+            const id = factor.id || factor.type;
+            const type = FACTOR_TYPES[factor.type];
+            const params = factor.params || {};
+            const input = type.input(normalized);
+            const baseline = baselines[id];
+
+            if (input === null) {
+                return { factor: id, unit: type.unit, input: null, baseline: baseline.value, deviation: 0, contribution: 0 };
+            }
+
+            const personal = baseline.samples >= minSamples && factor.personalBaseline !== false;
+            let deviation = type.absolute ? type.absolute(input, params) : 0;
+            if (personal && !type.absolute) {
+                deviation = type.relative(input, baseline.value, params);
+            } else if (personal) {
+                deviation = (1 - personalWeight) * deviation + personalWeight * type.relative(input, baseline.value, params);
+            }
+
+            const weight = deviation < 0 ? factor.weight : (factor.bonusWeight !== undefined ? factor.bonusWeight : factor.weight);
+            return {
+                factor: id,
+                unit: type.unit,
+                input,
+                baseline: personal ? Math.round(baseline.value * 10) / 10 : null,
+                deviation: Math.round(deviation * 100) / 100,
+                contribution: Math.round(deviation * weight * 10) / 10
+            };
+        });
+
+        const total = breakdown.reduce((sum, item) => sum + item.contribution, this.config.base);
+        return {
+            score: Math.round(Math.max(0, Math.min(100, total))),
+            base: this.config.base,
+            breakdown
+        };
+    }
+}
+
+ReadinessModel.FACTOR_TYPES = FACTOR_TYPES;
+
+module.exports = ReadinessModel;
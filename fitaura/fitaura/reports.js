@@ -0,0 +1,145 @@
+/**
+ * reports.js
+ * Printable one-page report for a logged session, to share with a physio or coach: what the engine
+ * prescribed that day and why (the stored explanations), the readiness score behind it and what was
+ * actually lifted. The HTML is self-contained (inline styles, no scripts), so it can be saved,
+ * emailed, or printed to PDF from the browser.
+ */
+
+const Autoregulator = require('./autoregulator');
+const ExerciseLibrary = require('./exercise_library');
+const TransparencyService = require('./transparency');
+
+class SessionReport {
+    /**
+     * Gathers a session and what the engine stored for its day.
+     * @param {InMemoryRepository} repository
+     * @param {Object} session - A logged session (repository.getSession)
+     * @param {string} locale - Explanation language
+     * @returns {Object} { session, user, day, readinessScore, checkIn, prescribed, performed, explanations, locale }
+     */
+    static build(repository, session, locale = TransparencyService.DEFAULT_LOCALE) {
+        const day = new Date(session.date).toISOString().slice(0, 10);
+        const prescription = repository.getPrescription(session.userId, day);
+        const checkIn = repository.listCheckIns(session.userId).find(c => c.day === day) || null;
+        const explanations = prescription ? prescription.explanations || [] : [];
+        const nameOf = exerciseId => {
+            const planned = (session.exercises || []).find(ex => ex.id === exerciseId);
+            const entry = ExerciseLibrary.get(exerciseId);
+            return (planned && planned.name) || (entry && entry.name) || exerciseId;
+        };
+
+        return {
+            session,
+            user: repository.getUser(session.userId),
+            day,
+            readinessScore: prescription ? prescription.readinessScore : (checkIn && checkIn.score),
+            checkIn,
+            prescribed: prescription ? prescription.exercises || [] : [],
+            performed: session.performances.map(p => ({
+                ...p,
+                name: nameOf(p.exerciseId),
+                e1rm: p.completedReps ? Math.round(Autoregulator.estimateOneRepMax(p.weight, p.completedReps, p.rpe || 10) * 10) / 10 : null
+            })),
+            explanations: explanations.map(e => ({ ...TransparencyService.localize(e, locale), name: e.exerciseId ? nameOf(e.exerciseId) : null })),
+            locale: TransparencyService.resolveLocale(locale)
+        };
+    }
+
+    /**
+     * @param {Object} report - Result of build()
+     * @returns {string} A complete HTML document
+     */
+    static html(report) {
+        const esc = SessionReport.escape;
+        const say = (key, values) => TransparencyService.phrase('report', key, values, report.locale);
+        const units = (report.user && report.user.units) || 'kg';
+        const title = `${report.session.name || say('workout')}, ${report.day}`;
+        const table = (headers, rows) => rows.length === 0
+            ? `<p class="empty">${esc(say('nothingRecorded'))}</p>`
+            : `<table><thead><tr>${headers.map(h => `<th>${esc(h)}</th>`).join('')}</tr></thead>`
+                + `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${esc(cell)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+
+        const readiness = report.readinessScore === null || report.readinessScore === undefined
+            ? `<p class="empty">${esc(say('noCheckIn'))}</p>`
+            : `<p class="score">${esc(report.readinessScore)}<span>/100</span></p>${SessionReport.checkInLine(report.checkIn, report.locale)}`;
+
+        const explanations = report.explanations.length === 0
+            ? `<p class="empty">${esc(say('noAdjustments'))}</p>`
+            : `<ul class="explanations">${report.explanations.map(e => `<li class="${esc(e.severity)}"><strong>${esc(e.icon)} ${esc(e.title)}`
+                + `${e.name ? ` (${esc(e.name)})` : ''}</strong><br>${esc(e.text)}</li>`).join('')}</ul>`;
+
+        return `<!DOCTYPE html>
+<html lang="${esc(report.locale)}">
+<head>
+<meta charset="UTF-8">
+<title>${esc(title)} | Fitaura</title>
+<style>
+    body { font-family: system-ui, sans-serif; color: #0f172a; max-width: 760px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+    h1 { margin-bottom: 0; }
+    h2 { border-bottom: 2px solid #6366f1; padding-bottom: 0.25rem; margin-top: 2rem; font-size: 1.1rem; }
+    .meta, .empty, .checkin { color: #64748b; }
+    .score { font-size: 2.5rem; font-weight: 700; margin: 0; }
+    .score span { font-size: 1rem; color: #64748b; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 0.4rem; border-bottom: 1px solid #e2e8f0; }
+    .explanations { list-style: none; padding: 0; }
+    .explanations li { border-left: 4px solid #6366f1; padding: 0.25rem 0.75rem; margin-bottom: 0.75rem; }
+    .explanations li.warning { border-color: #f59e0b; }
+    .explanations li.alert { border-color: #ef4444; }
+    .explanations li.success { border-color: #22c55e; }
+    footer { margin-top: 2rem; font-size: 0.8rem; color: #64748b; }
+    @media print { body { margin: 0; } h2 { break-after: avoid; } tr, li { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>${esc(title)}</h1>
+<p class="meta">${esc(report.user ? report.user.name : '')}${report.session.painFlags && report.session.painFlags.length ? ` · ${esc(say('pain', { joints: report.session.painFlags.join(', ') }))}` : ''}</p>
+
+<h2>${esc(say('readiness'))}</h2>
+${readiness}
+
+<h2>${esc(say('prescribed'))}</h2>
+${table([say('exercise'), say('setsReps'), say('weight', { units })], report.prescribed.map(ex => [ex.name || ex.exerciseId, `${ex.sets} × ${ex.reps}`, ex.weight]))}
+
+<h2>${esc(say('explanations'))}</h2>
+${explanations}
+
+<h2>${esc(say('performed'))}</h2>
+${table([say('exercise'), say('setsReps'), say('weight', { units }), say('rpe'), say('e1rm', { units })], report.performed.map(p => [
+            p.name, `${p.completedSets} × ${p.completedReps}`, p.weight, p.rpe === null || p.rpe === undefined ? '' : p.rpe, p.e1rm === null ? '' : p.e1rm
+        ]))}
+
+<footer>${esc(say('footer', { day: new Date().toISOString().slice(0, 10) }))}</footer>
+</body>
+</html>
+`;
+    }
+
+    static checkInLine(checkIn, locale = TransparencyService.DEFAULT_LOCALE) {
+        if (!checkIn) return '';
+        const say = (key, values) => TransparencyService.phrase('report', key, values, locale);
+        const parts = [
+            checkIn.sleepHours !== undefined && checkIn.sleepHours !== null ? say('sleepHours', { hours: checkIn.sleepHours }) : null,
+            checkIn.sleepQuality ? say('sleepQuality', { score: checkIn.sleepQuality }) : null,
+            checkIn.soreness ? say('soreness', { score: checkIn.soreness }) : null,
+            checkIn.stressLevel ? say('stress', { level: checkIn.stressLevel }) : null
+        ].filter(Boolean);
+        return parts.length ? `<p class="checkin">${SessionReport.escape(parts.join(', '))}</p>` : '';
+    }
+
+    /**
+     * @param {*} value
+     * @returns {string} Text safe to put in HTML
+     */
+    static escape(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+module.exports = SessionReport;
@@ -0,0 +1,98 @@
+/**
+ * search_index.js
+ * Okapi BM25 ranking over a small set of text documents (the coaching assistant's knowledge base).
+ * Everything is kept in memory: the corpus is a few dozen short articles, so the index is rebuilt on start.
+ */
+
+// BM25 parameters: term-frequency saturation and document-length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Title terms count this many times, so an article about a topic beats one that mentions it
+const TITLE_WEIGHT = 3;
+
+const STOP_WORDS = new Set([
+    'a', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+    'get', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'many', 'me', 'much', 'my', 'need', 'of', 'on',
+    'or', 'should', 'so', 'some', 'that', 'the', 'there', 'this', 'to', 'was', 'what', 'when', 'which', 'why',
+    'will', 'with', 'you', 'your'
+]);
+
+class SearchIndex {
+    /**
+     * @param {Array<Object>} documents - { id, title, text }
+     */
+    constructor(documents = []) {
+        this.documents = documents.map(doc => {
+            const terms = [
+                ...Array(TITLE_WEIGHT).fill(SearchIndex.tokenize(doc.title || '')).flat(),
+                ...SearchIndex.tokenize(doc.text || '')
+            ];
+            const frequencies = new Map();
+            terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+            return { ...doc, length: terms.length, frequencies };
+        });
+
+        this.averageLength = this.documents.reduce((sum, doc) => sum + doc.length, 0) / (this.documents.length || 1);
+        this.documentFrequency = new Map();
+        this.documents.forEach(doc => doc.frequencies.forEach((count, term) => {
+            this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+        }));
+    }
+
+    /**
+     * Documents ranked by BM25 score against the query; documents sharing no term are left out.
+     * @param {string} query
+     * @param {number} limit
+     * @returns {Array<Object>} { id, title, text, score }, best first
+     */
+    search(query, limit = 3) {
+        const terms = [...new Set(SearchIndex.tokenize(query))];
+        return this.documents
+            .map(doc => ({ doc, score: terms.reduce((sum, term) => sum + this.termScore(doc, term), 0) }))
+            .filter(hit => hit.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ doc, score }) => ({ id: doc.id, title: doc.title, text: doc.text, score: Math.round(score * 1000) / 1000 }));
+    }
+
+    termScore(doc, term) {
+        const tf = doc.frequencies.get(term) || 0;
+        if (tf === 0) return 0;
+
+        const n = this.documentFrequency.get(term);
+        const idf = Math.log(1 + (this.documents.length - n + 0.5) / (n + 0.5));
+        const norm = tf + K1 * (1 - B + B * doc.length / this.averageLength);
+        return idf * tf * (K1 + 1) / norm;
+    }
+
+    /**
+     * Lower-cased word stems without stop words ("Squats" and "squat" are the same term).
+     * @param {string} text
+     * @returns {Array<string>}
+     */
+    static tokenize(text) {
+        return String(text)
+            .toLowerCase()
+            .split(/[^a-z0-9]+/)
+            .filter(word => word && !STOP_WORDS.has(word))
+            .map(SearchIndex.stem);
+    }
+
+    /**
+     * A light suffix stripper: enough to fold plurals and -ing/-ed forms together.
+     * @param {string} word
+     * @returns {string}
+     */
+    static stem(word) {
+        if (word.length <= 2) return word;
+        if (word.endsWith('ies') && word.length > 4) return word.slice(0, -3) + 'y';
+        if (word.endsWith('ie') && word.length > 4) return word.slice(0, -2) + 'y'; // "calorie" and "calories" alike
+        if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+        if (word.endsWith('ed') && word.length > 5) return word.slice(0, -2);
+        if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+        return word;
+    }
+}
+
+module.exports = SearchIndex;
@@ -2,22 +2,382 @@
  * server.js
  * REST API for the Adaptive Training Engine.
  * Exposes endpoints for the frontend to request workout adjustments.
+ * Everything except registration and login needs a bearer token (see auth.js). The food catalogue
+ * and the stateless nutrition calculator are public too, so the diet page works logged out, and so
+ * are the gym's plans, timetable and contact form, which the marketing site (../../index.html) reads.
  */
 
+const path = require('path');
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const { User, Workout, Exercise, Feedback, ExercisePerformance } = require('./models');
 const TrainingEngine = require('./training_engine');
+const PeriodizationPlanner = require('./periodization');
+const LiveSession = require('./live_session');
+const ReadinessModel = require('./readiness');
+const ProgramPlanner = require('./programs');
+const ProgressAnalytics = require('./analytics');
+const GoalProfile = require('./goals');
+const NutritionPlanner = require('./nutrition');
+const FoodDatabase = require('./food_database');
+const WearableImport = require('./wearables');
+const TransparencyService = require('./transparency');
+const CoachingAssistant = require('./assistant');
+const GymSchedule = require('./gym');
+const DataExport = require('./data_export');
+const SessionReport = require('./reports');
+const { LlmAdapter } = require('./llm_adapter');
+const { JsonFileRepository } = require('./storage');
+const { Validator, ValidationError, SCHEMAS } = require('./validation');
+const { AuthService, AuthError } = require('./auth');
 
 const app = express();
 const PORT = 3000;
+const DB_PATH = process.env.FITAURA_DB_PATH || path.join(__dirname, 'data', 'fitaura.json');
 
-app.use(cors());
+// Other sites may only call the API from a browser if they're listed (comma-separated).
+// Requests without an Origin header (the bundled pages, curl) aren't affected.
+const CORS_ORIGINS = (process.env.FITAURA_CORS_ORIGINS || `http://localhost:${PORT}`)
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+app.use(cors({ origin: CORS_ORIGINS }));
+// Data imports (a full export or a years-long training log): parsed here with a higher limit, so the
+// default parsers below skip them
+app.use('/api/users/:userId/import', bodyParser.json({ limit: '20mb' }), bodyParser.text({ type: 'text/csv', limit: '20mb' }));
+// Tracker exports (Apple Health's export.xml runs to tens of MB; FIT/GPX-derived JSON can be large too)
+app.use('/api/users/:userId/recovery/import', bodyParser.json({ limit: '50mb' }), bodyParser.text({ type: ['text/csv', 'application/xml', 'text/xml'], limit: '50mb' }));
 app.use(bodyParser.json());
+app.use(bodyParser.text({ type: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/plain'] })); // Program template imports
 app.use(express.static('public')); // Serve frontend files
 
-const engine = new TrainingEngine();
+// Emails allowed to register front-desk (staff) accounts, comma-separated
+const STAFF_EMAILS = (process.env.FITAURA_STAFF_EMAILS || '')
+    .split(',')
+    .map(email => email.trim())
+    .filter(Boolean);
+
+const repository = new JsonFileRepository(DB_PATH);
+// Readiness scoring changed through PUT /api/readiness/config, else the shipped readiness_config.json
+const engine = new TrainingEngine(repository, new ReadinessModel(repository.getReadinessConfig() || ReadinessModel.loadConfig()));
+const auth = new AuthService(repository, { staffEmails: STAFF_EMAILS });
+const assistant = new CoachingAssistant(engine, { llm: LlmAdapter.fromEnv() });
+
+// A new store starts with the plans and timetable the marketing site has always shown
+GymSchedule.seed(repository);
+
+// Resolves "Authorization: Bearer <token>" to the logged-in account (req.account); 401 otherwise
+function authenticate(req, res, next) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const account = scheme === 'Bearer' && token ? auth.authenticate(token) : null;
+    if (!account) {
+        return sendAuthError(res, new AuthError(401, 'Authentication required'));
+    }
+    req.account = account;
+    req.token = token;
+    next();
+}
+
+function requireRole(role) {
+    return (req, res, next) => {
+        if (req.account.role !== role) {
+            return sendAuthError(res, new AuthError(403, `Only ${role} accounts can do this`));
+        }
+        next();
+    };
+}
+
+// Sets req.userId to the user the request acts on: the one it names (route or body), or the
+// logged-in user when it names none. 403 unless that's the account itself or one of a coach's athletes.
+function authorizeUser(pickUserId) {
+    return (req, res, next) => {
+        const userId = pickUserId(req) || req.account.userId;
+        if (!auth.canAccess(req.account, userId)) {
+            return sendAuthError(res, new AuthError(403, 'Not allowed to access this user'));
+        }
+        req.userId = userId;
+        next();
+    };
+}
+
+function sendAuthError(res, error) {
+    res.status(error.status).json({
+        status: 'error',
+        message: error.message
+    });
+}
+
+// Live sessions of users the caller can't access look the same as missing ones
+function findLiveSession(req) {
+    const session = repository.getLiveSession(req.params.sessionId);
+    return session && auth.canAccess(req.account, session.userId) ? session : null;
+}
+
+// Rejects a request whose body doesn't match the schema with a 400 listing every field problem
+function validateBody(schema) {
+    return (req, res, next) => {
+        const errors = Validator.validate(req.body, schema);
+        if (errors.length > 0) {
+            return sendValidationError(res, new ValidationError(errors));
+        }
+        next();
+    };
+}
+
+function sendValidationError(res, error) {
+    res.status(400).json({
+        status: 'error',
+        message: error.message,
+        errors: error.errors
+    });
+}
+
+// Explanation language: ?locale=es wins over the Accept-Language header
+function localeFor(req) {
+    return TransparencyService.resolveLocale(
+        req.query.locale || req.acceptsLanguages(...TransparencyService.locales()) || TransparencyService.DEFAULT_LOCALE
+    );
+}
+
+// Programs are visible to their owner and, for an athlete, to the athlete's coach's programs
+function findProgram(account, programId) {
+    const program = repository.getProgram(programId);
+    const visible = program && [account.userId, account.coachId].includes(program.ownerId);
+    return visible ? program : null;
+}
+
+// What the user's active program prescribes for a date, or null if no program is running
+function programDay(user, date = new Date()) {
+    const assignment = repository.getActiveProgramAssignment(user.id);
+    const program = assignment && repository.getProgram(assignment.programId);
+    if (!program) return null;
+
+    return {
+        program: { id: program.id, name: program.name, startDate: assignment.startDate },
+        ...ProgramPlanner.plannedWorkout(program, assignment, user, date, repository.getLastPerformances(user.id))
+    };
+}
+
+// Shared ?weeks= and ?period= handling for the analytics routes; sends the 400 and returns null when invalid
+function analyticsOptions(req, res) {
+    const weeks = req.query.weeks !== undefined ? Number(req.query.weeks) : 12;
+    const period = req.query.period || 'week';
+    const errors = [
+        ...Validator.validate(weeks, { type: 'number', integer: true, min: 1, max: 104 }).map(error => ({ ...error, field: 'weeks' })),
+        ...Validator.validate(period, { type: 'string', enum: ProgressAnalytics.PERIODS }).map(error => ({ ...error, field: 'period' }))
+    ];
+    if (errors.length > 0) {
+        sendValidationError(res, new ValidationError(errors));
+        return null;
+    }
+    return { period, since: new Date(Date.now() - weeks * 7 * 24 * 60 * 60 * 1000) };
+}
+
+// Maps a JSON exercise onto the model, keeping the link to the lift it replaced (used by the return-to-training ramp)
+// and its program swap rules
+function toExercise(e) {
+    const exercise = new Exercise(e.id, e.name, e.type, e.muscleGroups, e.weight, e.sets, e.reps, e.rpeTarget);
+    if (e.substitutedFor) exercise.substitutedFor = e.substitutedFor;
+    if (e.swaps) exercise.swaps = e.swaps;
+    return exercise;
+}
+
+// A user's nutrition for a day: targets raised for whatever the engine prescribed that day, a meal plan
+// scaled to them and the meals logged so far. Null without a stored nutrition profile.
+function nutritionDay(userId, day) {
+    const profile = repository.getNutritionProfile(userId);
+    if (!profile) return null;
+
+    const prescription = repository.getPrescription(userId, day);
+    const targets = NutritionPlanner.targets(profile, prescription ? prescription.sets : 0);
+    return {
+        date: day,
+        profile,
+        prescription,
+        targets,
+        plan: NutritionPlanner.mealPlan(targets, profile.preference, profile.goal),
+        meals: NutritionPlanner.daySummary(repository.listMeals(userId, day), targets, repository.listFoods(userId))
+    };
+}
+
+// ?from= and ?date= query parameters
+const DAY_QUERY = { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/, description: 'must be a day (YYYY-MM-DD)' };
+
+// Validates query parameters against schema properties; sends the 400 and returns false when invalid
+function validateQuery(req, res, properties) {
+    const errors = Validator.validate(req.query, { type: 'object', properties });
+    if (errors.length > 0) {
+        sendValidationError(res, new ValidationError(errors));
+        return false;
+    }
+    return true;
+}
+
+// The fields of a plan or class a staff member can set, with their defaults
+function planFields({ name, price, currency = 'USD', interval = 'month', features = [], active = true }) {
+    return { name, price, currency, interval, features, active };
+}
+
+function gymClassFields({ name, weekday, startTime, durationMinutes, room = null, instructor = null, capacity }) {
+    return { name, weekday, startTime, durationMinutes, room, instructor, capacity };
+}
+
+// A booking with the class it's for and, when waitlisted, its place in the queue
+function bookingView(booking) {
+    const gymClass = repository.getGymClass(booking.classId);
+    const sameClass = repository.listClassBookings({ classId: booking.classId, date: booking.date });
+    return {
+        ...booking,
+        class: gymClass && GymSchedule.occurrence(gymClass, booking.date, sameClass),
+        waitlistPosition: GymSchedule.waitlistPosition(booking, sameClass)
+    };
+}
+
+// Moves waitlisted members into free spots of one day's class, first come first served
+function fillFromWaitlist(gymClass, date) {
+    const promoted = GymSchedule.promotions(gymClass, repository.listClassBookings({ classId: gymClass.id, date }));
+    promoted.forEach(booking => repository.saveClassBooking({ ...booking, status: GymSchedule.STATUS.BOOKED, promotedAt: new Date().toISOString() }));
+    return promoted;
+}
+
+// Days from today on which a class has bookings
+function upcomingDates(classId) {
+    const dates = repository.listClassBookings({ classId, from: GymSchedule.localDay() }).map(b => b.date);
+    return [...new Set(dates)];
+}
+
+// Merges the user sent with a request into the stored profile, so trainingMaxes and injuryHistory reach the engine
+function resolveUser(user) {
+    const stored = repository.getUser(user.id);
+    const merged = new User(
+        user.id,
+        user.name || (stored && stored.name) || user.id,
+        user.trainingMaxes || (stored ? stored.trainingMaxes : {}),
+        user.injuryHistory || (stored ? stored.injuryHistory : []),
+        user.units || (stored ? stored.units : 'kg'),
+        user.plateIncrement || (stored && (!user.units || user.units === stored.units) ? stored.plateIncrement : null),
+        user.volumeLandmarks || (stored && stored.volumeLandmarks) || {},
+        user.goal || (stored && stored.goal) || null,
+        user.meetDate || (stored && stored.meetDate) || null
+    );
+    return repository.saveUser(merged);
+}
+
+/**
+ * POST /api/auth/register
+ * Creates an account (and its user profile) and returns a token for it.
+ *
+ * Expected Payload:
+ * { "email": "ana@example.com", "password": "at least 8 chars", "name": "Ana", "role": "athlete" | "coach" | "staff", "units": "kg" | "lb" }
+ * Staff accounts are only for the emails in FITAURA_STAFF_EMAILS.
+ */
+app.post('/api/auth/register', validateBody(SCHEMAS.register), (req, res) => {
+    try {
+        const { account, token, expiresAt } = auth.register(req.body);
+
+        res.status(201).json({
+            status: 'success',
+            data: { user: auth.profile(account), token, expiresAt }
+        });
+
+    } catch (error) {
+        if (error instanceof AuthError) return sendAuthError(res, error);
+        console.error("Error registering:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/auth/login
+ * Exchanges email and password for a token. Send it as "Authorization: Bearer <token>".
+ *
+ * Expected Payload:
+ * { "email": "ana@example.com", "password": "..." }
+ */
+app.post('/api/auth/login', validateBody(SCHEMAS.login), (req, res) => {
+    try {
+        const { account, token, expiresAt } = auth.login(req.body.email, req.body.password);
+
+        res.json({
+            status: 'success',
+            data: { user: auth.profile(account), token, expiresAt }
+        });
+
+    } catch (error) {
+        if (error instanceof AuthError) return sendAuthError(res, error);
+        console.error("Error logging in:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revokes the token the request was made with.
+ */
+app.post('/api/auth/logout', authenticate, (req, res) => {
+    auth.logout(req.token);
+    res.json({
+        status: 'success',
+        data: null
+    });
+});
+
+/**
+ * GET /api/auth/me
+ * The logged-in account's profile.
+ */
+app.get('/api/auth/me', authenticate, (req, res) => {
+    res.json({
+        status: 'success',
+        data: auth.profile(req.account)
+    });
+});
+
+/**
+ * PUT /api/auth/me/coach
+ * Gives a coach access to the logged-in athlete's plans and history. An empty body removes it.
+ *
+ * Expected Payload:
+ * { "coachEmail": "coach@example.com" }
+ */
+app.put('/api/auth/me/coach', authenticate, validateBody(SCHEMAS.assignCoach), (req, res) => {
+    try {
+        const account = auth.assignCoach(req.account, (req.body || {}).coachEmail);
+
+        res.json({
+            status: 'success',
+            data: auth.profile(account)
+        });
+
+    } catch (error) {
+        if (error instanceof AuthError) return sendAuthError(res, error);
+        console.error("Error assigning coach:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/coach/athletes
+ * Athletes who picked the logged-in coach. Coaches act on them by passing their id
+ * (user.id / userId in bodies, :userId in routes).
+ */
+app.get('/api/coach/athletes', authenticate, requireRole(AuthService.ROLES.COACH), (req, res) => {
+    res.json({
+        status: 'success',
+        data: auth.listAthletes(req.account)
+    });
+});
 
 /**
  * POST /api/workout/generate
@@ -25,13 +385,19 @@ const engine = new TrainingEngine();
  * 
  * Expected Payload:
  * {
- *   "user": { ... },
- *   "plannedWorkout": { ... },
- *   "feedback": { sleepQuality: 1-5, soreness: 1-5, stressLevel: "Low/High", painFlags: [] },
+ *   "user": { ... },                       // optional profile fields; "id" only for a coach's athlete
+ *   "plannedWorkout": { ... },             // optional when the user has an active program
+ *   "feedback": { sleepHours: 0-24, sleepQuality: 1-5, soreness: 1-5, stressLevel: "Low/Medium/High", painFlags: [] },
  *   "history": [ { exerciseId, weight, rpe, ... } ]
  * }
+ *
+ * "history" is optional: stored sessions take precedence, and the payload only
+ * fills exercises the user has never logged.
+ *
+ * Explanations come back as { code, severity, exerciseId, before, after, params, locale, icon, title, text },
+ * worded in ?locale= or the Accept-Language header (English by default).
  */
-app.post('/api/workout/generate', (req, res) => {
+app.post('/api/workout/generate', authenticate, validateBody(SCHEMAS.generateWorkout), authorizeUser(req => req.body.user && req.body.user.id), (req, res) => {
     try {
         const { user, plannedWorkout, feedback, history } = req.body;
 
@@ -44,35 +410,49 @@ app.post('/api/workout/generate', (req, res) => {
             feedback.sleepQuality,
             feedback.soreness,
             feedback.stressLevel,
-            feedback.painFlags
+            feedback.painFlags || [],
+            feedback.sleepHours
         );
 
+        const userObj = resolveUser({ ...user, id: req.userId });
+
         // 2. Map Workout
-        // Assuming user sends the full planned workout structure
-        // In a real app, we might fetch this from DB by ID, but here we accept it in payload
-        const workoutObj = new Workout(
-            plannedWorkout.id,
-            plannedWorkout.userId,
-            plannedWorkout.name,
-            plannedWorkout.exercises.map(e => new Exercise(
-                e.id, e.name, e.type, e.muscleGroups, e.weight, e.sets, e.reps, e.rpeTarget
-            ))
-        );
+        // A workout in the payload wins; otherwise today's session from the user's active program
+        let workoutObj;
+        if (plannedWorkout) {
+            workoutObj = new Workout(
+                plannedWorkout.id,
+                plannedWorkout.userId,
+                plannedWorkout.name,
+                plannedWorkout.exercises.map(toExercise)
+            );
+        } else {
+            const today = programDay(userObj);
+            if (!today || today.restDay) {
+                return sendValidationError(res, new ValidationError([{
+                    field: 'plannedWorkout',
+                    message: today ? 'is required on a program rest day' : 'is required when no program is active'
+                }]));
+            }
+            workoutObj = today.workout;
+        }
 
         // 3. Map History
         const historyObjs = history ? history.map(h => new ExercisePerformance(
             h.exerciseId, h.weight, h.completedReps, h.completedSets, h.rpe
         )) : [];
 
-        const userObj = new User(user.id, user.name);
-
         // Run the Engine
         const result = engine.generateDailyWorkout(userObj, workoutObj, feedbackObj, historyObjs);
 
-        // Return result
+        // Return result, with explanations rendered in the caller's language
+        const locale = localeFor(req);
         res.json({
             status: 'success',
-            data: result
+            data: {
+                ...result,
+                explanations: result.explanations.map(e => TransparencyService.localize(e, locale))
+            }
         });
 
     } catch (error) {
@@ -84,7 +464,1673 @@ app.post('/api/workout/generate', (req, res) => {
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`Adaptive Training API running on http://localhost:${PORT}`);
-    console.log(`Endpoint: POST /api/workout/generate`);
+/**
+ * POST /api/sessions
+ * Logs a finished training session.
+ *
+ * Expected Payload:
+ * {
+ *   "userId": "u1",                        // optional, defaults to the logged-in user
+ *   "workout": { id, name, date, exercises: [ ... ] },
+ *   "performances": [ { exerciseId, weight, completedReps, completedSets, rpe } ],
+ *   "painFlags": [ "left_knee" ]
+ * }
+ */
+app.post('/api/sessions', authenticate, validateBody(SCHEMAS.logSession), authorizeUser(req => req.body.userId), (req, res) => {
+    try {
+        const { workout = {}, performances = [], painFlags = [] } = req.body;
+        const userId = req.userId;
+
+        resolveUser({ id: userId });
+
+        const workoutObj = new Workout(
+            workout.id,
+            userId,
+            workout.name,
+            (workout.exercises || []).map(toExercise),
+            workout.date ? new Date(workout.date) : new Date()
+        );
+
+        const performanceObjs = performances.map(p => new ExercisePerformance(
+            p.exerciseId, p.weight, p.completedReps, p.completedSets, p.rpe
+        ));
+
+        const session = repository.logSession(workoutObj, performanceObjs, painFlags);
+
+        res.status(201).json({
+            status: 'success',
+            data: session
+        });
+
+    } catch (error) {
+        console.error("Error logging session:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/users/:userId/sessions?limit=10
+ * Lists a user's past sessions, newest first.
+ */
+app.get('/api/users/:userId/sessions', authenticate, authorizeUser(req => req.params.userId), (req, res) => {
+    try {
+        const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+        const errors = Validator.validate(limit, { type: 'number', integer: true, min: 1, max: 500 })
+            .map(error => ({ ...error, field: 'limit' }));
+        if (errors.length > 0) {
+            return sendValidationError(res, new ValidationError(errors));
+        }
+
+        const sessions = repository.listSessions(req.params.userId, limit);
+
+        res.json({
+            status: 'success',
+            data: sessions
+        });
+
+    } catch (error) {
+        console.error("Error listing sessions:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/users/:userId/sessions/:sessionId/report?locale=es
+ * A printable HTML report of one logged session: the day's prescribed workout, its readiness score
+ * and explanations, and what was lifted. Print it or save it as PDF from the browser to share it.
+ */
+app.get('/api/users/:userId/sessions/:sessionId/report', authenticate, authorizeUser(req => req.params.userId), (req, res) => {
+    try {
+        const session = repository.getSession(req.params.sessionId);
+
+        if (!session || session.userId !== req.userId) {
+            return res.status(404).json({ status: 'error', message: 'Session not found' });
+        }
+
+        res.type('html').send(SessionReport.html(SessionReport.build(repository, session, localeFor(req))));
+
+    } catch (error) {
+        console.error("Error building session report:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/users/:userId/export?format=json|csv&dataset=sessions|workouts
+ * Downloads the user's data. JSON (the default) holds everything and can be imported again; CSV is
+ * one table for spreadsheets: logged exercises (sessions) or the engine's prescriptions (workouts).
+ */
+app.get('/api/users/:userId/export', authenticate, authorizeUser(req => req.params.userId), (req, res) => {
+    try {
+        const format = req.query.format || 'json';
+        const dataset = req.query.dataset || 'sessions';
+        if (!validateQuery(req, res, {
+            format: { type: 'string', enum: ['json', 'csv'] },
+            dataset: { type: 'string', enum: DataExport.DATASETS }
+        })) return;
+
+        const exported = DataExport.build(repository, req.userId);
+        const day = exported.exportedAt.slice(0, 10);
+
+        if (format === 'csv') {
+            res.attachment(`fitaura-${dataset}-${day}.csv`).type('csv').send(DataExport.toCsv(exported, dataset));
+        } else {
+            res.attachment(`fitaura-export-${day}.json`).type('json').send(JSON.stringify(exported, null, 2));
+        }
+
+    } catch (error) {
+        console.error("Error exporting data:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/users/:userId/import?dryRun=true
+ * Merges data into the user's history. Send a JSON export (Content-Type: application/json) or a CSV
+ * training log (text/csv) with date, exercise, weight and reps columns (sets, rpe and workout
+ * optional; one row per exercise or per set). Every record is validated first: any problem is a 400
+ * listing them all and nothing is saved. Records the user already has are skipped. dryRun only counts.
+ */
+app.post('/api/users/:userId/import', authenticate, authorizeUser(req => req.params.userId), (req, res) => {
+    try {
+        if (!validateQuery(req, res, { dryRun: { type: 'string', enum: ['true', 'false'] } })) return;
+        if (req.body === undefined) {
+            return sendValidationError(res, new ValidationError([{ field: 'body', message: 'must be a JSON export or CSV (Content-Type: application/json or text/csv)' }]));
+        }
+
+        const user = resolveUser({ id: req.userId });
+        const dryRun = req.query.dryRun === 'true';
+        const summary = DataExport.merge(repository, req.userId, DataExport.parse(req.body, { units: user.units }), { dryRun });
+
+        res.json({
+            status: 'success',
+            data: { dryRun, ...summary }
+        });
+
+    } catch (error) {
+        if (error instanceof ValidationError) return sendValidationError(res, error);
+        console.error("Error importing data:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/users/:userId/goal
+ * Sets the training goal the engine programs for (rep ranges, RPE targets, progression, rest and
+ * volume cuts; see goals.js). Powerlifters can add a meet date to peak for. An empty body clears both.
+ *
+ * Expected Payload:
+ * { "goal": "hypertrophy" | "strength" | "fat_loss" | "powerlifting", "meetDate": "2024-06-15" }
+ */
+app.put('/api/users/:userId/goal', authenticate, validateBody(SCHEMAS.setGoal), authorizeUser(req => req.params.userId), (req, res) => {
+    try {
+        const { goal = null, meetDate = null } = req.body || {};
+        const user = resolveUser({ id: req.userId });
+        user.goal = goal;
+        user.meetDate = goal === 'powerlifting' ? meetDate : null;
+
+        const saved = repository.saveUser(user);
+        res.json({
+            status: 'success',
+            data: {
+                goal: saved.goal,
+                meetDate: saved.meetDate,
+                profile: GoalProfile.get(saved.goal),
+                peaking: GoalProfile.peakingFor(saved)
+            }
+        });
+
+    } catch (error) {
+        console.error("Error setting goal:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/users/:userId/recovery/import?format=csv
+ * Imports sleep, resting heart rate and HRV from a tracker export and stores one recovery record
+ * per day. Readiness then uses the day's record alongside the check-in (see wearables.js).
+ * The format comes from ?format (csv, json, apple_health), then the Content-Type, then the body.
+ *
+ * Expected Payload (any of):
+ *   text/csv          date,sleep_hours,resting_hr,hrv
+ *                     2024-05-07,7.2,52,68
+ *   application/json  [{ "date": "2024-05-07", "restingHeartRate": 52, "hrvRmssd": 68 },
+ *                      { "type": "sleep", "startTime": "2024-05-06T23:10:00Z", "endTime": "2024-05-07T06:25:00Z" }]
+ *   application/xml   Apple Health export.xml
+ */
+app.post('/api/users/:userId/recovery/import', authenticate, authorizeUser(req => req.params.userId), (req, res) => {
+    try {
+        const errors = Validator.validate(req.query.format, { type: 'string', enum: WearableImport.FORMATS })
+            .map(error => ({ ...error, field: 'format' }));
+        if (errors.length > 0) {
+            return sendValidationError(res, new ValidationError(errors));
+        }
+
+        const format = WearableImport.detectFormat(req.body, req.get('Content-Type'), req.query.format);
+        const { records, skipped } = WearableImport.parse(req.body, format);
+        const saved = repository.saveRecoveryRecords(req.userId, records, format);
+
+        res.status(201).json({
+            status: 'success',
+            data: { format, imported: saved.length, skipped, records: saved }
+        });
+
+    } catch (error) {
+        if (error instanceof ValidationError) return sendValidationError(res, error);
+        console.error("Error importing recovery data:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/users/:userId/recovery?days=30
+ * Imported recovery records, newest first, with the rolling baselines readiness compares
+ * sleep, resting HR and HRV against.
+ */
+app.get('/api/users/:userId/recovery', authenticate, authorizeUser(req => req.params.userId), (req, res) => {
+    try {
+        const days = req.query.days !== undefined ? Number(req.query.days) : 30;
+        const errors = Validator.validate(days, { type: 'number', integer: true, min: 1, max: 365 })
+            .map(error => ({ ...error, field: 'days' }));
+        if (errors.length > 0) {
+            return sendValidationError(res, new ValidationError(errors));
+        }
+
+        const records = repository.listRecoveryRecords(req.userId);
+        const history = ReadinessModel.mergeHistory(repository.listCheckIns(req.userId), records);
+        const { sleepHours, restingHr, hrv } = engine.readinessModelFor(req.userId).baselines(history);
+
+        res.json({
+            status: 'success',
+            data: {
+                records: records.slice(0, days),
+                baselines: { sleepHours, restingHr, hrv }
+            }
+        });
+
+    } catch (error) {
+        console.error("Error loading recovery data:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/foods?q=paneer
+ * Searches the built-in food catalogue by name (everything without ?q). Public.
+ */
+app.get('/api/foods', (req, res) => {
+    res.json({
+        status: 'success',
+        data: FoodDatabase.search(req.query.q || '')
+    });
+});
+
+/**
+ * POST /api/nutrition/plan
+ * Stateless calculator: daily targets and a scaled meal plan for the given body stats. Public.
+ * trainingSets raises carbs for that many prescribed working sets.
+ *
+ * Expected Payload:
+ * {
+ *   "age": 28, "gender": "male" | "female", "heightCm": 178, "weightKg": 80,
+ *   "activity": 1.2-1.9, "goal": "fat_loss" | "muscle_gain" | "strength",
+ *   "preference": "veg" | "egg" | "non_veg",   // optional, defaults to veg
+ *   "trainingSets": 18                          // optional
+ * }
+ */
+app.post('/api/nutrition/plan', validateBody(SCHEMAS.nutritionPlan), (req, res) => {
+    try {
+        const { trainingSets = 0, ...profile } = req.body;
+        const targets = NutritionPlanner.targets(profile, trainingSets);
+
+        res.json({
+            status: 'success',
+            data: {
+                targets,
+                plan: NutritionPlanner.mealPlan(targets, profile.preference, profile.goal)
+            }
+        });
+
+    } catch (error) {
+        console.error("Error building nutrition plan:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
 });
+
+/**
+ * PUT /api/users/:userId/nutrition/profile
+ * Stores the body stats and diet goal the user's nutrition targets come from.
+ *
+ * Expected Payload: as POST /api/nutrition/plan, without trainingSets
+ */
+app.put('/api/users/:userId/nutrition/profile', authenticate, validateBody(SCHEMAS.nutritionProfile), authorizeUser(req => req.params.userId), (req, res) => {
+    try {
+        const { age, gender, heightCm, weightKg, activity, goal, preference = 'veg' } = req.body;
+        const profile = repository.saveNutritionProfile(req.userId, { age, gender, heightCm, weightKg, activity, goal, preference });
+
+        res.json({
+            status: 'success',
+            data: profile
+        });
+
+    } catch (error) {
+        console.error("Error saving nutrition profile:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/users/:userId/nutrition?date=2024-05-08
+ * The day's targets (with extra carbs for the sets the engine prescribed that day), a meal plan
+ * scaled to them and the meals logged so far with what's left. Today by default.
+ */
+app.get('/api/users/:userId/nutrition', authenticate, authorizeUser(req => req.params.userId), (req, res) => {
+    try {
+        const errors = Validator.validate(req.query.date, { type: 'date' })
+            .map(error => ({ ...error, field: 'date' }));
+        if (errors.length > 0) {
+            return sendValidationError(res, new ValidationError(errors));
+        }
+
+        const day = new Date(req.query.date || Date.now()).toISOString().slice(0, 10);
+        const nutrition = nutritionDay(req.userId, day);
+
+        if (!nutrition) {
+            return res.status(404).json({ status: 'error', message: 'No nutrition profile' });
+        }
+
+        res.json({
+            status: 'success',
+            data: nutrition
+        });
+
+    } catch (error) {
+        console.error("Error loading nutrition:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/users/:userId/foods?q=shake
+ * The built-in catalogue plus the user's own foods, filtered by name.
+ */
+app.get('/api/users/:userId/foods', authenticate, authorizeUser(req => req.params.userId), (req, res) => {
+    res.json({
+        status: 'success',
+        data: FoodDatabase.search(req.query.q || '', repository.listFoods(req.userId))
+    });
+});
+
+/**
+ * POST /api/users/:userId/foods
+ * Adds a custom food the user can log meals against. Macros are per serving.
+ *
+ * Expected Payload:
+ * { "name": "Protein Shake", "calories": 180, "protein": 30, "carbs": 8, "fat": 3, "serving": "1 bottle", "diet": "veg" }
+ */
+app.post('/api/users/:userId/foods', authenticate, validateBody(SCHEMAS.customFood), authorizeUser(req => req.params.userId), (req, res) => {
+    try {
+        const { name, calories, protein, carbs, fat, serving = '1 serving', diet = 'veg', description = '' } = req.body;
+        const food = repository.saveFood({ ownerId: req.userId, name, calories, protein, carbs, fat, serving, diet, description });
+
+        res.status(201).json({
+            status: 'success',
+            data: food
+        });
+
+    } catch (error) {
+        console.error("Error adding food:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/users/:userId/meals
+ * Logs servings of a built-in or custom food. Returns the day's meal log against its targets.
+ *
+ * Expected Payload:
+ * { "foodId": "dal_tadka", "servings": 1.5, "meal": "breakfast" | "lunch" | "snack" | "dinner", "date": "2024-05-08" }
+ */
+app.post('/api/users/:userId/meals', authenticate, validateBody(SCHEMAS.logMeal), authorizeUser(req => req.params.userId), (req, res) => {
+    try {
+        const { foodId, servings, meal, date } = req.body;
+        const customFoods = repository.listFoods(req.userId);
+        if (!NutritionPlanner.resolveFood(foodId, customFoods)) {
+            return res.status(404).json({ status: 'error', message: `Unknown food: ${foodId}` });
+        }
+
+        const day = new Date(date || Date.now()).toISOString().slice(0, 10);
+        const entry = repository.logMeal({ userId: req.userId, day, meal, foodId, servings });
+        const nutrition = nutritionDay(req.userId, day);
+
+        res.status(201).json({
+            status: 'success',
+            data: {
+                entry,
+                day: nutrition ? nutrition.meals : NutritionPlanner.daySummary(repository.listMeals(req.userId, day), null, customFoods)
+            }
+        });
+
+    } catch (error) {
+        console.error("Error logging meal:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/users/:userId/assistant
+ * Answers a coaching question from the user's own data (why today's workout changed, swaps around
+ * pain, best lifts, readiness) or, failing that, from the knowledge base.
+ *
+ * Expected Payload:
+ * { "question": "Why did my squat go down today?", "date": "2024-05-08" }   // date optional, defaults to today
+ */
+app.post('/api/users/:userId/assistant', authenticate, validateBody(SCHEMAS.askAssistant), authorizeUser(req => req.params.userId), async (req, res) => {
+    try {
+        const { question, date } = req.body;
+        const answer = await assistant.answer(req.userId, question, { locale: localeFor(req), date: date || Date.now() });
+
+        res.json({
+            status: 'success',
+            data: answer
+        });
+
+    } catch (error) {
+        console.error("Error answering question:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/users/:userId/mesocycles
+ * Builds a new training block from the user's training maxes and makes it active.
+ *
+ * Expected Payload:
+ * {
+ *   "model": "linear" | "undulating" | "block",
+ *   "weeks": 4-8,
+ *   "deloadEvery": 4,                      // optional, defaults to the last week
+ *   "startDate": "2024-05-06",             // optional, defaults to today
+ *   "trainingMaxes": { "sq": 140 }         // optional, merged into the stored user
+ * }
+ */
+app.post('/api/users/:userId/mesocycles', authenticate, validateBody(SCHEMAS.createMesocycle), authorizeUser(req => req.params.userId), (req, res) => {
+    try {
+        const { model, weeks, deloadEvery, startDate, trainingMaxes } = req.body || {};
+        let user = resolveUser({ id: req.params.userId });
+
+        if (trainingMaxes) {
+            user.trainingMaxes = { ...user.trainingMaxes, ...trainingMaxes };
+        }
+        user = repository.saveUser(user);
+
+        let mesocycle;
+        try {
+            mesocycle = PeriodizationPlanner.createMesocycle(user, {
+                model,
+                weeks,
+                deloadEvery,
+                startDate: startDate ? new Date(startDate) : new Date()
+            });
+        } catch (error) {
+            return res.status(400).json({ status: 'error', message: error.message });
+        }
+
+        res.status(201).json({
+            status: 'success',
+            data: repository.saveMesocycle(mesocycle)
+        });
+
+    } catch (error) {
+        console.error("Error creating mesocycle:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/users/:userId/mesocycles/active
+ * Returns the block covering today, or 404 if none is running.
+ */
+app.get('/api/users/:userId/mesocycles/active', authenticate, authorizeUser(req => req.params.userId), (req, res) => {
+    try {
+        const mesocycle = repository.getActiveMesocycle(req.params.userId);
+
+        if (!mesocycle) {
+            return res.status(404).json({ status: 'error', message: 'No active mesocycle' });
+        }
+
+        res.json({
+            status: 'success',
+            data: mesocycle
+        });
+
+    } catch (error) {
+        console.error("Error loading mesocycle:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/programs
+ * Creates a program template owned by the logged-in user.
+ *
+ * Expected Payload:
+ * {
+ *   "name": "Upper / Lower",
+ *   "split": "upper_lower",
+ *   "daysPerWeek": 4,
+ *   "schedule": ["mon", "tue", "thu", "fri"],          // optional, defaults from daysPerWeek
+ *   "days": [
+ *     { "name": "Upper A", "slots": [
+ *       { "exerciseId": "bench_press", "sets": 4, "reps": 6, "rpeTarget": 8, "percentOfMax": 0.75, "swaps": ["floor_press"] }
+ *     ] }
+ *   ]
+ * }
+ */
+app.post('/api/programs', authenticate, validateBody(SCHEMAS.programTemplate), (req, res) => {
+    try {
+        const program = repository.saveProgram({ ...ProgramPlanner.normalize(req.body), ownerId: req.account.userId });
+
+        res.status(201).json({
+            status: 'success',
+            data: program
+        });
+
+    } catch (error) {
+        if (error instanceof ValidationError) return sendValidationError(res, error);
+        console.error("Error creating program:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/programs/import
+ * Creates a program from a YAML or JSON template file.
+ * Send it as the raw body with Content-Type: application/yaml (or text/yaml) or application/json.
+ */
+app.post('/api/programs/import', authenticate, (req, res) => {
+    try {
+        const template = typeof req.body === 'string' ? ProgramPlanner.parse(req.body, 'yaml') : req.body;
+        Validator.assert(template, SCHEMAS.programTemplate);
+        const program = repository.saveProgram({ ...ProgramPlanner.normalize(template), ownerId: req.account.userId });
+
+        res.status(201).json({
+            status: 'success',
+            data: program
+        });
+
+    } catch (error) {
+        if (error instanceof ValidationError) return sendValidationError(res, error);
+        console.error("Error importing program:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/programs
+ * Programs the logged-in user created, plus their coach's.
+ */
+app.get('/api/programs', authenticate, (req, res) => {
+    res.json({
+        status: 'success',
+        data: repository.listPrograms([req.account.userId, req.account.coachId].filter(Boolean))
+    });
+});
+
+/**
+ * GET /api/programs/:programId?format=yaml
+ * One program; ?format=yaml returns the template as YAML, ready to import elsewhere.
+ */
+app.get('/api/programs/:programId', authenticate, (req, res) => {
+    const program = findProgram(req.account, req.params.programId);
+
+    if (!program) {
+        return res.status(404).json({ status: 'error', message: 'Program not found' });
+    }
+    if (req.query.format === 'yaml') {
+        return res.type('application/yaml').send(ProgramPlanner.toYaml(program));
+    }
+
+    res.json({
+        status: 'success',
+        data: program
+    });
+});
+
+/**
+ * PUT /api/programs/:programId
+ * Replaces a program's template. Owner only; users already running it pick up the change.
+ * Body: same shape as POST /api/programs.
+ */
+app.put('/api/programs/:programId', authenticate, validateBody(SCHEMAS.programTemplate), (req, res) => {
+    try {
+        const program = findProgram(req.account, req.params.programId);
+
+        if (!program) {
+            return res.status(404).json({ status: 'error', message: 'Program not found' });
+        }
+        if (program.ownerId !== req.account.userId) {
+            return sendAuthError(res, new AuthError(403, 'Only the program\'s owner can change it'));
+        }
+
+        const updated = repository.saveProgram({ ...program, ...ProgramPlanner.normalize(req.body) });
+
+        res.json({
+            status: 'success',
+            data: updated
+        });
+
+    } catch (error) {
+        if (error instanceof ValidationError) return sendValidationError(res, error);
+        console.error("Error updating program:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/programs/:programId
+ * Deletes a program and stops it for everyone running it. Owner only.
+ */
+app.delete('/api/programs/:programId', authenticate, (req, res) => {
+    const program = findProgram(req.account, req.params.programId);
+
+    if (!program) {
+        return res.status(404).json({ status: 'error', message: 'Program not found' });
+    }
+    if (program.ownerId !== req.account.userId) {
+        return sendAuthError(res, new AuthError(403, 'Only the program\'s owner can delete it'));
+    }
+
+    repository.deleteProgram(program.id);
+    res.json({
+        status: 'success',
+        data: null
+    });
+});
+
+/**
+ * POST /api/users/:userId/program
+ * Starts a program for a user, replacing the one they were running.
+ *
+ * Expected Payload:
+ * { "programId": "...", "startDate": "2024-05-06" }   // startDate optional, defaults to today
+ */
+app.post('/api/users/:userId/program', authenticate, validateBody(SCHEMAS.startProgram), authorizeUser(req => req.params.userId), (req, res) => {
+    try {
+        const program = findProgram(req.account, req.body.programId);
+
+        if (!program) {
+            return res.status(404).json({ status: 'error', message: 'Program not found' });
+        }
+
+        const assignment = repository.saveProgramAssignment({
+            userId: req.userId,
+            programId: program.id,
+            startDate: ProgramPlanner.isoDay(req.body.startDate || new Date())
+        });
+
+        res.status(201).json({
+            status: 'success',
+            data: assignment
+        });
+
+    } catch (error) {
+        console.error("Error starting program:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/users/:userId/program/today?date=2024-05-06
+ * The planned workout from the user's active program (today unless ?date= is given).
+ * On rest days "workout" is null and "nextTrainingDate" says when the next session is.
+ * Pass "workout" as plannedWorkout to /api/workout/generate, or leave plannedWorkout out there.
+ */
+app.get('/api/users/:userId/program/today', authenticate, authorizeUser(req => req.params.userId), (req, res) => {
+    try {
+        const errors = Validator.validate(req.query.date, { type: 'date' })
+            .map(error => ({ ...error, field: 'date' }));
+        if (errors.length > 0) {
+            return sendValidationError(res, new ValidationError(errors));
+        }
+
+        const today = programDay(resolveUser({ id: req.userId }), req.query.date || new Date());
+
+        if (!today) {
+            return res.status(404).json({ status: 'error', message: 'No active program' });
+        }
+
+        res.json({
+            status: 'success',
+            data: today
+        });
+
+    } catch (error) {
+        console.error("Error loading today's workout:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/users/:userId/volume?date=2024-05-08
+ * Sets per muscle group over the 7 days ending on ?date (today by default), against each
+ * muscle's MV / MEV / MRV landmarks (volume_landmarks.json, merged with the user's volumeLandmarks).
+ */
+app.get('/api/users/:userId/volume', authenticate, authorizeUser(req => req.params.userId), (req, res) => {
+    try {
+        const errors = Validator.validate(req.query.date, { type: 'date' })
+            .map(error => ({ ...error, field: 'date' }));
+        if (errors.length > 0) {
+            return sendValidationError(res, new ValidationError(errors));
+        }
+
+        const date = req.query.date ? new Date(req.query.date) : new Date();
+        const dayAfter = new Date(date.getTime() + 24 * 60 * 60 * 1000);
+        const user = repository.getUser(req.userId) || {};
+        const completed = engine.volumeLandmarks.weeklySets(repository.listSessions(req.userId), dayAfter);
+
+        res.json({
+            status: 'success',
+            data: engine.volumeLandmarks.status(completed, new Map(), user.volumeLandmarks)
+        });
+
+    } catch (error) {
+        console.error("Error loading weekly volume:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/users/:userId/analytics?weeks=12&period=week
+ * Progress over the last N weeks (1-104, default 12), bucketed by "week" or "month":
+ * per exercise (e1RM trend, tonnage, hard sets, average RPE), per muscle group,
+ * readiness trend, and exercises that have plateaued.
+ */
+app.get('/api/users/:userId/analytics', authenticate, authorizeUser(req => req.params.userId), (req, res) => {
+    try {
+        const options = analyticsOptions(req, res);
+        if (!options) return;
+
+        res.json({
+            status: 'success',
+            data: ProgressAnalytics.report(repository.listSessions(req.userId), repository.listCheckIns(req.userId), options)
+        });
+
+    } catch (error) {
+        console.error("Error building analytics:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/users/:userId/analytics/exercises/:exerciseId?weeks=12&period=week
+ * One exercise from the analytics report, with every logged session in the range.
+ */
+app.get('/api/users/:userId/analytics/exercises/:exerciseId', authenticate, authorizeUser(req => req.params.userId), (req, res) => {
+    try {
+        const options = analyticsOptions(req, res);
+        if (!options) return;
+
+        const exercise = ProgressAnalytics.exercise(repository.listSessions(req.userId), req.params.exerciseId, options);
+
+        if (!exercise) {
+            return res.status(404).json({ status: 'error', message: 'No sessions logged for this exercise in the range' });
+        }
+
+        res.json({
+            status: 'success',
+            data: exercise
+        });
+
+    } catch (error) {
+        console.error("Error building exercise analytics:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/users/:userId/analytics/plateaus?sessions=4
+ * Exercises whose estimated 1RM hasn't improved over their last N logged sessions (2-20, default 4),
+ * looking at the user's whole history.
+ */
+app.get('/api/users/:userId/analytics/plateaus', authenticate, authorizeUser(req => req.params.userId), (req, res) => {
+    try {
+        const sessions = req.query.sessions !== undefined ? Number(req.query.sessions) : ProgressAnalytics.PLATEAU_SESSIONS;
+        const errors = Validator.validate(sessions, { type: 'number', integer: true, min: 2, max: 20 })
+            .map(error => ({ ...error, field: 'sessions' }));
+        if (errors.length > 0) {
+            return sendValidationError(res, new ValidationError(errors));
+        }
+
+        const report = ProgressAnalytics.report(repository.listSessions(req.userId), [], { plateauSessions: sessions });
+
+        res.json({
+            status: 'success',
+            data: report.plateaus
+        });
+
+    } catch (error) {
+        console.error("Error detecting plateaus:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/live-sessions
+ * Starts a set-by-set session from a generated workout. Offline clients send their own id and
+ * start time; sending the same id again returns the session instead of starting a second one.
+ *
+ * Expected Payload:
+ * {
+ *   "userId": "u1",                               // optional, defaults to the logged-in user
+ *   "workout": { id, name, exercises: [ ... ] },  // the "workout" returned by /api/workout/generate
+ *   "id": "7f0c3c0e-...",                         // optional
+ *   "startedAt": "2024-05-08T17:02:11.000Z"       // optional
+ * }
+ */
+app.post('/api/live-sessions', authenticate, validateBody(SCHEMAS.startLiveSession), authorizeUser(req => req.body.userId), (req, res) => {
+    try {
+        const { workout, id, startedAt } = req.body;
+
+        const existing = id ? repository.getLiveSession(id) : null;
+        if (existing && existing.userId !== req.userId) {
+            return res.status(409).json({ status: 'error', message: 'Live session id is already in use' });
+        }
+        if (existing) {
+            return res.json({ status: 'success', data: existing });
+        }
+
+        const user = resolveUser({ id: req.userId });
+        const session = repository.saveLiveSession(LiveSession.start(user, {
+            ...workout,
+            exercises: workout.exercises.map(toExercise)
+        }, { id, startedAt }));
+
+        res.status(201).json({
+            status: 'success',
+            data: session
+        });
+
+    } catch (error) {
+        console.error("Error starting live session:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/live-sessions/:sessionId
+ * Current state of a live session, including the next set for each exercise.
+ */
+app.get('/api/live-sessions/:sessionId', authenticate, (req, res) => {
+    const session = findLiveSession(req);
+
+    if (!session) {
+        return res.status(404).json({ status: 'error', message: 'Live session not found' });
+    }
+
+    res.json({
+        status: 'success',
+        data: session
+    });
+});
+
+/**
+ * POST /api/live-sessions/:sessionId/sets
+ * Logs one set and returns the next set's prescription.
+ * Sets queued offline carry a clientId (a repeat is answered with duplicate: true and changes
+ * nothing) and the time they were logged. A set older than the exercise's last one is slotted in
+ * by time (reordered: true). A closed session takes sets logged before its close and rebuilds its
+ * history entry; later ones are a 409.
+ *
+ * Expected Payload:
+ * { "exerciseId": "sq", "weight": 100, "reps": 5, "rpe": 8.5, "clientId": "b2e1...", "loggedAt": "2024-05-08T17:20:45.000Z" }
+ */
+app.post('/api/live-sessions/:sessionId/sets', authenticate, validateBody(SCHEMAS.logSet), (req, res) => {
+    try {
+        const session = findLiveSession(req);
+
+        if (!session) {
+            return res.status(404).json({ status: 'error', message: 'Live session not found' });
+        }
+
+        const { exerciseId, weight, reps, rpe, clientId, loggedAt } = req.body;
+        if (session.status !== 'active' && !LiveSession.belongsToClosed(session, new Date(loggedAt || Date.now()).toISOString())) {
+            return res.status(409).json({ status: 'error', message: `Session was closed at ${session.closedAt}` });
+        }
+
+        let result;
+        try {
+            result = LiveSession.logSet(session, exerciseId, { weight, reps, rpe, clientId, loggedAt });
+        } catch (error) {
+            return res.status(400).json({ status: 'error', message: error.message });
+        }
+        repository.saveLiveSession(session);
+        if (session.status !== 'active' && !result.duplicate) {
+            repository.replaceSession(session.historySessionId, LiveSession.toWorkout(session), LiveSession.toPerformances(session));
+        }
+
+        res.json({
+            status: 'success',
+            data: {
+                exerciseId,
+                next: result.next,
+                adjustmentType: result.adjustmentType,
+                explanation: result.explanation && TransparencyService.localize(result.explanation, localeFor(req)),
+                duplicate: result.duplicate,
+                reordered: result.reordered
+            }
+        });
+
+    } catch (error) {
+        console.error("Error logging set:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/live-sessions/:sessionId/close
+ * Finishes a live session and stores one performance per exercise in the workout history.
+ * closedAt is when an offline client finished; it never cuts off sets the server already has.
+ * Closing a closed session is a 409.
+ *
+ * Expected Payload (optional):
+ * { "painFlags": [ "left_knee" ], "closedAt": "2024-05-08T18:01:00.000Z" }
+ */
+app.post('/api/live-sessions/:sessionId/close', authenticate, validateBody(SCHEMAS.closeLiveSession), (req, res) => {
+    try {
+        const session = findLiveSession(req);
+
+        if (!session) {
+            return res.status(404).json({ status: 'error', message: 'Live session not found' });
+        }
+        if (session.status !== 'active') {
+            return res.status(409).json({ status: 'error', message: `Session was closed at ${session.closedAt}` });
+        }
+
+        const { painFlags, closedAt } = req.body || {};
+        const logged = repository.logSession(
+            LiveSession.toWorkout(session),
+            LiveSession.toPerformances(session),
+            painFlags || []
+        );
+
+        const lastSet = session.exercises.flatMap(ex => ex.sets).map(set => set.loggedAt).sort().pop();
+        session.status = 'closed';
+        session.closedAt = [new Date(closedAt || Date.now()).toISOString(), lastSet || ''].sort().pop();
+        session.historySessionId = logged.id;
+        repository.saveLiveSession(session);
+
+        res.json({
+            status: 'success',
+            data: logged
+        });
+
+    } catch (error) {
+        console.error("Error closing live session:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/readiness/config
+ * Server-wide readiness scoring config (base score, baseline window, weighted factors). It applies
+ * to everyone whose coach has not saved their own (see /api/coach/readiness/config).
+ */
+app.get('/api/readiness/config', authenticate, (req, res) => {
+    res.json({
+        status: 'success',
+        data: engine.readinessModel.config
+    });
+});
+
+/**
+ * PUT /api/readiness/config
+ * Replaces the server-wide readiness scoring config. It is saved with the rest of the data;
+ * readiness_config.json keeps the shipped defaults. Staff only, since it changes every user's scores.
+ * Body: same shape as GET.
+ */
+app.put('/api/readiness/config', authenticate, requireRole(AuthService.ROLES.STAFF), (req, res) => {
+    try {
+        ReadinessModel.validateConfig(req.body);
+
+        repository.saveReadinessConfig(req.body);
+        engine.readinessModel = new ReadinessModel(req.body);
+
+        res.json({
+            status: 'success',
+            data: engine.readinessModel.config
+        });
+
+    } catch (error) {
+        if (error instanceof ValidationError) return sendValidationError(res, error);
+        console.error("Error saving readiness config:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/coach/readiness/config
+ * The readiness scoring config the logged-in coach's athletes get: the coach's own, or the
+ * server-wide one when they haven't saved one. Coaches only.
+ */
+app.get('/api/coach/readiness/config', authenticate, requireRole(AuthService.ROLES.COACH), (req, res) => {
+    const config = repository.getReadinessConfig(req.account.userId);
+    res.json({
+        status: 'success',
+        data: { custom: Boolean(config), config: config || engine.readinessModel.config }
+    });
+});
+
+/**
+ * PUT /api/coach/readiness/config
+ * Saves the logged-in coach's own readiness scoring config. It only applies to athletes who picked
+ * them as coach. Coaches only.
+ * Body: same shape as GET /api/readiness/config.
+ */
+app.put('/api/coach/readiness/config', authenticate, requireRole(AuthService.ROLES.COACH), (req, res) => {
+    try {
+        ReadinessModel.validateConfig(req.body);
+
+        const saved = repository.saveReadinessConfig(req.body, req.account.userId);
+
+        res.json({
+            status: 'success',
+            data: { custom: true, config: saved.config }
+        });
+
+    } catch (error) {
+        if (error instanceof ValidationError) return sendValidationError(res, error);
+        console.error("Error saving coach readiness config:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/coach/readiness/config
+ * Drops the logged-in coach's own config; their athletes go back to the server-wide one. Coaches only.
+ */
+app.delete('/api/coach/readiness/config', authenticate, requireRole(AuthService.ROLES.COACH), (req, res) => {
+    repository.deleteReadinessConfig(req.account.userId);
+    res.json({
+        status: 'success',
+        data: { custom: false, config: engine.readinessModel.config }
+    });
+});
+
+/**
+ * GET /api/gym/plans
+ * Membership plans on sale, cheapest first. Public (the site's pricing section).
+ */
+app.get('/api/gym/plans', (req, res) => {
+    res.json({
+        status: 'success',
+        data: repository.listMembershipPlans()
+    });
+});
+
+/**
+ * POST /api/gym/plans
+ * Adds a membership plan. Staff only.
+ *
+ * Expected Payload:
+ * {
+ *   "name": "Body Building Training", "price": 59,
+ *   "currency": "USD", "interval": "month" | "year",   // optional, these are the defaults
+ *   "features": ["Free WiFi", "Locker Rooms"],          // optional
+ *   "active": true                                      // optional; inactive plans aren't listed
+ * }
+ */
+app.post('/api/gym/plans', authenticate, requireRole(AuthService.ROLES.STAFF), validateBody(SCHEMAS.membershipPlan), (req, res) => {
+    try {
+        const plan = repository.saveMembershipPlan(planFields(req.body));
+
+        res.status(201).json({
+            status: 'success',
+            data: plan
+        });
+
+    } catch (error) {
+        console.error("Error saving membership plan:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/gym/plans/:planId
+ * Replaces a plan's details. Staff only. Members on the plan keep it.
+ * Body: same shape as POST /api/gym/plans.
+ */
+app.put('/api/gym/plans/:planId', authenticate, requireRole(AuthService.ROLES.STAFF), validateBody(SCHEMAS.membershipPlan), (req, res) => {
+    try {
+        const plan = repository.getMembershipPlan(req.params.planId);
+
+        if (!plan) {
+            return res.status(404).json({ status: 'error', message: 'Plan not found' });
+        }
+
+        res.json({
+            status: 'success',
+            data: repository.saveMembershipPlan({ ...plan, ...planFields(req.body) })
+        });
+
+    } catch (error) {
+        console.error("Error updating membership plan:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/gym/plans/:planId
+ * Takes a plan off sale. Staff only. It's kept (inactive) so its members' records still show it,
+ * but they can't book classes until staff move them to a current plan.
+ */
+app.delete('/api/gym/plans/:planId', authenticate, requireRole(AuthService.ROLES.STAFF), (req, res) => {
+    const plan = repository.getMembershipPlan(req.params.planId);
+
+    if (!plan) {
+        return res.status(404).json({ status: 'error', message: 'Plan not found' });
+    }
+
+    res.json({
+        status: 'success',
+        data: repository.saveMembershipPlan({ ...plan, active: false })
+    });
+});
+
+/**
+ * PUT /api/users/:userId/membership
+ * Puts a user on a plan, replacing their current one. Members can book classes. Staff only: the
+ * front desk assigns plans once they're paid for (the site's Join Now sends them a contact message).
+ *
+ * Expected Payload:
+ * { "planId": "..." }
+ */
+app.put('/api/users/:userId/membership', authenticate, requireRole(AuthService.ROLES.STAFF), validateBody(SCHEMAS.startMembership), (req, res) => {
+    try {
+        if (!repository.getAccount(req.params.userId)) {
+            return res.status(404).json({ status: 'error', message: 'User not found' });
+        }
+
+        const plan = repository.getMembershipPlan(req.body.planId);
+
+        if (!plan || plan.active === false) {
+            return res.status(404).json({ status: 'error', message: 'Plan not found' });
+        }
+
+        const membership = repository.saveMembership(req.params.userId, {
+            planId: plan.id,
+            startedAt: new Date().toISOString(),
+            assignedBy: req.account.userId
+        });
+
+        res.json({
+            status: 'success',
+            data: { ...membership, plan }
+        });
+
+    } catch (error) {
+        console.error("Error saving membership:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/users/:userId/membership
+ * The user's membership with its plan. The member, their coach or staff.
+ */
+app.get('/api/users/:userId/membership', authenticate, (req, res) => {
+    if (req.account.role !== AuthService.ROLES.STAFF && !auth.canAccess(req.account, req.params.userId)) {
+        return sendAuthError(res, new AuthError(403, 'Not allowed to access this user'));
+    }
+
+    const membership = repository.getMembership(req.params.userId);
+
+    if (!membership) {
+        return res.status(404).json({ status: 'error', message: 'No membership' });
+    }
+
+    res.json({
+        status: 'success',
+        data: { ...membership, plan: repository.getMembershipPlan(membership.planId) }
+    });
+});
+
+/**
+ * GET /api/gym/classes
+ * The weekly timetable as stored (one entry per class and weekday). Public.
+ */
+app.get('/api/gym/classes', (req, res) => {
+    res.json({
+        status: 'success',
+        data: repository.listGymClasses()
+    });
+});
+
+/**
+ * POST /api/gym/classes
+ * Adds a weekly class to the timetable. Staff only.
+ *
+ * Expected Payload:
+ * {
+ *   "name": "Body Building", "weekday": "monday", "startTime": "09:00", "durationMinutes": 60,
+ *   "room": "210", "instructor": "Sam",   // optional
+ *   "capacity": 20
+ * }
+ */
+app.post('/api/gym/classes', authenticate, requireRole(AuthService.ROLES.STAFF), validateBody(SCHEMAS.gymClass), (req, res) => {
+    try {
+        const gymClass = repository.saveGymClass(gymClassFields(req.body));
+
+        res.status(201).json({
+            status: 'success',
+            data: gymClass
+        });
+
+    } catch (error) {
+        console.error("Error saving class:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * PUT /api/gym/classes/:classId
+ * Replaces a class's details. Staff only. Raising the capacity moves waitlisted members into the
+ * new spots; lowering it doesn't take spots away from members who already have one.
+ * Body: same shape as POST /api/gym/classes.
+ */
+app.put('/api/gym/classes/:classId', authenticate, requireRole(AuthService.ROLES.STAFF), validateBody(SCHEMAS.gymClass), (req, res) => {
+    try {
+        const gymClass = repository.getGymClass(req.params.classId);
+
+        if (!gymClass) {
+            return res.status(404).json({ status: 'error', message: 'Class not found' });
+        }
+
+        const updated = repository.saveGymClass({ ...gymClass, ...gymClassFields(req.body) });
+        upcomingDates(updated.id).forEach(date => fillFromWaitlist(updated, date));
+
+        res.json({
+            status: 'success',
+            data: updated
+        });
+
+    } catch (error) {
+        console.error("Error updating class:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/gym/classes/:classId
+ * Takes a class off the timetable and cancels its upcoming bookings. Staff only.
+ */
+app.delete('/api/gym/classes/:classId', authenticate, requireRole(AuthService.ROLES.STAFF), (req, res) => {
+    const gymClass = repository.getGymClass(req.params.classId);
+
+    if (!gymClass) {
+        return res.status(404).json({ status: 'error', message: 'Class not found' });
+    }
+
+    const cancelledAt = new Date().toISOString();
+    repository.listClassBookings({ classId: gymClass.id, from: GymSchedule.localDay() })
+        .filter(booking => booking.status !== GymSchedule.STATUS.CANCELLED)
+        .forEach(booking => repository.saveClassBooking({ ...booking, status: GymSchedule.STATUS.CANCELLED, cancelledAt }));
+    repository.deleteGymClass(gymClass.id);
+
+    res.json({
+        status: 'success',
+        data: null
+    });
+});
+
+/**
+ * GET /api/gym/schedule?from=2024-05-06&days=7
+ * The timetable's classes on each day from `from` (today by default), with spots left. Public
+ * (the site's schedule section).
+ */
+app.get('/api/gym/schedule', (req, res) => {
+    try {
+        const days = req.query.days !== undefined ? Number(req.query.days) : 7;
+        const errors = [
+            ...Validator.validate(req.query.from, DAY_QUERY).map(error => ({ ...error, field: 'from' })),
+            ...Validator.validate(days, { type: 'number', integer: true, min: 1, max: 28 }).map(error => ({ ...error, field: 'days' }))
+        ];
+        if (errors.length > 0) {
+            return sendValidationError(res, new ValidationError(errors));
+        }
+
+        const from = req.query.from || GymSchedule.localDay();
+        const bookings = repository.listClassBookings({ from });
+
+        res.json({
+            status: 'success',
+            data: GymSchedule.occurrences(repository.listGymClasses(), bookings, from, days)
+        });
+
+    } catch (error) {
+        console.error("Error building schedule:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/gym/classes/:classId/bookings
+ * Books a spot in a class on a date, for members only. When the class is full the booking joins the
+ * waitlist (status "waitlisted", with its waitlistPosition) and gets a spot when someone cancels.
+ *
+ * Expected Payload:
+ * { "date": "2024-05-06", "userId": "..." }   // userId optional, defaults to the logged-in user
+ */
+app.post('/api/gym/classes/:classId/bookings', authenticate, validateBody(SCHEMAS.bookClass), authorizeUser(req => req.body.userId), (req, res) => {
+    try {
+        const gymClass = repository.getGymClass(req.params.classId);
+
+        if (!gymClass) {
+            return res.status(404).json({ status: 'error', message: 'Class not found' });
+        }
+        const membership = repository.getMembership(req.userId);
+        if (!membership) {
+            return sendAuthError(res, new AuthError(403, 'Only members can book classes'));
+        }
+        // Plans taken off sale (or removed) no longer include classes
+        const plan = repository.getMembershipPlan(membership.planId);
+        if (!plan || plan.active === false) {
+            return sendAuthError(res, new AuthError(403, 'This membership plan is no longer offered: ask the front desk to move you to a current plan'));
+        }
+
+        const problem = GymSchedule.bookingProblem(gymClass, req.body.date);
+        if (problem) {
+            return sendValidationError(res, new ValidationError([{ field: 'date', message: problem }]));
+        }
+
+        const sameClass = repository.listClassBookings({ classId: gymClass.id, date: req.body.date });
+        if (sameClass.some(b => b.userId === req.userId && b.status !== GymSchedule.STATUS.CANCELLED)) {
+            return res.status(409).json({ status: 'error', message: 'Already booked into this class' });
+        }
+
+        const booking = repository.saveClassBooking({
+            classId: gymClass.id,
+            date: req.body.date,
+            userId: req.userId,
+            status: GymSchedule.placeFor(gymClass, sameClass)
+        });
+
+        res.status(201).json({
+            status: 'success',
+            data: bookingView(booking)
+        });
+
+    } catch (error) {
+        console.error("Error booking class:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * DELETE /api/gym/bookings/:bookingId
+ * Cancels a booking (or leaves the waitlist) before the class starts. The freed spot goes to the
+ * first member on the waitlist. The member, their coach or staff can cancel.
+ */
+app.delete('/api/gym/bookings/:bookingId', authenticate, (req, res) => {
+    try {
+        const booking = repository.getClassBooking(req.params.bookingId);
+        const visible = booking && (req.account.role === AuthService.ROLES.STAFF || auth.canAccess(req.account, booking.userId));
+
+        if (!visible) {
+            return res.status(404).json({ status: 'error', message: 'Booking not found' });
+        }
+        if (booking.status === GymSchedule.STATUS.CANCELLED) {
+            return res.status(409).json({ status: 'error', message: 'Booking is already cancelled' });
+        }
+
+        const gymClass = repository.getGymClass(booking.classId);
+        if (gymClass && GymSchedule.hasStarted(gymClass, booking.date)) {
+            return res.status(409).json({ status: 'error', message: 'The class has already started' });
+        }
+
+        const cancelled = repository.saveClassBooking({ ...booking, status: GymSchedule.STATUS.CANCELLED, cancelledAt: new Date().toISOString() });
+        if (gymClass) fillFromWaitlist(gymClass, booking.date);
+
+        res.json({
+            status: 'success',
+            data: bookingView(cancelled)
+        });
+
+    } catch (error) {
+        console.error("Error cancelling booking:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/users/:userId/bookings?from=2024-05-06
+ * The user's bookings from a day on (today by default), including cancelled ones.
+ */
+app.get('/api/users/:userId/bookings', authenticate, authorizeUser(req => req.params.userId), (req, res) => {
+    if (!validateQuery(req, res, { from: DAY_QUERY })) return;
+
+    const from = req.query.from || GymSchedule.localDay();
+    res.json({
+        status: 'success',
+        data: repository.listClassBookings({ userId: req.userId, from }).map(bookingView)
+    });
+});
+
+/**
+ * GET /api/gym/classes/:classId/bookings?date=2024-05-06
+ * The roster for one day's class: booked members, then the waitlist in order. Staff only.
+ */
+app.get('/api/gym/classes/:classId/bookings', authenticate, requireRole(AuthService.ROLES.STAFF), (req, res) => {
+    if (!validateQuery(req, res, { date: { ...DAY_QUERY, required: true } })) return;
+
+    const gymClass = repository.getGymClass(req.params.classId);
+    if (!gymClass) {
+        return res.status(404).json({ status: 'error', message: 'Class not found' });
+    }
+
+    const bookings = repository.listClassBookings({ classId: gymClass.id, date: req.query.date });
+    const member = booking => {
+        const account = repository.getAccount(booking.userId);
+        const user = repository.getUser(booking.userId);
+        return { ...booking, name: user ? user.name : null, email: account ? account.email : null };
+    };
+
+    res.json({
+        status: 'success',
+        data: {
+            class: GymSchedule.occurrence(gymClass, req.query.date, bookings),
+            booked: bookings.filter(b => b.status === GymSchedule.STATUS.BOOKED).map(member),
+            waitlist: bookings.filter(b => b.status === GymSchedule.STATUS.WAITLISTED).map(member)
+        }
+    });
+});
+
+/**
+ * POST /api/gym/contact
+ * Stores a message from the site's contact form for the front desk. Public.
+ *
+ * Expected Payload:
+ * { "name": "Ana", "email": "ana@example.com", "phone": "+1 555 0100", "message": "..." }   // phone optional
+ */
+app.post('/api/gym/contact', validateBody(SCHEMAS.contactMessage), (req, res) => {
+    try {
+        const { name, email, phone = null, message } = req.body;
+        const saved = repository.saveContactMessage({ name: name.trim(), email: email.trim(), phone, message: message.trim(), status: 'new' });
+
+        res.status(201).json({
+            status: 'success',
+            data: { id: saved.id, createdAt: saved.createdAt }
+        });
+
+    } catch (error) {
+        console.error("Error saving contact message:", error);
+        res.status(500).json({
+            status: 'error',
+            message: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/gym/contact?status=new
+ * Contact-form messages, newest first. Staff only.
+ */
+app.get('/api/gym/contact', authenticate, requireRole(AuthService.ROLES.STAFF), (req, res) => {
+    if (!validateQuery(req, res, { status: SCHEMAS.contactStatus.properties.status })) return;
+
+    res.json({
+        status: 'success',
+        data: repository.listContactMessages({ status: req.query.status })
+    });
+});
+
+/**
+ * PUT /api/gym/contact/:messageId
+ * Marks a message handled (or new again). Staff only.
+ *
+ * Expected Payload:
+ * { "status": "new" | "handled" }
+ */
+app.put('/api/gym/contact/:messageId', authenticate, requireRole(AuthService.ROLES.STAFF), validateBody(SCHEMAS.contactStatus), (req, res) => {
+    const message = repository.getContactMessage(req.params.messageId);
+
+    if (!message) {
+        return res.status(404).json({ status: 'error', message: 'Message not found' });
+    }
+
+    const handled = req.body.status === 'handled';
+    res.json({
+        status: 'success',
+        data: repository.saveContactMessage({
+            ...message,
+            status: req.body.status,
+            handledBy: handled ? req.account.userId : null,
+            handledAt: handled ? new Date().toISOString() : null
+        })
+    });
+});
+
+// Bodies the parsers can't read (malformed JSON, over the size limit, an unsupported charset...) get
+// the API's error shape instead of Express's HTML page. Malformed JSON reads like a schema failure.
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        return sendValidationError(res, new ValidationError([{ field: 'body', message: 'must be valid JSON' }]));
+    }
+    if (error.type === 'entity.too.large') {
+        return res.status(413).json({ status: 'error', message: `Request body is larger than the ${Math.round(error.limit / 1024)} KB limit` });
+    }
+    if (error.type) {
+        const status = error.status || error.statusCode || 500;
+        return res.status(status).json({ status: 'error', message: error.expose ? error.message : 'Could not read the request body' });
+    }
+    next(error);
+});
+
+// Only bind the port when run directly (`node server.js`); tests import the app and listen on their own
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Adaptive Training API running on http://localhost:${PORT}`);
+        console.log(`Endpoint: POST /api/auth/register, /api/auth/login, /api/auth/logout`);
+        console.log(`Endpoint: GET  /api/auth/me, PUT /api/auth/me/coach`);
+        console.log(`Endpoint: GET  /api/coach/athletes`);
+        console.log(`Endpoint: POST /api/workout/generate`);
+        console.log(`Endpoint: POST /api/sessions`);
+        console.log(`Endpoint: GET  /api/users/:userId/sessions (+ /:sessionId/report)`);
+        console.log(`Endpoint: GET  /api/users/:userId/export, POST /api/users/:userId/import`);
+        console.log(`Endpoint: PUT  /api/users/:userId/goal`);
+        console.log(`Endpoint: POST /api/users/:userId/recovery/import, GET /api/users/:userId/recovery`);
+        console.log(`Endpoint: GET  /api/foods, POST /api/nutrition/plan`);
+        console.log(`Endpoint: PUT  /api/users/:userId/nutrition/profile, GET /api/users/:userId/nutrition`);
+        console.log(`Endpoint: GET/POST /api/users/:userId/foods, POST /api/users/:userId/meals`);
+        console.log(`Endpoint: POST /api/users/:userId/assistant`);
+        console.log(`Endpoint: POST /api/users/:userId/mesocycles`);
+        console.log(`Endpoint: GET  /api/users/:userId/mesocycles/active`);
+        console.log(`Endpoint: GET/POST /api/programs (+ /import, GET/PUT/DELETE /:id)`);
+        console.log(`Endpoint: POST /api/users/:userId/program, GET /api/users/:userId/program/today`);
+        console.log(`Endpoint: GET  /api/users/:userId/volume`);
+        console.log(`Endpoint: GET  /api/users/:userId/analytics (+ /exercises/:exerciseId, /plateaus)`);
+        console.log(`Endpoint: POST /api/live-sessions (+ /:id/sets, /:id/close)`);
+        console.log(`Endpoint: GET/PUT /api/readiness/config, GET/PUT/DELETE /api/coach/readiness/config`);
+        console.log(`Endpoint: GET/POST /api/gym/plans (+ PUT/DELETE /:id), GET/PUT /api/users/:userId/membership`);
+        console.log(`Endpoint: GET/POST /api/gym/classes (+ PUT/DELETE /:id), GET /api/gym/schedule`);
+        console.log(`Endpoint: GET/POST /api/gym/classes/:classId/bookings, DELETE /api/gym/bookings/:id, GET /api/users/:userId/bookings`);
+        console.log(`Endpoint: GET/POST /api/gym/contact (+ PUT /:id)`);
+    });
+}
+
+module.exports = app;
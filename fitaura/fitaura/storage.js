@@ -0,0 +1,858 @@
+/**
+ * storage.js
+ * Persistence layer for users, logged workouts and exercise performances.
+ * The engine and API only talk to the repository interface, so the JSON file
+ * adapter can be swapped for a real database later without touching them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { User, ExercisePerformance, Mesocycle } = require('./models');
+
+const COLLECTIONS = [
+    'users', 'workouts', 'performances', 'mesocycles', 'liveSessions', 'checkIns', 'accounts', 'authTokens', 'programs', 'programAssignments',
+    'prescriptions', 'nutritionProfiles', 'foods', 'meals', 'recoveryRecords',
+    'membershipPlans', 'memberships', 'gymClasses', 'classBookings', 'contactMessages', 'readinessConfigs'
+];
+
+class InMemoryRepository {
+    /**
+     * @param {Object} data - Optional initial data ({ users, workouts, performances, mesocycles, liveSessions, checkIns, accounts, authTokens, programs, programAssignments,
+     *   prescriptions, nutritionProfiles, foods, meals, recoveryRecords, membershipPlans, memberships, gymClasses, classBookings, contactMessages,
+     *   readinessConfigs })
+     */
+    constructor(data = {}) {
+        this.data = {};
+        COLLECTIONS.forEach(name => {
+            this.data[name] = Array.isArray(data[name]) ? data[name] : [];
+        });
+    }
+
+    /**
+     * Hook for adapters that need to flush writes somewhere.
+     */
+    persist() { }
+
+    static generateId() {
+        return crypto.randomUUID();
+    }
+
+    // --- Users ---
+
+    /**
+     * Inserts or updates a user record.
+     * @param {User} user
+     * @returns {User}
+     */
+    saveUser(user) {
+        const record = {
+            id: user.id,
+            name: user.name,
+            trainingMaxes: user.trainingMaxes || {},
+            injuryHistory: user.injuryHistory || [],
+            units: user.units || 'kg',
+            plateIncrement: user.plateIncrement || null,
+            volumeLandmarks: user.volumeLandmarks || {},
+            goal: user.goal || null,
+            meetDate: user.meetDate || null
+        };
+        const index = this.data.users.findIndex(u => u.id === user.id);
+        if (index >= 0) this.data.users[index] = record;
+        else this.data.users.push(record);
+        this.persist();
+        return this.getUser(user.id);
+    }
+
+    /**
+     * @param {string} userId
+     * @returns {User|null}
+     */
+    getUser(userId) {
+        const record = this.data.users.find(u => u.id === userId);
+        if (!record) return null;
+        return new User(
+            record.id, record.name, record.trainingMaxes, record.injuryHistory, record.units, record.plateIncrement, record.volumeLandmarks,
+            record.goal, record.meetDate
+        );
+    }
+
+    // --- Sessions (a performed Workout plus its ExercisePerformances) ---
+
+    /**
+     * Stores a finished training session.
+     * Every call creates a new session; workout.id is kept as a reference to the plan.
+     * @param {Workout} workout - The workout as it was performed
+     * @param {Array<ExercisePerformance>} performances - One entry per exercise
+     * @param {Array<string>} painFlags - Pain reported during the session
+     * @returns {Object} The stored session ({ ...workout, painFlags, performances })
+     */
+    logSession(workout, performances = [], painFlags = []) {
+        const date = workout.date ? new Date(workout.date) : new Date();
+        const record = {
+            id: InMemoryRepository.generateId(),
+            workoutId: workout.id || null,
+            userId: workout.userId,
+            name: workout.name,
+            exercises: JSON.parse(JSON.stringify(workout.exercises || [])),
+            painFlags,
+            date: date.toISOString()
+        };
+        this.data.workouts.push(record);
+
+        performances.forEach(p => {
+            this.data.performances.push({
+                exerciseId: p.exerciseId,
+                weight: p.weight,
+                completedReps: p.completedReps,
+                completedSets: p.completedSets,
+                rpe: p.rpe,
+                userId: record.userId,
+                sessionId: record.id,
+                date: record.date
+            });
+        });
+
+        this.persist();
+        return this.getSession(record.id);
+    }
+
+    /**
+     * Rewrites a logged session's exercises and performances (a live session that received sets
+     * after it was closed). Id, date and pain flags stay.
+     * @param {string} sessionId
+     * @param {Workout} workout
+     * @param {Array<ExercisePerformance>} performances
+     * @returns {Object|null} The updated session, null if there is none
+     */
+    replaceSession(sessionId, workout, performances = []) {
+        const record = this.data.workouts.find(w => w.id === sessionId);
+        if (!record) return null;
+
+        record.exercises = JSON.parse(JSON.stringify(workout.exercises || []));
+        this.data.performances = this.data.performances.filter(p => p.sessionId !== sessionId);
+        performances.forEach(p => {
+            this.data.performances.push({
+                exerciseId: p.exerciseId,
+                weight: p.weight,
+                completedReps: p.completedReps,
+                completedSets: p.completedSets,
+                rpe: p.rpe,
+                userId: record.userId,
+                sessionId: record.id,
+                date: record.date
+            });
+        });
+
+        this.persist();
+        return this.getSession(record.id);
+    }
+
+    /**
+     * @param {string} sessionId
+     * @returns {Object|null} { id, workoutId, userId, name, date, exercises, painFlags, performances }
+     */
+    getSession(sessionId) {
+        const record = this.data.workouts.find(w => w.id === sessionId);
+        if (!record) return null;
+        return {
+            ...record,
+            performances: this.data.performances
+                .filter(p => p.sessionId === record.id)
+                .map(InMemoryRepository.toPerformance)
+        };
+    }
+
+    /**
+     * Lists a user's logged sessions, newest first.
+     * @param {string} userId
+     * @param {number} limit - Max number of sessions to return (optional)
+     * @returns {Array<Object>}
+     */
+    listSessions(userId, limit) {
+        const sessions = this.data.workouts
+            .filter(w => w.userId === userId)
+            .sort((a, b) => new Date(b.date) - new Date(a.date))
+            .map(w => this.getSession(w.id));
+        return limit ? sessions.slice(0, limit) : sessions;
+    }
+
+    /**
+     * Most recent performance for each exercise the user has logged.
+     * @param {string} userId
+     * @param {Array<string>} exerciseIds - Restrict to these exercises (optional)
+     * @returns {Array<ExercisePerformance>}
+     */
+    getLastPerformances(userId, exerciseIds) {
+        const latest = new Map();
+        this.data.performances
+            .filter(p => p.userId === userId)
+            .filter(p => !exerciseIds || exerciseIds.includes(p.exerciseId))
+            .forEach(p => {
+                const current = latest.get(p.exerciseId);
+                if (!current || new Date(p.date) >= new Date(current.date)) {
+                    latest.set(p.exerciseId, p);
+                }
+            });
+        return [...latest.values()].map(InMemoryRepository.toPerformance);
+    }
+
+    // --- Mesocycles ---
+
+    /**
+     * Inserts or updates a mesocycle. Assigns an id to new ones.
+     * @param {Mesocycle} mesocycle
+     * @returns {Mesocycle}
+     */
+    saveMesocycle(mesocycle) {
+        const record = JSON.parse(JSON.stringify({
+            ...mesocycle,
+            id: mesocycle.id || InMemoryRepository.generateId(),
+            createdAt: mesocycle.createdAt || new Date().toISOString()
+        }));
+        const index = this.data.mesocycles.findIndex(m => m.id === record.id);
+        if (index >= 0) this.data.mesocycles[index] = record;
+        else this.data.mesocycles.push(record);
+        this.persist();
+        return InMemoryRepository.toMesocycle(record);
+    }
+
+    /**
+     * The user's most recently created mesocycle that covers the given date.
+     * @param {string} userId
+     * @param {Date} date
+     * @returns {Mesocycle|null}
+     */
+    getActiveMesocycle(userId, date = new Date()) {
+        const time = new Date(date).getTime();
+        const record = this.data.mesocycles
+            .filter(m => m.userId === userId)
+            .filter(m => {
+                const start = new Date(m.startDate).getTime();
+                return time >= start && time < start + m.weeks.length * 7 * 24 * 60 * 60 * 1000;
+            })
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+        return record ? InMemoryRepository.toMesocycle(record) : null;
+    }
+
+    // --- Live sessions ---
+
+    /**
+     * Inserts or updates an in-progress live session. Assigns an id to new ones.
+     * @param {Object} session - Live session record (see live_session.js)
+     * @returns {Object}
+     */
+    saveLiveSession(session) {
+        const record = JSON.parse(JSON.stringify({
+            ...session,
+            id: session.id || InMemoryRepository.generateId()
+        }));
+        const index = this.data.liveSessions.findIndex(s => s.id === record.id);
+        if (index >= 0) this.data.liveSessions[index] = record;
+        else this.data.liveSessions.push(record);
+        this.persist();
+        return this.getLiveSession(record.id);
+    }
+
+    /**
+     * @param {string} sessionId
+     * @returns {Object|null}
+     */
+    getLiveSession(sessionId) {
+        const record = this.data.liveSessions.find(s => s.id === sessionId);
+        return record ? JSON.parse(JSON.stringify(record)) : null;
+    }
+
+    // --- Readiness check-ins ---
+
+    /**
+     * Stores a daily check-in. A second check-in on the same day replaces the first.
+     * @param {string} userId
+     * @param {Object} checkIn - { day: "YYYY-MM-DD", sleepHours, sleepQuality, soreness, stressLevel, score }
+     * @returns {Object}
+     */
+    saveCheckIn(userId, checkIn) {
+        const record = JSON.parse(JSON.stringify({ ...checkIn, userId }));
+        const index = this.data.checkIns.findIndex(c => c.userId === userId && c.day === record.day);
+        if (index >= 0) this.data.checkIns[index] = record;
+        else this.data.checkIns.push(record);
+        this.persist();
+        return record;
+    }
+
+    /**
+     * @param {string} userId
+     * @param {number} limit - Max number of check-ins (optional)
+     * @returns {Array<Object>} Newest first
+     */
+    listCheckIns(userId, limit) {
+        const checkIns = this.data.checkIns
+            .filter(c => c.userId === userId)
+            .sort((a, b) => b.day.localeCompare(a.day));
+        return limit ? checkIns.slice(0, limit) : checkIns;
+    }
+
+    /**
+     * Stores imported wearable data, one record per user and day. A re-import of a day only
+     * overwrites the measurements it has, so sleep and HRV can come from different exports.
+     * @param {string} userId
+     * @param {Array<Object>} records - { day: "YYYY-MM-DD", sleepHours, restingHr, hrv }
+     * @param {string} source - Import format the records came from
+     * @returns {Array<Object>} The stored records for those days
+     */
+    saveRecoveryRecords(userId, records, source) {
+        const saved = records.map(record => {
+            const index = this.data.recoveryRecords.findIndex(r => r.userId === userId && r.day === record.day);
+            const existing = index >= 0 ? this.data.recoveryRecords[index] : { userId, day: record.day, sleepHours: null, restingHr: null, hrv: null };
+            const merged = { ...existing, source, importedAt: new Date().toISOString() };
+            ['sleepHours', 'restingHr', 'hrv'].forEach(field => {
+                if (record[field] !== null && record[field] !== undefined) merged[field] = record[field];
+            });
+            if (index >= 0) this.data.recoveryRecords[index] = merged;
+            else this.data.recoveryRecords.push(merged);
+            return { ...merged };
+        });
+        this.persist();
+        return saved;
+    }
+
+    /**
+     * @param {string} userId
+     * @param {number} limit - Max number of days (optional)
+     * @returns {Array<Object>} Newest first
+     */
+    listRecoveryRecords(userId, limit) {
+        const records = this.data.recoveryRecords
+            .filter(r => r.userId === userId)
+            .sort((a, b) => b.day.localeCompare(a.day))
+            .map(r => ({ ...r }));
+        return limit ? records.slice(0, limit) : records;
+    }
+
+    /**
+     * @param {string} userId
+     * @param {string} day - "YYYY-MM-DD"
+     * @returns {Object|null}
+     */
+    getRecoveryRecord(userId, day) {
+        const record = this.data.recoveryRecords.find(r => r.userId === userId && r.day === day);
+        return record ? { ...record } : null;
+    }
+
+    /**
+     * Stores what the engine prescribed for a day. Regenerating the same day replaces it.
+     * @param {string} userId
+     * @param {Object} prescription - { day: "YYYY-MM-DD", workoutId, name, sets, readinessScore, exercises, explanations }
+     * @returns {Object}
+     */
+    savePrescription(userId, prescription) {
+        const record = JSON.parse(JSON.stringify({ ...prescription, userId }));
+        const index = this.data.prescriptions.findIndex(p => p.userId === userId && p.day === record.day);
+        if (index >= 0) this.data.prescriptions[index] = record;
+        else this.data.prescriptions.push(record);
+        this.persist();
+        return record;
+    }
+
+    /**
+     * @param {string} userId
+     * @param {string} day - "YYYY-MM-DD"
+     * @returns {Object|null}
+     */
+    getPrescription(userId, day) {
+        const record = this.data.prescriptions.find(p => p.userId === userId && p.day === day);
+        return record ? { ...record } : null;
+    }
+
+    /**
+     * @param {string} userId
+     * @param {number} limit - Max number of days (optional)
+     * @returns {Array<Object>} Newest day first
+     */
+    listPrescriptions(userId, limit) {
+        const prescriptions = this.data.prescriptions
+            .filter(p => p.userId === userId)
+            .sort((a, b) => b.day.localeCompare(a.day))
+            .map(p => ({ ...p }));
+        return limit ? prescriptions.slice(0, limit) : prescriptions;
+    }
+
+    // --- Readiness scoring configs set at runtime: the server's (readiness_config.json holds the defaults) and coaches' own ---
+
+    /**
+     * @param {Object} config - { base, baseline, factors }
+     * @param {string|null} ownerId - The coach whose athletes it applies to; null for the server-wide config
+     * @returns {Object} { ownerId, config, updatedAt }
+     */
+    saveReadinessConfig(config, ownerId = null) {
+        const record = JSON.parse(JSON.stringify({ ownerId, config, updatedAt: new Date().toISOString() }));
+        const index = this.data.readinessConfigs.findIndex(r => (r.ownerId || null) === ownerId);
+        if (index >= 0) this.data.readinessConfigs[index] = record;
+        else this.data.readinessConfigs.push(record);
+        this.persist();
+        return JSON.parse(JSON.stringify(record));
+    }
+
+    /**
+     * @param {string|null} ownerId
+     * @returns {Object|null} The saved config, null when none was saved
+     */
+    getReadinessConfig(ownerId = null) {
+        const record = this.data.readinessConfigs.find(r => (r.ownerId || null) === ownerId);
+        return record ? JSON.parse(JSON.stringify(record.config)) : null;
+    }
+
+    /**
+     * @param {string|null} ownerId
+     * @returns {boolean} Whether there was one
+     */
+    deleteReadinessConfig(ownerId = null) {
+        const before = this.data.readinessConfigs.length;
+        this.data.readinessConfigs = this.data.readinessConfigs.filter(r => (r.ownerId || null) !== ownerId);
+        this.persist();
+        return this.data.readinessConfigs.length < before;
+    }
+
+    // --- Nutrition: body stats, custom foods and the meal log ---
+
+    /**
+     * @param {string} userId
+     * @param {Object} profile - { age, gender, heightCm, weightKg, activity, goal, preference }
+     * @returns {Object}
+     */
+    saveNutritionProfile(userId, profile) {
+        const record = JSON.parse(JSON.stringify({ ...profile, userId, updatedAt: new Date().toISOString() }));
+        const index = this.data.nutritionProfiles.findIndex(p => p.userId === userId);
+        if (index >= 0) this.data.nutritionProfiles[index] = record;
+        else this.data.nutritionProfiles.push(record);
+        this.persist();
+        return { ...record };
+    }
+
+    /**
+     * @param {string} userId
+     * @returns {Object|null}
+     */
+    getNutritionProfile(userId) {
+        const record = this.data.nutritionProfiles.find(p => p.userId === userId);
+        return record ? { ...record } : null;
+    }
+
+    /**
+     * Adds a user's own food. Ids are generated so they can't clash with the built-in catalogue.
+     * @param {Object} food - { ownerId, name, calories, protein, carbs, fat, serving, diet }
+     * @returns {Object}
+     */
+    saveFood(food) {
+        const record = JSON.parse(JSON.stringify({
+            ...food,
+            id: InMemoryRepository.generateId(),
+            custom: true,
+            createdAt: new Date().toISOString()
+        }));
+        this.data.foods.push(record);
+        this.persist();
+        return { ...record };
+    }
+
+    /**
+     * @param {string} ownerId
+     * @returns {Array<Object>} Oldest first
+     */
+    listFoods(ownerId) {
+        return this.data.foods.filter(f => f.ownerId === ownerId).map(f => ({ ...f }));
+    }
+
+    /**
+     * @param {Object} meal - { userId, day: "YYYY-MM-DD", meal, foodId, servings }
+     * @returns {Object}
+     */
+    logMeal(meal) {
+        const record = JSON.parse(JSON.stringify({
+            ...meal,
+            id: InMemoryRepository.generateId(),
+            createdAt: new Date().toISOString()
+        }));
+        this.data.meals.push(record);
+        this.persist();
+        return { ...record };
+    }
+
+    /**
+     * @param {string} userId
+     * @param {string} day - "YYYY-MM-DD"
+     * @returns {Array<Object>} In logging order
+     */
+    listMeals(userId, day) {
+        return this.data.meals.filter(m => m.userId === userId && m.day === day).map(m => ({ ...m }));
+    }
+
+    // --- Program templates and who is running them ---
+
+    /**
+     * Inserts or updates a program template. Assigns an id to new ones.
+     * @param {Object} program - { ownerId, name, description, split, daysPerWeek, schedule, days }
+     * @returns {Object}
+     */
+    saveProgram(program) {
+        const now = new Date().toISOString();
+        const record = JSON.parse(JSON.stringify({
+            ...program,
+            id: program.id || InMemoryRepository.generateId(),
+            createdAt: program.createdAt || now,
+            updatedAt: now
+        }));
+        const index = this.data.programs.findIndex(p => p.id === record.id);
+        if (index >= 0) this.data.programs[index] = record;
+        else this.data.programs.push(record);
+        this.persist();
+        return this.getProgram(record.id);
+    }
+
+    /**
+     * @param {string} programId
+     * @returns {Object|null}
+     */
+    getProgram(programId) {
+        const record = this.data.programs.find(p => p.id === programId);
+        return record ? JSON.parse(JSON.stringify(record)) : null;
+    }
+
+    /**
+     * @param {Array<string>} ownerIds - Only programs created by these users
+     * @returns {Array<Object>} Oldest first
+     */
+    listPrograms(ownerIds) {
+        return this.data.programs
+            .filter(p => ownerIds.includes(p.ownerId))
+            .map(p => JSON.parse(JSON.stringify(p)));
+    }
+
+    /**
+     * Assignments are kept, so users whose newest assignment pointed here have no active program
+     * (rather than silently falling back to an older one).
+     * @param {string} programId
+     */
+    deleteProgram(programId) {
+        this.data.programs = this.data.programs.filter(p => p.id !== programId);
+        this.persist();
+    }
+
+    /**
+     * Starts a program for a user. The newest assignment is the active one.
+     * @param {Object} assignment - { userId, programId, startDate }
+     * @returns {Object}
+     */
+    saveProgramAssignment(assignment) {
+        const record = {
+            ...assignment,
+            id: InMemoryRepository.generateId(),
+            createdAt: new Date().toISOString()
+        };
+        this.data.programAssignments.push(record);
+        this.persist();
+        return { ...record };
+    }
+
+    /**
+     * @param {string} userId
+     * @returns {Object|null} { id, userId, programId, startDate, createdAt }
+     */
+    getActiveProgramAssignment(userId) {
+        const record = this.data.programAssignments.filter(a => a.userId === userId).pop();
+        return record ? { ...record } : null;
+    }
+
+    // --- Gym: membership plans, the class timetable, bookings and contact messages ---
+
+    /**
+     * Inserts or updates a membership plan. Assigns an id to new ones.
+     * @param {Object} plan - { name, price, currency, interval, features, active }
+     * @returns {Object}
+     */
+    saveMembershipPlan(plan) {
+        return this.upsert('membershipPlans', plan);
+    }
+
+    /**
+     * @param {string} planId
+     * @returns {Object|null}
+     */
+    getMembershipPlan(planId) {
+        const record = this.data.membershipPlans.find(p => p.id === planId);
+        return record ? JSON.parse(JSON.stringify(record)) : null;
+    }
+
+    /**
+     * @param {Object} filter - { includeInactive }
+     * @returns {Array<Object>} Cheapest first
+     */
+    listMembershipPlans({ includeInactive = false } = {}) {
+        return this.data.membershipPlans
+            .filter(p => includeInactive || p.active !== false)
+            .sort((a, b) => a.price - b.price)
+            .map(p => JSON.parse(JSON.stringify(p)));
+    }
+
+    /**
+     * A member's plan; joining another plan replaces it.
+     * @param {string} userId
+     * @param {Object} membership - { planId, startedAt }
+     * @returns {Object}
+     */
+    saveMembership(userId, membership) {
+        const record = JSON.parse(JSON.stringify({ ...membership, userId }));
+        const index = this.data.memberships.findIndex(m => m.userId === userId);
+        if (index >= 0) this.data.memberships[index] = record;
+        else this.data.memberships.push(record);
+        this.persist();
+        return { ...record };
+    }
+
+    /**
+     * @param {string} userId
+     * @returns {Object|null}
+     */
+    getMembership(userId) {
+        const record = this.data.memberships.find(m => m.userId === userId);
+        return record ? { ...record } : null;
+    }
+
+    /**
+     * Inserts or updates a weekly class. Assigns an id to new ones.
+     * @param {Object} gymClass - { name, weekday, startTime, durationMinutes, room, instructor, capacity }
+     * @returns {Object}
+     */
+    saveGymClass(gymClass) {
+        return this.upsert('gymClasses', gymClass);
+    }
+
+    /**
+     * @param {string} classId
+     * @returns {Object|null}
+     */
+    getGymClass(classId) {
+        const record = this.data.gymClasses.find(c => c.id === classId);
+        return record ? { ...record } : null;
+    }
+
+    /**
+     * @returns {Array<Object>} Oldest first
+     */
+    listGymClasses() {
+        return this.data.gymClasses.map(c => ({ ...c }));
+    }
+
+    /**
+     * Bookings are kept (the front desk still sees who had booked).
+     * @param {string} classId
+     */
+    deleteGymClass(classId) {
+        this.data.gymClasses = this.data.gymClasses.filter(c => c.id !== classId);
+        this.persist();
+    }
+
+    /**
+     * Inserts or updates a booking. Assigns an id to new ones.
+     * @param {Object} booking - { classId, date: "YYYY-MM-DD", userId, status }
+     * @returns {Object}
+     */
+    saveClassBooking(booking) {
+        return this.upsert('classBookings', booking);
+    }
+
+    /**
+     * @param {string} bookingId
+     * @returns {Object|null}
+     */
+    getClassBooking(bookingId) {
+        const record = this.data.classBookings.find(b => b.id === bookingId);
+        return record ? { ...record } : null;
+    }
+
+    /**
+     * @param {Object} filter - { classId, date, userId, from: "YYYY-MM-DD" }; all optional
+     * @returns {Array<Object>} In booking order
+     */
+    listClassBookings({ classId, date, userId, from } = {}) {
+        return this.data.classBookings
+            .filter(b => (!classId || b.classId === classId) && (!date || b.date === date) && (!userId || b.userId === userId))
+            .filter(b => !from || b.date >= from)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+            .map(b => ({ ...b }));
+    }
+
+    /**
+     * Inserts or updates a contact-form message. Assigns an id to new ones.
+     * @param {Object} message - { name, email, phone, message, status }
+     * @returns {Object}
+     */
+    saveContactMessage(message) {
+        return this.upsert('contactMessages', message);
+    }
+
+    /**
+     * @param {string} messageId
+     * @returns {Object|null}
+     */
+    getContactMessage(messageId) {
+        const record = this.data.contactMessages.find(m => m.id === messageId);
+        return record ? { ...record } : null;
+    }
+
+    /**
+     * @param {Object} filter - { status }
+     * @returns {Array<Object>} Newest first
+     */
+    listContactMessages({ status } = {}) {
+        return this.data.contactMessages
+            .filter(m => !status || m.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .map(m => ({ ...m }));
+    }
+
+    /**
+     * Inserts or updates a record with an id and created/updated timestamps.
+     * @param {string} collection
+     * @param {Object} item
+     * @returns {Object} A copy of the stored record
+     */
+    upsert(collection, item) {
+        const now = new Date().toISOString();
+        const record = JSON.parse(JSON.stringify({
+            ...item,
+            id: item.id || InMemoryRepository.generateId(),
+            createdAt: item.createdAt || now,
+            updatedAt: now
+        }));
+        const index = this.data[collection].findIndex(r => r.id === record.id);
+        if (index >= 0) this.data[collection][index] = record;
+        else this.data[collection].push(record);
+        this.persist();
+        return JSON.parse(JSON.stringify(record));
+    }
+
+    // --- Accounts (login details, role and coach link for a user) ---
+
+    /**
+     * Inserts or updates an account, keyed by userId.
+     * @param {Object} account - { userId, email, passwordHash, role, coachId, createdAt }
+     * @returns {Object}
+     */
+    saveAccount(account) {
+        const record = JSON.parse(JSON.stringify(account));
+        const index = this.data.accounts.findIndex(a => a.userId === record.userId);
+        if (index >= 0) this.data.accounts[index] = record;
+        else this.data.accounts.push(record);
+        this.persist();
+        return this.getAccount(record.userId);
+    }
+
+    /**
+     * @param {string} userId
+     * @returns {Object|null}
+     */
+    getAccount(userId) {
+        const record = this.data.accounts.find(a => a.userId === userId);
+        return record ? { ...record } : null;
+    }
+
+    /**
+     * @param {string} email - Already normalized (trimmed, lower case)
+     * @returns {Object|null}
+     */
+    getAccountByEmail(email) {
+        const record = this.data.accounts.find(a => a.email === email);
+        return record ? { ...record } : null;
+    }
+
+    /**
+     * @param {Object} filter - { coachId } (optional)
+     * @returns {Array<Object>}
+     */
+    listAccounts({ coachId } = {}) {
+        return this.data.accounts
+            .filter(a => coachId === undefined || a.coachId === coachId)
+            .map(a => ({ ...a }));
+    }
+
+    // --- Auth tokens (stored as hashes, never the token itself) ---
+
+    /**
+     * @param {Object} token - { tokenHash, userId, expiresAt }
+     * @returns {Object}
+     */
+    saveAuthToken(token) {
+        const record = { ...token };
+        this.data.authTokens.push(record);
+        this.persist();
+        return record;
+    }
+
+    /**
+     * @param {string} tokenHash
+     * @returns {Object|null}
+     */
+    getAuthToken(tokenHash) {
+        const record = this.data.authTokens.find(t => t.tokenHash === tokenHash);
+        return record ? { ...record } : null;
+    }
+
+    deleteAuthToken(tokenHash) {
+        this.data.authTokens = this.data.authTokens.filter(t => t.tokenHash !== tokenHash);
+        this.persist();
+    }
+
+    /**
+     * @param {Date} now
+     * @returns {number} How many expired tokens were removed
+     */
+    deleteExpiredAuthTokens(now = new Date()) {
+        const before = this.data.authTokens.length;
+        this.data.authTokens = this.data.authTokens.filter(t => new Date(t.expiresAt).getTime() > now.getTime());
+        const removed = before - this.data.authTokens.length;
+        if (removed > 0) this.persist();
+        return removed;
+    }
+
+    static toMesocycle(record) {
+        const mesocycle = new Mesocycle(
+            record.id, record.userId, record.model, new Date(record.startDate),
+            record.weeks, record.trainingMaxes, record.readinessLog
+        );
+        mesocycle.createdAt = record.createdAt;
+        return mesocycle;
+    }
+
+    static toPerformance(record) {
+        return new ExercisePerformance(
+            record.exerciseId, record.weight, record.completedReps, record.completedSets, record.rpe
+        );
+    }
+}
+
+class JsonFileRepository extends InMemoryRepository {
+    /**
+     * @param {string} filePath - Location of the JSON database file
+     */
+    constructor(filePath) {
+        super(JsonFileRepository.load(filePath));
+        this.filePath = filePath;
+    }
+
+    static load(filePath) {
+        if (!fs.existsSync(filePath)) return {};
+        const raw = fs.readFileSync(filePath, 'utf8');
+        return raw.trim() ? JSON.parse(raw) : {};
+    }
+
+    persist() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        // Write to a temp file first so a crash mid-write can't corrupt the database
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+}
+
+module.exports = { InMemoryRepository, JsonFileRepository };
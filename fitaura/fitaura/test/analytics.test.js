@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const ProgressAnalytics = require('../analytics');
+const Autoregulator = require('../autoregulator');
+
+// One logged session a week (Mondays from 2024-05-06) of squat, plus bench on the first two
+const session = (week, squat, rpe = 8) => ({
+    id: `s${week}`,
+    userId: 'u1',
+    date: new Date(Date.UTC(2024, 4, 6 + week * 7, 17)).toISOString(),
+    exercises: [
+        { id: 'sq', name: 'Barbell Squat', muscleGroups: ['quads', 'glutes'] },
+        { id: 'bp', name: 'Bench Press', muscleGroups: ['chest'] }
+    ],
+    performances: [
+        { exerciseId: 'sq', weight: squat, completedReps: 5, completedSets: 3, rpe },
+        ...(week < 2 ? [{ exerciseId: 'bp', weight: 80, completedReps: 5, completedSets: 3, rpe: 6 }] : [])
+    ]
+});
+
+const sessions = [session(0, 100), session(1, 105), session(2, 110), session(3, 110), session(4, 110), session(5, 110)];
+
+test('per-exercise progress', async t => {
+    const report = ProgressAnalytics.report([...sessions].reverse());
+    const squat = report.exercises.find(ex => ex.exerciseId === 'sq');
+
+    await t.test('estimates e1RM per session, oldest first', () => {
+        assert.equal(squat.sessions, 6);
+        assert.equal(squat.e1rm.points[0].value, Math.round(Autoregulator.estimateOneRepMax(100, 5, 8) * 10) / 10);
+        assert.ok(squat.e1rm.trend.change > 0);
+        assert.ok(squat.e1rm.trend.perWeek > 0);
+    });
+
+    await t.test('weekly buckets carry tonnage, hard sets and average RPE', () => {
+        assert.deepEqual(squat.buckets[0], {
+            period: '2024-05-06',
+            sessions: 1,
+            tonnage: 1500,
+            hardSets: 3,
+            averageRpe: 8,
+            bestE1rm: squat.e1rm.points[0].value
+        });
+        // Bench at RPE 6 is never a hard set
+        assert.equal(report.exercises.find(ex => ex.exerciseId === 'bp').buckets[0].hardSets, 0);
+    });
+
+    await t.test('monthly buckets add up the weeks', () => {
+        const monthly = ProgressAnalytics.report(sessions, [], { period: 'month' }).exercises.find(ex => ex.exerciseId === 'sq');
+        assert.deepEqual(monthly.buckets.map(b => b.period), ['2024-05', '2024-06']);
+        assert.equal(monthly.buckets.reduce((sum, b) => sum + b.tonnage, 0), squat.buckets.reduce((sum, b) => sum + b.tonnage, 0));
+    });
+
+    await t.test('since leaves out older sessions', () => {
+        const recent = ProgressAnalytics.report(sessions, [], { since: '2024-05-20' });
+        assert.equal(recent.exercises.find(ex => ex.exerciseId === 'sq').sessions, 4);
+        assert.equal(recent.exercises.some(ex => ex.exerciseId === 'bp'), false);
+    });
+});
+
+test('muscle groups', async t => {
+    const { muscleGroups } = ProgressAnalytics.report(sessions);
+
+    await t.test('an exercise counts towards each of its muscle groups', () => {
+        const quads = muscleGroups.find(m => m.muscleGroup === 'quads');
+        const glutes = muscleGroups.find(m => m.muscleGroup === 'glutes');
+        assert.deepEqual(quads.buckets, glutes.buckets);
+        assert.deepEqual(muscleGroups.find(m => m.muscleGroup === 'chest').exercises, ['bp']);
+    });
+
+    await t.test('strength is indexed to the first session', () => {
+        const quads = muscleGroups.find(m => m.muscleGroup === 'quads');
+        assert.equal(quads.buckets[0].e1rmIndex, 100);
+        assert.equal(quads.buckets[2].e1rmIndex, 110);
+    });
+
+    await t.test('falls back to the library when the session has no muscle groups', () => {
+        const bare = [{ id: 's', date: '2024-05-06', exercises: [], performances: [{ exerciseId: 'deadlift', weight: 140, completedReps: 5, completedSets: 1, rpe: 8 }] }];
+        assert.ok(ProgressAnalytics.report(bare).muscleGroups.length > 0);
+    });
+});
+
+test('plateaus', async t => {
+    await t.test('flags an exercise with no e1RM gain over the last N sessions', () => {
+        const { plateaus } = ProgressAnalytics.report(sessions);
+        assert.deepEqual(plateaus.map(p => p.exerciseId), ['sq']);
+        assert.equal(plateaus[0].since, sessions[2].date);
+    });
+
+    await t.test('a longer window still sees the earlier progress', () => {
+        assert.deepEqual(ProgressAnalytics.report(sessions, [], { plateauSessions: 5 }).plateaus, []);
+    });
+
+    await t.test('needs N sessions before judging', () => {
+        assert.equal(ProgressAnalytics.plateau([{ date: '2024-05-06', value: 100 }], 4), null);
+    });
+
+    await t.test('gains under half a percent still count as a stall', () => {
+        const points = [100, 100, 99, 100.2].map((value, i) => ({ date: `2024-05-0${i + 1}`, value }));
+        assert.equal(ProgressAnalytics.plateau(points, 4).detected, true);
+    });
+});
+
+test('readiness trend', () => {
+    const checkIns = [
+        { day: '2024-05-14', score: 60 },
+        { day: '2024-05-06', score: 80 },
+        { day: '2024-05-07', score: 70 }
+    ];
+    const readiness = ProgressAnalytics.readiness(checkIns, 'week');
+    assert.deepEqual(readiness.points.map(p => p.date), ['2024-05-06', '2024-05-07', '2024-05-14']);
+    assert.deepEqual(readiness.buckets, [
+        { period: '2024-05-06', average: 75, checkIns: 2 },
+        { period: '2024-05-13', average: 60, checkIns: 1 }
+    ]);
+    assert.ok(readiness.trend.perWeek < 0);
+});
+
+test('weeks start on Monday (UTC)', () => {
+    assert.equal(ProgressAnalytics.periodKey('2024-05-12T23:00:00Z', 'week'), '2024-05-06'); // Sunday
+    assert.equal(ProgressAnalytics.periodKey('2024-05-13T00:00:00Z', 'week'), '2024-05-13');
+    assert.equal(ProgressAnalytics.periodKey('2024-05-13', 'month'), '2024-05');
+});
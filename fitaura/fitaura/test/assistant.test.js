@@ -0,0 +1,190 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const CoachingAssistant = require('../assistant');
+const SearchIndex = require('../search_index');
+const TrainingEngine = require('../training_engine');
+const ExerciseLibrary = require('../exercise_library');
+const Autoregulator = require('../autoregulator');
+const { LlmAdapter, StubLlmAdapter } = require('../llm_adapter');
+const { InMemoryRepository } = require('../storage');
+const { Feedback, Workout, Exercise, ExercisePerformance } = require('../models');
+const { fullBodyWorkout, testUser } = require('./helpers');
+
+const goodDay = () => new Feedback(4, 2, 'Low', [], 8);
+
+// u1 ground out their squats on Monday; Wednesday's workout takes weight off
+function setup(userOverrides = {}, options = {}) {
+    const repository = new InMemoryRepository();
+    const user = testUser(userOverrides);
+    repository.saveUser(user);
+    repository.logSession(fullBodyWorkout(new Date('2024-05-06')), [
+        new ExercisePerformance('sq', 100, 5, 3, 9.5),
+        new ExercisePerformance('bp', 80, 5, 3, 8),
+        new ExercisePerformance('row', 60, 10, 3, 8)
+    ]);
+    const engine = new TrainingEngine(repository);
+    engine.generateDailyWorkout(user, fullBodyWorkout(new Date('2024-05-08')), goodDay());
+    return { repository, engine, assistant: new CoachingAssistant(engine, options) };
+}
+
+const ask = (assistant, question, options = {}) => assistant.answer('u1', question, { date: '2024-05-08', ...options });
+
+test('knowledge base search', async t => {
+    const index = new SearchIndex(CoachingAssistant.loadKnowledgeBase());
+
+    await t.test('ranks the article about a topic first', () => {
+        assert.equal(index.search('how much protein do I need')[0].id, 'protein');
+        assert.equal(index.search('is creatine safe')[0].id, 'creatine');
+        assert.equal(index.search('my knee hurts')[0].id, 'injury_pain');
+    });
+
+    await t.test('folds plurals and leaves out documents that share no term', () => {
+        assert.deepEqual(SearchIndex.tokenize('Squats and Calories'), ['squat', 'calory']);
+        assert.deepEqual(index.search('xyzzy'), []);
+    });
+
+    await t.test('rare terms outweigh common ones', () => {
+        const docs = [
+            { id: 'a', title: 'Rows', text: 'rows rows rows for the back' },
+            { id: 'b', title: 'Other', text: 'back back back, and one mention of hinge' }
+        ];
+        assert.equal(new SearchIndex(docs).search('rows for the back')[0].id, 'a');
+    });
+});
+
+test('assistant intents', async t => {
+    await t.test('reads the example questions', () => {
+        const intent = question => CoachingAssistant.intentOf(question, CoachingAssistant.mentionedExercise(question));
+        assert.equal(intent('why did my squat go down today?'), 'explain');
+        assert.equal(intent('swap bench for something shoulder-friendly'), 'substitute');
+        assert.equal(intent('what\'s my best deadlift'), 'best');
+        assert.equal(intent('am I recovered?'), 'readiness');
+        assert.equal(intent('why do I need creatine?'), 'knowledge');
+    });
+
+    await t.test('the longest exercise name wins', () => {
+        assert.equal(CoachingAssistant.mentionedExercise('are front squats good').entry.id, 'front_squat');
+        assert.equal(CoachingAssistant.mentionedExercise('my back squat stalled').entry.id, 'barbell_squat');
+        assert.equal(CoachingAssistant.mentionedExercise('how do I eat more'), null);
+    });
+});
+
+test('assistant answers from the user\'s data', async t => {
+    await t.test('explains a change from the stored explanations', async () => {
+        const { assistant } = setup();
+        const result = await ask(assistant, 'Why did my squat go down today?');
+
+        assert.equal(result.intent, 'explain');
+        assert.equal(result.exerciseId, 'barbell_squat');
+        assert.deepEqual(result.facts.explanations.map(e => e.code), ['LOAD_DECREASE']);
+        assert.match(result.answer, /^Reset: /);
+        assert.equal(result.generatedBy, 'rules');
+
+        const spanish = await ask(assistant, 'Why did my squat go down today?', { locale: 'es' });
+        assert.match(spanish.answer, /^Reajuste: /);
+    });
+
+    await t.test('says when a lift wasn\'t changed, or a later day has no workout yet', async () => {
+        const { assistant } = setup();
+        const bench = await ask(assistant, 'why did my bench press change?');
+        assert.match(bench.answer, /Nothing changed for Bench Press: 3 x 5 at 80kg/);
+
+        const later = await ask(assistant, 'Why did my squat go down?', { date: '2024-05-10' });
+        assert.match(later.answer, /^Your last generated workout was on 2024-05-08\./);
+
+        const { assistant: fresh } = setup();
+        fresh.repository.data.prescriptions = [];
+        assert.match((await ask(fresh, 'why is my workout lighter?')).answer, /haven't generated a workout/);
+    });
+
+    await t.test('swaps around the joint the question names, with the engine\'s substitution', async () => {
+        const { assistant } = setup();
+        const result = await ask(assistant, 'swap bench for something shoulder-friendly');
+
+        assert.equal(result.intent, 'substitute');
+        assert.deepEqual(result.facts.avoid, ['shoulder']);
+        const swap = ExerciseLibrary.get(result.facts.substitute.id);
+        assert.equal(ExerciseLibrary.isRisky(swap, 'shoulder'), false);
+        assert.ok(swap.muscleGroups.includes('chest'));
+        assert.equal(result.facts.substitute.sets, 3);
+        assert.match(result.answer, new RegExp(`^Swap Bench Press for ${swap.name.replace(/[()]/g, '\\$&')}`));
+    });
+
+    await t.test('keeps chronic injuries out of swaps', async () => {
+        const { assistant } = setup({ injuryHistory: ['left_knee'] });
+        const result = await ask(assistant, 'give me an alternative to squats');
+
+        assert.deepEqual(result.facts.avoid, ['knee']);
+        assert.equal(ExerciseLibrary.isRisky(ExerciseLibrary.get(result.facts.substitute.id), 'knee'), false);
+    });
+
+    await t.test('finds the heaviest set and the best estimated 1RM', async () => {
+        const { repository, assistant } = setup();
+        assert.match((await ask(assistant, 'what\'s my best deadlift')).answer, /haven't logged any Deadlift/);
+
+        const pull = date => new Workout('p1', 'u1', 'Pull', [new Exercise('dl', 'Deadlift', 'compound', ['hamstrings'], 180, 3, 5)], new Date(date));
+        repository.logSession(pull('2024-05-01'), [new ExercisePerformance('dl', 180, 5, 3, 8)]);
+        repository.logSession(pull('2024-05-07'), [new ExercisePerformance('dl', 190, 2, 1, 10)]);
+
+        const result = await ask(assistant, 'what\'s my best deadlift');
+        assert.equal(result.intent, 'best');
+        assert.deepEqual(result.facts.heaviest, { weight: 190, reps: 2, rpe: 10, e1rm: result.facts.heaviest.e1rm, day: '2024-05-07' });
+        const e1rm = Math.max(Autoregulator.estimateOneRepMax(180, 5, 8), Autoregulator.estimateOneRepMax(190, 2, 10));
+        assert.ok(Math.abs(result.facts.bestE1rm.e1rm - e1rm) < 0.1);
+        assert.equal(result.facts.sessions, 2);
+    });
+
+    await t.test('reports the latest readiness check-in', async () => {
+        const { repository, assistant } = setup();
+        const result = await ask(assistant, 'am I ready to train?');
+
+        assert.equal(result.intent, 'readiness');
+        assert.equal(result.facts.score, repository.getPrescription('u1', '2024-05-08').readinessScore);
+        assert.match(result.answer, /^Your readiness on 2024-05-08 was \d+\/100/);
+    });
+
+    await t.test('falls back to the knowledge base', async () => {
+        const { assistant } = setup();
+        const result = await ask(assistant, 'how much protein do I need?');
+
+        assert.equal(result.intent, 'knowledge');
+        assert.equal(result.sources[0].id, 'protein');
+        assert.match(result.answer, /^Protein and Macros/);
+
+        const unknown = await ask(assistant, 'xyzzy');
+        assert.deepEqual(unknown.sources, []);
+        assert.match(unknown.answer, /Try asking/);
+    });
+});
+
+test('LLM adapters', async t => {
+    await t.test('the model phrases the answer from the rule-based facts', async () => {
+        const llm = new StubLlmAdapter('Your squat dropped because Monday was a grind.');
+        const { assistant } = setup({}, { llm });
+        const result = await ask(assistant, 'Why did my squat go down today?');
+
+        assert.equal(result.answer, 'Your squat dropped because Monday was a grind.');
+        assert.equal(result.generatedBy, 'llm');
+        const [request] = llm.requests;
+        assert.match(request.system, /only the facts/);
+        assert.match(request.prompt, /Draft answer:\nReset: /);
+        assert.match(request.prompt, /"code":"LOAD_DECREASE"/);
+    });
+
+    await t.test('a failing or empty model falls back to the rules', async () => {
+        const failing = setup({}, { llm: new StubLlmAdapter(new Error('timeout')) }).assistant;
+        const result = await ask(failing, 'Why did my squat go down today?');
+        assert.equal(result.generatedBy, 'rules');
+        assert.match(result.answer, /^Reset: /);
+
+        const empty = setup({}, { llm: new StubLlmAdapter('  ') }).assistant;
+        assert.equal((await ask(empty, 'is creatine safe?')).generatedBy, 'rules');
+    });
+
+    await t.test('modules must export something with complete()', async () => {
+        assert.throws(() => LlmAdapter.load(path.join(__dirname, '..', 'package.json')), /does not export an LLM adapter/);
+        await assert.rejects(new LlmAdapter().complete({}), /does not implement complete/);
+    });
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { AuthService, AuthError } = require('../auth');
+const { InMemoryRepository } = require('../storage');
+
+test('password hashing', async t => {
+    await t.test('verifies the right password only', () => {
+        const stored = AuthService.hashPassword('correct horse');
+        assert.match(stored, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+        assert.equal(AuthService.verifyPassword('correct horse', stored), true);
+        assert.equal(AuthService.verifyPassword('wrong horse', stored), false);
+    });
+
+    await t.test('salts every hash', () => {
+        assert.notEqual(AuthService.hashPassword('same'), AuthService.hashPassword('same'));
+    });
+
+    await t.test('rejects malformed stored hashes', () => {
+        assert.equal(AuthService.verifyPassword('anything', 'plaintext'), false);
+        assert.equal(AuthService.verifyPassword('anything', undefined), false);
+    });
+});
+
+test('AuthService', async t => {
+    const repository = new InMemoryRepository();
+    const auth = new AuthService(repository);
+    const { account, token } = auth.register({ email: ' Ana@Example.com ', password: 'correct horse', name: 'Ana' });
+
+    await t.test('register creates the user profile and stores only token hashes', () => {
+        assert.equal(account.email, 'ana@example.com');
+        assert.equal(repository.getUser(account.userId).name, 'Ana');
+        assert.ok(repository.data.authTokens.every(t => t.tokenHash !== token));
+        assert.throws(() => auth.register({ email: 'ana@example.com', password: 'another one' }), error => error.status === 409);
+    });
+
+    await t.test('tokens resolve to their account until logout', () => {
+        const session = auth.login('ANA@example.com', 'correct horse');
+        assert.equal(auth.authenticate(session.token).userId, account.userId);
+
+        auth.logout(session.token);
+        assert.equal(auth.authenticate(session.token), null);
+    });
+
+    await t.test('expired tokens are rejected and removed', () => {
+        const shortLived = new AuthService(repository, { tokenTtlMs: -1 });
+        const { token: expired } = shortLived.login('ana@example.com', 'correct horse');
+        assert.equal(shortLived.authenticate(expired), null);
+        assert.equal(repository.getAuthToken(AuthService.hashToken(expired)), null);
+    });
+
+    await t.test('logging in clears out expired tokens nobody presented again', () => {
+        const { token: forgotten } = new AuthService(repository, { tokenTtlMs: -1 }).login('ana@example.com', 'correct horse');
+        assert.ok(repository.getAuthToken(AuthService.hashToken(forgotten)));
+
+        const session = auth.login('ana@example.com', 'correct horse');
+        assert.equal(repository.getAuthToken(AuthService.hashToken(forgotten)), null);
+        assert.ok(repository.data.authTokens.every(t => new Date(t.expiresAt).getTime() > Date.now()));
+        auth.logout(session.token);
+    });
+
+    await t.test('unknown emails still run a password check, so they take as long as wrong passwords', st => {
+        const verify = st.mock.method(AuthService, 'verifyPassword');
+        assert.throws(() => auth.login('nobody@example.com', 'correct horse'), AuthError);
+        assert.throws(() => auth.login('ana@example.com', 'wrong horse'), AuthError);
+        assert.equal(verify.mock.callCount(), 2);
+        assert.match(verify.mock.calls[0].arguments[1], /^scrypt\$/);
+    });
+
+    await t.test('wrong passwords and unknown emails fail the same way', () => {
+        const messages = [['ana@example.com', 'wrong horse'], ['nobody@example.com', 'correct horse']].map(([email, password]) => {
+            try {
+                auth.login(email, password);
+            } catch (error) {
+                assert.ok(error instanceof AuthError);
+                assert.equal(error.status, 401);
+                return error.message;
+            }
+            return null;
+        });
+        assert.equal(messages[0], messages[1]);
+    });
+
+    await t.test('coaches access only athletes who picked them', () => {
+        const coach = auth.register({ email: 'coach@example.com', password: 'correct horse', role: 'coach' }).account;
+        const other = auth.register({ email: 'other@example.com', password: 'correct horse' }).account;
+
+        assert.equal(auth.canAccess(coach, account.userId), false);
+        auth.assignCoach(account, 'coach@example.com');
+        assert.equal(auth.canAccess(coach, account.userId), true);
+        assert.equal(auth.canAccess(coach, other.userId), false);
+        assert.equal(auth.canAccess(other, account.userId), false);
+        assert.deepEqual(auth.listAthletes(coach).map(a => a.id), [account.userId]);
+
+        assert.throws(() => auth.assignCoach(account, 'other@example.com'), error => error.status === 404);
+        auth.assignCoach(repository.getAccount(account.userId), null);
+        assert.equal(auth.canAccess(coach, account.userId), false);
+    });
+
+    await t.test('only listed emails can register as staff', () => {
+        const gym = new AuthService(repository, { staffEmails: ['Desk@Example.com'] });
+        assert.equal(gym.register({ email: 'desk@example.com', password: 'correct horse', role: 'staff' }).account.role, 'staff');
+        assert.throws(() => gym.register({ email: 'walkin@example.com', password: 'correct horse', role: 'staff' }), error => error.status === 403);
+        assert.equal(repository.getAccountByEmail('walkin@example.com'), null);
+    });
+});
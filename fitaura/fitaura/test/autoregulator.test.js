@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const Autoregulator = require('../autoregulator');
+const { ExercisePerformance } = require('../models');
+const { fullBodyWorkout } = require('./helpers');
+
+test('adjustLoad', async t => {
+    await t.test('adds 2.5% when the last session was at least 1 RPE under target', () => {
+        const result = Autoregulator.adjustLoad(100, 7, 8);
+        assert.equal(result.adjustmentType, 'LOAD_INCREASE');
+        assert.ok(Math.abs(result.newWeight - 102.5) < 1e-9);
+    });
+
+    await t.test('takes 5% off a near-max session', () => {
+        const result = Autoregulator.adjustLoad(100, 9.5, 8);
+        assert.equal(result.adjustmentType, 'LOAD_DECREASE');
+        assert.equal(result.newWeight, 95);
+    });
+
+    await t.test('takes 5% off when reps were missed, however easy it felt', () => {
+        const result = Autoregulator.adjustLoad(100, 6, 8, true);
+        assert.equal(result.adjustmentType, 'LOAD_DECREASE');
+        assert.equal(result.newWeight, 95);
+    });
+
+    await t.test('keeps the weight when RPE was on target', () => {
+        for (const rpe of [7.5, 8, 9]) {
+            assert.deepEqual(Autoregulator.adjustLoad(100, rpe, 8), { newWeight: 100, adjustmentType: 'MAINTENANCE' });
+        }
+    });
+});
+
+test('adjustVolume', async t => {
+    await t.test('halves sets below 40 readiness, keeping at least one', () => {
+        const workout = fullBodyWorkout();
+        workout.exercises[2].sets = 1;
+        const result = Autoregulator.adjustVolume(workout, 39);
+        assert.equal(result.type, 'DELOAD');
+        assert.deepEqual(result.workout.exercises.map(ex => ex.sets), [1, 1, 1]);
+    });
+
+    await t.test('removes one set below 60 readiness, never the last one', () => {
+        const workout = fullBodyWorkout();
+        workout.exercises[2].sets = 1;
+        const result = Autoregulator.adjustVolume(workout, 59);
+        assert.equal(result.type, 'VOLUME_REDUCTION');
+        assert.deepEqual(result.workout.exercises.map(ex => ex.sets), [2, 2, 1]);
+    });
+
+    await t.test('leaves volume alone from 60 readiness up', () => {
+        const result = Autoregulator.adjustVolume(fullBodyWorkout(), 60);
+        assert.equal(result.type, 'MAINTENANCE');
+        assert.deepEqual(result.workout.exercises.map(ex => ex.sets), [3, 3, 3]);
+    });
+
+    await t.test('keeps rest placeholders at zero sets', () => {
+        const workout = fullBodyWorkout();
+        workout.exercises[0] = { id: 'rest', name: 'Rest (knee pain)', weight: 0, sets: 0, reps: 0 };
+        const result = Autoregulator.adjustVolume(workout, 10);
+        assert.equal(result.workout.exercises[0].sets, 0);
+    });
+
+    await t.test('does not mutate the planned workout', () => {
+        const workout = fullBodyWorkout();
+        Autoregulator.adjustVolume(workout, 10);
+        assert.deepEqual(workout.exercises.map(ex => ex.sets), [3, 3, 3]);
+    });
+});
+
+test('prescribeLoad', async t => {
+    await t.test('prescribes from the estimated 1RM (100kg x 5 @ 7 -> 102.5kg for 5 @ 8)', () => {
+        const result = Autoregulator.prescribeLoad(new ExercisePerformance('sq', 100, 5, 3, 7), 5, 8);
+        assert.equal(result.adjustmentType, 'LOAD_INCREASE');
+        assert.equal(result.newWeight, 102.5);
+        assert.equal(result.estimatedOneRepMax, 127.2);
+    });
+
+    await t.test('caps the jump at +10% / -15%', () => {
+        const easy = Autoregulator.prescribeLoad(new ExercisePerformance('sq', 100, 10, 3, 5), 3, 9);
+        assert.equal(easy.newWeight, 110);
+        const failed = Autoregulator.prescribeLoad(new ExercisePerformance('sq', 100, 1, 3, 10), 10, 8);
+        assert.equal(failed.newWeight, 85);
+    });
+
+    await t.test('rounds to the plate increment', () => {
+        assert.equal(Autoregulator.roundToPlates(101.3, 2.5), 102.5);
+        assert.equal(Autoregulator.roundToPlates(226, 5), 225);
+        assert.equal(Autoregulator.roundToPlates(61.9, 1.25), 62.5);
+    });
+});
+
+test('adjustNextSet', async t => {
+    await t.test('keeps the weight within half an RPE of target', () => {
+        const result = Autoregulator.adjustNextSet({ weight: 100, reps: 5, rpe: 8.5 }, 5, 8);
+        assert.equal(result.adjustmentType, 'MAINTENANCE');
+        assert.equal(result.newWeight, 100);
+    });
+
+    await t.test('drops the next set after an overshoot, by at most 10%', () => {
+        const result = Autoregulator.adjustNextSet({ weight: 100, reps: 2, rpe: 10 }, 5, 8);
+        assert.equal(result.adjustmentType, 'LOAD_DECREASE');
+        assert.equal(result.newWeight, 90);
+    });
+});
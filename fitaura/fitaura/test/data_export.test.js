@@ -0,0 +1,197 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const DataExport = require('../data_export');
+const SessionReport = require('../reports');
+const TrainingEngine = require('../training_engine');
+const TransparencyService = require('../transparency');
+const { InMemoryRepository } = require('../storage');
+const { ValidationError } = require('../validation');
+const { Feedback, ExercisePerformance } = require('../models');
+const { fullBodyWorkout, testUser } = require('./helpers');
+
+// u1 logged Monday, then had Wednesday's workout generated (lighter squats after a grind)
+function setup() {
+    const repository = new InMemoryRepository();
+    repository.saveUser(testUser());
+    repository.logSession(fullBodyWorkout(new Date('2024-05-06')), [
+        new ExercisePerformance('sq', 100, 5, 3, 9.5),
+        new ExercisePerformance('bp', 80, 5, 3, 8)
+    ]);
+    new TrainingEngine(repository).generateDailyWorkout(testUser(), fullBodyWorkout(new Date('2024-05-08')), new Feedback(4, 2, 'Low', [], 8));
+    const wednesday = repository.logSession(fullBodyWorkout(new Date('2024-05-08')), [new ExercisePerformance('sq', 95, 5, 3, 8)], ['left_knee']);
+    return { repository, wednesday };
+}
+
+const spreadsheet = [
+    'Date,Workout,Exercise,Weight,Reps,RPE',
+    '2024-04-01,Legs,Back Squat,90,5,7',
+    '2024-04-01,Legs,Back Squat,90,5,7',
+    '2024-04-01,Legs,Back Squat,90,5,8',
+    '2024-04-03,Push,"Bench Press, paused",70,6,'
+].join('\n');
+
+test('export', async t => {
+    await t.test('holds sessions, generated workouts and check-ins, oldest first', () => {
+        const { repository } = setup();
+        const exported = DataExport.build(repository, 'u1');
+
+        assert.deepEqual([exported.format, exported.version], ['fitaura-export', 1]);
+        assert.deepEqual(exported.sessions.map(s => s.date.slice(0, 10)), ['2024-05-06', '2024-05-08']);
+        assert.deepEqual(exported.prescriptions.map(p => p.day), ['2024-05-08']);
+        assert.equal(exported.checkIns.length, 1);
+    });
+
+    await t.test('CSV tables quote cells, defuse formulas and list each exercise\'s changes', () => {
+        const { repository } = setup();
+        const exported = DataExport.build(repository, 'u1');
+        exported.sessions[0].name = 'Full Body, A';
+
+        const [header, first] = DataExport.toCsv(exported).split('\n');
+        assert.equal(header, 'date,session_id,workout,exercise_id,exercise,weight,reps,sets,rpe');
+        assert.equal(first, `2024-05-06,${exported.sessions[0].id},"Full Body, A",sq,Barbell Squat,100,5,3,9.5`);
+
+        exported.sessions[1].name = '=HYPERLINK("http://evil.example","Squats")';
+        const second = DataExport.toCsv(exported).split('\n').find(line => line.includes(exported.sessions[1].id));
+        assert.ok(second.includes(`,"'=HYPERLINK(""http://evil.example"",""Squats"")",`), second);
+        assert.equal(DataExport.fromCsv(DataExport.toCsv(exported)).find(s => s.date.startsWith('2024-05-08')).name, exported.sessions[1].name);
+        assert.equal(DataExport.csvCell('-5 kg'), "'-5 kg");
+        assert.equal(DataExport.csvCell(-5), '-5');
+
+        const workouts = DataExport.toCsv(exported, 'workouts').split('\n');
+        assert.match(workouts.find(line => line.includes(',sq,')), /^2024-05-08,Full Body A,\d+,sq,Barbell Squat,\d+(\.\d+)?,3,5,LOAD_DECREASE$/);
+    });
+});
+
+test('import', async t => {
+    await t.test('a spreadsheet log becomes sessions, one set per row', () => {
+        const [legs, push] = DataExport.fromCsv(spreadsheet);
+
+        assert.deepEqual([legs.name, legs.date], ['Legs', '2024-04-01T00:00:00.000Z']);
+        assert.deepEqual(legs.performances, [
+            { exerciseId: 'barbell_squat', weight: 90, completedReps: 5, completedSets: 2, rpe: 7 },
+            { exerciseId: 'barbell_squat', weight: 90, completedReps: 5, completedSets: 1, rpe: 8 }
+        ]);
+        assert.equal(legs.exercises[0].sets, 3);
+        assert.deepEqual(push.performances, [{ exerciseId: 'bench_press', weight: 70, completedReps: 6, completedSets: 1, rpe: null }]);
+    });
+
+    await t.test('lists every bad row and the columns it can\'t find', () => {
+        assert.throws(() => DataExport.fromCsv('Date,Exercise,Weight,Reps\n2024-04-01,Squat,heavy,5\n\nlater,Squat,90,5.5'), error => {
+            assert.ok(error instanceof ValidationError);
+            assert.deepEqual(error.errors.map(e => e.field), ['row 2.weight', 'row 4.date', 'row 4.reps']);
+            return true;
+        });
+        assert.throws(() => DataExport.fromCsv('Date,Lift\n2024-04-01,Squat'), /header needs a weight column; header needs a reps column/);
+    });
+
+    await t.test('dates must be calendar days, never shifted by the server\'s timezone', () => {
+        const [session] = DataExport.fromCsv('Date,Exercise,Weight,Reps\n2024-03-31,Squat,90,5');
+        assert.equal(session.date, '2024-03-31T00:00:00.000Z');
+
+        assert.throws(() => DataExport.fromCsv('Date,Exercise,Weight,Reps\n5/6/2024,Squat,90,5\n2024-02-30,Squat,90,5'), error => {
+            assert.deepEqual(error.errors.map(e => `${e.field} ${e.message}`), [
+                'row 2.date must be a day (YYYY-MM-DD)',
+                'row 3.date is not a calendar day'
+            ]);
+            return true;
+        });
+    });
+
+    await t.test('weights in lb or kg become the user\'s units', () => {
+        const weights = (csv, units) => DataExport.fromCsv(csv, units)[0].performances.map(p => p.weight);
+
+        assert.deepEqual(weights('Date,Exercise,Weight (lb),Reps\n2024-04-01,Squat,225,5', 'kg'), [102.1]);
+        assert.deepEqual(weights('Date,Exercise,Weight (kg),Reps\n2024-04-01,Squat,100,5', 'lb'), [220.5]);
+        assert.deepEqual(weights('Date,Exercise,Weight,Unit,Reps\n2024-04-01,Squat,100,kg,5\n2024-04-01,Squat,135,LBS,5', 'kg'), [100, 61.2]);
+        assert.deepEqual(weights('Date,Exercise,Weight,Reps\n2024-04-01,Squat,225,5', 'lb'), [225]);
+        assert.deepEqual(DataExport.fromCsv('Date,Exercise,Weight (lb),Reps\n2024-04-01,Squat,225,5', 'kg')[0].exercises[0].weight, 102.1);
+
+        assert.throws(() => DataExport.fromCsv('Date,Exercise,Weight,Unit,Reps\n2024-04-01,Squat,100,stone,5'), /row 2.unit/);
+    });
+
+    await t.test('an export merges into another account and a second import changes nothing', () => {
+        const { repository } = setup();
+        const exported = JSON.parse(JSON.stringify(DataExport.build(repository, 'u1')));
+        const target = new InMemoryRepository();
+        target.saveUser(testUser({ id: 'u2' }));
+
+        const first = DataExport.merge(target, 'u2', DataExport.parse(exported));
+        assert.deepEqual(first.sessions, { imported: 2, skipped: 0 });
+        assert.deepEqual(first.prescriptions, { imported: 1, skipped: 0 });
+        assert.deepEqual(target.listSessions('u2').map(s => s.performances.length), [1, 2]);
+        assert.equal(target.getPrescription('u2', '2024-05-08').userId, 'u2');
+
+        const again = DataExport.merge(target, 'u2', DataExport.parse(exported));
+        assert.deepEqual(again.sessions, { imported: 0, skipped: 2 });
+        assert.equal(target.listSessions('u2').length, 2);
+    });
+
+    await t.test('a dry run counts without saving', () => {
+        const repository = new InMemoryRepository();
+        const summary = DataExport.merge(repository, 'u1', DataExport.parse(spreadsheet), { dryRun: true });
+        assert.deepEqual(summary.sessions, { imported: 2, skipped: 0 });
+        assert.equal(repository.listSessions('u1').length, 0);
+    });
+
+    await t.test('one invalid record rejects the whole file', () => {
+        const { repository } = setup();
+        const exported = JSON.parse(JSON.stringify(DataExport.build(repository, 'u1')));
+        exported.sessions[1].performances[0].rpe = 11;
+        exported.programs = [{ name: 'Bad', daysPerWeek: 2, schedule: ['mon'], days: [] }];
+
+        assert.throws(() => DataExport.parse(exported), error => {
+            assert.deepEqual(error.errors.map(e => e.field), ['sessions[1].performances[0].rpe', 'programs[0].schedule', 'programs[0].days']);
+            return true;
+        });
+        assert.throws(() => DataExport.parse({ sessions: [] }), /format is required/);
+    });
+});
+
+test('session report', async t => {
+    await t.test('shows the prescription, its readiness and explanations, and what was lifted', () => {
+        const { repository, wednesday } = setup();
+        const report = SessionReport.build(repository, repository.getSession(wednesday.id));
+
+        assert.equal(report.readinessScore, repository.getPrescription('u1', '2024-05-08').readinessScore);
+        assert.deepEqual(report.explanations.map(e => [e.code, e.name]), [['LOAD_DECREASE', 'Barbell Squat']]);
+        assert.equal(report.performed[0].name, 'Barbell Squat');
+
+        const html = SessionReport.html(report);
+        assert.match(html, /^<!DOCTYPE html>/);
+        assert.match(html, /<title>Full Body A, 2024-05-08 \| Fitaura<\/title>/);
+        assert.match(html, /Reset \(Barbell Squat\)/);
+        assert.match(html, /Pain reported: left_knee/);
+    });
+
+    await t.test('renders explanations in the requested locale and escapes user text', () => {
+        const { repository, wednesday } = setup();
+        const session = { ...repository.getSession(wednesday.id), name: '<script>alert(1)</script>' };
+        const html = SessionReport.html(SessionReport.build(repository, session, 'es'));
+
+        assert.match(html, /<html lang="es">/);
+        assert.match(html, /Reajuste/);
+        assert.ok(!html.includes('<script>'));
+
+        assert.match(html, /<h2>Preparación<\/h2>/);
+        assert.match(html, /<h2>Por qué cambió<\/h2>/);
+        assert.match(html, /<th>Peso \(kg\)<\/th>/);
+        assert.match(html, /Dolor reportado: left_knee/);
+        assert.ok(!/Readiness|Prescribed workout|Performed|Pain reported/.test(html));
+    });
+
+    await t.test('every locale has every report heading', () => {
+        const english = Object.keys(TransparencyService.catalogue('en').report);
+        TransparencyService.locales().forEach(locale => {
+            assert.deepEqual(Object.keys(TransparencyService.catalogue(locale).report).sort(), [...english].sort(), locale);
+        });
+    });
+
+    await t.test('says so when the day had no generated workout', () => {
+        const { repository } = setup();
+        const [monday] = repository.listSessions('u1').slice(-1);
+        const html = SessionReport.html(SessionReport.build(repository, monday));
+        assert.match(html, /No readiness check-in that day/);
+        assert.match(html, /No adjustments/);
+    });
+});
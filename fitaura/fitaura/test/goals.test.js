@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const GoalProfile = require('../goals');
+const TrainingEngine = require('../training_engine');
+const Autoregulator = require('../autoregulator');
+const TransparencyService = require('../transparency');
+const { Workout, Exercise, Feedback, ExercisePerformance } = require('../models');
+const { testUser } = require('./helpers');
+
+const TODAY = '2024-05-15T12:00:00.000Z';
+const goodDay = () => new Feedback(null, 1, 'Low', [], 8);
+
+const pushDay = () => new Workout('push', 'u1', 'Push', [
+    new Exercise('bench_press', 'Bench Press', 'compound', ['chest', 'triceps'], 80, 4, 5),
+    new Exercise('dumbbell_fly', 'Dumbbell Fly', 'isolation', ['chest'], 14, 3, 20)
+], new Date(TODAY));
+
+const byCode = (result, code) => result.explanations.filter(e => e.code === code);
+
+test('goal profiles', async t => {
+    await t.test('normalizes ids and aliases', () => {
+        assert.equal(GoalProfile.normalize('muscle_gain'), 'hypertrophy');
+        assert.equal(GoalProfile.normalize('powerlifting'), 'powerlifting');
+        assert.equal(GoalProfile.normalize('bulking'), null);
+        assert.equal(GoalProfile.get(null), null);
+    });
+
+    await t.test('fat loss cuts volume earlier than strength', () => {
+        const fatLoss = GoalProfile.volumeCuts('fat_loss');
+        const strength = GoalProfile.volumeCuts('strength');
+        assert.ok(fatLoss.reduceBelow > strength.reduceBelow);
+        assert.ok(fatLoss.deloadBelow > strength.deloadBelow);
+        assert.deepEqual(GoalProfile.volumeCuts(null), Autoregulator.DEFAULT_VOLUME_CUTS);
+    });
+
+    await t.test('moves reps into range and sets RPE and rest by role', () => {
+        const [bench, fly] = pushDay().exercises;
+        const change = GoalProfile.applyTargets(bench, 'hypertrophy');
+        GoalProfile.applyTargets(fly, 'hypertrophy');
+        assert.deepEqual(change, { before: { reps: 5, rpeTarget: 8 }, after: { reps: 6, rpeTarget: 8 } });
+        assert.equal(bench.restSeconds, 150);
+        assert.deepEqual([fly.reps, fly.rpeTarget, fly.restSeconds], [15, 8.5, 90]);
+    });
+
+    await t.test('kept targets only get a rest period', () => {
+        const [bench] = pushDay().exercises;
+        assert.equal(GoalProfile.applyTargets(bench, 'strength', true), null);
+        assert.deepEqual([bench.reps, bench.restSeconds], [5, 240]);
+    });
+});
+
+test('double progression', async t => {
+    const range = [8, 12];
+
+    await t.test('adds a rep while there is room under the target RPE', () => {
+        const result = Autoregulator.doubleProgression(new ExercisePerformance('x', 50, 9, 3, 7.5), range, 8);
+        assert.deepEqual(result, { newWeight: 50, newReps: 10, adjustmentType: 'REP_INCREASE' });
+    });
+
+    await t.test('adds load at the top of the range and restarts the reps', () => {
+        const result = Autoregulator.doubleProgression(new ExercisePerformance('x', 50, 12, 3, 8), range, 8);
+        assert.deepEqual(result, { newWeight: 52.5, newReps: 8, adjustmentType: 'LOAD_INCREASE' });
+    });
+
+    await t.test('a grind or a miss drops the load by at least one increment', () => {
+        assert.equal(Autoregulator.doubleProgression(new ExercisePerformance('x', 20, 10, 3, 10), range, 8).newWeight, 17.5);
+        assert.equal(Autoregulator.doubleProgression(new ExercisePerformance('x', 100, 6, 3, 8), range, 8).adjustmentType, 'LOAD_DECREASE');
+    });
+
+    await t.test('holds when the RPE is above target', () => {
+        const result = Autoregulator.doubleProgression(new ExercisePerformance('x', 50, 10, 3, 9), range, 8);
+        assert.deepEqual(result, { newWeight: 50, newReps: 10, adjustmentType: 'MAINTENANCE' });
+    });
+
+    await t.test('bodyweight work only progresses in reps', () => {
+        const result = Autoregulator.doubleProgression(new ExercisePerformance('x', 0, 12, 3, 6), range, 8);
+        assert.deepEqual(result, { newWeight: 0, newReps: 12, adjustmentType: 'MAINTENANCE' });
+    });
+});
+
+test('the engine trains for the goal', async t => {
+    const engine = new TrainingEngine();
+
+    await t.test('no goal keeps the plan as written', () => {
+        const result = engine.generateDailyWorkout(testUser(), pushDay(), goodDay());
+        assert.deepEqual(result.workout.exercises.map(ex => ex.reps), [5, 20]);
+        assert.equal(byCode(result, 'GOAL_TARGETS').length, 0);
+    });
+
+    await t.test('hypertrophy adds reps before load', () => {
+        const history = [new ExercisePerformance('bench_press', 80, 7, 4, 7)];
+        const result = engine.generateDailyWorkout(testUser({ goal: 'hypertrophy' }), pushDay(), goodDay(), history);
+        const [bench, fly] = result.workout.exercises;
+        assert.deepEqual([bench.weight, bench.reps, bench.restSeconds], [80, 8, 150]);
+        assert.equal(fly.reps, 15);
+
+        const [targets] = byCode(result, 'GOAL_TARGETS');
+        assert.equal(targets.params.progression, 'double');
+        assert.match(TransparencyService.render(targets).text, /6-10 reps at RPE 8/);
+        assert.deepEqual(byCode(result, 'REP_INCREASE')[0].after, { reps: 8 });
+    });
+
+    await t.test('strength keeps e1RM load steps at low reps', () => {
+        const history = [new ExercisePerformance('bench_press', 80, 5, 4, 6)];
+        const result = engine.generateDailyWorkout(testUser({ goal: 'strength' }), pushDay(), goodDay(), history);
+        const [increase] = byCode(result, 'LOAD_INCREASE');
+        assert.ok(increase.params.estimatedOneRepMax > 0);
+        assert.equal(result.workout.exercises[0].reps, 5);
+        assert.equal(result.workout.exercises[1].reps, 10);
+    });
+
+    await t.test('fat loss cuts volume at a readiness other goals train through', () => {
+        const feedback = new Feedback(null, 4, 'Medium', [], 7);
+        const plain = engine.generateDailyWorkout(testUser(), pushDay(), feedback);
+        assert.ok(plain.readinessScore >= 60 && plain.readinessScore < 65, `readiness ${plain.readinessScore}`);
+
+        const fatLoss = engine.generateDailyWorkout(testUser({ goal: 'fat_loss' }), pushDay(), feedback);
+        assert.equal(byCode(plain, 'VOLUME_REDUCTION').length, 0);
+        assert.equal(byCode(fatLoss, 'VOLUME_REDUCTION').length, 1);
+    });
+});
+
+test('powerlifting peaking', async t => {
+    const lifter = meetDate => testUser({ goal: 'powerlifting', meetDate, trainingMaxes: { bench_press: 120 } });
+
+    await t.test('phases by days to the meet', () => {
+        assert.equal(GoalProfile.peakingFor(lifter('2024-06-15'), TODAY), null);
+        assert.equal(GoalProfile.peakingFor(lifter('2024-06-01'), TODAY).phase, 'intensification');
+        assert.equal(GoalProfile.peakingFor(lifter('2024-05-25'), TODAY).phase, 'peak');
+        assert.equal(GoalProfile.peakingFor(lifter('2024-05-20'), TODAY).phase, 'taper');
+        assert.deepEqual(GoalProfile.peakingFor(lifter('2024-05-15'), TODAY), { phase: 'openers', reps: 1, rpeTarget: 6, volumeMultiplier: 0.3, daysToMeet: 0 });
+        assert.equal(GoalProfile.peakingFor(lifter('2024-05-14'), TODAY), null);
+        assert.equal(GoalProfile.peakingFor({ goal: 'strength', meetDate: '2024-05-20' }, TODAY), null);
+    });
+
+    await t.test('competition lifts are loaded from the training max and volume tapers', () => {
+        const history = [new ExercisePerformance('bench_press', 100, 3, 4, 6)];
+        const result = new TrainingEngine().generateDailyWorkout(lifter('2024-05-25'), pushDay(), goodDay(), history);
+        const [bench, fly] = result.workout.exercises;
+
+        // 2 reps at RPE 9 is 3 effective reps: 92.2% of 120
+        assert.deepEqual([bench.reps, bench.rpeTarget, bench.weight, bench.sets], [2, 9, 110, 2]);
+        assert.equal(fly.sets, 2);
+        assert.equal(byCode(result, 'LOAD_INCREASE').length, 0);
+
+        const [peaking] = byCode(result, 'PEAKING');
+        assert.deepEqual([peaking.params.daysToMeet, peaking.params.lifts], [10, 'Bench Press']);
+        assert.deepEqual([peaking.before.sets, peaking.after.sets], [7, 4]);
+    });
+});
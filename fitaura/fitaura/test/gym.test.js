@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const GymSchedule = require('../gym');
+const { InMemoryRepository } = require('../storage');
+
+const { BOOKED, WAITLISTED, CANCELLED } = GymSchedule.STATUS;
+
+// 2024-05-06 is a Monday
+const monday = { id: 'c1', name: 'Body Building', weekday: 'monday', startTime: '09:00', durationMinutes: 60, room: '210', capacity: 2 };
+const evening = { ...monday, id: 'c2', name: 'Spin', startTime: '18:30', durationMinutes: 45 };
+const booking = (id, status, extra = {}) => ({ id, classId: 'c1', date: '2024-05-06', userId: `u-${id}`, status, ...extra });
+
+test('timetable', async t => {
+    await t.test('expands weekly classes onto the days they run, in start-time order', () => {
+        const week = GymSchedule.occurrences([evening, monday], [], '2024-05-06', 14);
+        assert.deepEqual(week.map(o => [o.date, o.name]), [
+            ['2024-05-06', 'Body Building'], ['2024-05-06', 'Spin'],
+            ['2024-05-13', 'Body Building'], ['2024-05-13', 'Spin']
+        ]);
+        assert.equal(week[1].endTime, '19:15');
+    });
+
+    await t.test('counts spots per day, ignoring cancellations', () => {
+        const bookings = [booking('a', BOOKED), booking('b', CANCELLED), booking('c', BOOKED), booking('d', WAITLISTED)];
+        const [today] = GymSchedule.occurrences([monday], bookings, '2024-05-06', 1);
+        assert.deepEqual([today.booked, today.waitlisted, today.spotsLeft], [2, 1, 0]);
+    });
+
+    await t.test('end times wrap past midnight', () => {
+        assert.equal(GymSchedule.endTime('23:30', 45), '00:15');
+    });
+});
+
+test('bookings and the waitlist', async t => {
+    await t.test('spots fill up, then the waitlist does', () => {
+        assert.equal(GymSchedule.placeFor(monday, [booking('a', BOOKED), booking('b', CANCELLED)]), BOOKED);
+        assert.equal(GymSchedule.placeFor(monday, [booking('a', BOOKED), booking('c', BOOKED)]), WAITLISTED);
+    });
+
+    await t.test('freed spots go to the waitlist in booking order', () => {
+        const bookings = [booking('a', CANCELLED), booking('b', BOOKED), booking('c', WAITLISTED), booking('d', WAITLISTED)];
+        assert.deepEqual(GymSchedule.promotions(monday, bookings).map(b => b.id), ['c']);
+        assert.deepEqual(GymSchedule.promotions({ ...monday, capacity: 5 }, bookings).map(b => b.id), ['c', 'd']);
+        assert.deepEqual(GymSchedule.promotions({ ...monday, capacity: 1 }, bookings), []);
+
+        assert.equal(GymSchedule.waitlistPosition(bookings[3], bookings), 2);
+        assert.equal(GymSchedule.waitlistPosition(bookings[1], bookings), null);
+    });
+
+    await t.test('only the class\'s weekday, before it starts and within the booking window', () => {
+        const now = new Date(2024, 4, 6, 8, 0);
+        assert.equal(GymSchedule.bookingProblem(monday, '2024-05-06', now), null);
+        assert.match(GymSchedule.bookingProblem(monday, '2024-05-07', now), /mondays only/);
+        assert.match(GymSchedule.bookingProblem(monday, '2024-05-06', new Date(2024, 4, 6, 9, 0)), /already started/);
+        assert.equal(GymSchedule.bookingProblem(monday, '2024-05-13', now), null);
+        assert.match(GymSchedule.bookingProblem(monday, '2024-05-20', now), /14 days ahead/);
+    });
+});
+
+test('default plans and timetable', async t => {
+    await t.test('mirror the marketing site', () => {
+        const { plans, classes } = GymSchedule.loadDefaults();
+        assert.deepEqual(plans.map(p => p.price), [59, 69, 99]);
+        assert.deepEqual(classes.map(c => c.weekday), GymSchedule.WEEKDAYS.slice(1));
+        assert.ok(classes.every(c => c.startTime === '09:00' && c.room === '210'));
+    });
+
+    await t.test('are only added to a store without any', () => {
+        const repository = new InMemoryRepository();
+        assert.equal(GymSchedule.seed(repository), true);
+        assert.equal(repository.listMembershipPlans().length, 3);
+        assert.equal(repository.listGymClasses().length, 6);
+
+        repository.saveMembershipPlan({ ...repository.listMembershipPlans()[0], active: false });
+        assert.equal(GymSchedule.seed(repository), false);
+        assert.equal(repository.listMembershipPlans().length, 2);
+        assert.equal(repository.listMembershipPlans({ includeInactive: true }).length, 3);
+    });
+});
@@ -0,0 +1,55 @@
+/**
+ * test/helpers.js
+ * Shared fixtures and a seeded random generator for the property checks.
+ */
+
+const { User, Workout, Exercise, ExercisePerformance } = require('../models');
+
+// The three-exercise plan the original scenario script used
+function fullBodyWorkout(date) {
+    return new Workout('w1', 'u1', 'Full Body A', [
+        new Exercise('sq', 'Barbell Squat', 'compound', ['quads'], 100, 3, 5),
+        new Exercise('bp', 'Bench Press', 'compound', ['chest'], 80, 3, 5),
+        new Exercise('row', 'Barbell Row', 'compound', ['back'], 60, 3, 10)
+    ], date);
+}
+
+function fullBodyHistory() {
+    return [
+        new ExercisePerformance('sq', 100, 5, 3, 7), // RPE 7 (easy)
+        new ExercisePerformance('bp', 80, 5, 3, 8),  // RPE 8 (on target)
+        new ExercisePerformance('row', 60, 10, 3, 9) // RPE 9 (hard)
+    ];
+}
+
+function testUser(overrides = {}) {
+    const user = new User('u1', 'Test User');
+    return Object.assign(user, overrides);
+}
+
+/**
+ * Deterministic PRNG (mulberry32) so a failing property check can be replayed from its seed.
+ * @param {number} seed
+ * @returns {Object} { next, int, pick, subset, step }
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    return {
+        next,
+        int,
+        pick: list => list[int(0, list.length - 1)],
+        subset: list => list.filter(() => next() < 0.3),
+        // Random multiple of `increment` in [min, max]
+        step: (min, max, increment) => min + increment * int(0, Math.floor((max - min) / increment))
+    };
+}
+
+module.exports = { fullBodyWorkout, fullBodyHistory, testUser, seededRandom };
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const NutritionPlanner = require('../nutrition');
+const FoodDatabase = require('../food_database');
+
+const profile = (overrides = {}) => ({ age: 30, gender: 'male', heightCm: 180, weightKg: 80, activity: 1.55, goal: 'strength', ...overrides });
+const within = (actual, target, share) => Math.abs(actual - target) <= target * share;
+
+test('nutrition targets', async t => {
+    await t.test('Mifflin-St Jeor with the goal\'s calorie adjustment', () => {
+        const targets = NutritionPlanner.targets(profile());
+        assert.deepEqual([targets.bmr, targets.tdee, targets.calories], [1780, 2759, 2759]);
+        assert.equal(NutritionPlanner.targets(profile({ goal: 'fat_loss' })).calories, 2259);
+        assert.equal(NutritionPlanner.targets(profile({ goal: 'muscle_gain' })).calories, 3059);
+        assert.deepEqual([targets.bmi, targets.bmiStatus], [24.7, 'Healthy']);
+    });
+
+    await t.test('macros add up to the calories', () => {
+        const { calories, protein, carbs, fat } = NutritionPlanner.targets(profile({ goal: 'fat_loss' }));
+        assert.equal(protein, 176);
+        assert.ok(Math.abs(protein * 4 + carbs * 4 + fat * 9 - calories) < 10);
+    });
+
+    await t.test('prescribed sets raise carbs and calories, up to a cap', () => {
+        const rest = NutritionPlanner.targets(profile());
+        const training = NutritionPlanner.targets(profile(), 15);
+        assert.deepEqual(training.training, { sets: 15, extraCarbs: 120, extraCalories: 480 });
+        assert.deepEqual([training.carbs, training.calories], [rest.carbs + 120, rest.calories + 480]);
+        assert.deepEqual([training.protein, training.fat], [rest.protein, rest.fat]);
+
+        assert.equal(NutritionPlanner.targets(profile(), 60).training.extraCarbs, 160);
+    });
+});
+
+test('meal plans', async t => {
+    await t.test('portions scale to the calorie and protein targets for every preference and goal', () => {
+        for (const preference of FoodDatabase.DIETS) {
+            for (const goal of NutritionPlanner.GOALS) {
+                const targets = NutritionPlanner.targets(profile({ goal }));
+                const { totals } = NutritionPlanner.mealPlan(targets, preference, goal);
+                assert.ok(within(totals.calories, targets.calories, 0.1), `${preference}/${goal} calories ${totals.calories} vs ${targets.calories}`);
+                assert.ok(within(totals.protein, targets.protein, 0.15), `${preference}/${goal} protein ${totals.protein} vs ${targets.protein}`);
+            }
+        }
+    });
+
+    await t.test('only uses foods the preference allows', () => {
+        const plan = NutritionPlanner.mealPlan(NutritionPlanner.targets(profile()), 'veg', 'strength');
+        const foods = plan.meals.flatMap(meal => meal.items).map(item => FoodDatabase.get(item.foodId));
+        assert.ok(foods.every(food => FoodDatabase.fits(food, 'veg')));
+    });
+
+    await t.test('a training day gets bigger base portions', () => {
+        const servings = plan => plan.meals.flatMap(meal => meal.items).reduce((sum, item) => sum + item.servings, 0);
+        const rest = NutritionPlanner.mealPlan(NutritionPlanner.targets(profile()), 'non_veg', 'strength');
+        const training = NutritionPlanner.mealPlan(NutritionPlanner.targets(profile(), 20), 'non_veg', 'strength');
+        assert.ok(servings(training) > servings(rest));
+    });
+
+    await t.test('vegetarian fat loss tops protein up with whey', () => {
+        const plan = NutritionPlanner.mealPlan(NutritionPlanner.targets(profile({ goal: 'fat_loss', weightKg: 95 })), 'veg', 'fat_loss');
+        const snack = plan.meals[2];
+        assert.ok(snack.items.some(item => item.foodId === 'whey'));
+    });
+});
+
+test('meal log', async t => {
+    const shake = { id: 'custom-1', name: 'Protein Shake', calories: 180, protein: 30, carbs: 8, fat: 3, serving: '1 bottle' };
+
+    await t.test('resolves built-in and custom foods', () => {
+        assert.equal(NutritionPlanner.resolveFood('dal_tadka').name, 'Yellow Dal (Tadka)');
+        assert.equal(NutritionPlanner.resolveFood('custom-1', [shake]), shake);
+        assert.equal(NutritionPlanner.resolveFood('custom-1'), null);
+    });
+
+    await t.test('totals the day against its targets', () => {
+        const entries = [
+            { id: 'a', foodId: 'roti', servings: 2, meal: 'lunch' },
+            { id: 'b', foodId: 'custom-1', servings: 1.5, meal: 'snack' }
+        ];
+        const day = NutritionPlanner.daySummary(entries, { calories: 2000, protein: 150, carbs: 200, fat: 60 }, [shake]);
+        assert.deepEqual(day.totals, { calories: 478, protein: 51, carbs: 52, fat: 5.5 });
+        assert.deepEqual(day.remaining, { calories: 1522, protein: 99, carbs: 148, fat: 54.5 });
+        assert.equal(day.entries[1].name, 'Protein Shake');
+    });
+
+    await t.test('no targets, no remaining', () => {
+        assert.equal(NutritionPlanner.daySummary([], null).remaining, null);
+    });
+});
@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const ProgramPlanner = require('../programs');
+const TrainingEngine = require('../training_engine');
+const { Validator, ValidationError, SCHEMAS } = require('../validation');
+const { Feedback, ExercisePerformance } = require('../models');
+const { testUser } = require('./helpers');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'program_templates');
+
+const template = (overrides = {}) => ({
+    name: 'A/B',
+    daysPerWeek: 3,
+    days: [
+        { name: 'A', slots: [{ exerciseId: 'barbell_squat', sets: 3, reps: 5, percentOfMax: 0.8, swaps: ['leg_press', 'goblet_squat'] }] },
+        { name: 'B', slots: [{ exerciseId: 'deadlift', sets: 3, reps: 5, weight: 120 }] }
+    ],
+    ...overrides
+});
+
+const stored = (overrides = {}) => ({ id: 'p1', ...ProgramPlanner.normalize(template(overrides)) });
+
+test('templates', async t => {
+    await t.test('the bundled examples import', () => {
+        fs.readdirSync(TEMPLATES_DIR).forEach(file => {
+            const source = fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf8');
+            const parsed = ProgramPlanner.parse(source, file.endsWith('.json') ? 'json' : 'yaml');
+            Validator.assert(parsed, SCHEMAS.programTemplate);
+            const program = ProgramPlanner.normalize(parsed);
+            assert.equal(program.schedule.length, program.daysPerWeek, file);
+        });
+    });
+
+    await t.test('YAML export round-trips', () => {
+        const program = stored();
+        assert.deepEqual(ProgramPlanner.normalize(ProgramPlanner.parse(ProgramPlanner.toYaml(program))), ProgramPlanner.normalize(program));
+    });
+
+    await t.test('defaults the schedule from daysPerWeek', () => {
+        assert.deepEqual(stored().schedule, ['mon', 'wed', 'fri']);
+    });
+
+    await t.test('rejects inconsistent templates with every problem', () => {
+        assert.throws(
+            () => ProgramPlanner.normalize(template({
+                schedule: ['mon', 'tue'],
+                days: [{ name: 'A', slots: [{ exerciseId: 'tyre_flip', sets: 3, reps: 5, swaps: ['sledgehammer'] }] }]
+            })),
+            error => error instanceof ValidationError
+                && error.errors.map(e => e.field).join() === 'schedule,days[0].slots[0].name,days[0].slots[0].swaps'
+        );
+    });
+
+    await t.test('bad YAML is a ValidationError on the body', () => {
+        assert.throws(() => ProgramPlanner.parse('name: [unclosed'), error => error.errors[0].field === 'body');
+    });
+});
+
+test('dayFor', async t => {
+    const program = stored();
+    const start = '2024-05-06'; // a Monday
+
+    await t.test('rotates through the days on scheduled weekdays', () => {
+        const days = ['2024-05-06', '2024-05-08', '2024-05-10', '2024-05-13', '2024-05-15']
+            .map(date => ProgramPlanner.dayFor(program, start, date).day.name);
+        assert.deepEqual(days, ['A', 'B', 'A', 'B', 'A']);
+        assert.equal(ProgramPlanner.dayFor(program, start, '2024-05-15').sessionNumber, 5);
+    });
+
+    await t.test('rest days and dates before the start have no workout', () => {
+        assert.equal(ProgramPlanner.dayFor(program, start, '2024-05-07'), null);
+        assert.equal(ProgramPlanner.dayFor(program, start, '2024-05-03'), null);
+        assert.equal(ProgramPlanner.nextTrainingDate(program, start, '2024-05-11'), '2024-05-13');
+        assert.equal(ProgramPlanner.nextTrainingDate(program, '2024-05-08', '2024-05-01'), '2024-05-08');
+    });
+
+    await t.test('counts whole weeks without walking every day', () => {
+        // 52 weeks later is the 157th session: 52 weeks x 3 + this Monday
+        assert.equal(ProgramPlanner.dayFor(program, start, '2025-05-05').sessionNumber, 157);
+    });
+});
+
+test('plannedWorkout', async t => {
+    const program = stored();
+    const user = testUser({ trainingMaxes: { barbell_squat: 140 } });
+
+    await t.test('loads from history, then training max, then the slot weight', () => {
+        const fromMax = ProgramPlanner.plannedWorkout(program, { startDate: '2024-05-06' }, user, '2024-05-06');
+        assert.equal(fromMax.workout.exercises[0].weight, 112.5); // 80% of 140 = 112 -> nearest 2.5
+        assert.deepEqual(fromMax.workout.exercises[0].swaps, ['leg_press', 'goblet_squat']);
+
+        const history = [new ExercisePerformance('barbell_squat', 105, 5, 3, 8)];
+        const fromHistory = ProgramPlanner.plannedWorkout(program, { startDate: '2024-05-06' }, user, '2024-05-06', history);
+        assert.equal(fromHistory.workout.exercises[0].weight, 105);
+
+        const dayB = ProgramPlanner.plannedWorkout(program, { startDate: '2024-05-06' }, user, '2024-05-08');
+        assert.equal(dayB.workout.exercises[0].name, 'Deadlift');
+        assert.equal(dayB.workout.exercises[0].weight, 120);
+    });
+
+    await t.test('rest days say when the next session is', () => {
+        const rest = ProgramPlanner.plannedWorkout(program, { startDate: '2024-05-06' }, user, '2024-05-07');
+        assert.equal(rest.restDay, true);
+        assert.equal(rest.workout, null);
+        assert.equal(rest.nextTrainingDate, '2024-05-08');
+    });
+
+    await t.test('the engine tries the slot\'s swaps before the library ranking', () => {
+        const engine = new TrainingEngine();
+        const generate = painFlags => {
+            const { workout } = ProgramPlanner.plannedWorkout(program, { startDate: '2024-05-06' }, user, '2024-05-06');
+            return engine.generateDailyWorkout(user, workout, new Feedback(null, 2, 'Low', painFlags, 8), []).workout.exercises[0];
+        };
+
+        assert.equal(generate(['lower_back']).id, 'leg_press');
+        // Both swaps load the knee, so the library's pick is used instead
+        assert.equal(generate(['knee']).id, 'glute_bridge');
+    });
+});
@@ -0,0 +1,183 @@
+/**
+ * Property checks: random plans, check-ins and histories (seeded, so failures replay)
+ * run through the engine, and invariants that must hold for every one of them.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TrainingEngine = require('../training_engine');
+const Autoregulator = require('../autoregulator');
+const TransparencyService = require('../transparency');
+const ExerciseLibrary = require('../exercise_library');
+const GoalProfile = require('../goals');
+const VolumeLandmarks = require('../volume');
+const { InMemoryRepository } = require('../storage');
+const { User, Workout, Exercise, Feedback, ExercisePerformance } = require('../models');
+const { seededRandom } = require('./helpers');
+
+const RUNS = 300;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAIN_AREAS = [...ExerciseLibrary.JOINTS, 'left_knee', 'right shoulder', 'lower back', 'earlobe'];
+
+function randomCase(seed) {
+    const rand = seededRandom(seed);
+    const units = rand.pick(['kg', 'lb']);
+    const increment = Autoregulator.defaultPlateIncrement(units);
+    const user = new User('u1', 'Random User', {}, rand.subset(ExerciseLibrary.JOINTS), units);
+
+    const catalogue = ExerciseLibrary.all();
+    const exercises = Array.from({ length: rand.int(1, 6) }, (_, i) => {
+        const entry = rand.next() < 0.9 ? rand.pick(catalogue) : { id: `custom_${i}`, name: 'Tyre Flip', type: 'compound', muscleGroups: ['full body'] };
+        return new Exercise(
+            entry.id, entry.name, entry.type, entry.muscleGroups,
+            rand.step(0, 300, increment), rand.int(1, 6), rand.int(1, 15), rand.step(6, 10, 0.5)
+        );
+    });
+    const unique = exercises.filter((ex, i) => exercises.findIndex(other => other.id === ex.id) === i);
+    const plan = new Workout('w1', user.id, 'Random Day', unique);
+
+    const feedback = new Feedback(
+        rand.next() < 0.7 ? rand.int(1, 5) : null,
+        rand.int(1, 5),
+        rand.pick(['Low', 'Medium', 'High']),
+        rand.subset(PAIN_AREAS),
+        rand.next() < 0.8 ? rand.step(0, 12, 0.5) : null
+    );
+
+    const history = plan.exercises
+        .filter(() => rand.next() < 0.8)
+        .map(ex => new ExercisePerformance(ex.id, rand.step(0, 300, increment), rand.int(0, 15), rand.int(1, 6), rand.step(5, 10, 0.5)));
+
+    user.goal = rand.pick([null, ...GoalProfile.GOALS]);
+    if (user.goal === 'powerlifting' && rand.next() < 0.7) {
+        user.meetDate = new Date(Date.now() + rand.int(0, 30) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    }
+
+    // Most users have logged more than a week, so the weekly volume caps and top-ups (which wait
+    // for a full week of history) run as well
+    const sessions = rand.next() < 0.3 ? [] : [rand.int(7, 10), ...Array.from({ length: rand.int(0, 5) }, () => rand.int(1, 6))]
+        .map((daysAgo, i) => {
+            const done = Array.from({ length: rand.int(1, 4) }, () => rand.pick([...plan.exercises, ...catalogue]));
+            const workout = new Workout(`past_${i}`, user.id, 'Past Day', done.map(entry => new Exercise(
+                entry.id, entry.name, entry.type, entry.muscleGroups, rand.step(0, 300, increment), rand.int(1, 8), rand.int(1, 15)
+            )), new Date(Date.now() - daysAgo * DAY_MS));
+            return { workout, performances: workout.exercises.map(ex => new ExercisePerformance(ex.id, ex.weight, ex.reps, ex.sets, rand.step(5, 10, 0.5))) };
+        });
+
+    return { user, plan, feedback, history, sessions };
+}
+
+function forEachCase(check) {
+    for (let seed = 1; seed <= RUNS; seed++) {
+        const { user, plan, feedback, history, sessions } = randomCase(seed);
+        const repository = new InMemoryRepository();
+        sessions.forEach(({ workout, performances }) => repository.logSession(workout, performances));
+        const engine = new TrainingEngine(repository);
+        const result = engine.generateDailyWorkout(user, plan, feedback, history);
+        check(result, { seed, user, plan, feedback, history });
+    }
+}
+
+test('weights are never negative (or NaN)', () => {
+    forEachCase(({ workout }, { seed }) => {
+        workout.exercises.forEach(ex => {
+            assert.ok(Number.isFinite(ex.weight) && ex.weight >= 0, `seed ${seed}: ${ex.name} weight ${ex.weight}`);
+        });
+    });
+});
+
+test('sets never go below 1 unless the exercise was replaced with rest', () => {
+    forEachCase(({ workout }, { seed }) => {
+        workout.exercises.forEach(ex => {
+            if (ex.id === 'rest') {
+                assert.equal(ex.sets, 0, `seed ${seed}: rest placeholder has ${ex.sets} sets`);
+            } else {
+                assert.ok(Number.isInteger(ex.sets) && ex.sets >= 1, `seed ${seed}: ${ex.name} has ${ex.sets} sets`);
+            }
+        });
+    });
+});
+
+test('sets only go up through an explained weekly top-up: one per exercise, at most two per session, on good days', () => {
+    const { maxSetsPerSession, minReadiness } = new VolumeLandmarks().config.increase;
+    let toppedUp = 0;
+    forEachCase(({ workout, explanations, readinessScore }, { seed, plan }) => {
+        const increases = explanations.filter(e => e.code === 'VOLUME_INCREASE');
+        assert.ok(increases.length <= maxSetsPerSession, `seed ${seed}: ${increases.length} sets added`);
+        if (increases.length > 0) {
+            toppedUp++;
+            assert.ok(readinessScore >= minReadiness, `seed ${seed}: sets added at readiness ${readinessScore}`);
+        }
+
+        workout.exercises.forEach((ex, i) => {
+            const planned = plan.exercises[i].sets;
+            if (ex.sets <= planned) return;
+            assert.equal(ex.sets, planned + 1, `seed ${seed}: ${ex.name} went from ${planned} to ${ex.sets} sets`);
+            assert.ok(increases.some(e => e.exerciseId === ex.id), `seed ${seed}: ${ex.name} gained a set without a VOLUME_INCREASE`);
+        });
+    });
+    assert.ok(toppedUp > 0, 'no case reached the weekly top-up');
+});
+
+test('the workout keeps one slot per planned exercise', () => {
+    forEachCase(({ workout }, { seed, plan }) => {
+        assert.equal(workout.exercises.length, plan.exercises.length, `seed ${seed}`);
+    });
+});
+
+test('reps stay inside the goal\'s range', () => {
+    forEachCase(({ workout }, { seed, user }) => {
+        const goal = GoalProfile.get(user.goal);
+        if (!goal) return;
+        workout.exercises.filter(ex => ex.id !== 'rest').forEach(ex => {
+            const [min, max] = goal.reps[GoalProfile.role(ex)];
+            assert.ok(ex.reps >= min && ex.reps <= max, `seed ${seed}: ${ex.name} at ${ex.reps} reps for ${goal.id}`);
+        });
+    });
+});
+
+test('readiness is a whole number from 0 to 100', () => {
+    forEachCase(({ readinessScore }, { seed }) => {
+        assert.ok(Number.isInteger(readinessScore) && readinessScore >= 0 && readinessScore <= 100, `seed ${seed}: ${readinessScore}`);
+    });
+});
+
+test('no pain flag leaves a risky exercise in the workout', () => {
+    forEachCase(({ workout }, { seed, feedback }) => {
+        const engine = new TrainingEngine();
+        feedback.painFlags.forEach(area => {
+            workout.exercises.forEach(ex => {
+                assert.equal(engine.isExerciseRisky(ex, area), false, `seed ${seed}: ${ex.name} still loads ${area}`);
+            });
+        });
+    });
+});
+
+test('every explanation renders completely in every locale', () => {
+    forEachCase(({ explanations }, { seed }) => {
+        explanations.forEach(explanation => {
+            assert.ok(explanation.code && explanation.severity, `seed ${seed}: ${JSON.stringify(explanation)}`);
+            TransparencyService.locales().forEach(locale => {
+                const { title, text } = TransparencyService.render(explanation, locale);
+                assert.ok(title && text, `seed ${seed}: empty ${explanation.code} in ${locale}`);
+                assert.ok(!/[{}]|undefined|NaN/.test(title + text), `seed ${seed}: ${locale} ${explanation.code}: ${title}: ${text}`);
+            });
+        });
+    });
+});
+
+test('load prescriptions stay within +10% / -15% of the base weight, on the plate grid', () => {
+    for (let seed = 1; seed <= RUNS; seed++) {
+        const rand = seededRandom(seed);
+        const increment = rand.pick([1.25, 2.5, 5]);
+        const base = rand.step(20, 300, increment);
+        const last = new ExercisePerformance('sq', base, rand.int(1, 15), 3, rand.step(5, 10, 0.5));
+        const { newWeight } = Autoregulator.prescribeLoad(last, rand.int(1, 15), rand.step(6, 10, 0.5), increment);
+
+        assert.ok(newWeight <= base * 1.10 + increment / 2, `seed ${seed}: ${base} -> ${newWeight}`);
+        assert.ok(newWeight >= base * 0.85 - increment / 2, `seed ${seed}: ${base} -> ${newWeight}`);
+        const plates = newWeight / increment;
+        assert.ok(newWeight === base || Math.abs(plates - Math.round(plates)) < 1e-9, `seed ${seed}: ${newWeight} is not a multiple of ${increment}`);
+    }
+});
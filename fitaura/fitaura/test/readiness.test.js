@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TrainingEngine = require('../training_engine');
+const ReadinessModel = require('../readiness');
+const { ValidationError } = require('../validation');
+const { Feedback } = require('../models');
+
+const engine = new TrainingEngine();
+
+test('calculateReadiness', async t => {
+    await t.test('rewards a long night: 8h, soreness 2, low stress -> 85', () => {
+        assert.equal(engine.calculateReadiness(new Feedback(null, 2, 'Low', [], 8)), 85);
+    });
+
+    await t.test('penalises short sleep and high stress: 5h, soreness 3, high stress -> 42', () => {
+        assert.equal(engine.calculateReadiness(new Feedback(null, 3, 'High', [], 5)), 42);
+    });
+
+    await t.test('stays at the base score when everything is at the norm', () => {
+        assert.equal(engine.calculateReadiness(new Feedback(3, 2, 'Low', [], 7)), 80);
+    });
+
+    await t.test('reads hours sent in sleepQuality (legacy clients) as sleepHours', () => {
+        const legacy = engine.calculateReadiness(new Feedback(5.5, 2, 'Low'));
+        const explicit = engine.calculateReadiness(new Feedback(null, 2, 'Low', [], 5.5));
+        assert.equal(legacy, explicit);
+    });
+
+    await t.test('treats sleepQuality 1-5 as a rating, not hours', () => {
+        assert.ok(engine.calculateReadiness(new Feedback(5, 2, 'Low')) > 80);
+        assert.ok(engine.calculateReadiness(new Feedback(1, 2, 'Low')) < 80);
+    });
+
+    await t.test('skips factors that were not reported', () => {
+        assert.equal(engine.calculateReadiness(new Feedback(null, null, null)), 80);
+    });
+
+    await t.test('clamps to 0-100', () => {
+        const worst = engine.calculateReadiness(new Feedback(1, 5, 'High', [], 0));
+        assert.ok(worst >= 0 && worst <= 100);
+    });
+});
+
+test('ReadinessModel', async t => {
+    await t.test('breaks the score down by factor', () => {
+        const model = new ReadinessModel();
+        const result = model.score(new Feedback(null, 3, 'High', [], 5));
+        const total = result.breakdown.reduce((sum, item) => sum + item.contribution, result.base);
+        assert.equal(Math.round(total), result.score);
+        assert.deepEqual(result.breakdown.map(item => item.factor), ['sleepHours', 'sleepQuality', 'soreness', 'stress', 'restingHr', 'hrv']);
+    });
+
+    await t.test('blends in a personal baseline once there are enough check-ins', () => {
+        const model = new ReadinessModel();
+        const shortSleeper = Array.from({ length: 7 }, () => ({ sleepHours: 5.5, soreness: 2, stressLevel: 'Low' }));
+        const today = new Feedback(null, 2, 'Low', [], 5.5);
+
+        const population = model.score(today);
+        const personal = model.score(today, shortSleeper);
+        assert.ok(personal.score > population.score, 'usual sleep for this user should cost less');
+        assert.equal(personal.breakdown[0].baseline, 5.5);
+        assert.equal(population.breakdown[0].baseline, null);
+    });
+
+    await t.test('rejects configs with unknown factor types or missing weights', () => {
+        assert.throws(() => new ReadinessModel({ base: 80, factors: [{ type: 'vo2max', weight: 10 }] }), /factors\[0\]\.type is not a readiness factor type/);
+        assert.throws(() => new ReadinessModel({ base: 80, factors: [{ type: 'stress' }] }), /factors\[0\]\.weight must be a number/);
+        assert.throws(() => new ReadinessModel({ factors: [] }), /base must be a number/);
+    });
+
+    await t.test('rejects params and base scores outside their bounds', () => {
+        const config = ReadinessModel.loadConfig();
+        const withFactor = factor => ({ ...config, factors: [factor] });
+        assert.throws(() => new ReadinessModel(withFactor({ type: 'sleepHours', weight: 20, params: { range: 0 } })), /factors\[0\]\.params\.range must be a number above 0/);
+        assert.throws(() => new ReadinessModel(withFactor({ type: 'soreness', weight: 30, params: { normal: 5 } })), /below 5/);
+        assert.throws(() => new ReadinessModel(withFactor({ type: 'hrv', weight: 15, params: { rnage: 0.2 } })), /params\.rnage is not a hrv param/);
+        assert.throws(() => new ReadinessModel(withFactor({ type: 'stress', weight: 15, bonusWeight: -5 })), /bonusWeight/);
+        assert.throws(() => new ReadinessModel({ ...config, base: 140 }), /base must be a number at least 0 and at most 100/);
+        assert.throws(() => new ReadinessModel({ ...config, baseline: { window: 0 } }), /baseline\.window/);
+    });
+
+    await t.test('lists every problem in a config, not just the first', () => {
+        const config = {
+            base: 140,
+            baseline: { window: 0 },
+            factors: [{ type: 'vo2max', weight: 10 }, { type: 'sleepHours', weight: -1, params: { range: 0 } }, { type: 'stress', weight: 5 }, { type: 'stress', weight: 5 }]
+        };
+        assert.throws(() => ReadinessModel.validateConfig(config), error => {
+            assert.ok(error instanceof ValidationError);
+            assert.deepEqual(error.errors.map(e => e.field), [
+                'base', 'baseline.window', 'factors[0].type', 'factors[1].weight', 'factors[1].params.range', 'factors[3].id'
+            ]);
+            return true;
+        });
+    });
+
+    await t.test('scores with a custom config', () => {
+        const model = new ReadinessModel({ base: 70, factors: [{ type: 'stress', weight: 10 }] });
+        assert.equal(model.score(new Feedback(null, 5, 'High', [], 3)).score, 60);
+    });
+});
+
+test('wearable recovery data', async t => {
+    const model = new ReadinessModel();
+    const baseline = Array.from({ length: 7 }, (_, i) => ({ day: `2024-05-0${i + 1}`, restingHr: 50, hrv: 80 }));
+    const today = new Feedback(null, 2, 'Low', [], 7);
+
+    await t.test('resting HR and HRV only count against a personal baseline', () => {
+        const recovered = ReadinessModel.withRecovery(today, { restingHr: 60, hrv: 40 });
+        assert.equal(model.score(recovered).score, 80);
+        assert.ok(model.score(recovered, baseline).score < 60);
+    });
+
+    await t.test('a better-than-usual morning earns the bonus weight', () => {
+        const result = model.score(ReadinessModel.withRecovery(today, { restingHr: 45, hrv: 100 }), baseline);
+        assert.equal(result.score, 90);
+        assert.deepEqual(result.breakdown.slice(4).map(item => item.baseline), [50, 80]);
+    });
+
+    await t.test('measured sleep replaces reported hours', () => {
+        assert.equal(ReadinessModel.withRecovery(today, { sleepHours: 5, restingHr: null }).sleepHours, 5);
+        assert.equal(ReadinessModel.withRecovery(today, { sleepHours: null }).sleepHours, 7);
+        assert.equal(engine.calculateReadiness(today, [], { sleepHours: 5 }), engine.calculateReadiness(new Feedback(null, 2, 'Low', [], 5)));
+    });
+
+    await t.test('history merges check-ins and recovery-only days, newest first', () => {
+        const history = ReadinessModel.mergeHistory(
+            [{ day: '2024-05-02', sleepHours: 8, soreness: 2 }],
+            [{ day: '2024-05-02', sleepHours: 6.5, hrv: 70 }, { day: '2024-05-03', restingHr: 55 }]
+        );
+        assert.deepEqual(history.map(entry => entry.day), ['2024-05-03', '2024-05-02']);
+        assert.deepEqual([history[1].sleepHours, history[1].hrv, history[1].soreness], [6.5, 70, 2]);
+    });
+});
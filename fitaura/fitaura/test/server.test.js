@@ -0,0 +1,939 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The server reads its store path when it is loaded, so point it at a scratch file first
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fitaura-test-'));
+process.env.FITAURA_DB_PATH = path.join(tmpDir, 'fitaura.json');
+process.env.FITAURA_STAFF_EMAILS = 'desk@example.com,ops@example.com';
+
+const app = require('../server');
+const GymSchedule = require('../gym');
+
+const payload = (overrides = {}) => ({
+    user: { name: 'HTTP User' },
+    plannedWorkout: {
+        id: 'w1',
+        name: 'Full Body A',
+        exercises: [
+            { id: 'sq', name: 'Barbell Squat', type: 'compound', muscleGroups: ['quads'], weight: 100, sets: 3, reps: 5, rpeTarget: 8 },
+            { id: 'bp', name: 'Bench Press', type: 'compound', muscleGroups: ['chest'], weight: 80, sets: 3, reps: 5, rpeTarget: 8 }
+        ]
+    },
+    feedback: { sleepHours: 8, soreness: 2, stressLevel: 'Low', painFlags: [] },
+    history: [
+        { exerciseId: 'sq', weight: 100, completedReps: 5, completedSets: 3, rpe: 7 },
+        { exerciseId: 'bp', weight: 80, completedReps: 5, completedSets: 3, rpe: 8 }
+    ],
+    ...overrides
+});
+
+let server;
+let baseUrl;
+let athlete; // { user, token } of the account most tests run as
+
+test.before(async () => {
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    athlete = await register('athlete@example.com');
+});
+
+test.after(() => {
+    server.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+async function post(url, body, headers = {}) {
+    const response = await fetch(baseUrl + url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function get(url, headers = {}) {
+    const response = await fetch(baseUrl + url, { headers });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+const bearer = token => ({ Authorization: `Bearer ${token}` });
+
+async function register(email, extra = {}) {
+    const { body } = await post('/api/auth/register', { email, password: 'correct horse', ...extra });
+    return body.data;
+}
+
+test('POST /api/workout/generate', async t => {
+    await t.test('returns the adjusted workout with structured explanations', async () => {
+        const { status, body } = await post('/api/workout/generate', payload(), bearer(athlete.token));
+        assert.equal(status, 200);
+        assert.equal(body.status, 'success');
+        assert.equal(body.data.readinessScore, 85);
+        assert.equal(body.data.workout.exercises[0].weight, 102.5);
+
+        const [explanation] = body.data.explanations;
+        assert.equal(explanation.code, 'LOAD_INCREASE');
+        assert.equal(explanation.exerciseId, 'sq');
+        assert.equal(explanation.locale, 'en');
+        assert.equal(explanation.title, 'Go Mode');
+    });
+
+    await t.test('renders explanations in the requested locale', async () => {
+        const query = await post('/api/workout/generate?locale=es', payload(), bearer(athlete.token));
+        assert.equal(query.body.data.explanations[0].locale, 'es');
+        assert.equal(query.body.data.explanations[0].title, 'Modo Avance');
+
+        const header = await post('/api/workout/generate', payload(), { ...bearer(athlete.token), 'Accept-Language': 'es-ES,es;q=0.9' });
+        assert.equal(header.body.data.explanations[0].locale, 'es');
+    });
+
+    await t.test('substitutes around reported pain', async () => {
+        const { body } = await post('/api/workout/generate', payload({
+            feedback: { sleepHours: 7, soreness: 2, stressLevel: 'Low', painFlags: ['left_knee'] }
+        }), bearer(athlete.token));
+        const names = body.data.workout.exercises.map(ex => ex.name);
+        assert.ok(names.includes('Glute Bridge'));
+        assert.ok(!names.includes('Barbell Squat'));
+    });
+
+    await t.test('400 with every field problem for a bad payload', async () => {
+        const { status, body } = await post('/api/workout/generate', {
+            plannedWorkout: { name: 'Missing exercises' },
+            feedback: { sleepQuality: '4', stressLevel: 'Extreme' }
+        }, bearer(athlete.token));
+        assert.equal(status, 400);
+        assert.equal(body.status, 'error');
+        assert.deepEqual(body.errors.map(e => e.field).sort(), [
+            'feedback.sleepQuality',
+            'feedback.stressLevel',
+            'plannedWorkout.exercises'
+        ]);
+    });
+
+    await t.test('400 for a missing feedback object', async () => {
+        const { feedback, ...rest } = payload();
+        const { status, body } = await post('/api/workout/generate', rest, bearer(athlete.token));
+        assert.equal(status, 400);
+        assert.deepEqual(body.errors, [{ field: 'feedback', message: 'is required' }]);
+    });
+
+    await t.test('400 for malformed JSON', async () => {
+        const { status, body } = await post('/api/workout/generate', '{"user":', bearer(athlete.token));
+        assert.equal(status, 400);
+        assert.deepEqual(body.errors, [{ field: 'body', message: 'must be valid JSON' }]);
+    });
+
+    await t.test('JSON errors for bodies the parser can\'t read', async () => {
+        const send = (body, contentType) => fetch(`${baseUrl}/api/workout/generate`, {
+            method: 'POST',
+            headers: { 'Content-Type': contentType, ...bearer(athlete.token) },
+            body
+        });
+
+        const tooLarge = await send(JSON.stringify({ ...payload(), padding: 'x'.repeat(200 * 1024) }), 'application/json');
+        assert.equal(tooLarge.status, 413);
+        assert.match((await tooLarge.json()).message, /larger than the 100 KB limit/);
+
+        const charset = await send(JSON.stringify(payload()), 'application/json; charset=koi8-r');
+        assert.equal(charset.status, 415);
+        assert.equal((await charset.json()).status, 'error');
+    });
+});
+
+test('logged sessions feed the next workout', async () => {
+    const lifter = await register('history@example.com');
+    const logged = await post('/api/sessions', {
+        workout: { id: 'w1', name: 'Full Body A', exercises: payload().plannedWorkout.exercises },
+        performances: [{ exerciseId: 'sq', weight: 110, completedReps: 5, completedSets: 3, rpe: 8 }]
+    }, bearer(lifter.token));
+    assert.equal(logged.status, 201);
+    assert.equal(logged.body.data.userId, lifter.user.id);
+
+    // Stored history (110 @ RPE 8) wins over the payload's 100 @ RPE 7
+    const { body } = await post('/api/workout/generate', payload(), bearer(lifter.token));
+    assert.equal(body.data.workout.exercises[0].weight, 110);
+
+    const sessions = await get(`/api/users/${lifter.user.id}/sessions`, bearer(lifter.token));
+    assert.equal(sessions.body.data.length, 1);
+});
+
+test('accounts and tokens', async t => {
+    await t.test('registration returns a token and never the password hash', async () => {
+        const { status, body } = await post('/api/auth/register', { email: 'New@Example.com', password: 'correct horse', name: 'New' });
+        assert.equal(status, 201);
+        assert.ok(body.data.token);
+        assert.equal(body.data.user.email, 'new@example.com');
+        assert.equal(body.data.user.role, 'athlete');
+        assert.ok(!JSON.stringify(body).includes('scrypt'));
+    });
+
+    await t.test('409 for an email that is already registered', async () => {
+        const { status } = await post('/api/auth/register', { email: 'athlete@example.com', password: 'another one' });
+        assert.equal(status, 409);
+    });
+
+    await t.test('login checks the password', async () => {
+        const wrong = await post('/api/auth/login', { email: 'athlete@example.com', password: 'wrong horse' });
+        assert.equal(wrong.status, 401);
+
+        const right = await post('/api/auth/login', { email: 'athlete@example.com', password: 'correct horse' });
+        assert.equal(right.status, 200);
+        assert.equal(right.body.data.user.id, athlete.user.id);
+    });
+
+    await t.test('401 without a valid token', async () => {
+        assert.equal((await post('/api/workout/generate', payload())).status, 401);
+        assert.equal((await post('/api/workout/generate', payload(), bearer('not-a-token'))).status, 401);
+        assert.equal((await get('/api/auth/me')).status, 401);
+    });
+
+    await t.test('logout revokes the token', async () => {
+        const { body } = await post('/api/auth/login', { email: 'athlete@example.com', password: 'correct horse' });
+        assert.equal((await get('/api/auth/me', bearer(body.data.token))).status, 200);
+
+        await post('/api/auth/logout', {}, bearer(body.data.token));
+        assert.equal((await get('/api/auth/me', bearer(body.data.token))).status, 401);
+    });
+
+    await t.test('athletes cannot act on other users', async () => {
+        const other = await register('other@example.com');
+        assert.equal((await get(`/api/users/${athlete.user.id}/sessions`, bearer(other.token))).status, 403);
+
+        const generate = await post('/api/workout/generate', payload({ user: { id: athlete.user.id } }), bearer(other.token));
+        assert.equal(generate.status, 403);
+
+        const live = await post('/api/live-sessions', { workout: payload().plannedWorkout }, bearer(athlete.token));
+        assert.equal((await get(`/api/live-sessions/${live.body.data.id}`, bearer(other.token))).status, 404);
+    });
+
+    await t.test('only staff can change the server-wide readiness config', async () => {
+        const config = await get('/api/readiness/config', bearer(athlete.token));
+        const { status } = await fetch(`${baseUrl}/api/readiness/config`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', ...bearer(athlete.token) },
+            body: JSON.stringify(config.body.data)
+        });
+        assert.equal(status, 403);
+    });
+});
+
+test('coaches see and edit their athletes\' plans', async t => {
+    const coach = await register('coach@example.com', { role: 'coach' });
+    const lifter = await register('coached@example.com');
+
+    await t.test('no access until the athlete picks the coach', async () => {
+        assert.equal((await get(`/api/users/${lifter.user.id}/sessions`, bearer(coach.token))).status, 403);
+    });
+
+    await t.test('the athlete links the coach', async () => {
+        const notACoach = await fetch(`${baseUrl}/api/auth/me/coach`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', ...bearer(lifter.token) },
+            body: JSON.stringify({ coachEmail: 'athlete@example.com' })
+        });
+        assert.equal(notACoach.status, 404);
+
+        const response = await fetch(`${baseUrl}/api/auth/me/coach`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', ...bearer(lifter.token) },
+            body: JSON.stringify({ coachEmail: 'coach@example.com' })
+        });
+        assert.equal(response.status, 200);
+        assert.equal((await response.json()).data.coachId, coach.user.id);
+    });
+
+    await t.test('the coach lists and acts on the athlete', async () => {
+        const athletes = await get('/api/coach/athletes', bearer(coach.token));
+        assert.deepEqual(athletes.body.data.map(a => a.email), ['coached@example.com']);
+
+        const generated = await post('/api/workout/generate', payload({ user: { id: lifter.user.id } }), bearer(coach.token));
+        assert.equal(generated.status, 200);
+
+        const mesocycle = await post(`/api/users/${lifter.user.id}/mesocycles`, { model: 'linear', weeks: 4, trainingMaxes: { sq: 140 } }, bearer(coach.token));
+        assert.equal(mesocycle.status, 201);
+        assert.equal(mesocycle.body.data.userId, lifter.user.id);
+    });
+
+    await t.test('athletes cannot list athletes', async () => {
+        assert.equal((await get('/api/coach/athletes', bearer(lifter.token))).status, 403);
+    });
+
+    await t.test('a changed server-wide readiness config is stored with the data, not in the shipped file', async () => {
+        const ops = await register('ops@example.com', { role: 'staff' });
+        const shipped = fs.readFileSync(path.join(__dirname, '..', 'readiness_config.json'), 'utf8');
+        const config = (await get('/api/readiness/config', bearer(ops.token))).body.data;
+        const put = (body, token) => fetch(`${baseUrl}/api/readiness/config`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', ...bearer(token) },
+            body: JSON.stringify(body)
+        });
+
+        assert.equal((await put(config, coach.token)).status, 403);
+
+        const broken = { ...config, base: 120, factors: [{ type: 'sleepHours', weight: 20, params: { range: 0 } }] };
+        const rejected = await put(broken, ops.token);
+        assert.equal(rejected.status, 400);
+        assert.deepEqual((await rejected.json()).errors.map(e => e.field), ['base', 'factors[0].params.range']);
+
+        assert.equal((await put(config, ops.token)).status, 200);
+        const stored = JSON.parse(fs.readFileSync(process.env.FITAURA_DB_PATH, 'utf8')).readinessConfigs;
+        assert.deepEqual(stored.find(r => r.ownerId === null).config, config);
+        assert.equal(fs.readFileSync(path.join(__dirname, '..', 'readiness_config.json'), 'utf8'), shipped);
+    });
+
+    await t.test('a coach\'s own readiness config only scores their athletes', async () => {
+        const url = `${baseUrl}/api/coach/readiness/config`;
+        const strict = { base: 50, factors: [{ type: 'stress', weight: 10 }] };
+        const saved = await fetch(url, { method: 'PUT', headers: { 'Content-Type': 'application/json', ...bearer(coach.token) }, body: JSON.stringify(strict) });
+        assert.equal(saved.status, 200);
+        assert.equal((await get('/api/coach/readiness/config', bearer(coach.token))).body.data.custom, true);
+
+        const coached = await post('/api/workout/generate', payload({ user: { id: lifter.user.id } }), bearer(coach.token));
+        assert.equal(coached.body.data.readinessScore, 50);
+        const other = await post('/api/workout/generate', payload(), bearer(athlete.token));
+        assert.equal(other.body.data.readinessScore, 85);
+        assert.equal((await get('/api/readiness/config', bearer(coach.token))).body.data.base, 80);
+
+        assert.equal((await fetch(url, { method: 'DELETE', headers: bearer(coach.token) })).status, 200);
+        const reset = await post('/api/workout/generate', payload({ user: { id: lifter.user.id } }), bearer(coach.token));
+        assert.equal(reset.body.data.readinessScore, 85);
+        assert.equal((await get('/api/coach/readiness/config', bearer(lifter.token))).status, 403);
+    });
+});
+
+test('CORS only answers listed origins', async () => {
+    const allowed = await get('/api/auth/me', { Origin: 'http://localhost:3000' });
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'http://localhost:3000');
+
+    const other = await get('/api/auth/me', { Origin: 'http://evil.example' });
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+});
+
+test('program templates', async t => {
+    const coach = await register('programs-coach@example.com', { role: 'coach' });
+    const lifter = await register('programs-athlete@example.com');
+    await fetch(`${baseUrl}/api/auth/me/coach`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', ...bearer(lifter.token) },
+        body: JSON.stringify({ coachEmail: 'programs-coach@example.com' })
+    });
+
+    const yaml = fs.readFileSync(path.join(__dirname, '..', 'program_templates', 'full_body_3day.yaml'), 'utf8');
+    let program;
+
+    await t.test('imports a YAML template', async () => {
+        const response = await fetch(`${baseUrl}/api/programs/import`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/yaml', ...bearer(coach.token) },
+            body: yaml
+        });
+        assert.equal(response.status, 201);
+        program = (await response.json()).data;
+        assert.equal(program.name, 'Full Body Power');
+        assert.equal(program.ownerId, coach.user.id);
+    });
+
+    await t.test('400 for a broken template', async () => {
+        const response = await fetch(`${baseUrl}/api/programs/import`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/yaml', ...bearer(coach.token) },
+            body: 'name: Broken\ndaysPerWeek: 9\n'
+        });
+        const body = await response.json();
+        assert.equal(response.status, 400);
+        assert.deepEqual(body.errors.map(e => e.field).sort(), ['days', 'daysPerWeek']);
+    });
+
+    await t.test('athletes see their coach\'s programs but cannot edit them', async () => {
+        const list = await get('/api/programs', bearer(lifter.token));
+        assert.deepEqual(list.body.data.map(p => p.id), [program.id]);
+
+        const edit = await fetch(`${baseUrl}/api/programs/${program.id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', ...bearer(lifter.token) },
+            body: JSON.stringify({ ...program, name: 'Mine now' })
+        });
+        assert.equal(edit.status, 403);
+
+        assert.equal((await get(`/api/programs/${program.id}`, bearer(athlete.token))).status, 404);
+    });
+
+    await t.test('exports YAML', async () => {
+        const response = await fetch(`${baseUrl}/api/programs/${program.id}?format=yaml`, { headers: bearer(coach.token) });
+        assert.match(response.headers.get('content-type'), /yaml/);
+        assert.match(await response.text(), /^name: Full Body Power/m);
+    });
+
+    await t.test('today\'s planned workout feeds /api/workout/generate', async () => {
+        const noProgram = await post('/api/workout/generate', { feedback: payload().feedback }, bearer(lifter.token));
+        assert.equal(noProgram.status, 400);
+        assert.equal(noProgram.body.errors[0].field, 'plannedWorkout');
+
+        const started = await post(`/api/users/${lifter.user.id}/program`, { programId: program.id, startDate: '2024-05-06' }, bearer(coach.token));
+        assert.equal(started.status, 201);
+
+        const wednesday = await get(`/api/users/${lifter.user.id}/program/today?date=2024-05-08`, bearer(lifter.token));
+        assert.equal(wednesday.body.data.day, 'Full Body B');
+        assert.equal(wednesday.body.data.workout.exercises[0].id, 'deadlift');
+
+        const tuesday = await get(`/api/users/${lifter.user.id}/program/today?date=2024-05-07`, bearer(lifter.token));
+        assert.equal(tuesday.body.data.restDay, true);
+        assert.equal(tuesday.body.data.nextTrainingDate, '2024-05-08');
+
+        // A daily program, so whatever today is there's a session to generate from
+        const daily = await post('/api/programs', {
+            name: 'Daily Squat',
+            daysPerWeek: 7,
+            days: [{ name: 'Squat Day', slots: [{ exerciseId: 'barbell_squat', sets: 5, reps: 3, weight: 100 }] }]
+        }, bearer(lifter.token));
+        await post(`/api/users/${lifter.user.id}/program`, { programId: daily.body.data.id }, bearer(lifter.token));
+
+        const generated = await post('/api/workout/generate', { feedback: payload().feedback }, bearer(lifter.token));
+        assert.equal(generated.status, 200);
+        assert.equal(generated.body.data.workout.name, 'Squat Day');
+        assert.equal(generated.body.data.workout.exercises[0].sets, 5);
+
+        // Back to the coach's program for the next test
+        await post(`/api/users/${lifter.user.id}/program`, { programId: program.id, startDate: '2024-05-06' }, bearer(lifter.token));
+    });
+
+    await t.test('deleting a program stops it', async () => {
+        const response = await fetch(`${baseUrl}/api/programs/${program.id}`, { method: 'DELETE', headers: bearer(coach.token) });
+        assert.equal(response.status, 200);
+        assert.equal((await get(`/api/users/${lifter.user.id}/program/today`, bearer(lifter.token))).status, 404);
+    });
+});
+
+test('progress analytics', async t => {
+    const lifter = await register('analytics@example.com');
+    const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    // Squat climbs for two weeks, then stalls for four sessions
+    for (const [days, weight] of [[35, 100], [28, 105], [21, 110], [14, 110], [7, 110], [1, 110]]) {
+        await post('/api/sessions', {
+            workout: { id: 'w1', name: 'Full Body A', date: daysAgo(days), exercises: payload().plannedWorkout.exercises },
+            performances: [{ exerciseId: 'sq', weight, completedReps: 5, completedSets: 3, rpe: 8 }]
+        }, bearer(lifter.token));
+    }
+
+    await t.test('summarises exercises, muscle groups, readiness and plateaus', async () => {
+        const { status, body } = await get(`/api/users/${lifter.user.id}/analytics?weeks=8`, bearer(lifter.token));
+        assert.equal(status, 200);
+        assert.equal(body.data.exercises[0].sessions, 6);
+        assert.deepEqual(body.data.muscleGroups.map(m => m.muscleGroup), ['quads']);
+        assert.deepEqual(body.data.plateaus.map(p => p.exerciseId), ['sq']);
+        assert.ok(body.data.readiness);
+    });
+
+    await t.test('weeks narrows the range', async () => {
+        const { body } = await get(`/api/users/${lifter.user.id}/analytics?weeks=1&period=month`, bearer(lifter.token));
+        assert.equal(body.data.exercises[0].sessions, 2);
+    });
+
+    await t.test('one exercise with its session history', async () => {
+        const { status, body } = await get(`/api/users/${lifter.user.id}/analytics/exercises/sq`, bearer(lifter.token));
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.history.map(h => h.weight), [100, 105, 110, 110, 110, 110]);
+        assert.equal((await get(`/api/users/${lifter.user.id}/analytics/exercises/bp`, bearer(lifter.token))).status, 404);
+    });
+
+    await t.test('plateau window is configurable', async () => {
+        const { body } = await get(`/api/users/${lifter.user.id}/analytics/plateaus?sessions=5`, bearer(lifter.token));
+        assert.deepEqual(body.data, []);
+    });
+
+    await t.test('400 for bad query parameters', async () => {
+        const { status, body } = await get(`/api/users/${lifter.user.id}/analytics?weeks=0&period=year`, bearer(lifter.token));
+        assert.equal(status, 400);
+        assert.deepEqual(body.errors.map(e => e.field), ['weeks', 'period']);
+        assert.equal((await get(`/api/users/${lifter.user.id}/analytics/plateaus?sessions=1`, bearer(lifter.token))).status, 400);
+    });
+
+    await t.test('other athletes cannot see it', async () => {
+        assert.equal((await get(`/api/users/${lifter.user.id}/analytics`, bearer(athlete.token))).status, 403);
+    });
+});
+
+test('weekly volume per muscle group', async () => {
+    const lifter = await register('volume@example.com');
+    await post('/api/sessions', {
+        workout: { id: 'w1', name: 'Full Body A', date: '2024-05-13', exercises: payload().plannedWorkout.exercises },
+        performances: [{ exerciseId: 'sq', weight: 100, completedReps: 5, completedSets: 3, rpe: 8 }]
+    }, bearer(lifter.token));
+    // Stores the user's own quads landmarks
+    await post('/api/workout/generate', payload({ user: { volumeLandmarks: { quads: { mv: 2, mev: 3 } } } }), bearer(lifter.token));
+
+    const { status, body } = await get(`/api/users/${lifter.user.id}/volume?date=2024-05-15`, bearer(lifter.token));
+    assert.equal(status, 200);
+    assert.deepEqual(body.data, [{ muscleGroup: 'quads', completed: 3, planned: 0, total: 3, mv: 2, mev: 3, mrv: 20, zone: 'productive' }]);
+
+    assert.deepEqual((await get(`/api/users/${lifter.user.id}/volume?date=2024-05-21`, bearer(lifter.token))).body.data, []);
+    assert.equal((await get(`/api/users/${lifter.user.id}/volume?date=someday`, bearer(lifter.token))).status, 400);
+});
+
+test('training goals', async t => {
+    const lifter = await register('goals@example.com');
+    const putGoal = async (body, token = lifter.token) => {
+        const response = await fetch(`${baseUrl}/api/users/${lifter.user.id}/goal`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', ...bearer(token) },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    await t.test('stores the goal and returns its profile', async () => {
+        const { status, body } = await putGoal({ goal: 'hypertrophy' });
+        assert.equal(status, 200);
+        assert.equal(body.data.goal, 'hypertrophy');
+        assert.equal(body.data.profile.progression, 'double');
+    });
+
+    await t.test('the stored goal shapes generated workouts', async () => {
+        const { body } = await post('/api/workout/generate', payload(), bearer(lifter.token));
+        assert.deepEqual(body.data.workout.exercises.map(ex => [ex.reps, ex.restSeconds]), [[6, 150], [6, 150]]);
+        assert.ok(body.data.explanations.some(e => e.code === 'GOAL_TARGETS' && e.title === 'Training for hypertrophy'));
+    });
+
+    await t.test('a meet date only sticks for powerlifting', async () => {
+        const meetDate = new Date(Date.now() + 10 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        const powerlifting = await putGoal({ goal: 'powerlifting', meetDate });
+        assert.equal(powerlifting.body.data.peaking.phase, 'peak');
+
+        const strength = await putGoal({ goal: 'strength', meetDate });
+        assert.equal(strength.body.data.meetDate, null);
+    });
+
+    await t.test('an empty body clears the goal', async () => {
+        assert.equal((await putGoal({})).body.data.goal, null);
+    });
+
+    await t.test('400 for an unknown goal, 403 for other athletes', async () => {
+        assert.equal((await putGoal({ goal: 'bulking' })).status, 400);
+        assert.equal((await putGoal({ goal: 'strength' }, athlete.token)).status, 403);
+    });
+});
+
+test('nutrition', async t => {
+    const eater = await register('nutrition@example.com');
+    const profile = { age: 28, gender: 'male', heightCm: 178, weightKg: 80, activity: 1.55, goal: 'muscle_gain', preference: 'egg' };
+    const putProfile = async (body, token = eater.token) => {
+        const response = await fetch(`${baseUrl}/api/users/${eater.user.id}/nutrition/profile`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', ...bearer(token) },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+    const today = () => get(`/api/users/${eater.user.id}/nutrition`, bearer(eater.token));
+
+    await t.test('the calculator and the food catalogue are public', async () => {
+        const plan = await post('/api/nutrition/plan', { ...profile, trainingSets: 10 });
+        assert.equal(plan.status, 200);
+        assert.equal(plan.body.data.targets.training.extraCarbs, 80);
+        assert.equal(plan.body.data.plan.meals.length, 4);
+
+        const foods = await get('/api/foods?q=paneer');
+        assert.deepEqual(foods.body.data.map(food => food.id), ['paneer_paratha', 'paneer_butter_masala']);
+    });
+
+    await t.test('404 until a profile is stored', async () => {
+        assert.equal((await today()).status, 404);
+        assert.equal((await putProfile(profile)).status, 200);
+
+        const { body } = await today();
+        assert.equal(body.data.prescription, null);
+        assert.equal(body.data.targets.training.extraCarbs, 0);
+    });
+
+    await t.test('a generated workout raises the day\'s carbs', async () => {
+        const rest = (await today()).body.data.targets;
+        await post('/api/workout/generate', payload(), bearer(eater.token));
+
+        const { body } = await today();
+        assert.equal(body.data.prescription.sets, 6);
+        assert.equal(body.data.targets.carbs, rest.carbs + 48);
+        assert.equal(body.data.targets.calories, rest.calories + 192);
+    });
+
+    await t.test('logs meals against custom and built-in foods', async () => {
+        const shake = await post(`/api/users/${eater.user.id}/foods`,
+            { name: 'Protein Shake', calories: 180, protein: 30, carbs: 8, fat: 3, serving: '1 bottle' }, bearer(eater.token));
+        assert.equal(shake.status, 201);
+
+        await post(`/api/users/${eater.user.id}/meals`, { foodId: 'roti', servings: 2, meal: 'lunch' }, bearer(eater.token));
+        const logged = await post(`/api/users/${eater.user.id}/meals`, { foodId: shake.body.data.id, servings: 1, meal: 'snack' }, bearer(eater.token));
+        assert.equal(logged.status, 201);
+        assert.deepEqual(logged.body.data.day.totals, { calories: 388, protein: 36, carbs: 48, fat: 4 });
+
+        const { body } = await today();
+        assert.equal(body.data.meals.remaining.protein, body.data.targets.protein - 36);
+
+        const mine = await get(`/api/users/${eater.user.id}/foods?q=shake`, bearer(eater.token));
+        assert.deepEqual(mine.body.data.map(food => food.name), ['Protein Shake']);
+    });
+
+    await t.test('400 for bad input, 404 for unknown foods, 403 for other athletes', async () => {
+        assert.equal((await putProfile({ ...profile, goal: 'bulking' })).status, 400);
+        assert.equal((await post(`/api/users/${eater.user.id}/foods`, { name: 'Nothing' }, bearer(eater.token))).status, 400);
+        assert.equal((await post(`/api/users/${eater.user.id}/meals`, { foodId: 'unicorn', servings: 1, meal: 'lunch' }, bearer(eater.token))).status, 404);
+        assert.equal((await putProfile(profile, athlete.token)).status, 403);
+        assert.equal((await get(`/api/users/${eater.user.id}/nutrition`, bearer(athlete.token))).status, 403);
+    });
+});
+
+test('wearable recovery import', async t => {
+    const wearer = await register('wearables@example.com');
+    const day = offset => new Date(Date.now() - offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const importFile = async (body, contentType, query = '', token = wearer.token) => {
+        const response = await fetch(`${baseUrl}/api/users/${wearer.user.id}/recovery/import${query}`, {
+            method: 'POST',
+            headers: { 'Content-Type': contentType, ...bearer(token) },
+            body
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    await t.test('imports a CSV export into per-day records', async () => {
+        const rows = [1, 2, 3, 4, 5, 6, 7].map(offset => `${day(offset)},7.5,50,80`);
+        const { status, body } = await importFile(['date,sleep_hours,resting_hr,hrv', ...rows].join('\n'), 'text/csv');
+        assert.equal(status, 201);
+        assert.deepEqual([body.data.format, body.data.imported, body.data.skipped], ['csv', 7, 0]);
+    });
+
+    await t.test('a rough night on the wearable lowers readiness', async () => {
+        const before = await post('/api/workout/generate', payload(), bearer(wearer.token));
+
+        const today = [{ date: day(0), restingHeartRate: 58, hrvRmssd: 50 }];
+        assert.equal((await importFile(JSON.stringify(today), 'application/json')).status, 201);
+
+        const after = await post('/api/workout/generate', payload(), bearer(wearer.token));
+        assert.ok(after.body.data.readinessScore < before.body.data.readinessScore - 20);
+        const hrv = after.body.data.readinessBreakdown.find(item => item.factor === 'hrv');
+        assert.deepEqual([hrv.input, hrv.baseline], [50, 80]);
+    });
+
+    await t.test('lists records with their rolling baselines', async () => {
+        const { body } = await get(`/api/users/${wearer.user.id}/recovery?days=3`, bearer(wearer.token));
+        assert.equal(body.data.records.length, 3);
+        assert.equal(body.data.records[0].day, day(0));
+        assert.equal(body.data.baselines.restingHr.samples, 8);
+    });
+
+    await t.test('400 for unreadable files and unknown formats, 403 for other athletes', async () => {
+        assert.equal((await importFile('date,steps\n2024-05-06,9000', 'text/csv')).status, 400);
+        assert.equal((await importFile('date,hrv\n2024-05-06,60', 'text/csv', '?format=fit')).status, 400);
+        assert.equal((await importFile('date,hrv\n2024-05-06,60', 'text/csv', '', athlete.token)).status, 403);
+    });
+
+    await t.test('large JSON exports import too', async () => {
+        const nights = Array.from({ length: 2000 }, (_, i) => {
+            const end = Date.UTC(2023, 0, 1) + i * 24 * 60 * 60 * 1000;
+            return { type: 'sleep', startTime: new Date(end - 7 * 60 * 60 * 1000).toISOString(), endTime: new Date(end).toISOString() };
+        });
+        const body = JSON.stringify(nights);
+        assert.ok(body.length > 150 * 1024);
+
+        const { status, body: result } = await importFile(body, 'application/json');
+        assert.equal(status, 201);
+        assert.equal(result.data.imported, 2000);
+    });
+});
+
+test('offline live sessions sync by timestamp', async t => {
+    const lifter = await register('offline@example.com');
+    const auth = bearer(lifter.token);
+    const id = '6f1d2c1e-0b7a-4a53-9d43-1c2f8e0b5a10';
+    const at = minutes => new Date(Date.UTC(2024, 4, 8, 17, minutes)).toISOString();
+    const set = (clientId, minutes, weight = 100) => ({ exerciseId: 'sq', weight, reps: 5, rpe: 8, clientId, loggedAt: at(minutes) });
+    const session = async () => (await get(`/api/live-sessions/${id}`, auth)).body.data;
+
+    await t.test('a queued start keeps the client\'s id and replays as a no-op', async () => {
+        const body = { workout: payload().plannedWorkout, id, startedAt: at(0) };
+        const first = await post('/api/live-sessions', body, auth);
+        assert.equal(first.status, 201);
+        assert.deepEqual([first.body.data.id, first.body.data.startedAt], [id, at(0)]);
+
+        const again = await post('/api/live-sessions', body, auth);
+        assert.equal(again.status, 200);
+        assert.equal((await post('/api/live-sessions', body, bearer(athlete.token))).status, 409);
+    });
+
+    await t.test('a replayed set is a duplicate', async () => {
+        await post(`/api/live-sessions/${id}/sets`, set('set-a-0001', 10), auth);
+        const again = await post(`/api/live-sessions/${id}/sets`, set('set-a-0001', 10), auth);
+        assert.equal(again.body.data.duplicate, true);
+        assert.equal((await session()).exercises[0].sets.length, 1);
+    });
+
+    await t.test('a set logged earlier than ones already synced is slotted in by time', async () => {
+        await post(`/api/live-sessions/${id}/sets`, set('set-c-0003', 20, 105), auth);
+        const late = await post(`/api/live-sessions/${id}/sets`, set('set-b-0002', 15, 102.5), auth);
+        assert.equal(late.body.data.reordered, true);
+
+        const sets = (await session()).exercises[0].sets;
+        assert.deepEqual(sets.map(s => [s.setNumber, s.weight]), [[1, 100], [2, 102.5], [3, 105]]);
+    });
+
+    await t.test('closing keeps every synced set; sets after the close conflict, earlier ones still count', async () => {
+        const closed = await post(`/api/live-sessions/${id}/close`, { closedAt: at(18) }, auth);
+        assert.equal(closed.status, 200);
+        assert.equal((await session()).closedAt, at(20));
+
+        assert.equal((await post(`/api/live-sessions/${id}/sets`, set('set-e-0005', 30), auth)).status, 409);
+        assert.equal((await post(`/api/live-sessions/${id}/close`, {}, auth)).status, 409);
+
+        const bench = await post(`/api/live-sessions/${id}/sets`, { ...set('set-d-0004', 19, 80), exerciseId: 'bp' }, auth);
+        assert.equal(bench.status, 200);
+        const [history] = (await get(`/api/users/${lifter.user.id}/sessions`, auth)).body.data;
+        assert.equal(history.id, closed.body.data.id);
+        assert.deepEqual(history.performances.map(p => p.exerciseId).sort(), ['bp', 'sq']);
+    });
+
+    await t.test('400 for malformed client ids', async () => {
+        const { status } = await post(`/api/live-sessions/${id}/sets`, { ...set('x', 40) }, auth);
+        assert.equal(status, 400);
+    });
+});
+
+test('coaching assistant', async t => {
+    const lifter = await register('assistant@example.com');
+    const ask = (body, token = lifter.token) => post(`/api/users/${lifter.user.id}/assistant`, body, bearer(token));
+
+    await t.test('explains today\'s workout from the stored explanations', async () => {
+        await post('/api/workout/generate', payload(), bearer(lifter.token));
+        const { status, body } = await ask({ question: 'Why did my squat go up today?' });
+
+        assert.equal(status, 200);
+        assert.equal(body.data.intent, 'explain');
+        assert.deepEqual(body.data.facts.explanations.map(e => e.code), ['LOAD_INCREASE']);
+        assert.equal(body.data.generatedBy, 'rules');
+    });
+
+    await t.test('answers general questions from the knowledge base', async () => {
+        const { body } = await ask({ question: 'Is creatine safe?' });
+        assert.equal(body.data.intent, 'knowledge');
+        assert.equal(body.data.sources[0].id, 'creatine');
+    });
+
+    await t.test('400 without a question, 403 for other users', async () => {
+        assert.equal((await ask({ question: ' ' })).status, 400);
+        assert.equal((await ask({ question: 'x'.repeat(501) })).status, 400);
+        assert.equal((await ask({ question: 'What is my best squat?' }, athlete.token)).status, 403);
+    });
+});
+
+test('gym operations', async t => {
+    const desk = await register('desk@example.com', { role: 'staff' });
+    const first = await register('member1@example.com');
+    const second = await register('member2@example.com');
+    const staff = bearer(desk.token);
+    const send = async (method, url, body, token) => {
+        const response = await fetch(baseUrl + url, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...bearer(token) },
+            body: body && JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    // A one-spot class tomorrow, so it can always be booked
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const date = GymSchedule.localDay(tomorrow);
+    let gymClass;
+
+    await t.test('the seeded plans and timetable are public', async () => {
+        const plans = await get('/api/gym/plans');
+        assert.deepEqual(plans.body.data.map(p => p.price), [59, 69, 99]);
+
+        const schedule = await get('/api/gym/schedule?from=2024-05-06&days=7');
+        assert.deepEqual(schedule.body.data.map(o => [o.date, o.startTime, o.room]), [
+            ['2024-05-06', '09:00', '210'], ['2024-05-07', '09:00', '210'], ['2024-05-08', '09:00', '210'],
+            ['2024-05-09', '09:00', '210'], ['2024-05-10', '09:00', '210'], ['2024-05-11', '09:00', '210']
+        ]);
+        assert.equal((await get('/api/gym/schedule?days=60')).status, 400);
+    });
+
+    await t.test('staff manage plans; taking one off sale hides it', async () => {
+        const plan = { name: 'Students', price: 39, features: ['Off-peak hours'] };
+        assert.equal((await post('/api/gym/plans', plan, bearer(first.token))).status, 403);
+        assert.equal((await post('/api/gym/plans', { ...plan, price: -1 }, staff)).status, 400);
+
+        const created = await post('/api/gym/plans', plan, staff);
+        assert.equal(created.status, 201);
+        assert.deepEqual([created.body.data.currency, created.body.data.interval], ['USD', 'month']);
+
+        const renamed = await send('PUT', `/api/gym/plans/${created.body.data.id}`, { ...plan, name: 'Student' }, desk.token);
+        assert.equal(renamed.body.data.name, 'Student');
+        assert.equal((await send('DELETE', `/api/gym/plans/${created.body.data.id}`, null, desk.token)).body.data.active, false);
+        assert.equal((await get('/api/gym/plans')).body.data.length, 3);
+        assert.equal((await send('PUT', `/api/users/${first.user.id}/membership`, { planId: created.body.data.id }, desk.token)).status, 404);
+    });
+
+    await t.test('only members can book, and only staff give out memberships', async () => {
+        const created = await post('/api/gym/classes', {
+            name: 'Spin', weekday: GymSchedule.WEEKDAYS[tomorrow.getDay()], startTime: '18:30', durationMinutes: 45, capacity: 1
+        }, staff);
+        assert.equal(created.status, 201);
+        gymClass = created.body.data;
+
+        assert.equal((await post(`/api/gym/classes/${gymClass.id}/bookings`, { date }, bearer(first.token))).status, 403);
+
+        const [plan] = (await get('/api/gym/plans')).body.data;
+        assert.equal((await send('PUT', `/api/users/${first.user.id}/membership`, { planId: plan.id }, first.token)).status, 403);
+        assert.equal((await send('PUT', '/api/users/nobody/membership', { planId: plan.id }, desk.token)).status, 404);
+        for (const member of [first, second]) {
+            const joined = await send('PUT', `/api/users/${member.user.id}/membership`, { planId: plan.id }, desk.token);
+            assert.deepEqual([joined.body.data.plan.price, joined.body.data.assignedBy], [59, desk.user.id]);
+        }
+        assert.equal((await get(`/api/users/${first.user.id}/membership`, bearer(first.token))).status, 200);
+        assert.equal((await get(`/api/users/${first.user.id}/membership`, bearer(desk.token))).status, 200);
+        assert.equal((await get(`/api/users/${first.user.id}/membership`, bearer(second.token))).status, 403);
+    });
+
+    await t.test('a full class waitlists; cancelling promotes the next in line', async () => {
+        const book = member => post(`/api/gym/classes/${gymClass.id}/bookings`, { date }, bearer(member.token));
+        const booked = await book(first);
+        assert.equal(booked.status, 201);
+        assert.equal(booked.body.data.status, 'booked');
+
+        const waitlisted = await book(second);
+        assert.deepEqual([waitlisted.body.data.status, waitlisted.body.data.waitlistPosition], ['waitlisted', 1]);
+        assert.equal((await book(second)).status, 409);
+
+        const roster = await get(`/api/gym/classes/${gymClass.id}/bookings?date=${date}`, staff);
+        assert.deepEqual(roster.body.data.booked.map(b => b.email), ['member1@example.com']);
+        assert.deepEqual(roster.body.data.waitlist.map(b => b.email), ['member2@example.com']);
+        assert.equal((await get(`/api/gym/classes/${gymClass.id}/bookings?date=${date}`, bearer(first.token))).status, 403);
+
+        assert.equal((await send('DELETE', `/api/gym/bookings/${booked.body.data.id}`, null, second.token)).status, 404);
+        const cancelled = await send('DELETE', `/api/gym/bookings/${booked.body.data.id}`, null, first.token);
+        assert.equal(cancelled.body.data.status, 'cancelled');
+        assert.equal((await send('DELETE', `/api/gym/bookings/${booked.body.data.id}`, null, first.token)).status, 409);
+
+        const [promoted] = (await get(`/api/users/${second.user.id}/bookings`, bearer(second.token))).body.data;
+        assert.deepEqual([promoted.status, promoted.waitlistPosition, promoted.class.spotsLeft], ['booked', null, 0]);
+    });
+
+    await t.test('400 for days the class doesn\'t run', async () => {
+        const dayAfter = GymSchedule.localDay(new Date(tomorrow.getTime() + 24 * 60 * 60 * 1000));
+        const { status, body } = await post(`/api/gym/classes/${gymClass.id}/bookings`, { date: dayAfter }, bearer(first.token));
+        assert.equal(status, 400);
+        assert.equal(body.errors[0].field, 'date');
+    });
+
+    await t.test('members of a plan taken off sale can no longer book', async () => {
+        const third = await register('member3@example.com');
+        const retired = (await post('/api/gym/plans', { name: 'Founders', price: 29 }, staff)).body.data;
+        assert.equal((await send('PUT', `/api/users/${third.user.id}/membership`, { planId: retired.id }, desk.token)).status, 200);
+        await send('DELETE', `/api/gym/plans/${retired.id}`, null, desk.token);
+
+        const { status, body } = await post(`/api/gym/classes/${gymClass.id}/bookings`, { date }, bearer(third.token));
+        assert.equal(status, 403);
+        assert.match(body.message, /no longer offered/);
+    });
+
+    await t.test('the contact form is stored for the front desk', async () => {
+        const message = { name: 'Ana', email: 'ana@example.com', phone: '+1 555 0100', message: 'Do you have a day pass?' };
+        assert.equal((await post('/api/gym/contact', { ...message, email: 'not-an-email' })).status, 400);
+        const sent = await post('/api/gym/contact', message);
+        assert.equal(sent.status, 201);
+
+        assert.equal((await get('/api/gym/contact', bearer(first.token))).status, 403);
+        const inbox = await get('/api/gym/contact?status=new', staff);
+        assert.deepEqual(inbox.body.data.map(m => [m.id, m.message]), [[sent.body.data.id, 'Do you have a day pass?']]);
+
+        const handled = await send('PUT', `/api/gym/contact/${sent.body.data.id}`, { status: 'handled' }, desk.token);
+        assert.equal(handled.body.data.handledBy, desk.user.id);
+        assert.deepEqual((await get('/api/gym/contact?status=new', staff)).body.data, []);
+    });
+});
+
+test('data export, import and session reports', async t => {
+    const lifter = await register('export@example.com');
+    const mover = await register('import@example.com');
+    const send = async (url, body, contentType, token) => {
+        const response = await fetch(baseUrl + url, { method: 'POST', headers: { 'Content-Type': contentType, ...bearer(token) }, body });
+        return { status: response.status, body: await response.json() };
+    };
+    let session;
+
+    await t.test('a session report shows the day\'s explanations', async () => {
+        await post('/api/workout/generate', payload(), bearer(lifter.token));
+        session = (await post('/api/sessions', {
+            workout: payload().plannedWorkout,
+            performances: [{ exerciseId: 'sq', weight: 102.5, completedReps: 5, completedSets: 3, rpe: 8 }]
+        }, bearer(lifter.token))).body.data;
+
+        const response = await fetch(`${baseUrl}/api/users/${lifter.user.id}/sessions/${session.id}/report?locale=es`, { headers: bearer(lifter.token) });
+        assert.equal(response.status, 200);
+        assert.match(response.headers.get('content-type'), /^text\/html/);
+        const html = await response.text();
+        assert.match(html, /Modo Avance \(Barbell Squat\)/);
+        assert.match(html, /<h2>Entrenamiento prescrito<\/h2>/);
+        assert.match(html, /<p class="score">85<span>/);
+
+        const other = await get(`/api/users/${mover.user.id}/sessions/${session.id}/report`, bearer(mover.token));
+        assert.equal(other.status, 404);
+        assert.equal((await get(`/api/users/${lifter.user.id}/sessions/${session.id}/report`, bearer(mover.token))).status, 403);
+    });
+
+    await t.test('exports download as JSON or CSV', async () => {
+        const json = await fetch(`${baseUrl}/api/users/${lifter.user.id}/export`, { headers: bearer(lifter.token) });
+        assert.match(json.headers.get('content-disposition'), /attachment; filename="fitaura-export-\d{4}-\d{2}-\d{2}\.json"/);
+        const exported = await json.json();
+        assert.deepEqual(exported.sessions.map(s => s.id), [session.id]);
+
+        const csv = await fetch(`${baseUrl}/api/users/${lifter.user.id}/export?format=csv`, { headers: bearer(lifter.token) });
+        assert.match(csv.headers.get('content-type'), /^text\/csv/);
+        assert.equal((await csv.text()).split('\n')[1].split(',').slice(3).join(','), 'sq,Barbell Squat,102.5,5,3,8');
+
+        assert.equal((await get(`/api/users/${lifter.user.id}/export?format=xml`, bearer(lifter.token))).status, 400);
+    });
+
+    await t.test('a JSON export imports into another account once', async () => {
+        const exported = await (await fetch(`${baseUrl}/api/users/${lifter.user.id}/export`, { headers: bearer(lifter.token) })).json();
+        const url = `/api/users/${mover.user.id}/import`;
+
+        const dry = await post(`${url}?dryRun=true`, exported, bearer(mover.token));
+        assert.deepEqual([dry.body.data.dryRun, dry.body.data.sessions.imported], [true, 1]);
+        assert.equal((await get(`/api/users/${mover.user.id}/sessions`, bearer(mover.token))).body.data.length, 0);
+
+        assert.equal((await post(url, exported, bearer(mover.token))).body.data.sessions.imported, 1);
+        assert.equal((await post(url, exported, bearer(mover.token))).body.data.sessions.skipped, 1);
+        assert.equal((await post(url, exported, bearer(lifter.token))).status, 403);
+    });
+
+    await t.test('large spreadsheet logs import; a bad row rejects the file', async () => {
+        const url = `/api/users/${mover.user.id}/import`;
+        const rows = Array.from({ length: 4000 }, (_, i) => `2023-0${1 + Math.floor(i / 500)}-${String(1 + (i % 28)).padStart(2, '0')},Legs,Back Squat,${60 + (i % 40)},5,7`);
+        const csv = ['Date,Workout,Exercise,Weight,Reps,RPE', ...rows].join('\n');
+        assert.ok(csv.length > 100 * 1024);
+
+        const imported = await send(url, csv, 'text/csv', mover.token);
+        assert.equal(imported.status, 200);
+        assert.ok(imported.body.data.sessions.imported > 100);
+
+        const before = (await get(`/api/users/${mover.user.id}/sessions`, bearer(mover.token))).body.data.length;
+        const bad = await send(url, 'Date,Exercise,Weight,Reps\n2024-06-01,Squat,100,5\n2024-06-02,Squat,-5,5', 'text/csv', mover.token);
+        assert.equal(bad.status, 400);
+        assert.deepEqual(bad.body.errors.map(e => e.field), ['row 3.weight']);
+        assert.equal((await get(`/api/users/${mover.user.id}/sessions`, bearer(mover.token))).body.data.length, before);
+
+        assert.equal((await send(url, '<xml/>', 'application/xml', mover.token)).status, 400);
+    });
+
+    await t.test('a spreadsheet in lb imports in the user\'s kg', async () => {
+        const url = `/api/users/${mover.user.id}/import`;
+        const imported = await send(url, 'Date,Exercise,Weight (lb),Reps\n2022-12-01,Deadlift,315,3', 'text/csv', mover.token);
+        assert.equal(imported.status, 200);
+
+        const sessions = (await get(`/api/users/${mover.user.id}/sessions`, bearer(mover.token))).body.data;
+        const session = sessions.find(s => s.date.startsWith('2022-12-01'));
+        assert.equal(session.performances[0].weight, 142.9);
+    });
+});
@@ -0,0 +1,184 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const TrainingEngine = require('../training_engine');
+const PeriodizationPlanner = require('../periodization');
+const ExerciseLibrary = require('../exercise_library');
+const TransparencyService = require('../transparency');
+const { InMemoryRepository } = require('../storage');
+const { Exercise, Feedback, User, ExercisePerformance } = require('../models');
+const { fullBodyWorkout, fullBodyHistory, testUser } = require('./helpers');
+
+const engine = new TrainingEngine();
+const squat = new Exercise('sq', 'Barbell Squat', 'compound', ['quads'], 100, 3, 5);
+const bench = new Exercise('bp', 'Bench Press', 'compound', ['chest'], 80, 3, 5);
+
+test('isExerciseRisky', async t => {
+    await t.test('flags exercises that load the painful joint', () => {
+        assert.equal(engine.isExerciseRisky(squat, 'knee'), true);
+        assert.equal(engine.isExerciseRisky(bench, 'shoulder'), true);
+    });
+
+    await t.test('maps free-text pain areas onto joints', () => {
+        assert.equal(engine.isExerciseRisky(squat, 'left_knee'), true);
+        assert.equal(engine.isExerciseRisky(new Exercise('dl', 'Deadlift'), 'lower back'), true);
+    });
+
+    await t.test('matches whole words, so "upper back" is not the lower back', () => {
+        assert.equal(engine.isExerciseRisky(new Exercise('dl', 'Deadlift'), 'upper back'), false);
+        assert.equal(ExerciseLibrary.normalizeJoint('Upper-Back'), null);
+        assert.equal(ExerciseLibrary.normalizeJoint('sore upper back and left knee'), 'knee');
+        assert.equal(ExerciseLibrary.normalizeJoint('trapezius'), 'neck');
+        assert.equal(ExerciseLibrary.normalizeJoint('trapped nerve'), null);
+    });
+
+    await t.test('recognises exercises by the whole words their name ends with', () => {
+        const id = name => (ExerciseLibrary.find({ name }) || {}).id;
+        assert.equal(id('Paused Bench Press'), 'bench_press');
+        assert.equal(id('Pendlay Row'), 'barbell_row');
+        assert.equal(id('Deadlift (Sumo)'), 'deadlift');
+        assert.equal(id('Chest Supported Row'), 'chest_supported_row');
+        assert.equal(id('Med Ball Throw'), undefined);
+        assert.equal(id('Upright Row'), undefined);
+        assert.equal(id('Pause Squat Jumps'), undefined);
+        assert.equal(engine.isExerciseRisky(new Exercise('mb', 'Med Ball Throw'), 'lower back'), false);
+    });
+
+    await t.test('passes exercises that do not load the joint', () => {
+        assert.equal(engine.isExerciseRisky(bench, 'knee'), false);
+    });
+
+    await t.test('never flags unknown exercises or unknown pain areas', () => {
+        assert.equal(engine.isExerciseRisky(new Exercise('x', 'Tyre Flip'), 'knee'), false);
+        assert.equal(engine.isExerciseRisky(squat, 'earlobe'), false);
+    });
+});
+
+test('getSafeSubstitution', async t => {
+    await t.test('swaps a squat for a knee-friendly exercise training the same muscles', () => {
+        const sub = engine.getSafeSubstitution(squat, 'knee');
+        assert.equal(sub.name, 'Glute Bridge');
+        assert.equal(sub.substitutedFor, 'sq');
+        assert.equal(sub.sets, squat.sets);
+        assert.equal(engine.isExerciseRisky(sub, 'knee'), false);
+    });
+
+    await t.test('starts loaded substitutes at half the original weight, bodyweight ones at 0', () => {
+        const row = engine.getSafeSubstitution(new Exercise('row', 'Barbell Row', 'compound', ['back'], 85, 3, 8), 'lower_back');
+        assert.equal(row.name, 'Chest Supported Row');
+        assert.equal(row.weight, 42.5);
+
+        const pushUp = engine.getSafeSubstitution(bench, 'shoulder');
+        assert.equal(pushUp.name, 'Push-up (Neutral Grip)');
+        assert.equal(pushUp.weight, 0);
+    });
+
+    await t.test('starts from the user\'s last logged weight for the substitute when there is one', () => {
+        const repository = new InMemoryRepository();
+        const user = repository.saveUser(new User('u1', 'Test User'));
+        const first = new TrainingEngine(repository).getSafeSubstitution(squat, 'knee', user);
+        repository.logSession(fullBodyWorkout(), [new ExercisePerformance(first.id, 40, 12, 3, 8)]);
+
+        const sub = new TrainingEngine(repository).getSafeSubstitution(squat, 'knee', user);
+        assert.equal(sub.id, first.id);
+        assert.equal(sub.weight, 40);
+    });
+
+    await t.test('skips exercises already in the workout', () => {
+        const sub = engine.getSafeSubstitution(squat, 'knee', null, ['glute_bridge']);
+        assert.notEqual(sub.id, 'glute_bridge');
+    });
+
+    await t.test('falls back to rest when nothing safe trains those muscles', () => {
+        const sub = engine.getSafeSubstitution(new Exercise('leg_extension', 'Leg Extension', 'isolation', ['quads'], 50, 3, 12), 'knee');
+        assert.deepEqual(sub, { name: 'Rest (knee pain)', id: 'rest', weight: 0, sets: 0, reps: 0 });
+    });
+
+    await t.test('keeps every other painful area out of the substitute too', () => {
+        const sub = engine.getSafeSubstitution(squat, 'lower_back', null, [], ['wrist', 'knee']);
+        ['lower_back', 'wrist', 'knee'].forEach(area => assert.equal(engine.isExerciseRisky(sub, area), false, `${sub.name} loads ${area}`));
+    });
+});
+
+test('generateDailyWorkout scenarios', async t => {
+    await t.test('A: good recovery and an easy last session -> squat load goes up', () => {
+        const result = engine.generateDailyWorkout(testUser(), fullBodyWorkout(), new Feedback(null, 2, 'Low', [], 8), fullBodyHistory());
+        assert.ok(result.readinessScore > 80);
+        assert.ok(result.workout.exercises[0].weight > 100);
+
+        const increase = result.explanations.find(e => e.code === 'LOAD_INCREASE');
+        assert.equal(increase.exerciseId, 'sq');
+        assert.deepEqual(increase.before, { weight: 100 });
+        assert.deepEqual(increase.after, { weight: 102.5 });
+    });
+
+    await t.test('B: short sleep and high stress -> volume is cut', () => {
+        const result = engine.generateDailyWorkout(testUser(), fullBodyWorkout(), new Feedback(null, 3, 'High', [], 5), fullBodyHistory());
+        assert.ok(result.readinessScore < 60);
+        assert.ok(result.workout.exercises[0].sets < 3);
+
+        const reduction = result.explanations.find(e => e.code === 'VOLUME_REDUCTION');
+        assert.deepEqual([reduction.before.sets, reduction.after.sets], [9, 6]);
+        assert.equal(reduction.params.limitingFactor, 'sleepHours');
+    });
+
+    await t.test('C: knee pain -> squat substituted with glute bridge', () => {
+        const result = engine.generateDailyWorkout(testUser(), fullBodyWorkout(), new Feedback(null, 2, 'Low', ['left_knee'], 7), fullBodyHistory());
+        assert.ok(result.workout.exercises.some(ex => ex.name === 'Glute Bridge'));
+        assert.ok(!result.workout.exercises.some(ex => ex.id === 'sq'));
+
+        const substitution = result.explanations.find(e => e.code === 'INJURY_SUBSTITUTION');
+        assert.equal(substitution.severity, 'alert');
+        assert.equal(substitution.after.name, 'Glute Bridge');
+        assert.match(TransparencyService.format(substitution), /swapped Barbell Squat for Glute Bridge/);
+    });
+
+    await t.test('does not change the planned workout it was given', () => {
+        const planned = fullBodyWorkout();
+        engine.generateDailyWorkout(testUser(), planned, new Feedback(null, 5, 'High', ['knee'], 3), fullBodyHistory());
+        assert.deepEqual(planned.exercises.map(ex => [ex.id, ex.weight, ex.sets]), [['sq', 100, 3], ['bp', 80, 3], ['row', 60, 3]]);
+    });
+});
+
+test('mesocycle fatigue deloads', async t => {
+    const badDay = () => new Feedback(1, 5, 'High', [], 4);
+    const setup = () => {
+        const repository = new InMemoryRepository();
+        repository.saveUser(testUser());
+        repository.saveMesocycle(PeriodizationPlanner.createMesocycle(testUser(), { startDate: new Date('2024-05-06') }));
+        return { repository, engine: new TrainingEngine(repository) };
+    };
+
+    await t.test('generating the same day again does not count as another check-in', () => {
+        const { repository, engine } = setup();
+        const weeks = () => repository.getActiveMesocycle('u1', new Date('2024-05-08')).weeks.map(w => w.isDeload);
+        const before = weeks();
+
+        [1, 2, 3].forEach(() => engine.generateDailyWorkout(testUser(), fullBodyWorkout(new Date('2024-05-08')), badDay()));
+
+        const mesocycle = repository.getActiveMesocycle('u1', new Date('2024-05-08'));
+        assert.deepEqual(weeks(), before);
+        assert.equal(mesocycle.readinessLog.length, 1);
+    });
+
+    await t.test('three bad days in a row pull a deload forward', () => {
+        const { repository, engine } = setup();
+        ['2024-05-07', '2024-05-08', '2024-05-09'].forEach(day => engine.generateDailyWorkout(testUser(), fullBodyWorkout(new Date(day)), badDay()));
+
+        const mesocycle = repository.getActiveMesocycle('u1', new Date('2024-05-09'));
+        assert.equal(mesocycle.weeks[0].isDeload, true);
+        assert.equal(mesocycle.weeks[0].deloadReason, 'FATIGUE');
+    });
+});
+
+test('explanation locales', async t => {
+    await t.test('the locale list is read from disk once, not per explanation', st => {
+        const fs = require('fs');
+        TransparencyService.locales();
+        const readdir = st.mock.method(fs, 'readdirSync');
+        const explanation = TransparencyService.explain('LOAD_INCREASE', { exerciseId: 'sq', before: { weight: 100 }, after: { weight: 102.5 } });
+        ['en', 'es', 'es-MX', 'fr'].forEach(locale => TransparencyService.localize(explanation, locale));
+        assert.equal(readdir.mock.callCount(), 0);
+        assert.deepEqual(TransparencyService.locales().sort(), ['en', 'es']);
+    });
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { Validator, ValidationError, SCHEMAS } = require('../validation');
+
+const validPayload = () => ({
+    user: { id: 'u1', name: 'Test User', units: 'kg' },
+    plannedWorkout: {
+        id: 'w1',
+        userId: 'u1',
+        name: 'Full Body A',
+        exercises: [
+            { id: 'sq', name: 'Barbell Squat', type: 'compound', muscleGroups: ['quads'], weight: 100, sets: 3, reps: 5, rpeTarget: 8 }
+        ]
+    },
+    feedback: { sleepHours: 7.5, sleepQuality: 4, soreness: 2, stressLevel: 'Low', painFlags: [] },
+    history: [{ exerciseId: 'sq', weight: 100, completedReps: 5, completedSets: 3, rpe: 7 }]
+});
+
+// Each case: a broken payload and the fields the errors must name
+const cases = [
+    {
+        name: 'Missing feedback',
+        schema: SCHEMAS.generateWorkout,
+        payload: (({ feedback, ...rest }) => rest)(validPayload()),
+        fields: ['feedback']
+    },
+    {
+        name: 'Missing plannedWorkout.exercises',
+        schema: SCHEMAS.generateWorkout,
+        payload: { ...validPayload(), plannedWorkout: { id: 'w1', name: 'Full Body A' } },
+        fields: ['plannedWorkout.exercises']
+    },
+    {
+        name: 'String sleepQuality and out-of-range soreness',
+        schema: SCHEMAS.generateWorkout,
+        payload: { ...validPayload(), feedback: { sleepQuality: '4', soreness: 9, stressLevel: 'Low' } },
+        fields: ['feedback.sleepQuality', 'feedback.soreness']
+    },
+    {
+        name: 'Hours sent as sleepQuality',
+        schema: SCHEMAS.generateWorkout,
+        payload: { ...validPayload(), feedback: { sleepQuality: 7, soreness: 2 } },
+        fields: ['feedback.sleepQuality']
+    },
+    {
+        name: 'Unknown stressLevel',
+        schema: SCHEMAS.generateWorkout,
+        payload: { ...validPayload(), feedback: { sleepHours: 7, stressLevel: 'Extreme' } },
+        fields: ['feedback.stressLevel']
+    },
+    {
+        name: 'Empty user id and bad units',
+        schema: SCHEMAS.generateWorkout,
+        payload: { ...validPayload(), user: { id: '', units: 'stone' } },
+        fields: ['user.id', 'user.units']
+    },
+    {
+        name: 'Exercise with string weight and no id',
+        schema: SCHEMAS.generateWorkout,
+        payload: (() => {
+            const payload = validPayload();
+            payload.plannedWorkout.exercises.push({ name: 'Bench Press', weight: '80', sets: 3, reps: 5 });
+            return payload;
+        })(),
+        fields: ['plannedWorkout.exercises[1].id', 'plannedWorkout.exercises[1].weight']
+    },
+    {
+        name: 'History entry with RPE 12',
+        schema: SCHEMAS.generateWorkout,
+        payload: { ...validPayload(), history: [{ exerciseId: 'sq', weight: 100, rpe: 12 }] },
+        fields: ['history[0].rpe']
+    },
+    {
+        name: 'Empty body',
+        schema: SCHEMAS.generateWorkout,
+        payload: undefined,
+        fields: ['body']
+    },
+    {
+        name: 'Session with an empty userId, bad date',
+        schema: SCHEMAS.logSession,
+        payload: { userId: ' ', workout: { date: 'yesterday' }, performances: [] },
+        fields: ['userId', 'workout.date']
+    },
+    {
+        name: 'Mesocycle with unknown model and 12 weeks',
+        schema: SCHEMAS.createMesocycle,
+        payload: { model: 'conjugate', weeks: 12 },
+        fields: ['model', 'weeks']
+    },
+    {
+        name: 'Registration with a bad email, short password and unknown role',
+        schema: SCHEMAS.register,
+        payload: { email: 'ana@example', password: 'short', role: 'admin' },
+        fields: ['email', 'password', 'role']
+    },
+    {
+        name: 'Login without a password',
+        schema: SCHEMAS.login,
+        payload: { email: 'ana@example.com' },
+        fields: ['password']
+    },
+    {
+        name: 'Live set without RPE, fractional reps',
+        schema: SCHEMAS.logSet,
+        payload: { exerciseId: 'sq', weight: 100, reps: 4.5 },
+        fields: ['reps', 'rpe']
+    }
+];
+
+test('request validation', async t => {
+    await t.test('accepts a valid workout payload', () => {
+        assert.deepEqual(Validator.validate(validPayload(), SCHEMAS.generateWorkout), []);
+    });
+
+    for (const { name, schema, payload, fields } of cases) {
+        await t.test(`rejects: ${name}`, () => {
+            const reported = Validator.validate(payload, schema).map(e => e.field);
+            for (const field of fields) {
+                assert.ok(reported.includes(field), `expected an error for ${field}, got ${reported.join(', ')}`);
+            }
+        });
+    }
+
+    await t.test('dates must be a real day or a full ISO timestamp', () => {
+        const valid = value => Validator.validate(value, { type: 'date' }).length === 0;
+        ['2024-05-06', '2024-02-29', '2024-05-06T07:30:00.000Z', '2024-05-06T07:30Z', '2024-05-06T07:30:00+02:00'].forEach(value => {
+            assert.ok(valid(value), value);
+        });
+        ['1', 'May 3', '2024-5-6', '06/05/2024', '2023-02-29', '2024-13-01', '2024-05-06T07:30:00', '2024-05-06 07:30Z', '2024-05-06T25:00Z'].forEach(value => {
+            assert.ok(!valid(value), value);
+        });
+    });
+
+    await t.test('assert() throws a ValidationError listing every problem', () => {
+        assert.throws(
+            () => Validator.assert({ exerciseId: '', weight: -5, reps: 5, rpe: 8 }, SCHEMAS.logSet),
+            error => error instanceof ValidationError
+                && error.errors.length === 2
+                && /exerciseId must not be empty; weight must be a number of at least 0/.test(error.message)
+        );
+    });
+});
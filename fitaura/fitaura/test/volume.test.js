@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const VolumeLandmarks = require('../volume');
+const TrainingEngine = require('../training_engine');
+const Autoregulator = require('../autoregulator');
+const { InMemoryRepository } = require('../storage');
+const { Workout, Exercise, Feedback, ExercisePerformance } = require('../models');
+const { testUser } = require('./helpers');
+
+const landmarks = new VolumeLandmarks();
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TODAY = '2024-05-15T12:00:00.000Z';
+const daysBefore = days => new Date(new Date(TODAY).getTime() - days * DAY_MS);
+
+// Upper day: a bench press (main lift) plus two accessories
+const upperDay = (date = TODAY) => new Workout('upper', 'u1', 'Upper', [
+    new Exercise('bench_press', 'Bench Press', 'compound', ['chest', 'triceps', 'shoulders'], 80, 3, 8),
+    new Exercise('dumbbell_fly', 'Dumbbell Fly', 'isolation', ['chest'], 14, 3, 12),
+    new Exercise('triceps_pushdown', 'Triceps Pushdown', 'isolation', ['triceps'], 25, 3, 12)
+], new Date(date));
+
+const sets = workout => workout.exercises.map(ex => ex.sets);
+
+test('counting sets', async t => {
+    await t.test('a full set for the primary muscle, half for the others', () => {
+        const totals = landmarks.setsByMuscle(upperDay().exercises);
+        assert.equal(totals.get('chest'), 6);
+        assert.equal(totals.get('triceps'), 4.5);
+        assert.equal(totals.get('shoulders'), 1.5);
+    });
+
+    await t.test('falls back to the library for muscle groups', () => {
+        assert.equal(landmarks.setsByMuscle([{ id: 'barbell_squat', name: 'Squat', sets: 4 }]).get('quads'), 4);
+    });
+
+    await t.test('the rolling week is the six days before the workout', () => {
+        const sessions = [0, 3, 6, 7].map(days => ({
+            date: daysBefore(days).toISOString(),
+            exercises: [{ id: 'sq', muscleGroups: ['quads'] }],
+            performances: [{ exerciseId: 'sq', completedSets: 1 }]
+        }));
+        assert.equal(landmarks.weeklySets(sessions, TODAY).get('quads'), 2);
+        assert.equal(VolumeLandmarks.coversFullWeek(sessions, TODAY), true);
+        assert.equal(VolumeLandmarks.coversFullWeek(sessions.slice(0, 3), TODAY), false);
+    });
+});
+
+test('landmarks', async t => {
+    await t.test('zones run MV < MEV <= productive <= MRV', () => {
+        const chest = landmarks.landmarksFor('chest');
+        assert.equal(VolumeLandmarks.zone(chest.mv - 1, chest), 'below_maintenance');
+        assert.equal(VolumeLandmarks.zone(chest.mv, chest), 'maintenance');
+        assert.equal(VolumeLandmarks.zone(chest.mev, chest), 'productive');
+        assert.equal(VolumeLandmarks.zone(chest.mrv, chest), 'productive');
+        assert.equal(VolumeLandmarks.zone(chest.mrv + 1, chest), 'over_mrv');
+    });
+
+    await t.test('users override single landmarks; unknown muscles use the default', () => {
+        assert.deepEqual(landmarks.landmarksFor('chest', { chest: { mev: 12 } }), { mv: 8, mev: 12, mrv: 22 });
+        assert.deepEqual(landmarks.landmarksFor('neck'), landmarks.config.default);
+    });
+
+    await t.test('rejects out-of-order configs', () => {
+        assert.throws(() => new VolumeLandmarks({ default: { mv: 4, mev: 20, mrv: 16 } }), /mv <= mev <= mrv/);
+        assert.throws(() => new VolumeLandmarks({}), /default/);
+    });
+});
+
+test('readiness cuts come off accessories first', async t => {
+    await t.test('moderate fatigue leaves the main lift alone', () => {
+        const { workout } = Autoregulator.adjustVolume(upperDay(), 50);
+        assert.deepEqual(sets(workout), [3, 1, 2]);
+    });
+
+    await t.test('pressure decides between accessories', () => {
+        const triceps = ex => (ex.muscleGroups[0] === 'triceps' ? 1 : 0);
+        const { workout } = Autoregulator.adjustVolume(upperDay(), 50, triceps);
+        assert.deepEqual(sets(workout), [3, 2, 1]);
+    });
+
+    await t.test('a deload still halves the main lift', () => {
+        const { workout } = Autoregulator.adjustVolume(upperDay(), 30);
+        assert.deepEqual(sets(workout), [1, 1, 1]);
+    });
+});
+
+test('caps and top-ups', async t => {
+    const status = (completed, workout) => landmarks.status(new Map(Object.entries(completed)), landmarks.setsByMuscle(workout.exercises));
+
+    await t.test('muscles past MRV lose accessory sets first', () => {
+        const workout = upperDay();
+        const changes = landmarks.capSets(workout.exercises, status({ chest: 18 }, workout));
+        // 18 + 6 = 24 against an MRV of 22: the fly gives up two sets
+        assert.deepEqual(sets(workout), [3, 1, 3]);
+        assert.deepEqual(changes.map(c => [c.exerciseId, c.before, c.after]), [['dumbbell_fly', 3, 1]]);
+    });
+
+    await t.test('the main lift gives up at most one set', () => {
+        const workout = upperDay();
+        landmarks.capSets(workout.exercises, status({ chest: 30 }, workout));
+        assert.deepEqual(sets(workout), [2, 1, 3]);
+    });
+
+    await t.test('muscles under MEV get a set, accessories first, within the session limit', () => {
+        const workout = upperDay();
+        const changes = landmarks.addSets(workout.exercises, status({}, workout));
+        assert.deepEqual(changes.map(c => c.exerciseId), ['dumbbell_fly', 'triceps_pushdown']);
+        assert.deepEqual(sets(workout), [3, 4, 4]);
+    });
+
+    await t.test('locked exercises keep their sets', () => {
+        const workout = upperDay();
+        landmarks.addSets(workout.exercises, status({}, workout), ex => ex.type === 'isolation');
+        assert.deepEqual(sets(workout), [4, 3, 3]);
+    });
+});
+
+test('the engine tracks the rolling week', async t => {
+    const feedback = () => new Feedback(null, 1, 'Low', [], 8);
+    const engineWith = sessions => {
+        const repository = new InMemoryRepository();
+        sessions.forEach(([days, setsDone]) => {
+            const workout = upperDay(daysBefore(days));
+            repository.logSession(workout, workout.exercises.map(ex => new ExercisePerformance(ex.id, ex.weight, ex.reps, setsDone, 8)));
+        });
+        return new TrainingEngine(repository);
+    };
+
+    await t.test('tops up under-trained muscles on a good day', () => {
+        const result = engineWith([[8, 3], [4, 1]]).generateDailyWorkout(testUser(), upperDay(), feedback());
+        assert.ok(result.readinessScore >= 80);
+        const increases = result.explanations.filter(e => e.code === 'VOLUME_INCREASE');
+        // Chest ends the week at 8 sets against an MEV of 10; triceps already reach theirs (6)
+        assert.deepEqual(increases.map(e => e.exerciseId), ['dumbbell_fly']);
+        assert.equal(result.workout.exercises[1].sets, 4);
+        assert.equal(result.weeklyVolume.find(v => v.muscleGroup === 'chest').total, 9);
+    });
+
+    await t.test('leaves new users alone', () => {
+        const result = engineWith([[2, 1]]).generateDailyWorkout(testUser(), upperDay(), feedback());
+        assert.deepEqual(sets(result.workout), [3, 3, 3]);
+    });
+
+    await t.test('caps muscles past their MRV', () => {
+        const result = engineWith([[8, 3], [1, 6], [3, 6]]).generateDailyWorkout(testUser(), upperDay(), feedback());
+        const cap = result.explanations.find(e => e.code === 'VOLUME_CAP' && e.exerciseId === 'dumbbell_fly');
+        assert.equal(cap.params.muscleGroup, 'chest');
+        assert.equal(result.workout.exercises[1].sets, 1);
+    });
+});
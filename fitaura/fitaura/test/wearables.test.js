@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const WearableImport = require('../wearables');
+const { ValidationError } = require('../validation');
+
+const APPLE_EXPORT = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE HealthData [ <!ELEMENT HealthData (Record*)> ]>
+<HealthData locale="en_GB">
+ <Record type="HKCategoryTypeIdentifierSleepAnalysis" sourceName="Watch" startDate="2024-05-06 23:00:00 +0100" endDate="2024-05-07 03:00:00 +0100" value="HKCategoryValueSleepAnalysisAsleepCore"/>
+ <Record type="HKCategoryTypeIdentifierSleepAnalysis" sourceName="Watch" startDate="2024-05-07 03:00:00 +0100" endDate="2024-05-07 06:30:00 +0100" value="HKCategoryValueSleepAnalysisAsleepDeep"/>
+ <Record type="HKCategoryTypeIdentifierSleepAnalysis" sourceName="iPhone" startDate="2024-05-07 01:00:00 +0100" endDate="2024-05-07 05:00:00 +0100" value="HKCategoryValueSleepAnalysisAsleepUnspecified"/>
+ <Record type="HKCategoryTypeIdentifierSleepAnalysis" sourceName="iPhone" startDate="2024-05-06 22:30:00 +0100" endDate="2024-05-07 07:00:00 +0100" value="HKCategoryValueSleepAnalysisInBed"/>
+ <Record type="HKQuantityTypeIdentifierRestingHeartRate" sourceName="Watch" unit="count/min" startDate="2024-05-07 08:00:00 +0100" endDate="2024-05-07 08:00:00 +0100" value="54"/>
+ <Record type="HKQuantityTypeIdentifierHeartRateVariabilitySDNN" sourceName="Watch" unit="ms" startDate="2024-05-07 02:00:00 +0100" endDate="2024-05-07 02:01:00 +0100" value="61.5">
+  <HeartRateVariabilityMetadataList/>
+ </Record>
+ <Record type="HKQuantityTypeIdentifierHeartRateVariabilitySDNN" sourceName="Watch" unit="ms" startDate="2024-05-07 04:00:00 +0100" endDate="2024-05-07 04:01:00 +0100" value="70.5"/>
+ <Record type="HKQuantityTypeIdentifierStepCount" sourceName="iPhone" unit="count" startDate="2024-05-07 09:00:00 +0100" endDate="2024-05-07 09:10:00 +0100" value="800"/>
+</HealthData>`;
+
+test('format detection', () => {
+    assert.equal(WearableImport.detectFormat('date,hrv\n2024-05-07,60', 'text/csv'), 'csv');
+    assert.equal(WearableImport.detectFormat([{ date: '2024-05-07' }], 'application/json'), 'json');
+    assert.equal(WearableImport.detectFormat(APPLE_EXPORT, 'text/plain'), 'apple_health');
+    assert.equal(WearableImport.detectFormat('[]', ''), 'json');
+    assert.equal(WearableImport.detectFormat('date,hrv', '', 'json'), 'json');
+});
+
+test('CSV exports', async t => {
+    await t.test('reads tracker column names and units', () => {
+        const csv = [
+            'Date,Minutes Asleep,Resting Heart Rate,"HRV (rmssd)"',
+            '2024-05-06,420,52,71',
+            '2024-05-07,375,,66'
+        ].join('\r\n');
+        assert.deepEqual(WearableImport.parse(csv, 'csv'), {
+            records: [
+                { day: '2024-05-06', sleepHours: 7, restingHr: 52, hrv: 71 },
+                { day: '2024-05-07', sleepHours: 6.3, restingHr: null, hrv: 66 }
+            ],
+            skipped: 0
+        });
+    });
+
+    await t.test('skips out-of-range values and counts them', () => {
+        const { records, skipped } = WearableImport.parse('date,sleep_hours,resting_hr\n2024-05-06,7.5,400\nnot a date,8,50', 'csv');
+        assert.deepEqual(records, [{ day: '2024-05-06', sleepHours: 7.5, restingHr: null, hrv: null }]);
+        assert.equal(skipped, 3);
+    });
+
+    await t.test('rejects files without recovery columns', () => {
+        assert.throws(() => WearableImport.parse('date,steps\n2024-05-06,9000', 'csv'), ValidationError);
+        assert.throws(() => WearableImport.parse('date,hrv', 'csv'), /header row/);
+    });
+});
+
+test('FIT/GPX-derived JSON', async t => {
+    await t.test('daily summaries and sleep intervals (sleep counts on the day it ends)', () => {
+        const { records } = WearableImport.parse({
+            records: [
+                { timestamp: '2024-05-07T07:00:00Z', resting_heart_rate: 49, hrv_rmssd: 82 },
+                { type: 'sleep', startTime: '2024-05-06T22:45:00Z', endTime: '2024-05-07T06:15:00Z' },
+                { calendarDate: '2024-05-08', sleepSeconds: 25200 }
+            ]
+        }, 'json');
+        assert.deepEqual(records, [
+            { day: '2024-05-07', sleepHours: 7.5, restingHr: 49, hrv: 82 },
+            { day: '2024-05-08', sleepHours: 7, restingHr: null, hrv: null }
+        ]);
+    });
+
+    await t.test('400-style errors for unreadable bodies', () => {
+        assert.throws(() => WearableImport.parse('{ nope', 'json'), /valid JSON/);
+        assert.throws(() => WearableImport.parse({ laps: [] }, 'json'), /array of records/);
+    });
+});
+
+test('Apple Health export', () => {
+    const { records } = WearableImport.parse(APPLE_EXPORT, 'apple_health');
+    // 23:00-06:30 asleep across two stages; the overlapping iPhone record and time in bed don't add to it
+    assert.deepEqual(records, [{ day: '2024-05-07', sleepHours: 7.5, restingHr: 54, hrv: 66 }]);
+    assert.throws(() => WearableImport.parse('<gpx></gpx>', 'apple_health'), /Apple Health/);
+});
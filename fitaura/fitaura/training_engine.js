@@ -6,33 +6,75 @@
 const { User, Workout, Exercise, Feedback, ExercisePerformance } = require('./models');
 const Autoregulator = require('./autoregulator');
 const TransparencyService = require('./transparency');
+const PeriodizationPlanner = require('./periodization');
+const ExerciseLibrary = require('./exercise_library');
+const InjuryProtocol = require('./injury_protocol');
+const ReadinessModel = require('./readiness');
+const VolumeLandmarks = require('./volume');
+const GoalProfile = require('./goals');
 
 class TrainingEngine {
-    constructor() {
-        this.baselineReadiness = 80;
+    /**
+     * @param {InMemoryRepository} repository - Workout history store (optional).
+     *   When set, last performances are loaded from it instead of the request payload.
+     * @param {ReadinessModel} readinessModel - Readiness scoring (defaults to readiness_config.json)
+     * @param {VolumeLandmarks} volumeLandmarks - Weekly per-muscle set targets (defaults to volume_landmarks.json)
+     */
+    constructor(repository = null, readinessModel = new ReadinessModel(), volumeLandmarks = new VolumeLandmarks()) {
+        this.repository = repository;
+        this.readinessModel = readinessModel;
+        this.volumeLandmarks = volumeLandmarks;
     }
 
     /**
-     * Calculates user's daily readiness score based on subjective feedback.
+     * Calculates user's daily readiness score from subjective feedback and, when there is one,
+     * the day's wearable recovery record.
      * @param {Feedback} feedback 
+     * @param {Array<Object>} history - Past check-ins (with their recovery data) for personal baselines, newest first
+     * @param {Object} recovery - { sleepHours, restingHr, hrv } measured for the day (optional)
      * @returns {number} Score 0-100
      */
-    calculateReadiness(feedback) {
-        let score = this.baselineReadiness;
+    calculateReadiness(feedback, history = [], recovery = null) {
+        return this.readinessModel.score(ReadinessModel.withRecovery(feedback, recovery), history).score;
+    }
 
-        // Sleep Impact
-        if (feedback.sleepQuality <= 4) score -= 20; // Poor sleep
-        else if (feedback.sleepQuality <= 6) score -= 10; // Okay sleep
-        else if (feedback.sleepQuality >= 8) score += 5; // Good sleep
+    /**
+     * The readiness scoring for a user: their coach's own config when the coach has saved one,
+     * otherwise the server's.
+     * @param {string} userId
+     * @returns {ReadinessModel}
+     */
+    readinessModelFor(userId) {
+        const account = this.repository && this.repository.getAccount(userId);
+        const config = account && account.coachId && this.repository.getReadinessConfig(account.coachId);
+        return config ? new ReadinessModel(config) : this.readinessModel;
+    }
 
-        // Soreness Impact
-        if (feedback.soreness >= 4) score -= 10; // Significant soreness
-        if (feedback.soreness === 5) score -= 20; // Extreme soreness
+    /**
+     * Scores today's check-in, plus any imported wearable data for the day, against the user's
+     * rolling baseline and stores it (one per day).
+     * @param {User} userProfile
+     * @param {Feedback} feedback
+     * @param {Date} date
+     * @returns {Object} { score, base, breakdown }
+     */
+    assessReadiness(userProfile, feedback, date = new Date()) {
+        if (!this.repository) return this.readinessModel.score(feedback);
 
-        // Stress Impact
-        if (feedback.stressLevel === 'High') score -= 15;
+        const day = new Date(date).toISOString().slice(0, 10);
+        const history = ReadinessModel.mergeHistory(
+            this.repository.listCheckIns(userProfile.id),
+            this.repository.listRecoveryRecords(userProfile.id)
+        ).filter(entry => entry.day !== day);
+        const checkIn = ReadinessModel.withRecovery(feedback, this.repository.getRecoveryRecord(userProfile.id, day));
+        const result = this.readinessModelFor(userProfile.id).score(checkIn, history);
 
-        return Math.max(0, Math.min(100, score));
+        this.repository.saveCheckIn(userProfile.id, {
+            ...checkIn,
+            day,
+            score: result.score
+        });
+        return result;
     }
 
     /**
@@ -41,23 +83,59 @@ class TrainingEngine {
      * @param {Workout} plannedWorkout 
      * @param {Feedback} dailyFeedback 
      * @param {Array<ExercisePerformance>} lastPerformances - Performance data from previous session
-     * @returns {Object} { adjustedWorkout, explanations }
+     * @returns {Object} { readinessScore, readinessBreakdown, workout, explanations, weeklyVolume } - explanations are
+     *   structured (see TransparencyService.explain); render them with TransparencyService.render/format.
+     *   weeklyVolume is where each trained muscle stands against its landmarks once today is done (see VolumeLandmarks.status)
      */
     generateDailyWorkout(userProfile, plannedWorkout, dailyFeedback, lastPerformances = []) {
+        lastPerformances = this.loadLastPerformances(userProfile, plannedWorkout, lastPerformances);
         let explanations = [];
         let adjustedWorkout = JSON.parse(JSON.stringify(plannedWorkout)); // Clone
+        const readinessResult = this.assessReadiness(userProfile, dailyFeedback, plannedWorkout.date);
+        const readiness = readinessResult.score;
+        const units = userProfile.units || 'kg';
+        const increment = userProfile.plateIncrement || Autoregulator.defaultPlateIncrement(units);
+
+        // 0. Periodization: start from the active block's targets for today
+        const plan = this.applyMesocycle(userProfile, adjustedWorkout, readiness, plannedWorkout.date, increment);
+        if (plan) {
+            const { targets, mesocycle } = plan;
+            if (targets.isDeload) {
+                explanations.push(TransparencyService.explain('DELOAD', {
+                    source: 'mesocycle',
+                    week: targets.week,
+                    reason: targets.deloadReason,
+                    before: { sets: TrainingEngine.totalSets(plannedWorkout) },
+                    after: { sets: TrainingEngine.totalSets(adjustedWorkout), intensity: Math.round(targets.day.intensity * 100) }
+                }));
+            } else {
+                explanations.push(TransparencyService.explain('PERIODIZATION', {
+                    model: mesocycle.model,
+                    week: targets.week,
+                    totalWeeks: targets.totalWeeks,
+                    dayLabel: targets.day.label,
+                    intensity: Math.round(targets.day.intensity * 100),
+                    reps: targets.day.reps,
+                    rpeTarget: targets.day.rpeTarget
+                }));
+            }
+        }
+        const plannedIds = plan ? plan.plannedIds : new Set();
+        const recentSessions = this.repository ? this.repository.listSessions(userProfile.id, 10) : [];
 
         // 1. Safety Check: Pain/Injury
         if (dailyFeedback.painFlags.length > 0) {
             dailyFeedback.painFlags.forEach(painArea => {
                 adjustedWorkout.exercises.forEach((ex, index) => {
-                    // Check if exercise hits painful area (very simplified mapping)
+                    // Check if exercise loads the painful joint
                     if (this.isExerciseRisky(ex, painArea)) {
-                        const sub = this.getSafeSubstitution(ex, painArea);
-                        explanations.push(TransparencyService.explainAdjustment('INJURY_SUBSTITUTION', {
-                            painLocation: painArea,
-                            originalExercise: ex.name,
-                            newExercise: sub.name
+                        const sub = this.getSafeSubstitution(ex, painArea, userProfile, this.libraryIds(adjustedWorkout), dailyFeedback.painFlags);
+                        explanations.push(TransparencyService.explain('INJURY_SUBSTITUTION', {
+                            exerciseId: ex.id,
+                            painArea,
+                            joint: ExerciseLibrary.normalizeJoint(painArea) || painArea,
+                            before: TrainingEngine.snapshot(ex),
+                            after: TrainingEngine.snapshot(sub)
                         }));
                         adjustedWorkout.exercises[index] = sub;
                     }
@@ -65,87 +143,433 @@ class TrainingEngine {
             });
         }
 
+        // 1b. Prehab: protect chronic injuries and recurring pain before it flares up today
+        const modifications = new Map(); // exerciseId -> { joint, reason }
+        const watched = InjuryProtocol.watchedJoints(userProfile, recentSessions, dailyFeedback.painFlags);
+        const protectedAreas = [...dailyFeedback.painFlags, ...watched.keys()];
+        watched.forEach((reason, joint) => {
+            adjustedWorkout.exercises.forEach((ex, index) => {
+                const action = InjuryProtocol.actionFor(ex, joint);
+                if (action === 'BLOCK') {
+                    const sub = this.getSafeSubstitution(ex, joint, userProfile, this.libraryIds(adjustedWorkout), protectedAreas);
+                    explanations.push(TransparencyService.explain('PREHAB_SUBSTITUTION', {
+                        exerciseId: ex.id,
+                        joint,
+                        reason,
+                        before: TrainingEngine.snapshot(ex),
+                        after: TrainingEngine.snapshot(sub)
+                    }));
+                    adjustedWorkout.exercises[index] = sub;
+                } else if (action === 'MODIFY' && !modifications.has(ex.id)) {
+                    modifications.set(ex.id, { joint, reason });
+                }
+            });
+        });
+
+        // Lifts coming back from a substitution follow the ramp instead of normal load progression
+        const ramps = new Map(); // exerciseId -> { step, referenceWeight }
+        adjustedWorkout.exercises.forEach(ex => {
+            const step = InjuryProtocol.rampStepFor(ex.id, recentSessions);
+            if (step >= 0) {
+                ramps.set(ex.id, { step, referenceWeight: InjuryProtocol.referenceWeightFor(ex.id, recentSessions, ex.weight) });
+            }
+        });
+
+        // 1c. Goal: rep ranges, RPE targets and rest periods (block-prescribed and ramping lifts keep their own targets)
+        const workoutDate = plannedWorkout.date || new Date();
+        const goal = GoalProfile.get(userProfile.goal);
+        if (goal) {
+            adjustedWorkout.exercises.forEach(ex => GoalProfile.applyTargets(ex, goal.id, plannedIds.has(ex.id) || ramps.has(ex.id)));
+            explanations.push(TransparencyService.explain('GOAL_TARGETS', {
+                goal: goal.id,
+                progression: goal.progression,
+                mainReps: goal.reps.main.join('-'),
+                mainRpe: goal.rpeTarget.main,
+                mainRest: goal.restSeconds.main,
+                accessoryReps: goal.reps.accessory.join('-'),
+                accessoryRpe: goal.rpeTarget.accessory,
+                accessoryRest: goal.restSeconds.accessory
+            }));
+        }
+
+        // 1d. Powerlifting meet prep: peak the competition lifts and taper everything else
+        const peaking = GoalProfile.peakingFor(userProfile, workoutDate);
+        const peaked = new Set(); // competition lifts loaded from a training max skip load progression
+        if (peaking) {
+            const trainingMaxes = { ...userProfile.trainingMaxes, ...(plan ? plan.mesocycle.trainingMaxes : {}) };
+            const setsBefore = TrainingEngine.totalSets(adjustedWorkout);
+            const lifts = GoalProfile.applyPeaking(adjustedWorkout.exercises, peaking, trainingMaxes, increment);
+            lifts.filter(id => trainingMaxes[id]).forEach(id => peaked.add(id));
+            explanations.push(TransparencyService.explain('PEAKING', {
+                phase: peaking.phase,
+                daysToMeet: peaking.daysToMeet,
+                reps: peaking.reps,
+                rpeTarget: peaking.rpeTarget,
+                volumePercent: Math.round(peaking.volumeMultiplier * 100),
+                lifts: adjustedWorkout.exercises.filter(ex => lifts.includes(ex.id)).map(ex => ex.name).join(', '),
+                before: { sets: setsBefore },
+                after: { sets: TrainingEngine.totalSets(adjustedWorkout) }
+            }));
+        }
+
+        // Sets done in the past week per muscle; protective changes and block-prescribed lifts keep their sets
+        const allSessions = this.repository ? this.repository.listSessions(userProfile.id) : [];
+        const completedInWeek = this.volumeLandmarks.weeklySets(allSessions, workoutDate);
+        const volumeStatus = () => this.volumeLandmarks.status(
+            completedInWeek, this.volumeLandmarks.setsByMuscle(adjustedWorkout.exercises), userProfile.volumeLandmarks
+        );
+        const setsLocked = ex => Boolean(ex.substitutedFor) || ramps.has(ex.id) || modifications.has(ex.id) || plannedIds.has(ex.id) || peaked.has(ex.id);
+
         // 2. Readiness Check & Volume Adjustment
-        const readiness = this.calculateReadiness(dailyFeedback);
-        const volumeAdjustmentResult = Autoregulator.adjustVolume(adjustedWorkout, readiness);
+        const volumeAdjustmentResult = Autoregulator.adjustVolume(
+            adjustedWorkout, readiness, VolumeLandmarks.pressure(volumeStatus()), GoalProfile.volumeCuts(userProfile.goal)
+        );
 
         if (volumeAdjustmentResult.type !== 'MAINTENANCE') {
-            explanations.push(TransparencyService.explainAdjustment(volumeAdjustmentResult.type, {
-                sleepHours: dailyFeedback.sleepQuality, // simplistic mapping for demo string
-                setsRemoved: volumeAdjustmentResult.type === 'DELOAD' ? '50%' : '20%' // simplistic
+            const setsBefore = TrainingEngine.totalSets(adjustedWorkout);
+            const setsAfter = TrainingEngine.totalSets(volumeAdjustmentResult.workout);
+            explanations.push(TransparencyService.explain(volumeAdjustmentResult.type, {
+                source: 'readiness',
+                readinessScore: readiness,
+                limitingFactor: TrainingEngine.limitingFactor(readinessResult.breakdown),
+                setsRemoved: setsBefore - setsAfter,
+                before: { sets: setsBefore },
+                after: { sets: setsAfter }
             }));
             adjustedWorkout = volumeAdjustmentResult.workout;
         }
 
+        // 2b. Weekly volume: trim muscles past their MRV, top up the ones short of MEV on good days
+        // (only once there's a full week of history, otherwise every muscle of a new user looks under-trained, and never while tapering)
+        this.volumeLandmarks.capSets(adjustedWorkout.exercises, volumeStatus(), setsLocked).forEach(change => {
+            explanations.push(TransparencyService.explain('VOLUME_CAP', {
+                exerciseId: change.exerciseId,
+                exercise: change.name,
+                muscleGroup: change.muscleGroup,
+                weeklySets: change.total,
+                mrv: change.mrv,
+                before: { sets: change.before },
+                after: { sets: change.after }
+            }));
+        });
+
+        const topUp = readiness >= this.volumeLandmarks.increaseThreshold && !(plan && plan.targets.isDeload) && !peaking;
+        if (topUp && VolumeLandmarks.coversFullWeek(allSessions, workoutDate)) {
+            this.volumeLandmarks.addSets(adjustedWorkout.exercises, volumeStatus(), setsLocked).forEach(change => {
+                explanations.push(TransparencyService.explain('VOLUME_INCREASE', {
+                    exerciseId: change.exerciseId,
+                    exercise: change.name,
+                    muscleGroup: change.muscleGroup,
+                    readinessScore: readiness,
+                    weeklySets: change.total,
+                    mev: change.mev,
+                    before: { sets: change.before },
+                    after: { sets: change.after }
+                }));
+            });
+        }
+
         // 3. Load Progression based on Last Performance
         if (readiness >= 40) { // Allow load logic to run, volume was already cut if low readiness
             adjustedWorkout.exercises.forEach(currentEx => {
                 const lastPerf = lastPerformances.find(p => p.exerciseId === currentEx.id);
 
+                // Block-prescribed loads are autoregulated from today's target, not last session's weight
+                const fromPlan = plannedIds.has(currentEx.id);
+                if (fromPlan && plan.targets.isDeload) return;
+                if (ramps.has(currentEx.id) || peaked.has(currentEx.id)) return;
+
                 if (lastPerf) {
-                    const adjustment = Autoregulator.adjustLoad(
-                        lastPerf.weight,
-                        lastPerf.rpe,
-                        currentEx.rpeTarget, // Target RPE 
-                        lastPerf.completedReps < currentEx.reps // Did they meet the target reps?
-                    );
-
-                    if (adjustment.adjustmentType !== 'MAINTENANCE') {
-                        // Apply weight change
-                        // Round to nearest 2.5kg for gym reality
-                        currentEx.weight = Math.round(adjustment.newWeight / 2.5) * 2.5;
-
-                        explanations.push(TransparencyService.explainAdjustment(adjustment.adjustmentType, {
+                    const baseWeight = fromPlan ? currentEx.weight : lastPerf.weight;
+                    const adjustment = this.prescribeLoad(currentEx, lastPerf, baseWeight, increment, fromPlan ? null : goal);
+                    const repsBefore = currentEx.reps;
+                    if (adjustment.newReps) currentEx.reps = adjustment.newReps;
+                    const repRange = adjustment.repRange
+                        ? { progression: 'double', lastReps: lastPerf.completedReps, minReps: adjustment.repRange[0], maxReps: adjustment.repRange[1] }
+                        : {};
+
+                    if (adjustment.adjustmentType === 'REP_INCREASE') {
+                        currentEx.weight = baseWeight;
+                        explanations.push(TransparencyService.explain('REP_INCREASE', {
+                            exerciseId: currentEx.id,
+                            exercise: currentEx.name,
                             lastRpe: lastPerf.rpe,
-                            increaseAmount: (currentEx.weight - lastPerf.weight).toFixed(1)
+                            weight: baseWeight,
+                            units,
+                            ...repRange,
+                            before: { reps: repsBefore },
+                            after: { reps: currentEx.reps }
+                        }));
+                    } else if (adjustment.adjustmentType !== 'MAINTENANCE') {
+                        currentEx.weight = adjustment.newWeight;
+
+                        explanations.push(TransparencyService.explain(adjustment.adjustmentType, {
+                            exerciseId: currentEx.id,
+                            exercise: currentEx.name,
+                            lastRpe: lastPerf.rpe,
+                            change: Math.abs(Math.round((currentEx.weight - baseWeight) * 10) / 10),
+                            estimatedOneRepMax: adjustment.estimatedOneRepMax,
+                            targetReps: currentEx.reps,
+                            targetRpe: currentEx.rpeTarget,
+                            units,
+                            ...repRange,
+                            before: { weight: baseWeight },
+                            after: { weight: currentEx.weight }
                         }));
                     } else {
                         // Carry over weight if maintaining
-                        currentEx.weight = lastPerf.weight;
+                        currentEx.weight = baseWeight;
                     }
                 }
             });
         }
 
+        // 4. Joint-friendly caps and return-to-training ramps (applied last so they scale the final load)
+        adjustedWorkout.exercises.forEach(currentEx => {
+            if (ramps.has(currentEx.id)) {
+                const { step, referenceWeight } = ramps.get(currentEx.id);
+                const setsBefore = currentEx.sets;
+                const ramp = InjuryProtocol.applyRamp(currentEx, step, referenceWeight, increment);
+                explanations.push(TransparencyService.explain('RETURN_TO_TRAINING', {
+                    exerciseId: currentEx.id,
+                    exercise: currentEx.name,
+                    step: ramp.step,
+                    totalSteps: ramp.totalSteps,
+                    loadPercent: ramp.loadPercent,
+                    units,
+                    before: { weight: ramp.previousWeight, sets: setsBefore },
+                    after: { weight: ramp.newWeight, sets: ramp.sets, rpeTarget: currentEx.rpeTarget }
+                }));
+                return;
+            }
+
+            const modification = modifications.get(currentEx.id);
+            if (modification) {
+                const rpeBefore = currentEx.rpeTarget;
+                const result = InjuryProtocol.applyModification(currentEx, increment);
+                explanations.push(TransparencyService.explain('PREHAB_MODIFICATION', {
+                    exerciseId: currentEx.id,
+                    exercise: currentEx.name,
+                    ...modification,
+                    units,
+                    before: { weight: result.previousWeight, rpeTarget: rpeBefore },
+                    after: { weight: result.newWeight, rpeTarget: result.rpeTarget }
+                }));
+            }
+        });
+
+        // What was prescribed, so the nutrition planner can fuel the day's training and the assistant can explain it
+        if (this.repository) {
+            this.repository.savePrescription(userProfile.id, {
+                day: new Date(workoutDate).toISOString().slice(0, 10),
+                workoutId: plannedWorkout.id,
+                name: plannedWorkout.name,
+                sets: TrainingEngine.totalSets(adjustedWorkout),
+                readinessScore: readiness,
+                exercises: adjustedWorkout.exercises.map(TrainingEngine.snapshot),
+                explanations
+            });
+        }
+
         return {
             readinessScore: readiness,
+            readinessBreakdown: readinessResult.breakdown,
             workout: adjustedWorkout,
-            explanations: explanations
+            explanations: explanations,
+            weeklyVolume: volumeStatus()
         };
     }
 
-    // Helper: simplistic exercise substitution logic for MVP
-    isExerciseRisky(exercise, painArea) {
-        // MVP: simplified matching
-        const riskMap = {
-            'knee': ['Squat', 'Lunge', 'Leg Press'],
-            'shoulder': ['Bench Press', 'Overhead Press', 'Dip'],
-            'back': ['Deadlift', 'Row', 'Good Morning']
-        };
+    /**
+     * @param {Workout} workout
+     * @returns {number} Sets across all exercises
+     */
+    static totalSets(workout) {
+        return workout.exercises.reduce((sum, ex) => sum + (ex.sets || 0), 0);
+    }
 
-        let foundRisk = false;
-        for (const [key, riskyList] of Object.entries(riskMap)) {
-            if (painArea.toLowerCase().includes(key)) {
-                if (riskyList.some(riskyName => exercise.name.includes(riskyName))) {
-                    foundRisk = true;
-                }
-            }
-        }
-        return foundRisk;
+    /**
+     * The readiness factor that cost the most points today, if any cost points at all.
+     * @param {Array<Object>} breakdown - ReadinessModel.score(...).breakdown
+     * @returns {string|null} Factor id
+     */
+    static limitingFactor(breakdown = []) {
+        const worst = breakdown.reduce((min, item) => (item.contribution < (min ? min.contribution : 0) ? item : min), null);
+        return worst ? worst.factor : null;
+    }
+
+    /**
+     * The parts of an exercise an explanation's before/after compares.
+     * @param {Exercise} exercise
+     * @returns {Object} { exerciseId, name, weight, sets, reps }
+     */
+    static snapshot(exercise) {
+        return { exerciseId: exercise.id, name: exercise.name, weight: exercise.weight, sets: exercise.sets, reps: exercise.reps };
     }
 
-    getSafeSubstitution(exercise, painArea) {
-        // MVP substitutions
-        if (painArea.includes('knee')) {
-            return { name: 'Glute Bridge', weight: 0, sets: 3, reps: 15, id: exercise.id + '_sub' };
+    /**
+     * Resolves the last performance for each planned exercise.
+     * Stored history wins; the supplied list only fills exercises with no stored record yet.
+     * @param {User} userProfile
+     * @param {Workout} plannedWorkout
+     * @param {Array<ExercisePerformance>} fallback - Performances sent by the client
+     * @returns {Array<ExercisePerformance>}
+     */
+    loadLastPerformances(userProfile, plannedWorkout, fallback = []) {
+        if (!this.repository) return fallback;
+
+        const exerciseIds = plannedWorkout.exercises.map(ex => ex.id);
+        const stored = this.repository.getLastPerformances(userProfile.id, exerciseIds);
+        const storedIds = new Set(stored.map(p => p.exerciseId));
+        return stored.concat(fallback.filter(p => !storedIds.has(p.exerciseId)));
+    }
+
+    /**
+     * Next load for an exercise from its last performance.
+     * Goals with double progression move reps through the goal's range before adding load;
+     * otherwise the e1RM/RPE table is used when reps and RPE were logged, the fixed-step rules when not.
+     * @param {Exercise} exercise - Today's exercise (reps and rpeTarget are the targets)
+     * @param {ExercisePerformance} lastPerf
+     * @param {number} baseWeight - Weight to adjust from
+     * @param {number} increment - User's plate increment
+     * @param {Object} goal - GoalProfile.get(user.goal), or null
+     * @returns {Object} { newWeight, adjustmentType, estimatedOneRepMax } plus { newReps, repRange } for double progression
+     */
+    prescribeLoad(exercise, lastPerf, baseWeight, increment, goal = null) {
+        const logged = lastPerf.completedReps > 0 && lastPerf.rpe > 0;
+        if (goal && goal.progression === 'double' && logged) {
+            const repRange = goal.reps[GoalProfile.role(exercise)];
+            const result = Autoregulator.doubleProgression(lastPerf, repRange, exercise.rpeTarget, increment, baseWeight);
+            return { ...result, estimatedOneRepMax: null, repRange };
         }
-        if (painArea.includes('shoulder')) {
-            return { name: 'Push-up (Neutral Grip)', weight: 0, sets: 3, reps: 12, id: exercise.id + '_sub' };
+
+        if (logged && exercise.reps > 0) {
+            return Autoregulator.prescribeLoad(lastPerf, exercise.reps, exercise.rpeTarget, increment, baseWeight);
         }
-        if (painArea.includes('back')) {
-            return { name: 'Chest Supported Row', weight: exercise.weight * 0.7, sets: 3, reps: 10, id: exercise.id + '_sub' };
+
+        const adjustment = Autoregulator.adjustLoad(
+            baseWeight,
+            lastPerf.rpe,
+            exercise.rpeTarget,
+            lastPerf.completedReps < exercise.reps
+        );
+        const newWeight = Autoregulator.roundToPlates(adjustment.newWeight, increment);
+        return {
+            newWeight: newWeight === baseWeight ? baseWeight : newWeight,
+            adjustmentType: newWeight === baseWeight ? 'MAINTENANCE' : adjustment.adjustmentType,
+            estimatedOneRepMax: null
+        };
+    }
+
+    /**
+     * Applies the user's active mesocycle (if any) to today's workout.
+     * Also feeds today's readiness into the block so accumulated fatigue can pull a deload forward.
+     * @param {User} userProfile
+     * @param {Workout} workout - Cloned planned workout (mutated)
+     * @param {number} readiness - Today's readiness score
+     * @param {Date} date - Workout date (defaults to now)
+     * @param {number} increment - User's plate increment
+     * @returns {Object|null} { mesocycle, targets, plannedIds }
+     */
+    applyMesocycle(userProfile, workout, readiness, date = new Date(), increment) {
+        if (!this.repository) return null;
+
+        const mesocycle = this.repository.getActiveMesocycle(userProfile.id, date);
+        if (!mesocycle) return null;
+
+        PeriodizationPlanner.registerReadiness(mesocycle, readiness, date);
+        this.repository.saveMesocycle(mesocycle);
+
+        const weekStart = PeriodizationPlanner.weekStartFor(mesocycle, date);
+        const sessionsThisWeek = this.repository.listSessions(userProfile.id)
+            .filter(session => new Date(session.date) >= weekStart && new Date(session.date) < new Date(date))
+            .length;
+
+        const targets = PeriodizationPlanner.getTargetsFor(mesocycle, date, sessionsThisWeek);
+        PeriodizationPlanner.applyTargets(workout, mesocycle, targets, increment);
+
+        const plannedIds = new Set(workout.exercises
+            .filter(ex => mesocycle.trainingMaxes[ex.id])
+            .map(ex => ex.id));
+
+        return { mesocycle, targets, plannedIds };
+    }
+
+    /**
+     * Library ids of the exercises currently in a workout, so substitutions don't duplicate them.
+     * @param {Workout} workout
+     * @returns {Array<string>}
+     */
+    libraryIds(workout) {
+        return workout.exercises.map(e => {
+            const entry = ExerciseLibrary.find(e);
+            return entry ? entry.id : e.id;
+        });
+    }
+
+    /**
+     * Checks whether an exercise loads the painful joint, using the exercise library's risk profiles.
+     * Exercises missing from the library are never flagged.
+     * @param {Exercise} exercise
+     * @param {string} painArea - Reported pain area (e.g. "left_knee")
+     * @returns {boolean}
+     */
+    isExerciseRisky(exercise, painArea) {
+        const entry = ExerciseLibrary.find(exercise);
+        const joint = ExerciseLibrary.normalizeJoint(painArea);
+        if (!entry || !joint) return false;
+
+        return ExerciseLibrary.isRisky(entry, joint);
+    }
+
+    /**
+     * Picks an alternative that trains the same muscles without loading the painful joint.
+     * The exercise's own swaps (from its program slot) are tried first, in order.
+     * Starting weight comes from the user's last logged performance of the alternative;
+     * without history, loaded movements start at half the original weight.
+     * @param {Exercise} exercise - The risky exercise
+     * @param {string} painArea - Reported pain area
+     * @param {User} userProfile - Used to look up history (optional)
+     * @param {Array<string>} excludeIds - Library ids already in the workout
+     * @param {Array<string>} alsoAvoid - Other painful or protected areas the substitute must not load either
+     * @returns {Exercise} Substitute, or a rest placeholder if nothing safe trains those muscles
+     */
+    getSafeSubstitution(exercise, painArea, userProfile = null, excludeIds = [], alsoAvoid = []) {
+        const joint = ExerciseLibrary.normalizeJoint(painArea);
+        const avoid = [...new Set([joint, ...alsoAvoid.map(ExerciseLibrary.normalizeJoint)].filter(Boolean))];
+        const preferred = (exercise.swaps || [])
+            .map(id => ExerciseLibrary.get(id))
+            .find(entry => entry && !excludeIds.includes(entry.id) && avoid.every(j => !ExerciseLibrary.isRisky(entry, j)));
+        const [alternative] = !joint ? [] : preferred ? [preferred] : ExerciseLibrary.findAlternatives(exercise, avoid, excludeIds);
+
+        if (!alternative) {
+            return { name: `Rest (${painArea} pain)`, id: 'rest', weight: 0, sets: 0, reps: 0 };
         }
-        return { name: `Rest (${painArea} pain)`, id: 'rest', weight: 0, sets: 0, reps: 0 };
+
+        const sub = new Exercise(
+            alternative.id,
+            alternative.name,
+            alternative.type,
+            alternative.muscleGroups,
+            this.startingWeightFor(alternative, exercise, userProfile),
+            exercise.sets,
+            alternative.defaultReps,
+            exercise.rpeTarget
+        );
+        sub.substitutedFor = exercise.id;
+        return sub;
+    }
+
+    startingWeightFor(alternative, original, userProfile) {
+        if (this.repository && userProfile) {
+            const [last] = this.repository.getLastPerformances(userProfile.id, [alternative.id]);
+            if (last) return last.weight;
+        }
+        if (alternative.equipment === 'bodyweight' || alternative.equipment === 'band') return 0;
+
+        const units = (userProfile && userProfile.units) || 'kg';
+        const increment = (userProfile && userProfile.plateIncrement) || Autoregulator.defaultPlateIncrement(units);
+        return Autoregulator.roundToPlates((original.weight || 0) * 0.5, increment);
     }
 }
 
@@ -1,38 +1,234 @@
 /**
  * transparency.js
  * Generates user-friendly explanations for training adjustments.
+ * The engine produces structured explanations (code, severity, exercise, before/after numbers);
+ * wording lives in the locale catalogues under locales/ and is applied when rendering.
  */
 
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, 'locales');
+const DEFAULT_LOCALE = 'en';
+
+const SEVERITY = {
+    INFO: 'info',
+    SUCCESS: 'success',
+    WARNING: 'warning',
+    ALERT: 'alert'
+};
+
+const SEVERITIES = {
+    LOAD_INCREASE: SEVERITY.SUCCESS,
+    LOAD_DECREASE: SEVERITY.WARNING,
+    VOLUME_REDUCTION: SEVERITY.WARNING,
+    DELOAD: SEVERITY.WARNING,
+    VOLUME_CAP: SEVERITY.WARNING,
+    VOLUME_INCREASE: SEVERITY.SUCCESS,
+    REP_INCREASE: SEVERITY.SUCCESS,
+    GOAL_TARGETS: SEVERITY.INFO,
+    PEAKING: SEVERITY.INFO,
+    INJURY_SUBSTITUTION: SEVERITY.ALERT,
+    PREHAB_SUBSTITUTION: SEVERITY.WARNING,
+    PREHAB_MODIFICATION: SEVERITY.WARNING,
+    RETURN_TO_TRAINING: SEVERITY.INFO,
+    PERIODIZATION: SEVERITY.INFO,
+    MAINTENANCE: SEVERITY.INFO,
+    SET_ON_TARGET: SEVERITY.SUCCESS,
+    SET_LOAD_INCREASE: SEVERITY.SUCCESS,
+    SET_LOAD_DECREASE: SEVERITY.WARNING,
+    BACK_OFF_SET: SEVERITY.WARNING,
+    EXERCISE_COMPLETE: SEVERITY.SUCCESS
+};
+
+const catalogues = {};
+let availableLocales = null;
+
 class TransparencyService {
     /**
-     * @param {string} adjustmentType - "LOAD_INCREASE", "LOAD_DECREASE", "VOLUME_REDUCTION", "DELOAD", "INJURY_SUBSTITUTION", "MAINTENANCE"
-     * @param {Object} context - Data relevant to the decision (e.g., sleep hours, pain location, last RPE)
-     * @returns {string} - Explanation text
+     * Builds a structured explanation.
+     * @param {string} code - "LOAD_INCREASE", "LOAD_DECREASE", "VOLUME_REDUCTION", "DELOAD", "VOLUME_CAP", "VOLUME_INCREASE", "REP_INCREASE", "GOAL_TARGETS", "PEAKING", "INJURY_SUBSTITUTION", "PREHAB_SUBSTITUTION", "PREHAB_MODIFICATION", "RETURN_TO_TRAINING", "PERIODIZATION", "MAINTENANCE",
+     *   live session: "SET_ON_TARGET", "SET_LOAD_INCREASE", "SET_LOAD_DECREASE", "BACK_OFF_SET", "EXERCISE_COMPLETE"
+     * @param {Object} context - { exerciseId, before, after, ...params } where before/after hold the
+     *   numbers that changed (weight, sets, rpeTarget...) and params anything else the wording needs
+     * @returns {Object} { code, severity, exerciseId, before, after, params }
+     */
+    static explain(code, { exerciseId = null, before = null, after = null, ...params } = {}) {
+        return {
+            code,
+            severity: SEVERITIES[code] || SEVERITY.INFO,
+            exerciseId,
+            before,
+            after,
+            params
+        };
+    }
+
+    /**
+     * Renders an explanation with a locale's templates.
+     * @param {Object} explanation - Result of explain()
+     * @param {string} locale - Falls back to English for unknown locales or missing templates
+     * @returns {Object} { icon, title, text }
+     */
+    static render(explanation, locale = DEFAULT_LOCALE) {
+        const resolved = TransparencyService.resolveLocale(locale);
+        const key = TransparencyService.templateKey(explanation);
+        const template = TransparencyService.findTemplate(resolved, [key, explanation.code, 'DEFAULT']);
+        const values = { ...explanation.params, before: explanation.before || {}, after: explanation.after || {} };
+
+        return {
+            icon: template.icon,
+            title: TransparencyService.interpolate(template.title, values, resolved),
+            text: TransparencyService.interpolate(template.text, values, resolved)
+        };
+    }
+
+    /**
+     * One-line markdown version ("🚀 **Go Mode**: ..."), for logs and console output.
+     * @param {Object} explanation
+     * @param {string} locale
+     * @returns {string}
+     */
+    static format(explanation, locale = DEFAULT_LOCALE) {
+        const { icon, title, text } = TransparencyService.render(explanation, locale);
+        return `${icon} **${title}**: ${text}`;
+    }
+
+    /**
+     * The explanation with its rendered wording attached, as returned by the API.
+     * @param {Object} explanation
+     * @param {string} locale
+     * @returns {Object} { code, severity, exerciseId, before, after, params, locale, icon, title, text }
+     */
+    static localize(explanation, locale = DEFAULT_LOCALE) {
+        const resolved = TransparencyService.resolveLocale(locale);
+        return { ...explanation, locale: resolved, ...TransparencyService.render(explanation, resolved) };
+    }
+
+    /**
+     * Read once, like the catalogues: restart the server after adding a locale.
+     * @returns {Array<string>} Locales with a catalogue in locales/
+     */
+    static locales() {
+        if (!availableLocales) {
+            availableLocales = fs.readdirSync(LOCALES_DIR)
+                .filter(file => file.endsWith('.json'))
+                .map(file => file.replace(/\.json$/, ''));
+        }
+        return [...availableLocales];
+    }
+
+    /**
+     * Maps a requested locale ("es-MX", "es", "fr") onto an available catalogue.
+     * @param {string} locale
+     * @returns {string}
      */
-    static explainAdjustment(adjustmentType, context) {
-        switch (adjustmentType) {
-            case "LOAD_INCREASE":
-                return `🚀 **Go Mode**: You crushed the last session (RPE ${context.lastRpe}). We're adding ${context.increaseAmount}kg to keep you in the growth zone. Expect this to feel like an RPE 8.`;
+    static resolveLocale(locale) {
+        const available = TransparencyService.locales();
+        const requested = String(locale || DEFAULT_LOCALE).toLowerCase();
+        if (available.includes(requested)) return requested;
 
-            case "LOAD_DECREASE":
-                return `📉 **Reset**: Last session was a grind (RPE ${context.lastRpe}). We're dropping the weight by 5% to help you master the form and build confidence. Perfect technique first!`;
+        const language = requested.split(/[-_]/)[0];
+        return available.includes(language) ? language : DEFAULT_LOCALE;
+    }
 
-            case "VOLUME_REDUCTION":
-                return `🔋 **Energy Saver**: Short sleep (${context.sleepHours}h) or high stress means recovery is expensive today. We cut ${context.setsRemoved} sets to prevent overtraining. You'll stimulate muscle without digging a hole.`;
+    /**
+     * Renders a plain string from a catalogue section other than the explanation templates
+     * (e.g. the session report's "report" headings), falling back to English when the locale lacks it.
+     * @param {string} section - Catalogue section ("report")
+     * @param {string} key
+     * @param {Object} values - Placeholder values, as in interpolate()
+     * @param {string} locale
+     * @returns {string}
+     */
+    static phrase(section, key, values = {}, locale = DEFAULT_LOCALE) {
+        const resolved = TransparencyService.resolveLocale(locale);
+        const template = [resolved, DEFAULT_LOCALE]
+            .map(l => (TransparencyService.catalogue(l)[section] || {})[key])
+            .find(t => t !== undefined);
+        return template === undefined ? key : TransparencyService.interpolate(template, values, resolved);
+    }
 
-            case "DELOAD":
-                return `🛑 **Deload Week**: You've been pushing hard. Your recovery markers are trending down. We're dropping intensity by 40% this week to let your nervous system rebound. You'll come back stronger next week.`;
+    static catalogue(locale) {
+        if (!catalogues[locale]) {
+            catalogues[locale] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${locale}.json`), 'utf8'));
+        }
+        return catalogues[locale];
+    }
+
+    static findTemplate(locale, keys) {
+        for (const catalogue of [TransparencyService.catalogue(locale), TransparencyService.catalogue(DEFAULT_LOCALE)]) {
+            const key = keys.find(k => catalogue.templates[k]);
+            if (key) return catalogue.templates[key];
+        }
+        return { icon: '', title: '', text: '' };
+    }
 
-            case "INJURY_SUBSTITUTION":
-                return `🩹 **Injury Prevention**: You flagged ${context.painLocation} discomfort. We've swapped ${context.originalExercise} for ${context.newExercise} today to train the muscles without aggravating the joint. If pain persists > 24hrs, please rest.`;
+    /**
+     * Picks the wording variant for an explanation ("RETURN_TO_TRAINING.first", "LOAD_INCREASE.e1rm", "LOAD_INCREASE.double"...).
+     * @param {Object} explanation
+     * @returns {string} Template key
+     */
+    static templateKey({ code, params, before, after }) {
+        switch (code) {
+            case 'LOAD_INCREASE':
+            case 'LOAD_DECREASE':
+                if (params.progression === 'double') return `${code}.double`;
+                return params.estimatedOneRepMax ? `${code}.e1rm` : code;
 
-            case "MAINTENANCE":
-                return `✅ **Steady State**: Sticking to the plan. Consistency is key right now. Focus on perfect reps.`;
+            case 'GOAL_TARGETS':
+                return params.progression === 'double' ? `${code}.double` : code;
+
+            case 'VOLUME_REDUCTION':
+                return params.limitingFactor ? code : `${code}.plain`;
+
+            case 'DELOAD':
+                return params.source === 'readiness' ? `${code}.readiness` : code;
+
+            case 'INJURY_SUBSTITUTION':
+                return after && after.exerciseId === 'rest' ? `${code}.rest` : code;
+
+            case 'PREHAB_SUBSTITUTION':
+                if (after && after.exerciseId === 'rest') return `${code}.rest`;
+                return `${code}.${params.reason}`;
+
+            case 'PREHAB_MODIFICATION':
+                return before && after && before.weight !== after.weight ? code : `${code}.rpeOnly`;
+
+            case 'RETURN_TO_TRAINING':
+                if (params.step === 1) return `${code}.first`;
+                return params.step < params.totalSteps ? `${code}.middle` : `${code}.final`;
 
             default:
-                return "Adjusting your plan based on recent performance.";
+                return code;
         }
     }
+
+    /**
+     * Fills "{name}", "{after.weight}" and "{joint|joint}" placeholders. The part after "|"
+     * names a term list in the catalogue used to translate the value; numbers are formatted for the locale.
+     * @param {string} template
+     * @param {Object} values
+     * @param {string} locale
+     * @returns {string}
+     */
+    static interpolate(template, values, locale) {
+        const terms = TransparencyService.catalogue(locale).terms || {};
+        const numberFormat = new Intl.NumberFormat(locale, { maximumFractionDigits: 1 });
+
+        return template.replace(/\{([\w.]+)(?:\|(\w+))?\}/g, (match, name, termList) => {
+            const value = name.split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), values);
+            if (value === undefined || value === null) return '';
+            if (termList) {
+                const list = terms[termList] || {};
+                return list[value] !== undefined ? list[value] : String(value).replace(/_/g, ' ');
+            }
+            return typeof value === 'number' ? numberFormat.format(value) : String(value);
+        });
+    }
 }
 
+TransparencyService.SEVERITY = SEVERITY;
+TransparencyService.DEFAULT_LOCALE = DEFAULT_LOCALE;
+
 module.exports = TransparencyService;
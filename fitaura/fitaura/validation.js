@@ -0,0 +1,607 @@
+/**
+ * validation.js
+ * Request payload schemas and a small validator for the REST API.
+ * Every problem is collected (not just the first) so a 400 response can list them all.
+ */
+
+class ValidationError extends Error {
+    /**
+     * @param {Array<Object>} errors - [{ field, message }]
+     */
+    constructor(errors) {
+        super(`Invalid request: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Schema nodes:
+ *   { type: 'string', enum, minLength, maxLength, pattern }  - pattern failures use the node's description
+ *   { type: 'number', integer, min, max }
+ *   { type: 'boolean' }
+ *   { type: 'date' }                        - a day (YYYY-MM-DD) or a full ISO timestamp with a time zone
+ *   { type: 'array', items }
+ *   { type: 'object', properties, values }  - values: schema for every value of a map
+ *   { oneOf: [schema, ...] }
+ * Any node may set required: true; otherwise undefined and null are accepted.
+ */
+// "2024-05-06" or "2024-05-06T07:30:00.000Z" / "2024-05-06T07:30+02:00"
+const ISO_DATE = /^(\d{4}-\d{2}-\d{2})(T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d{1,3})?)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d))?$/;
+
+class Validator {
+    /**
+     * @param {*} value
+     * @param {Object} schema
+     * @returns {Array<Object>} [{ field, message }], empty when valid
+     */
+    static validate(value, schema) {
+        const errors = [];
+        Validator.check(value, schema, '', errors);
+        return errors;
+    }
+
+    /**
+     * Throws a ValidationError listing every problem with value.
+     * @param {*} value
+     * @param {Object} schema
+     */
+    static assert(value, schema) {
+        const errors = Validator.validate(value, schema);
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+    }
+
+    static check(value, schema, field, errors) {
+        const label = field || 'body';
+        if (value === undefined || value === null) {
+            if (schema.required) errors.push({ field: label, message: 'is required' });
+            return;
+        }
+
+        if (schema.oneOf) {
+            const matches = schema.oneOf.some(option => Validator.validate(value, option).length === 0);
+            if (!matches) errors.push({ field: label, message: schema.description || 'has an invalid format' });
+            return;
+        }
+
+        switch (schema.type) {
+            case 'string':
+                if (typeof value !== 'string') {
+                    errors.push({ field: label, message: 'must be a string' });
+                } else if (schema.enum && !schema.enum.includes(value)) {
+                    errors.push({ field: label, message: `must be one of: ${schema.enum.join(', ')}` });
+                } else if (value.trim().length < (schema.minLength || 0)) {
+                    errors.push({ field: label, message: schema.minLength > 1 ? `must be at least ${schema.minLength} characters` : 'must not be empty' });
+                } else if (schema.maxLength && value.length > schema.maxLength) {
+                    errors.push({ field: label, message: `must be at most ${schema.maxLength} characters` });
+                } else if (schema.pattern && !schema.pattern.test(value)) {
+                    errors.push({ field: label, message: schema.description || 'has an invalid format' });
+                }
+                break;
+
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    errors.push({ field: label, message: 'must be a number' });
+                } else if (schema.integer && !Number.isInteger(value)) {
+                    errors.push({ field: label, message: 'must be a whole number' });
+                } else if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+                    errors.push({ field: label, message: Validator.rangeMessage(schema) });
+                }
+                break;
+
+            case 'boolean':
+                if (typeof value !== 'boolean') errors.push({ field: label, message: 'must be true or false' });
+                break;
+
+            case 'date': {
+                const match = typeof value === 'string' && ISO_DATE.exec(value);
+                if (!match || !Validator.isCalendarDay(match[1])) {
+                    errors.push({ field: label, message: 'must be an ISO date (e.g. 2024-05-06 or 2024-05-06T07:30:00Z)' });
+                }
+                break;
+            }
+
+            case 'array':
+                if (!Array.isArray(value)) {
+                    errors.push({ field: label, message: 'must be an array' });
+                } else if (schema.items) {
+                    value.forEach((item, i) => Validator.check(item, { required: true, ...schema.items }, `${field}[${i}]`, errors));
+                }
+                break;
+
+            case 'object':
+                if (typeof value !== 'object' || Array.isArray(value)) {
+                    errors.push({ field: label, message: 'must be an object' });
+                    break;
+                }
+                Object.entries(schema.properties || {}).forEach(([key, child]) => {
+                    Validator.check(value[key], child, field ? `${field}.${key}` : key, errors);
+                });
+                if (schema.values) {
+                    Object.entries(value).forEach(([key, child]) => {
+                        Validator.check(child, { required: true, ...schema.values }, field ? `${field}.${key}` : key, errors);
+                    });
+                }
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    /**
+     * @param {string} day - "YYYY-MM-DD"
+     * @returns {boolean} Whether the day exists (no 2024-02-30)
+     */
+    static isCalendarDay(day) {
+        const date = new Date(`${day}T00:00:00Z`);
+        return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === day;
+    }
+
+    static rangeMessage({ min, max, integer }) {
+        const kind = integer ? 'a whole number' : 'a number';
+        if (min !== undefined && max !== undefined) return `must be ${kind} between ${min} and ${max}`;
+        if (min !== undefined) return `must be ${kind} of at least ${min}`;
+        return `must be ${kind} of at most ${max}`;
+    }
+}
+
+// --- Shared field schemas ---
+
+const ID = { type: 'string', minLength: 1 };
+const WEIGHT = { type: 'number', min: 0 };
+const RPE = { type: 'number', min: 1, max: 10 };
+const PAIN_FLAGS = { type: 'array', items: { type: 'string', minLength: 1 } };
+const EMAIL = { type: 'string', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, description: 'must be an email address' };
+
+const EXERCISE = {
+    type: 'object',
+    properties: {
+        id: { ...ID, required: true },
+        name: { ...ID, required: true },
+        type: { type: 'string', enum: ['compound', 'isolation'] },
+        muscleGroups: { type: 'array', items: { type: 'string' } },
+        weight: { ...WEIGHT, required: true },
+        sets: { type: 'number', integer: true, min: 0, max: 20, required: true },
+        reps: { type: 'number', integer: true, min: 0, max: 100, required: true },
+        rpeTarget: RPE,
+        substitutedFor: ID,
+        swaps: { type: 'array', items: ID }
+    }
+};
+
+const PROGRAM_SLOT = {
+    type: 'object',
+    properties: {
+        exerciseId: { ...ID, required: true },
+        name: { type: 'string' },
+        type: { type: 'string', enum: ['compound', 'isolation'] },
+        muscleGroups: { type: 'array', items: { type: 'string' } },
+        sets: { type: 'number', integer: true, min: 1, max: 20, required: true },
+        reps: { type: 'number', integer: true, min: 1, max: 100, required: true },
+        rpeTarget: RPE,
+        percentOfMax: { type: 'number', min: 0.3, max: 1 },
+        weight: WEIGHT,
+        swaps: { type: 'array', items: ID }
+    }
+};
+
+const PERFORMANCE = {
+    type: 'object',
+    properties: {
+        exerciseId: { ...ID, required: true },
+        weight: { ...WEIGHT, required: true },
+        completedReps: { type: 'number', integer: true, min: 0, max: 100 },
+        completedSets: { type: 'number', integer: true, min: 0, max: 20 },
+        rpe: RPE
+    }
+};
+
+const INJURY = {
+    oneOf: [
+        { type: 'string', minLength: 1 },
+        { type: 'object', properties: { area: { ...ID, required: true }, chronic: { type: 'boolean' } } }
+    ],
+    description: 'must be a joint name or { area, chronic }'
+};
+
+const TRAINING_MAXES = { type: 'object', values: { type: 'number', min: 0 } };
+
+// Per-muscle overrides of volume_landmarks.json, in sets per week
+const VOLUME_LANDMARKS = {
+    type: 'object',
+    values: {
+        type: 'object',
+        properties: {
+            mv: { type: 'number', min: 0 },
+            mev: { type: 'number', min: 0 },
+            mrv: { type: 'number', min: 0 }
+        }
+    }
+};
+
+const CLIENT_ID = { type: 'string', pattern: /^[A-Za-z0-9-]{8,64}$/, description: 'must be 8-64 letters, digits or dashes (e.g. a UUID)' };
+
+const GOAL = { type: 'string', enum: ['hypertrophy', 'strength', 'fat_loss', 'powerlifting'] };
+
+// Body stats and diet goal for the nutrition planner (its goals are the diet calculator's, not the engine's)
+const NUTRITION_PROFILE = {
+    age: { type: 'number', integer: true, min: 10, max: 100, required: true },
+    gender: { type: 'string', enum: ['male', 'female'], required: true },
+    heightCm: { type: 'number', min: 100, max: 250, required: true },
+    weightKg: { type: 'number', min: 25, max: 300, required: true },
+    activity: { type: 'number', min: 1.2, max: 1.9, required: true },
+    goal: { type: 'string', enum: ['fat_loss', 'muscle_gain', 'strength'], required: true },
+    preference: { type: 'string', enum: ['veg', 'egg', 'non_veg'] }
+};
+
+const MACRO = { type: 'number', min: 0, max: 5000, required: true };
+
+// What the engine prescribed for an exercise, as stored with a generated workout
+const PRESCRIBED_EXERCISE = {
+    type: 'object',
+    properties: {
+        exerciseId: { ...ID, required: true },
+        name: { type: 'string' },
+        weight: WEIGHT,
+        sets: { type: 'number', integer: true, min: 0, max: 20 },
+        reps: { type: 'number', integer: true, min: 0, max: 100 }
+    }
+};
+
+// Calendar days and wall-clock times (the gym's timetable, imported workouts)
+const DAY = { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/, description: 'must be a day (YYYY-MM-DD)' };
+const TIME = { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/, description: 'must be a time (HH:MM, 24-hour)' };
+
+// --- Request schemas ---
+
+const SCHEMAS = {
+    register: {
+        type: 'object',
+        required: true,
+        properties: {
+            email: { ...EMAIL, required: true },
+            password: { type: 'string', minLength: 8, required: true },
+            name: { type: 'string' },
+            role: { type: 'string', enum: ['athlete', 'coach', 'staff'] },
+            units: { type: 'string', enum: ['kg', 'lb'] }
+        }
+    },
+
+    login: {
+        type: 'object',
+        required: true,
+        properties: {
+            email: { ...EMAIL, required: true },
+            password: { type: 'string', minLength: 1, required: true }
+        }
+    },
+
+    assignCoach: {
+        type: 'object',
+        properties: {
+            coachEmail: EMAIL
+        }
+    },
+
+    programTemplate: {
+        type: 'object',
+        required: true,
+        properties: {
+            name: { ...ID, required: true },
+            description: { type: 'string' },
+            split: { type: 'string', enum: ['full_body', 'upper_lower', 'push_pull_legs', 'body_part', 'custom'] },
+            daysPerWeek: { type: 'number', integer: true, min: 1, max: 7, required: true },
+            schedule: { type: 'array', items: { type: 'string', enum: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] } },
+            days: {
+                type: 'array',
+                required: true,
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { ...ID, required: true },
+                        slots: { type: 'array', items: PROGRAM_SLOT, required: true }
+                    }
+                }
+            }
+        }
+    },
+
+    startProgram: {
+        type: 'object',
+        required: true,
+        properties: {
+            programId: { ...ID, required: true },
+            startDate: { type: 'date' }
+        }
+    },
+
+    generateWorkout: {
+        type: 'object',
+        required: true,
+        properties: {
+            user: {
+                type: 'object',
+                properties: {
+                    id: ID,
+                    name: { type: 'string' },
+                    trainingMaxes: TRAINING_MAXES,
+                    injuryHistory: { type: 'array', items: INJURY },
+                    units: { type: 'string', enum: ['kg', 'lb'] },
+                    plateIncrement: { type: 'number', min: 0.25, max: 50 },
+                    volumeLandmarks: VOLUME_LANDMARKS,
+                    goal: GOAL,
+                    meetDate: { type: 'date' }
+                }
+            },
+            plannedWorkout: {
+                type: 'object',
+                properties: {
+                    id: ID,
+                    userId: ID,
+                    name: { type: 'string' },
+                    exercises: { type: 'array', items: EXERCISE, required: true }
+                }
+            },
+            feedback: {
+                type: 'object',
+                required: true,
+                properties: {
+                    sleepHours: { type: 'number', min: 0, max: 24 },
+                    sleepQuality: { type: 'number', integer: true, min: 1, max: 5 },
+                    soreness: { type: 'number', integer: true, min: 1, max: 5 },
+                    stressLevel: { type: 'string', enum: ['Low', 'Medium', 'High'] },
+                    painFlags: PAIN_FLAGS
+                }
+            },
+            history: { type: 'array', items: PERFORMANCE }
+        }
+    },
+
+    logSession: {
+        type: 'object',
+        required: true,
+        properties: {
+            userId: ID,
+            workout: {
+                type: 'object',
+                properties: {
+                    id: ID,
+                    name: { type: 'string' },
+                    date: { type: 'date' },
+                    exercises: { type: 'array', items: EXERCISE }
+                }
+            },
+            performances: { type: 'array', items: PERFORMANCE },
+            painFlags: PAIN_FLAGS
+        }
+    },
+
+    setGoal: {
+        type: 'object',
+        properties: {
+            goal: GOAL,
+            meetDate: { type: 'date' }
+        }
+    },
+
+    nutritionProfile: {
+        type: 'object',
+        required: true,
+        properties: NUTRITION_PROFILE
+    },
+
+    nutritionPlan: {
+        type: 'object',
+        required: true,
+        properties: {
+            ...NUTRITION_PROFILE,
+            trainingSets: { type: 'number', integer: true, min: 0, max: 60 }
+        }
+    },
+
+    customFood: {
+        type: 'object',
+        required: true,
+        properties: {
+            name: { ...ID, required: true },
+            calories: MACRO,
+            protein: MACRO,
+            carbs: MACRO,
+            fat: MACRO,
+            serving: { type: 'string' },
+            diet: { type: 'string', enum: ['veg', 'egg', 'non_veg'] },
+            description: { type: 'string' }
+        }
+    },
+
+    logMeal: {
+        type: 'object',
+        required: true,
+        properties: {
+            foodId: { ...ID, required: true },
+            servings: { type: 'number', min: 0.25, max: 20, required: true },
+            meal: { type: 'string', enum: ['breakfast', 'lunch', 'snack', 'dinner'], required: true },
+            date: { type: 'date' }
+        }
+    },
+
+    askAssistant: {
+        type: 'object',
+        required: true,
+        properties: {
+            question: { type: 'string', minLength: 1, maxLength: 500, required: true },
+            date: { type: 'date' }
+        }
+    },
+
+    // A JSON export (see data_export.js); ids and timestamps in it are ignored
+    dataImport: {
+        type: 'object',
+        required: true,
+        properties: {
+            format: { type: 'string', enum: ['fitaura-export'], required: true },
+            version: { type: 'number', integer: true, min: 1, max: 1, required: true },
+            sessions: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        date: { type: 'date', required: true },
+                        exercises: { type: 'array', items: EXERCISE },
+                        performances: { type: 'array', items: PERFORMANCE, required: true },
+                        painFlags: PAIN_FLAGS
+                    }
+                }
+            },
+            prescriptions: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        day: { ...DAY, required: true },
+                        name: { type: 'string' },
+                        sets: { type: 'number', integer: true, min: 0 },
+                        readinessScore: { type: 'number', min: 0, max: 100 },
+                        exercises: { type: 'array', items: PRESCRIBED_EXERCISE },
+                        explanations: { type: 'array', items: { type: 'object', properties: { code: { ...ID, required: true } } } }
+                    }
+                }
+            },
+            checkIns: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        day: { ...DAY, required: true },
+                        score: { type: 'number', min: 0, max: 100 },
+                        sleepHours: { type: 'number', min: 0, max: 24 },
+                        sleepQuality: { type: 'number', integer: true, min: 1, max: 5 },
+                        soreness: { type: 'number', integer: true, min: 1, max: 5 },
+                        stressLevel: { type: 'string', enum: ['Low', 'Medium', 'High'] }
+                    }
+                }
+            },
+            programs: { type: 'array', items: { type: 'object' } } // Checked one by one against programTemplate
+        }
+    },
+
+    membershipPlan: {
+        type: 'object',
+        required: true,
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 80, required: true },
+            price: { type: 'number', min: 0, required: true },
+            currency: { type: 'string', pattern: /^[A-Z]{3}$/, description: 'must be a 3-letter currency code (e.g. USD)' },
+            interval: { type: 'string', enum: ['month', 'year'] },
+            features: { type: 'array', items: { type: 'string', minLength: 1, maxLength: 120 } },
+            active: { type: 'boolean' }
+        }
+    },
+
+    startMembership: {
+        type: 'object',
+        required: true,
+        properties: {
+            planId: { ...ID, required: true }
+        }
+    },
+
+    gymClass: {
+        type: 'object',
+        required: true,
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 80, required: true },
+            weekday: { type: 'string', enum: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'], required: true },
+            startTime: { ...TIME, required: true },
+            durationMinutes: { type: 'number', integer: true, min: 5, max: 240, required: true },
+            room: { type: 'string', maxLength: 40 },
+            instructor: { type: 'string', maxLength: 80 },
+            capacity: { type: 'number', integer: true, min: 1, max: 500, required: true }
+        }
+    },
+
+    bookClass: {
+        type: 'object',
+        required: true,
+        properties: {
+            date: { ...DAY, required: true }
+        }
+    },
+
+    contactMessage: {
+        type: 'object',
+        required: true,
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 100, required: true },
+            email: { ...EMAIL, required: true },
+            phone: { type: 'string', pattern: /^[0-9+()\s-]{6,20}$/, description: 'must be a phone number' },
+            message: { type: 'string', minLength: 1, maxLength: 2000, required: true }
+        }
+    },
+
+    contactStatus: {
+        type: 'object',
+        required: true,
+        properties: {
+            status: { type: 'string', enum: ['new', 'handled'], required: true }
+        }
+    },
+
+    createMesocycle: {
+        type: 'object',
+        properties: {
+            model: { type: 'string', enum: ['linear', 'undulating', 'block'] },
+            weeks: { type: 'number', integer: true, min: 4, max: 8 },
+            deloadEvery: { type: 'number', integer: true, min: 2, max: 8 },
+            startDate: { type: 'date' },
+            trainingMaxes: TRAINING_MAXES
+        }
+    },
+
+    startLiveSession: {
+        type: 'object',
+        required: true,
+        properties: {
+            userId: ID,
+            // Offline clients pick the id (and start time) so queued sets can reference the session
+            id: CLIENT_ID,
+            startedAt: { type: 'date' },
+            workout: {
+                type: 'object',
+                required: true,
+                properties: {
+                    id: ID,
+                    name: { type: 'string' },
+                    exercises: { type: 'array', items: EXERCISE, required: true }
+                }
+            }
+        }
+    },
+
+    logSet: {
+        type: 'object',
+        required: true,
+        properties: {
+            exerciseId: { ...ID, required: true },
+            weight: { ...WEIGHT, required: true },
+            reps: { type: 'number', integer: true, min: 0, max: 100, required: true },
+            rpe: { ...RPE, required: true },
+            clientId: CLIENT_ID,
+            loggedAt: { type: 'date' }
+        }
+    },
+
+    closeLiveSession: {
+        type: 'object',
+        properties: {
+            painFlags: PAIN_FLAGS,
+            closedAt: { type: 'date' }
+        }
+    }
+};
+
+module.exports = { Validator, ValidationError, SCHEMAS };
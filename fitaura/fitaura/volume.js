@@ -0,0 +1,264 @@
+/**
+ * volume.js
+ * Weekly sets per muscle group against volume landmarks: maintenance volume (MV),
+ * minimum effective volume (MEV) and maximum recoverable volume (MRV).
+ * Landmarks come from volume_landmarks.json and can be overridden per user
+ * (user.volumeLandmarks = { chest: { mev: 12 } }).
+ *
+ * Sets are counted per exercise: a full set for its first (primary) muscle group and
+ * `secondaryFactor` of a set for every other group it lists.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ExerciseLibrary = require('./exercise_library');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'volume_landmarks.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ZONES = {
+    BELOW_MAINTENANCE: 'below_maintenance',
+    MAINTENANCE: 'maintenance',
+    PRODUCTIVE: 'productive',
+    OVER_MRV: 'over_mrv'
+};
+
+class VolumeLandmarks {
+    /**
+     * @param {Object} config - See volume_landmarks.json ({ secondaryFactor, increase, default, muscles })
+     */
+    constructor(config = VolumeLandmarks.loadConfig()) {
+        VolumeLandmarks.validateConfig(config);
+        this.config = config;
+    }
+
+    static loadConfig(filePath = process.env.FITAURA_VOLUME_CONFIG || DEFAULT_CONFIG_PATH) {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    /**
+     * Throws if a config has missing or out-of-order landmarks (MV <= MEV <= MRV).
+     * @param {Object} config
+     */
+    static validateConfig(config) {
+        if (!config || !config.default) {
+            throw new Error('Volume config needs "default" landmarks');
+        }
+        Object.entries({ default: config.default, ...(config.muscles || {}) }).forEach(([muscle, landmarks]) => {
+            VolumeLandmarks.checkLandmarks(landmarks, muscle);
+        });
+    }
+
+    static checkLandmarks({ mv, mev, mrv }, muscle) {
+        if (![mv, mev, mrv].every(value => Number.isFinite(value) && value >= 0)) {
+            throw new Error(`Volume landmarks for "${muscle}" need non-negative mv, mev and mrv`);
+        }
+        if (mv > mev || mev > mrv) {
+            throw new Error(`Volume landmarks for "${muscle}" must satisfy mv <= mev <= mrv`);
+        }
+    }
+
+    /**
+     * @param {string} muscle
+     * @param {Object} overrides - The user's own landmarks, by muscle group (optional)
+     * @returns {Object} { mv, mev, mrv } in hard sets per week
+     */
+    landmarksFor(muscle, overrides = {}) {
+        const landmarks = {
+            ...this.config.default,
+            ...((this.config.muscles || {})[muscle] || {}),
+            ...((overrides || {})[muscle] || {})
+        };
+        return { mv: landmarks.mv, mev: landmarks.mev, mrv: landmarks.mrv };
+    }
+
+    /**
+     * @param {Object} exercise - { id, name, muscleGroups }
+     * @returns {Array<string>} Primary muscle group first; falls back to the exercise library
+     */
+    static muscleGroupsOf(exercise) {
+        if (exercise.muscleGroups && exercise.muscleGroups.length > 0) return exercise.muscleGroups;
+        const entry = ExerciseLibrary.find(exercise);
+        return entry ? entry.muscleGroups : [];
+    }
+
+    /**
+     * Sets per muscle group for a list of exercises (e.g. today's workout).
+     * @param {Array<Object>} exercises - { muscleGroups, sets }
+     * @returns {Map<string, number>}
+     */
+    setsByMuscle(exercises) {
+        const totals = new Map();
+        exercises.forEach(ex => this.addSetsTo(totals, VolumeLandmarks.muscleGroupsOf(ex), ex.sets || 0));
+        return totals;
+    }
+
+    addSetsTo(totals, muscleGroups, sets) {
+        muscleGroups.forEach((muscle, i) => {
+            const share = i === 0 ? 1 : this.config.secondaryFactor;
+            totals.set(muscle, (totals.get(muscle) || 0) + sets * share);
+        });
+    }
+
+    /**
+     * Sets done in the rolling week before `date`: the six days before it, so that with
+     * `date`'s own sets the count covers seven days. Same-day sessions are left to the caller.
+     * @param {Array<Object>} sessions - Logged sessions (repository.listSessions)
+     * @param {Date|string} date
+     * @returns {Map<string, number>}
+     */
+    weeklySets(sessions, date = new Date()) {
+        const today = VolumeLandmarks.utcDay(date);
+        const totals = new Map();
+        sessions
+            .filter(session => new Date(session.date) >= today - 6 * DAY_MS && new Date(session.date) < today)
+            .forEach(session => (session.performances || []).forEach(p => {
+                const planned = (session.exercises || []).find(ex => ex.id === p.exerciseId) || { id: p.exerciseId };
+                this.addSetsTo(totals, VolumeLandmarks.muscleGroupsOf(planned), p.completedSets || 0);
+            }));
+        return totals;
+    }
+
+    /**
+     * Whether the history reaches back past the rolling week, i.e. weeklySets() reflects a full
+     * week of training rather than a user who just started.
+     * @param {Array<Object>} sessions
+     * @param {Date|string} date
+     * @returns {boolean}
+     */
+    static coversFullWeek(sessions, date = new Date()) {
+        const windowStart = VolumeLandmarks.utcDay(date) - 6 * DAY_MS;
+        return sessions.some(session => new Date(session.date) < windowStart);
+    }
+
+    /**
+     * Where each muscle group stands over the rolling week once today's planned sets are done.
+     * @param {Map<string, number>} completed - From weeklySets()
+     * @param {Map<string, number>} planned - From setsByMuscle() for today's workout
+     * @param {Object} overrides - The user's own landmarks (optional)
+     * @returns {Array<Object>} [{ muscleGroup, completed, planned, total, mv, mev, mrv, zone }]
+     */
+    status(completed, planned = new Map(), overrides = {}) {
+        const muscles = [...new Set([...completed.keys(), ...planned.keys()])];
+        return muscles.map(muscleGroup => {
+            const done = VolumeLandmarks.round(completed.get(muscleGroup) || 0);
+            const today = VolumeLandmarks.round(planned.get(muscleGroup) || 0);
+            const total = VolumeLandmarks.round(done + today);
+            const landmarks = this.landmarksFor(muscleGroup, overrides);
+            return { muscleGroup, completed: done, planned: today, total, ...landmarks, zone: VolumeLandmarks.zone(total, landmarks) };
+        });
+    }
+
+    static zone(sets, { mv, mev, mrv }) {
+        if (sets > mrv) return ZONES.OVER_MRV;
+        if (sets >= mev) return ZONES.PRODUCTIVE;
+        if (sets >= mv) return ZONES.MAINTENANCE;
+        return ZONES.BELOW_MAINTENANCE;
+    }
+
+    /**
+     * How close an exercise's primary muscle is to its weekly MRV; used to decide which
+     * exercise gives up sets first when readiness is low.
+     * @param {Array<Object>} status - From status()
+     * @returns {Function} exercise -> total / MRV (0 when the muscle is unknown)
+     */
+    static pressure(status) {
+        const byMuscle = new Map(status.map(s => [s.muscleGroup, s]));
+        return exercise => {
+            const s = byMuscle.get(VolumeLandmarks.muscleGroupsOf(exercise)[0]);
+            if (!s) return 0;
+            return s.mrv > 0 ? s.total / s.mrv : s.total;
+        };
+    }
+
+    /**
+     * Trims sets from muscles that would end the week above their MRV. Accessories go first;
+     * main lifts give up at most one set, and nothing drops below one set.
+     * @param {Array<Object>} exercises - Today's exercises (mutated)
+     * @param {Array<Object>} status - From status()
+     * @param {Function} isLocked - exercise -> true when its sets must not change
+     * @returns {Array<Object>} [{ exerciseId, name, muscleGroup, total, mrv, before, after }]
+     */
+    capSets(exercises, status, isLocked = () => false) {
+        const changes = [];
+        status.filter(s => s.zone === ZONES.OVER_MRV).forEach(s => {
+            let excess = s.total - s.mrv;
+            VolumeLandmarks.candidates(exercises, s.muscleGroup, isLocked).forEach(ex => {
+                const floor = VolumeLandmarks.isAccessory(ex) ? 1 : ex.sets - 1;
+                const cut = Math.min(Math.ceil(excess), Math.max(0, ex.sets - Math.max(1, floor)));
+                if (cut <= 0) return;
+
+                changes.push({ exerciseId: ex.id, name: ex.name, muscleGroup: s.muscleGroup, total: s.total, mrv: s.mrv, before: ex.sets, after: ex.sets - cut });
+                ex.sets -= cut;
+                excess -= cut;
+            });
+        });
+        return changes;
+    }
+
+    /**
+     * Adds a set to exercises whose primary muscle would end the week below its MEV, largest
+     * shortfall first, accessories before main lifts. At most one extra set per exercise and
+     * `increase.maxSetsPerSession` per workout.
+     * @param {Array<Object>} exercises - Today's exercises (mutated)
+     * @param {Array<Object>} status - From status()
+     * @param {Function} isLocked - exercise -> true when its sets must not change
+     * @returns {Array<Object>} [{ exerciseId, name, muscleGroup, total, mev, before, after }]
+     */
+    addSets(exercises, status, isLocked = () => false) {
+        const { maxSetsPerSession = 2 } = this.config.increase || {};
+        const changes = [];
+        const added = new Set();
+
+        status
+            .filter(s => s.total < s.mev)
+            .sort((a, b) => (b.mev - b.total) - (a.mev - a.total))
+            .forEach(s => {
+                if (changes.length >= maxSetsPerSession) return;
+                const ex = VolumeLandmarks.candidates(exercises, s.muscleGroup, ex => isLocked(ex) || added.has(ex))[0];
+                if (!ex) return;
+
+                changes.push({ exerciseId: ex.id, name: ex.name, muscleGroup: s.muscleGroup, total: s.total, mev: s.mev, before: ex.sets, after: ex.sets + 1 });
+                ex.sets += 1;
+                added.add(ex);
+            });
+        return changes;
+    }
+
+    /**
+     * @returns {number} Readiness at or above which under-target muscles get extra sets
+     */
+    get increaseThreshold() {
+        const { minReadiness = 80 } = this.config.increase || {};
+        return minReadiness;
+    }
+
+    // Exercises whose primary muscle is `muscle`, accessories first, then the most sets
+    static candidates(exercises, muscle, isLocked) {
+        return exercises
+            .filter(ex => ex.id !== 'rest' && ex.sets > 0 && !isLocked(ex) && VolumeLandmarks.muscleGroupsOf(ex)[0] === muscle)
+            .sort((a, b) => (VolumeLandmarks.isAccessory(b) - VolumeLandmarks.isAccessory(a)) || (b.sets - a.sets));
+    }
+
+    /**
+     * Isolation exercises are accessories; anything else (including unknown types) is treated as a main lift.
+     * @param {Object} exercise
+     * @returns {boolean}
+     */
+    static isAccessory(exercise) {
+        return exercise.type === 'isolation';
+    }
+
+    static utcDay(date) {
+        const d = new Date(date);
+        return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+    }
+
+    static round(value) {
+        return Math.round(value * 10) / 10;
+    }
+}
+
+VolumeLandmarks.ZONES = ZONES;
+
+module.exports = VolumeLandmarks;
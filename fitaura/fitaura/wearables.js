@@ -0,0 +1,311 @@
+/**
+ * wearables.js
+ * Imports health-tracker exports and normalizes them into one recovery record per day:
+ * { day: "YYYY-MM-DD", sleepHours, restingHr, hrv }. Readiness scores these against the
+ * user's own rolling baseline (see ReadinessModel.withRecovery).
+ *
+ * Formats:
+ *   csv          - one row per day (or per measurement), header names as most trackers export them
+ *   json         - records derived from FIT/GPX files: daily summaries, or sleep intervals { type: "sleep", startTime, endTime }
+ *   apple_health - export.xml from the Health app (sleep analysis, resting heart rate, HRV SDNN)
+ *
+ * Sleep counts towards the day it ends on (the morning you train). Dates keep the local day
+ * they were written with, so an export's "2024-05-07 23:10:00 +0100" stays on the 7th.
+ */
+
+const { ValidationError } = require('./validation');
+
+const FORMATS = ['csv', 'json', 'apple_health'];
+
+// Column / field names trackers use, compared lowercased without punctuation
+const FIELDS = {
+    day: ['date', 'day', 'calendardate', 'timestamp', 'starttime', 'start', 'summarydate'],
+    end: ['endtime', 'end', 'enddate'],
+    sleepHours: ['sleephours', 'hoursasleep', 'sleep', 'totalsleephours'],
+    sleepMinutes: ['sleepminutes', 'minutesasleep', 'totalsleepminutes', 'sleepdurationminutes'],
+    sleepSeconds: ['sleepseconds', 'sleepduration', 'totalsleepduration', 'totalsleeptime', 'sleeptimeseconds'],
+    restingHr: ['restinghr', 'restingheartrate', 'rhr', 'restingheartratebpm', 'averagerestingheartrate'],
+    hrv: ['hrv', 'hrvrmssd', 'rmssd', 'hrvsdnn', 'sdnn', 'heartratevariability', 'averagehrv']
+};
+
+// Values outside these are sensor noise or unit mix-ups and are skipped
+const RANGES = {
+    sleepHours: [0.5, 20],
+    restingHr: [25, 150],
+    hrv: [1, 300]
+};
+
+const APPLE_TYPES = {
+    sleep: 'HKCategoryTypeIdentifierSleepAnalysis',
+    restingHr: 'HKQuantityTypeIdentifierRestingHeartRate',
+    hrv: 'HKQuantityTypeIdentifierHeartRateVariabilitySDNN'
+};
+
+// Sleep analysis values that mean asleep (not in bed or awake)
+const APPLE_ASLEEP = /^HKCategoryValueSleepAnalysisAsleep/;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const key = name => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+class WearableImport {
+    /**
+     * Picks the format from ?format, then the Content-Type, then the body itself.
+     * @param {string|Object} body - Raw text, or JSON already parsed by the server
+     * @param {string} contentType
+     * @param {string} format - Explicit format (optional)
+     * @returns {string} One of FORMATS
+     */
+    static detectFormat(body, contentType = '', format = null) {
+        if (format) return format;
+        if (typeof body !== 'string' || /json/.test(contentType)) return 'json';
+        if (/xml/.test(contentType)) return 'apple_health';
+        if (/csv/.test(contentType)) return 'csv';
+
+        const start = body.trimStart();
+        if (start.startsWith('<')) return 'apple_health';
+        if (start.startsWith('[') || start.startsWith('{')) return 'json';
+        return 'csv';
+    }
+
+    /**
+     * @param {string|Object} body
+     * @param {string} format - One of FORMATS
+     * @returns {Object} { records: [{ day, sleepHours, restingHr, hrv }], skipped } - records oldest first;
+     *   skipped counts measurements that were unreadable or out of range
+     * @throws {ValidationError} When the body can't be read as the format or holds no recovery data
+     */
+    static parse(body, format) {
+        const samples = { values: [], skipped: 0 };
+        if (format === 'csv') WearableImport.readCsv(String(body), samples);
+        else if (format === 'json') WearableImport.readJson(body, samples);
+        else if (format === 'apple_health') WearableImport.readAppleHealth(String(body), samples);
+        else throw new ValidationError([{ field: 'format', message: `must be one of: ${FORMATS.join(', ')}` }]);
+
+        const records = WearableImport.toDays(samples.values);
+        if (records.length === 0) {
+            throw new ValidationError([{ field: 'body', message: 'has no sleep, resting heart rate or HRV data' }]);
+        }
+        return { records, skipped: samples.skipped };
+    }
+
+    static readCsv(text, samples) {
+        const [header, ...rows] = text.split(/\r?\n/).filter(line => line.trim()).map(WearableImport.csvLine);
+        if (!header || rows.length === 0) {
+            throw new ValidationError([{ field: 'body', message: 'must be CSV with a header row and at least one data row' }]);
+        }
+        rows.forEach(cells => {
+            const row = {};
+            header.forEach((name, i) => { row[name] = cells[i]; });
+            WearableImport.readSummary(row, samples);
+        });
+    }
+
+    /**
+     * Splits one CSV line, honouring double-quoted cells ("a, b" and "" escapes).
+     * @param {string} line
+     * @returns {Array<string>}
+     */
+    static csvLine(line) {
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quoted && char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = !quoted;
+            } else if (char === ',' && !quoted) {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    static readJson(body, samples) {
+        let data = body;
+        if (typeof body === 'string') {
+            try {
+                data = JSON.parse(body);
+            } catch (error) {
+                throw new ValidationError([{ field: 'body', message: 'must be valid JSON' }]);
+            }
+        }
+        const records = Array.isArray(data) ? data : data && (data.records || data.sessions || data.days);
+        if (!Array.isArray(records)) {
+            throw new ValidationError([{ field: 'body', message: 'must be an array of records or { "records": [...] }' }]);
+        }
+
+        records.forEach(record => {
+            if (!record || typeof record !== 'object') {
+                samples.skipped++;
+                return;
+            }
+            const fields = WearableImport.pick(record);
+            if (key(record.type || '') === 'sleep' && fields.day && fields.end) {
+                WearableImport.addInterval(samples, fields.day, fields.end);
+            } else {
+                WearableImport.readSummary(record, samples);
+            }
+        });
+    }
+
+    static readAppleHealth(text, samples) {
+        if (!/<HealthData[\s>]/.test(text)) {
+            throw new ValidationError([{ field: 'body', message: 'must be an Apple Health export (export.xml)' }]);
+        }
+
+        // Records are self-contained elements; attributes are all we need, so no XML parser
+        const recordPattern = /<Record\s([^>]*?)\/?>/g;
+        let match;
+        while ((match = recordPattern.exec(text)) !== null) {
+            const attrs = WearableImport.xmlAttributes(match[1]);
+            if (attrs.type === APPLE_TYPES.sleep) {
+                if (APPLE_ASLEEP.test(attrs.value || '')) WearableImport.addInterval(samples, attrs.startDate, attrs.endDate);
+            } else if (attrs.type === APPLE_TYPES.restingHr) {
+                WearableImport.addValue(samples, attrs.startDate, 'restingHr', Number(attrs.value));
+            } else if (attrs.type === APPLE_TYPES.hrv) {
+                WearableImport.addValue(samples, attrs.startDate, 'hrv', Number(attrs.value));
+            }
+        }
+    }
+
+    static xmlAttributes(source) {
+        const attrs = {};
+        source.replace(/(\w+)="([^"]*)"/g, (_, name, value) => {
+            attrs[name] = value.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+        });
+        return attrs;
+    }
+
+    /**
+     * Maps a record's fields onto FIELDS by name.
+     * @param {Object} record
+     * @returns {Object} FIELDS key -> raw value
+     */
+    static pick(record) {
+        const fields = {};
+        Object.entries(record).forEach(([name, value]) => {
+            const field = Object.keys(FIELDS).find(f => FIELDS[f].includes(key(name)));
+            if (field && fields[field] === undefined && value !== '' && value !== null) fields[field] = value;
+        });
+        return fields;
+    }
+
+    // One day's summary: sleep duration in whichever unit it came in, resting HR, HRV
+    static readSummary(record, samples) {
+        const fields = WearableImport.pick(record);
+        const sleepHours = fields.sleepHours !== undefined ? Number(fields.sleepHours)
+            : fields.sleepMinutes !== undefined ? Number(fields.sleepMinutes) / 60
+                : fields.sleepSeconds !== undefined ? Number(fields.sleepSeconds) / 3600
+                    : undefined;
+
+        const measured = { sleepHours, restingHr: fields.restingHr, hrv: fields.hrv };
+        const present = Object.entries(measured).filter(([, value]) => value !== undefined);
+        if (present.length === 0) return;
+
+        // Summaries are dated by the day they describe; with only an end time, that's the day it ended
+        const day = fields.day || fields.end;
+        present.forEach(([metric, value]) => WearableImport.addValue(samples, day, metric, Number(value)));
+    }
+
+    static addValue(samples, date, metric, value) {
+        const day = WearableImport.localDay(date);
+        const [min, max] = RANGES[metric];
+        if (!day || !Number.isFinite(value) || value < min || value > max) {
+            samples.skipped++;
+            return;
+        }
+        samples.values.push({ day, metric, value });
+    }
+
+    static addInterval(samples, start, end) {
+        const from = WearableImport.time(start);
+        const to = WearableImport.time(end);
+        const day = WearableImport.localDay(end);
+        if (!day || from === null || to === null || to <= from || to - from > RANGES.sleepHours[1] * HOUR_MS) {
+            samples.skipped++;
+            return;
+        }
+        samples.values.push({ day, metric: 'sleepInterval', value: [from, to] });
+    }
+
+    /**
+     * Groups samples by day: sleep durations add up, overlapping sleep intervals (phone and watch
+     * both recording the same night) count once, resting HR and HRV are averaged.
+     * @param {Array<Object>} values - { day, metric, value }
+     * @returns {Array<Object>} { day, sleepHours, restingHr, hrv }, oldest first; unmeasured metrics are null
+     */
+    static toDays(values) {
+        const days = new Map();
+        values.forEach(({ day, metric, value }) => {
+            if (!days.has(day)) days.set(day, { sleepHours: [], sleepInterval: [], restingHr: [], hrv: [] });
+            days.get(day)[metric].push(value);
+        });
+
+        const mean = list => (list.length ? list.reduce((sum, v) => sum + v, 0) / list.length : null);
+        return [...days.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([day, metrics]) => {
+                const summed = metrics.sleepHours.reduce((sum, v) => sum + v, 0) + WearableImport.unionHours(metrics.sleepInterval);
+                const hasSleep = metrics.sleepHours.length + metrics.sleepInterval.length > 0;
+                const restingHr = mean(metrics.restingHr);
+                const hrv = mean(metrics.hrv);
+                return {
+                    day,
+                    sleepHours: hasSleep ? Math.round(Math.min(summed, 24) * 10) / 10 : null,
+                    restingHr: restingHr === null ? null : Math.round(restingHr),
+                    hrv: hrv === null ? null : Math.round(hrv)
+                };
+            });
+    }
+
+    static unionHours(intervals) {
+        let total = 0;
+        let current = null;
+        [...intervals].sort((a, b) => a[0] - b[0]).forEach(([from, to]) => {
+            if (current && from <= current[1]) {
+                current[1] = Math.max(current[1], to);
+                return;
+            }
+            if (current) total += current[1] - current[0];
+            current = [from, to];
+        });
+        if (current) total += current[1] - current[0];
+        return total / HOUR_MS;
+    }
+
+    /**
+     * @param {string|number} date - ISO-ish string ("2024-05-07", "2024-05-07 23:10:00 +0100", "2024-05-07T06:30:00Z") or epoch ms
+     * @returns {string|null} "YYYY-MM-DD" as written (local day), UTC day for epoch numbers
+     */
+    static localDay(date) {
+        if (typeof date === 'number' || /^\d+$/.test(String(date))) {
+            const d = new Date(Number(date));
+            return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+        }
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(date || '').trim());
+        return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    }
+
+    static time(date) {
+        if (typeof date === 'number' || /^\d+$/.test(String(date))) return Number(date);
+        // Apple writes "2024-05-07 23:10:00 +0100"; Date wants "2024-05-07T23:10:00+01:00"
+        const iso = String(date || '').trim()
+            .replace(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}(:\d{2})?)/, '$1T$2')
+            .replace(/\s*([+-]\d{2}):?(\d{2})$/, '$1:$2');
+        const time = Date.parse(iso);
+        return Number.isNaN(time) ? null : time;
+    }
+}
+
+WearableImport.FORMATS = FORMATS;
+WearableImport.RANGES = RANGES;
+
+module.exports = WearableImport;
@@ -0,0 +1,106 @@
+/*
+ * gym.js
+ * Fills the schedule and price sections from the Fitaura API and sends the contact form to it.
+ * The static markup stays as it is when the API can't be reached. The API is expected on the
+ * site's own origin (/api/...); when it runs elsewhere, point data-api on the script tag at it
+ * (and list this site in the API's FITAURA_CORS_ORIGINS).
+ */
+(function($){
+
+  var script = document.currentScript;
+  var API = ((script && script.getAttribute("data-api")) || "").replace(/\/$/, "");
+  var DAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+  // "18:30" -> "6:30 PM"
+  function clock(time){
+    var parts = time.split(":");
+    var hours = Number(parts[0]);
+    return (hours % 12 || 12) + ":" + parts[1] + " " + (hours < 12 ? "AM" : "PM");
+  }
+
+  function dayName(date){
+    return DAYS[new Date(date + "T00:00:00Z").getUTCDay()];
+  }
+
+  function spots(item){
+    if(item.spotsLeft > 0) return item.spotsLeft + (item.spotsLeft === 1 ? " spot left" : " spots left");
+    return "Full - waitlist open";
+  }
+
+  function renderSchedule(classes){
+    if(!classes.length) return;
+
+    var rows = classes.map(function(item){
+      return $("<tr>").append(
+        $("<td class='day'>").text(dayName(item.date)),
+        $("<td>").append($("<strong>").text(clock(item.startTime))),
+        $("<td>").text(item.name).append("<br/>", document.createTextNode(clock(item.startTime) + " to " + clock(item.endTime)),
+          "<br/>", $("<small>").text(spots(item))),
+        $("<td>").text(item.room ? "Room No:" + item.room : "")
+      );
+    });
+    $("#schedule .timing .table tbody").empty().append(rows);
+  }
+
+  function renderPlans(plans){
+    if(!plans.length) return;
+
+    var boxes = plans.map(function(plan, i){
+      var text = $("<div class='text'>").append($("<h3>").text(plan.name));
+      plan.features.forEach(function(feature){
+        text.append($("<p>").text(feature));
+      });
+      text.append($("<a href='#contact' class='btn join'>").text("Join Now").attr("data-plan", plan.name));
+
+      return $("<div class='box'>").append(
+        $("<div class='inner'>").append(
+          $("<div class='price-tag'>").text("$" + plan.price + "/" + (plan.interval === "year" ? "Year" : "Month")),
+          $("<div class='img'>").append($("<img alt='price'>").attr("src", "images/price" + (i % 3 + 1) + ".jpg")),
+          text
+        )
+      );
+    });
+    $("#price .content").empty().append(boxes);
+  }
+
+  function status(message, ok){
+    $("#contact .form-status").text(message).toggleClass("error", !ok);
+  }
+
+  $(document).ready(function(){
+
+      $.getJSON(API + "/api/gym/schedule?days=7").done(function(res){ renderSchedule(res.data) });
+      $.getJSON(API + "/api/gym/plans").done(function(res){ renderPlans(res.data) });
+
+      // Join Now starts a message to the front desk about that plan
+      $("#price").on("click", ".join", function(event){
+        event.preventDefault();
+        $("#contact textarea[name=message]").val("I'd like to join the " + $(this).attr("data-plan") + " plan.");
+        $("html,body").animate({ scrollTop: $("#contact").offset().top }, 800);
+      })
+
+      $("#contact form").submit(function(event){
+        event.preventDefault();
+
+        var form = this;
+        var field = function(name){ return $(form).find("[name=" + name + "]").val() };
+        var body = {
+          name: field("name"),
+          email: field("email"),
+          phone: field("phone") || undefined,
+          message: field("message")
+        };
+
+        $.ajax({ url: API + "/api/gym/contact", method: "POST", contentType: "application/json", data: JSON.stringify(body) })
+          .done(function(){
+            form.reset();
+            status("Thanks! We'll get back to you soon.", true);
+          })
+          .fail(function(xhr){
+            var res = xhr.responseJSON;
+            status(res && res.message ? res.message : "Couldn't send your message. Please call us instead.", false);
+          });
+      })
+  })
+
+})(jQuery);